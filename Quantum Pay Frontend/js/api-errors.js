@@ -0,0 +1,178 @@
+/**
+ * API Errors
+ * Structured errors thrown by QuantumPayAPI.makeRequest
+ *
+ * Every error carries the endpoint, HTTP status, request id and the parsed Xano error
+ * payload ({ code, message, payload }) so handlers can react to the kind of failure.
+ */
+
+class QuantumPayError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} [details]
+     * @param {number|null} [details.status] - HTTP status, null when no response was received
+     * @param {string|null} [details.endpoint] - Request URL
+     * @param {string|null} [details.method] - HTTP method
+     * @param {string|null} [details.requestId] - Request id sent in X-Request-Id (or echoed by the server)
+     * @param {Object|null} [details.data] - Parsed error body ({ code, message, payload })
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, { status = null, endpoint = null, method = null, requestId = null, data = null, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.method = method;
+        this.requestId = requestId;
+        this.data = data;
+        this.code = data && data.code ? data.code : null;
+        this.payload = data && data.payload !== undefined ? data.payload : null;
+        if (cause) this.cause = cause;
+    }
+
+    /**
+     * Whether repeating the same request may succeed
+     * @returns {boolean}
+     */
+    get isTransient() {
+        return false;
+    }
+
+    /**
+     * Build the error matching an unsuccessful HTTP response
+     * @param {Response} response - fetch response with ok === false
+     * @param {Object} data - Parsed response body (may be empty)
+     * @param {Object} context - { endpoint, method, requestId }
+     * @returns {QuantumPayError}
+     */
+    static fromResponse(response, data, context) {
+        const details = {
+            ...context,
+            status: response.status,
+            requestId: response.headers.get('X-Request-Id') || context.requestId,
+            data
+        };
+        const message = data.message || `HTTP ${response.status}: ${response.statusText}`;
+
+        switch (response.status) {
+            case 400:
+            case 422:
+                return new ValidationError(message, details);
+            case 401:
+                return new UnauthorizedError(message, details);
+            case 403:
+                return new ForbiddenError(message, details);
+            case 404:
+                return new NotFoundError(message, details);
+            case 409:
+                return new ConflictError(message, details);
+            case 429:
+                return new RateLimitError(message, { ...details, retryAfter: response.headers.get('Retry-After') });
+            default:
+                return response.status >= 500
+                    ? new ServerError(message, details)
+                    : new QuantumPayError(message, details);
+        }
+    }
+}
+
+class NetworkError extends QuantumPayError {
+    constructor(message = 'Unable to reach Quantum Pay. Check your connection and try again.', details) {
+        super(message, details);
+    }
+
+    get isTransient() {
+        return true;
+    }
+}
+
+class TimeoutError extends QuantumPayError {
+    constructor(message = 'The request timed out. Please try again.', details = {}) {
+        super(message, details);
+        this.timeout = details.timeout || null;
+    }
+
+    get isTransient() {
+        return true;
+    }
+}
+
+class UnauthorizedError extends QuantumPayError {}
+
+class ForbiddenError extends QuantumPayError {}
+
+class ValidationError extends QuantumPayError {
+    constructor(message, details) {
+        super(message, details);
+        this.fieldErrors = ValidationError.parseFieldErrors(message, this.payload);
+    }
+
+    /**
+     * Normalise the field errors Xano can return into { fieldName: message }.
+     * Input errors look like { param: 'email' }; custom endpoints may return { fields: { email: '...' } }.
+     */
+    static parseFieldErrors(message, payload) {
+        if (!payload || typeof payload !== 'object') return {};
+        if (payload.fields && typeof payload.fields === 'object') return { ...payload.fields };
+        if (payload.param) return { [payload.param]: message };
+        return {};
+    }
+}
+
+class NotFoundError extends QuantumPayError {}
+
+class ConflictError extends QuantumPayError {}
+
+class RateLimitError extends QuantumPayError {
+    constructor(message, details = {}) {
+        super(message, details);
+        const seconds = Number(details.retryAfter);
+        this.retryAfter = seconds > 0 ? seconds * 1000 : null; // milliseconds
+    }
+
+    get isTransient() {
+        return true;
+    }
+}
+
+class ServerError extends QuantumPayError {
+    get isTransient() {
+        return true;
+    }
+}
+
+/**
+ * Message to show the user for a failed operation
+ * @param {Error} error - Error thrown by the API service (or a client-side validation Error)
+ * @param {string} [fallback] - Message to use when the error carries none
+ * @returns {string}
+ */
+function getUserMessage(error, fallback = 'Something went wrong. Please try again.') {
+    if (error instanceof UnauthorizedError) {
+        return 'Your session has expired. Please sign in again.';
+    }
+    if (error instanceof RateLimitError) {
+        return 'Too many requests. Please wait a moment and try again.';
+    }
+    if (error instanceof ServerError) {
+        return 'Quantum Pay is having trouble right now. Please try again shortly.';
+    }
+    return (error && error.message) || fallback;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QuantumPayError,
+        NetworkError,
+        TimeoutError,
+        UnauthorizedError,
+        ForbiddenError,
+        ValidationError,
+        NotFoundError,
+        ConflictError,
+        RateLimitError,
+        ServerError,
+        getUserMessage
+    };
+}
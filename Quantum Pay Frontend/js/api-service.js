@@ -1,17 +1,62 @@
 /**
  * Quantum Pay API Service
- * Handles all API communications with Xano backend
+ * Handles all API communications with the configured backend (Xano by default)
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeout] - Milliseconds before a single attempt is aborted (0 disables)
+ * @property {number} [retries] - Extra attempts for retryable requests
+ * @property {AbortSignal} [signal] - Cancels the request, including pending retries
+ * @property {string} [idempotencyKey] - Sent as Idempotency-Key; makes a POST safe to retry
+ * @property {boolean} [skipSession] - Bypass the session manager (used by the auth calls it makes itself)
  */
 
 class QuantumPayAPI {
-    constructor() {
-        this.authBaseURL = 'https://x8ki-letl-twmt.n7.xano.io/api:Yh3BvUig';
-        this.transactionBaseURL = 'https://x8ki-letl-twmt.n7.xano.io/api:1i6yBSwb';
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.backend] - Backend adapter, defaults to the one configured for this browser
+     * @param {Object} [options.requestDefaults] - Overrides for the default timeout and retry settings
+     */
+    constructor(options = {}) {
+        this.backend = options.backend || createConfiguredBackend();
+        this.authBaseURL = this.backend.authBaseURL;
+        this.transactionBaseURL = this.backend.transactionBaseURL;
         this.authToken = localStorage.getItem('quantum_auth_token');
+        this.sessionManager = null; // attached by SessionManager on pages that need a session
+        this.pendingLoginEmail = null; // set while a login waits for its second factor
+        this.requestDefaults = {
+            timeout: 15000,      // per attempt, in milliseconds
+            retries: 3,          // extra attempts for retryable requests
+            retryDelay: 500,     // base backoff delay
+            maxRetryDelay: 8000,
+            ...options.requestDefaults
+        };
     }
 
-    // Helper method to make HTTP requests
+    /**
+     * Make an HTTP request through the backend adapter with timeout, retry and cancellation support
+     * @param {string} url - Endpoint URL
+     * @param {RequestOptions} [options] - fetch options plus pipeline options
+     * @returns {Promise<*>} Parsed JSON response
+     * @throws {QuantumPayError} Typed error from api-errors.js (AbortError when cancelled via signal)
+     */
     async makeRequest(url, options = {}) {
+        const {
+            timeout = this.requestDefaults.timeout,
+            retries,
+            signal,
+            idempotencyKey,
+            skipSession = false,
+            ...fetchOptions
+        } = options;
+
+        // Requests made while the session is being renewed wait for the new token
+        const session = skipSession ? null : this.sessionManager;
+        if (session) {
+            await session.whenReady();
+        }
+
         const defaultHeaders = {
             'Content-Type': 'application/json',
         };
@@ -21,17 +66,81 @@ class QuantumPayAPI {
             defaultHeaders['Authorization'] = `Bearer ${this.authToken}`;
         }
 
+        if (idempotencyKey) {
+            defaultHeaders['Idempotency-Key'] = idempotencyKey;
+        }
+
+        // One id per logical request so retries can be correlated in server logs
+        const requestId = crypto.randomUUID();
+        defaultHeaders['X-Request-Id'] = requestId;
+
         const config = {
-            headers: { ...defaultHeaders, ...options.headers },
-            ...options
+            ...fetchOptions,
+            headers: { ...defaultHeaders, ...fetchOptions.headers }
         };
 
+        const method = (config.method || 'GET').toUpperCase();
+        const maxRetries = this.isRetryable(method, idempotencyKey)
+            ? (retries ?? this.requestDefaults.retries)
+            : 0;
+
+        let renewedSession = false;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(url, config, { timeout, signal, method, requestId });
+            } catch (error) {
+                // Renew an expired session once, then replay the request with the new token
+                if (error instanceof UnauthorizedError && session && this.authToken && !renewedSession) {
+                    renewedSession = true;
+                    if (await session.handleUnauthorized()) {
+                        config.headers['Authorization'] = `Bearer ${this.authToken}`;
+                        attempt--;
+                        continue;
+                    }
+                }
+
+                if (attempt >= maxRetries || !this.shouldRetry(error) || (signal && signal.aborted)) {
+                    if (error.name !== 'AbortError') {
+                        console.error('API Request failed:', error);
+                    }
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt, error);
+                console.warn(`Retrying ${method} ${url} in ${delay}ms (attempt ${attempt + 2} of ${maxRetries + 1})`);
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Perform a single request attempt, aborting it when the timeout elapses or the caller cancels
+     */
+    async sendRequest(url, config, { timeout, signal, method, requestId }) {
+        const context = { endpoint: url, method, requestId };
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
         try {
-            const response = await fetch(url, config);
-            
+            const response = await this.backend.fetch(url, { ...config, signal: controller.signal });
+
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+                throw QuantumPayError.fromResponse(response, errorData || {}, context);
             }
 
             // Handle empty responses
@@ -41,21 +150,104 @@ class QuantumPayAPI {
 
             return await response.json();
         } catch (error) {
-            console.error('API Request failed:', error);
-            throw error;
+            if (error instanceof QuantumPayError) {
+                throw error;
+            }
+            if (timedOut) {
+                throw new TimeoutError(undefined, { ...context, timeout, cause: error });
+            }
+            if (error.name === 'AbortError') {
+                throw error; // cancelled by the caller
+            }
+            if (error instanceof TypeError) {
+                throw new NetworkError(undefined, { ...context, cause: error });
+            }
+            throw new QuantumPayError(error.message, { ...context, cause: error });
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
         }
     }
 
+    /**
+     * Retrying is only safe when repeating the request cannot create a second record.
+     * POST is retried only when the server can deduplicate it by idempotency key.
+     */
+    isRetryable(method, idempotencyKey) {
+        if (['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+            return true;
+        }
+        return !!idempotencyKey;
+    }
+
+    shouldRetry(error) {
+        return error instanceof QuantumPayError && error.isTransient;
+    }
+
+    /**
+     * Exponential backoff with jitter, honouring Retry-After when the server sends it
+     */
+    getRetryDelay(attempt, error) {
+        if (error instanceof RateLimitError && error.retryAfter) {
+            return Math.min(error.retryAfter, this.requestDefaults.maxRetryDelay);
+        }
+
+        const ceiling = Math.min(this.requestDefaults.retryDelay * 2 ** attempt, this.requestDefaults.maxRetryDelay);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            // The signal usually outlives the wait, e.g. one controller for a whole page load
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
     // Set auth token
-    setAuthToken(token) {
+    setAuthToken(token, sessionInfo = {}) {
         this.authToken = token;
         localStorage.setItem('quantum_auth_token', token);
+        localStorage.setItem('quantum_auth_session', JSON.stringify({
+            ...this.getSessionInfo(),
+            ...sessionInfo,
+            issuedAt: Date.now()
+        }));
     }
 
     // Clear auth token
     clearAuthToken() {
         this.authToken = null;
         localStorage.removeItem('quantum_auth_token');
+        localStorage.removeItem('quantum_auth_session');
+        // Other people's names and emails, cached by user-directory.js
+        localStorage.removeItem('quantum_user_directory');
+        // Transactions and balances kept for offline use by offline-store.js; other pages
+        // connected to it close their connection so the deletion isn't blocked
+        if (typeof indexedDB !== 'undefined') {
+            indexedDB.deleteDatabase('quantum_offline');
+        }
+    }
+
+    /**
+     * Details recorded when the current token was stored
+     * @returns {Object} { issuedAt, email } (empty when signed out)
+     */
+    getSessionInfo() {
+        try {
+            return JSON.parse(localStorage.getItem('quantum_auth_session') || '{}') || {};
+        } catch (error) {
+            return {};
+        }
     }
 
     // Check if user is authenticated
@@ -66,19 +258,25 @@ class QuantumPayAPI {
     // ==================== AUTHENTICATION ENDPOINTS ====================
 
     /**
-     * Login user and retrieve authentication token
+     * Login user and retrieve authentication token.
+     * Accounts with two-factor authentication get { two_factor_required, challenge_token } instead
+     * of a token; finish signing in with verifyTwoFactorLogin.
      * @param {string} email - User email
      * @param {string} password - User password
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} Authentication response with token
      */
-    async login(email, password) {
+    async login(email, password, options = {}) {
         const response = await this.makeRequest(`${this.authBaseURL}/auth/login`, {
             method: 'POST',
-            body: JSON.stringify({ email, password })
+            body: JSON.stringify({ email, password }),
+            ...options
         });
 
         if (response.authToken) {
-            this.setAuthToken(response.authToken);
+            this.setAuthToken(response.authToken, { email });
+        } else if (response.two_factor_required) {
+            this.pendingLoginEmail = email;
         }
 
         return response;
@@ -89,16 +287,18 @@ class QuantumPayAPI {
      * @param {string} name - User full name
      * @param {string} email - User email
      * @param {string} password - User password
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} Authentication response with token
      */
-    async signup(name, email, password) {
+    async signup(name, email, password, options = {}) {
         const response = await this.makeRequest(`${this.authBaseURL}/auth/signup`, {
             method: 'POST',
-            body: JSON.stringify({ name, email, password })
+            body: JSON.stringify({ name, email, password }),
+            ...options
         });
 
         if (response.authToken) {
-            this.setAuthToken(response.authToken);
+            this.setAuthToken(response.authToken, { email });
         }
 
         return response;
@@ -106,55 +306,259 @@ class QuantumPayAPI {
 
     /**
      * Get current user information
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} User data
      */
-    async getCurrentUser() {
+    async getCurrentUser(options = {}) {
         return await this.makeRequest(`${this.authBaseURL}/auth/me`, {
-            method: 'GET'
+            method: 'GET',
+            ...options
         });
     }
 
+    /**
+     * Update the current user's profile
+     * @param {Object} changes - { name, phone } (phone may be null to remove it)
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated user data
+     */
+    async updateCurrentUser(changes, options = {}) {
+        return await this.makeRequest(`${this.authBaseURL}/auth/me`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes),
+            ...options
+        });
+    }
+
+    /**
+     * Exchange the current, still valid token for a fresh one
+     * Not every backend offers this: Xano workspaces without the endpoint answer 404.
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Authentication response with token
+     */
+    async refreshToken(options = {}) {
+        const response = await this.makeRequest(`${this.authBaseURL}/auth/refresh`, {
+            method: 'POST',
+            ...options
+        });
+
+        if (response.authToken) {
+            this.setAuthToken(response.authToken);
+        }
+
+        return response;
+    }
+
+    /**
+     * Forget everything kept for the signed-in user, on sign-out or when switching backends
+     */
+    clearUserData() {
+        this.clearAuthToken();
+        // Only on purpose: when the session expires, submissions it interrupted are resumed after
+        // the user signs in again (see TransactionHandler.resumePendingSubmissions)
+        localStorage.removeItem('quantum_pending_transactions');
+    }
+
     /**
      * Logout user (clear local token)
      */
     logout() {
-        this.clearAuthToken();
+        this.clearUserData();
         // Redirect to login page
         window.location.href = '/main/sign-in page.html';
     }
 
+    // ==================== TWO-FACTOR ENDPOINTS ====================
+
+    /**
+     * Complete a login that returned two_factor_required
+     * @param {string} challengeToken - challenge_token from login()
+     * @param {Object} secondFactor - { code } from the authenticator app or { backup_code }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Authentication response with token
+     */
+    async verifyTwoFactorLogin(challengeToken, secondFactor, options = {}) {
+        const response = await this.makeRequest(`${this.authBaseURL}/auth/2fa/verify`, {
+            method: 'POST',
+            body: JSON.stringify({ challenge_token: challengeToken, ...secondFactor }),
+            ...options
+        });
+
+        if (response.authToken) {
+            this.setAuthToken(response.authToken, { email: this.pendingLoginEmail });
+            this.pendingLoginEmail = null;
+        }
+
+        return response;
+    }
+
+    /**
+     * Start two-factor enrollment for the current user
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { secret, otpauth_uri } to show as a QR code
+     */
+    async enrollTwoFactor(options = {}) {
+        return await this.makeRequest(`${this.authBaseURL}/auth/2fa/enroll`, {
+            method: 'POST',
+            ...options
+        });
+    }
+
+    /**
+     * Finish enrollment with the first code from the authenticator app
+     * @param {string} code - 6-digit code
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { two_factor_enabled, backup_codes } (backup codes are only shown once)
+     */
+    async confirmTwoFactor(code, options = {}) {
+        return await this.makeRequest(`${this.authBaseURL}/auth/2fa/confirm`, {
+            method: 'POST',
+            body: JSON.stringify({ code }),
+            ...options
+        });
+    }
+
+    /**
+     * Turn two-factor authentication off
+     * @param {Object} secondFactor - { code } or { backup_code }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { two_factor_enabled: false }
+     */
+    async disableTwoFactor(secondFactor, options = {}) {
+        return await this.makeRequest(`${this.authBaseURL}/auth/2fa/disable`, {
+            method: 'POST',
+            body: JSON.stringify(secondFactor),
+            ...options
+        });
+    }
+
+    /**
+     * Replace all backup codes
+     * @param {string} code - Current authenticator code
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { backup_codes }
+     */
+    async regenerateBackupCodes(code, options = {}) {
+        return await this.makeRequest(`${this.authBaseURL}/auth/2fa/backup-codes`, {
+            method: 'POST',
+            body: JSON.stringify({ code }),
+            ...options
+        });
+    }
+
+    // ==================== USER DIRECTORY ENDPOINTS ====================
+
+    /**
+     * Get the public profiles of several users
+     * @param {Array<string>} userIds - User UUIDs
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} Profiles { id, name, email, avatar_url }; unknown ids are left out
+     */
+    async getUsers(userIds, options = {}) {
+        const query = new URLSearchParams({ ids: userIds.join(',') });
+        return await this.makeRequest(`${this.authBaseURL}/user?${query}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Find the user with an exact email address or phone number
+     * @param {Object} params - { email } or { phone }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Profile { id, name, email, avatar_url }
+     * @throws {NotFoundError} When nobody has that email or phone number
+     */
+    async lookupUser(params, options = {}) {
+        const query = new URLSearchParams(params);
+        return await this.makeRequest(`${this.authBaseURL}/user/lookup?${query}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
     // ==================== TRANSACTION ENDPOINTS ====================
 
     /**
-     * Create a new transaction
+     * Create a new transaction. Every call carries an Idempotency-Key, so it is retried after
+     * network errors and a replay returns the transaction created the first time.
+     * Until the outcome is known the key and data are kept (see getPendingTransactions).
      * @param {Object} transactionData - Transaction details
+     * @param {RequestOptions} [options] - Request options; pass idempotencyKey to replay an earlier attempt
      * @returns {Promise<Object>} Created transaction
      */
-    async createTransaction(transactionData) {
-        return await this.makeRequest(`${this.transactionBaseURL}/transaction`, {
-            method: 'POST',
-            body: JSON.stringify(transactionData)
-        });
+    async createTransaction(transactionData, options = {}) {
+        const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+        this.savePendingTransaction(idempotencyKey, transactionData);
+
+        try {
+            const transaction = await this.makeRequest(`${this.transactionBaseURL}/transaction`, {
+                method: 'POST',
+                body: JSON.stringify(transactionData),
+                ...options,
+                idempotencyKey
+            });
+            this.clearPendingTransaction(idempotencyKey);
+            return transaction;
+        } catch (error) {
+            // Without an answer the transaction may or may not exist; keep the key to replay it
+            if (!error.isTransient && error.name !== 'AbortError') {
+                this.clearPendingTransaction(idempotencyKey);
+            }
+            throw error;
+        }
     }
 
     /**
      * Get all transactions for current user
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Array>} List of transactions
      */
-    async getAllTransactions() {
+    async getAllTransactions(options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/transaction`, {
-            method: 'GET'
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Get the current user's transactions, filtered, sorted and a page at a time
+     * @param {Object} [params] - Filters (see js/transaction-query.js), sort, limit and cursor
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object|Array>} { items, next_cursor, total } when limit or cursor is given;
+     *     backends without list parameters return every transaction as an array
+     */
+    async getTransactions(params = {}, options = {}) {
+        const query = new URLSearchParams(Object.entries(params)
+            .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+        return await this.makeRequest(`${this.transactionBaseURL}/transaction?${query}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Income, expenses and pending count over all of the current user's transactions
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { currencies: { USD: { income, expenses, count } }, pending_count }
+     */
+    async getTransactionSummary(options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/transaction/summary`, {
+            method: 'GET',
+            ...options
         });
     }
 
     /**
      * Get specific transaction by ID
      * @param {string} transactionId - Transaction UUID
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} Transaction details
      */
-    async getTransaction(transactionId) {
+    async getTransaction(transactionId, options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/transaction/${transactionId}`, {
-            method: 'GET'
+            method: 'GET',
+            ...options
         });
     }
 
@@ -162,23 +566,557 @@ class QuantumPayAPI {
      * Update transaction
      * @param {string} transactionId - Transaction UUID
      * @param {Object} updateData - Data to update
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} Updated transaction
      */
-    async updateTransaction(transactionId, updateData) {
+    async updateTransaction(transactionId, updateData, options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/transaction/${transactionId}`, {
             method: 'PATCH',
-            body: JSON.stringify(updateData)
+            body: JSON.stringify(updateData),
+            ...options
         });
     }
 
     /**
      * Delete transaction
      * @param {string} transactionId - Transaction UUID
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<void>}
      */
-    async deleteTransaction(transactionId) {
+    async deleteTransaction(transactionId, options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/transaction/${transactionId}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            ...options
+        });
+    }
+
+    /**
+     * Refund all or part of a completed payment the current user received.
+     * Sent with an Idempotency-Key, so it is retried without refunding twice.
+     * @param {string} transactionId - Payment UUID
+     * @param {Object} refundData - { amount (minor units, default: what is left), reason }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { refund, transaction } - the refund and the updated payment
+     */
+    async refundTransaction(transactionId, refundData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/transaction/${transactionId}/refund`, {
+            method: 'POST',
+            body: JSON.stringify(refundData),
+            ...options,
+            idempotencyKey: options.idempotencyKey || crypto.randomUUID()
+        });
+    }
+
+    // ==================== PENDING TRANSACTIONS ====================
+
+    /**
+     * Transactions submitted whose outcome isn't known, e.g. the network dropped or the page was
+     * reloaded mid-request. Replay one with createTransaction(data, { idempotencyKey }).
+     * @returns {Array<Object>} { idempotencyKey, data, submittedAt }, oldest first
+     */
+    getPendingTransactions() {
+        return Object.entries(this.readPendingTransactions())
+            .map(([idempotencyKey, entry]) => ({ idempotencyKey, ...entry }))
+            .sort((a, b) => a.submittedAt - b.submittedAt);
+    }
+
+    savePendingTransaction(idempotencyKey, data) {
+        const pending = this.readPendingTransactions();
+        pending[idempotencyKey] = { data, submittedAt: pending[idempotencyKey]?.submittedAt || Date.now() };
+        localStorage.setItem('quantum_pending_transactions', JSON.stringify(pending));
+    }
+
+    clearPendingTransaction(idempotencyKey) {
+        const pending = this.readPendingTransactions();
+        delete pending[idempotencyKey];
+        localStorage.setItem('quantum_pending_transactions', JSON.stringify(pending));
+    }
+
+    readPendingTransactions() {
+        try {
+            return JSON.parse(localStorage.getItem('quantum_pending_transactions') || '{}') || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // ==================== OTP ENDPOINTS ====================
+
+    /**
+     * Have the backend issue a one-time code for a pending transaction and send it to the sender.
+     * An unexpired code is reused unless a resend is requested; resends are throttled (429).
+     * @param {string} transactionId - Transaction UUID
+     * @param {Object} [params] - { resend: true } to send a fresh code
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Challenge with expires_at, resend_available_at, attempts_remaining and masked delivery destination
+     */
+    async requestTransactionOTP(transactionId, params = {}, options = {}) {
+        try {
+            return await this.makeRequest(`${this.transactionBaseURL}/transaction/${transactionId}/otp`, {
+                method: 'POST',
+                body: JSON.stringify(params),
+                ...options
+            });
+        } catch (error) {
+            throw this.toOTPUnsupportedError(error);
+        }
+    }
+
+    /**
+     * Verify the code the sender received; completes the transaction on success
+     * @param {string} transactionId - Transaction UUID
+     * @param {string} code - Code entered by the user
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated transaction
+     */
+    async verifyTransactionOTP(transactionId, code, options = {}) {
+        try {
+            return await this.makeRequest(`${this.transactionBaseURL}/transaction/${transactionId}/otp/verify`, {
+                method: 'POST',
+                body: JSON.stringify({ code }),
+                ...options
+            });
+        } catch (error) {
+            throw this.toOTPUnsupportedError(error);
+        }
+    }
+
+    /**
+     * A 404 for the OTP route itself, rather than for the transaction, means the backend has no
+     * OTP endpoints (Xano answers "Unable to locate request."). Payments can't be confirmed there.
+     * @param {Error} error - Error thrown by makeRequest
+     * @returns {Error} A NotFoundError saying so, or the error itself
+     */
+    toOTPUnsupportedError(error) {
+        if (!(error instanceof NotFoundError) || !/^Unable to locate request/.test(error.message)) {
+            return error;
+        }
+        const { status, endpoint, method, requestId, data } = error;
+        return new NotFoundError('This backend does not support OTP verification, so payments can\'t be confirmed. Add the OTP endpoints to it or switch to another backend.', {
+            status, endpoint, method, requestId, data, cause: error
+        });
+    }
+
+    // ==================== WALLET ENDPOINTS ====================
+
+    /**
+     * Get all wallets of the current user, archived ones included
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} Wallets ({ id, name, currency, type, balance, archived })
+     */
+    async getAllWallets(options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/wallet`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Create a wallet with a zero balance
+     * @param {Object} walletData - { name, currency, type: 'main' | 'savings' | 'spending' | 'business' }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Created wallet
+     */
+    async createWallet(walletData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/wallet`, {
+            method: 'POST',
+            body: JSON.stringify(walletData),
+            ...options
+        });
+    }
+
+    /**
+     * Get specific wallet by ID
+     * @param {string} walletId - Wallet UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Wallet details
+     */
+    async getWallet(walletId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/wallet/${walletId}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Update wallet (name, type or archived; currency and balance cannot be changed)
+     * @param {string} walletId - Wallet UUID
+     * @param {Object} updateData - Data to update
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated wallet
+     */
+    async updateWallet(walletId, updateData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/wallet/${walletId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updateData),
+            ...options
+        });
+    }
+
+    /**
+     * Archive or restore a wallet. Only empty wallets can be archived.
+     * @param {string} walletId - Wallet UUID
+     * @param {boolean} [archived=true] - False to restore
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated wallet
+     */
+    async archiveWallet(walletId, archived = true, options = {}) {
+        return await this.updateWallet(walletId, { archived }, options);
+    }
+
+    // ==================== TRANSFER ENDPOINTS ====================
+
+    /**
+     * Preview a transfer between two of the current user's wallets
+     * @param {Object} params - { from_wallet_id, to_wallet_id, amount } (amount in the source wallet's minor units)
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { from_amount, from_currency, to_amount, to_currency, rate, rate_as_of }
+     */
+    async quoteTransfer(params, options = {}) {
+        const query = new URLSearchParams(params);
+        return await this.makeRequest(`${this.transactionBaseURL}/transfer/quote?${query}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Move money between two of the current user's wallets, converting when their currencies differ.
+     * Both wallets and the linked debit/credit transactions are updated atomically.
+     * @param {Object} transferData - { from_wallet_id, to_wallet_id, amount }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Transfer with transfer_id, the quote fields and the debit and credit transactions
+     */
+    async transferBetweenWallets(transferData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/transfer`, {
+            method: 'POST',
+            body: JSON.stringify(transferData),
+            ...options
+        });
+    }
+
+    // ==================== CONTACT ENDPOINTS ====================
+
+    /**
+     * Get the current user's saved contacts
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} Contacts { id, contact_user_id, nickname, favorite, user }
+     */
+    async getAllContacts(options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/contact`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Save someone as a contact
+     * @param {Object} contactData - { user_id | email | phone, nickname, favorite }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Created contact
+     */
+    async createContact(contactData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/contact`, {
+            method: 'POST',
+            body: JSON.stringify(contactData),
+            ...options
+        });
+    }
+
+    /**
+     * Rename a contact or change whether it is a favorite
+     * @param {string} contactId - Contact UUID
+     * @param {Object} updateData - { nickname, favorite }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated contact
+     */
+    async updateContact(contactId, updateData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/contact/${contactId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updateData),
+            ...options
+        });
+    }
+
+    /**
+     * Remove a contact
+     * @param {string} contactId - Contact UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<void>}
+     */
+    async deleteContact(contactId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/contact/${contactId}`, {
+            method: 'DELETE',
+            ...options
+        });
+    }
+
+    /**
+     * Get the people the current user paid most recently
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} { user, last_paid_at }, newest first
+     */
+    async getRecentRecipients(options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/contact/recent`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    // ==================== RECONCILIATION ENDPOINTS ====================
+
+    /**
+     * Get the current user's reconciliation marks
+     * @param {Object} [params] - { transaction_id } comma separated, to get only those
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} { id, transaction_id, reconciled_at, statement_reference, statement_date, ... }
+     */
+    async getReconciliations(params = {}, options = {}) {
+        const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+        return await this.makeRequest(`${this.transactionBaseURL}/reconciliation${query ? `?${query}` : ''}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Mark transactions as matched to bank statement lines, all or none
+     * @param {Array<Object>} items - { transaction_id, statement_reference, statement_date, statement_amount,
+     *     statement_currency, statement_description, source }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} { items } the marks, including ones that already existed
+     */
+    async createReconciliations(items, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/reconciliation`, {
+            method: 'POST',
+            body: JSON.stringify({ items }),
+            ...options,
+            idempotencyKey: options.idempotencyKey || crypto.randomUUID()
+        });
+    }
+
+    /**
+     * Remove a reconciliation mark
+     * @param {string} reconciliationId - Reconciliation UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<void>}
+     */
+    async deleteReconciliation(reconciliationId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/reconciliation/${reconciliationId}`, {
+            method: 'DELETE',
+            ...options
+        });
+    }
+
+    // ==================== PAYMENT REQUEST ENDPOINTS ====================
+
+    /**
+     * Get the payment requests the current user has sent or been asked to pay
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} Payment requests with status open, paid, declined or expired
+     */
+    async getAllPaymentRequests(options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/payment_request`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Ask someone for money
+     * @param {Object} requestData - { amount, currency, memo, expires_at, payer_email | payer_user_id }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Created request, including the share_token for its link
+     */
+    async createPaymentRequest(requestData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/payment_request`, {
+            method: 'POST',
+            body: JSON.stringify(requestData),
+            ...options
+        });
+    }
+
+    /**
+     * Get specific payment request by ID
+     * @param {string} requestId - Payment request UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Payment request details
+     */
+    async getPaymentRequest(requestId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/payment_request/${requestId}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Open a payment request from its share link
+     * @param {string} shareToken - Token from the link
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Payment request details
+     */
+    async getPaymentRequestByLink(shareToken, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/payment_request/link/${encodeURIComponent(shareToken)}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Decline a payment request addressed to the current user
+     * @param {string} requestId - Payment request UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Declined request
+     */
+    async declinePaymentRequest(requestId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/payment_request/${requestId}/decline`, {
+            method: 'POST',
+            ...options
+        });
+    }
+
+    // ==================== SCHEDULE ENDPOINTS ====================
+
+    /**
+     * Get the current user's scheduled and recurring payments
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} Schedules with status active, paused, completed or cancelled
+     */
+    async getAllSchedules(options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/schedule`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Schedule a payment for later, or a recurring one. Sent with an Idempotency-Key,
+     * so it is retried without creating the schedule twice.
+     * @param {Object} scheduleData - { amount, currency, receiver_user_id, wallet_id, memo,
+     *        recurrence: { frequency, interval, rule }, start_date, end_date, max_occurrences }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Created schedule, with its next_run_at
+     */
+    async createSchedule(scheduleData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/schedule`, {
+            method: 'POST',
+            body: JSON.stringify(scheduleData),
+            ...options,
+            idempotencyKey: options.idempotencyKey || crypto.randomUUID()
+        });
+    }
+
+    /**
+     * Get specific schedule by ID
+     * @param {string} scheduleId - Schedule UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Schedule details
+     */
+    async getSchedule(scheduleId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/schedule/${scheduleId}`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Change a schedule, or pause, resume or cancel it with { status }
+     * @param {string} scheduleId - Schedule UUID
+     * @param {Object} updateData - Fields to change
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated schedule
+     */
+    async updateSchedule(scheduleId, updateData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/schedule/${scheduleId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updateData),
+            ...options
+        });
+    }
+
+    // ==================== WEBHOOK ENDPOINTS ====================
+
+    /**
+     * Get the current user's webhook endpoints
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Array>} { id, url, events, description, active, secret, previous_secret_expires_at, created_at }
+     */
+    async getWebhooks(options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/webhook`, {
+            method: 'GET',
+            ...options
+        });
+    }
+
+    /**
+     * Register an endpoint for transaction events
+     * @param {Object} webhookData - { url, events, description }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Created endpoint
+     */
+    async createWebhook(webhookData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/webhook`, {
+            method: 'POST',
+            body: JSON.stringify(webhookData),
+            ...options
+        });
+    }
+
+    /**
+     * Change an endpoint's URL, events or description, or switch it off and on
+     * @param {string} webhookId - Webhook UUID
+     * @param {Object} updateData - { url, events, description, active }
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated endpoint
+     */
+    async updateWebhook(webhookId, updateData, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/webhook/${webhookId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updateData),
+            ...options
+        });
+    }
+
+    /**
+     * Remove an endpoint; its queued deliveries are dropped
+     * @param {string} webhookId - Webhook UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<void>}
+     */
+    async deleteWebhook(webhookId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/webhook/${webhookId}`, {
+            method: 'DELETE',
+            ...options
+        });
+    }
+
+    /**
+     * Give an endpoint a new signing secret; the old one keeps signing for the overlap
+     * @param {string} webhookId - Webhook UUID
+     * @param {Object} [params] - { overlap_hours } (default 24, 0 to drop the old secret now)
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Updated endpoint with the new secret
+     */
+    async rotateWebhookSecret(webhookId, params = {}, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/webhook/${webhookId}/rotate_secret`, {
+            method: 'POST',
+            body: JSON.stringify(params),
+            ...options
+        });
+    }
+
+    /**
+     * Send a made-up event to an endpoint now, to check it is set up
+     * @param {string} webhookId - Webhook UUID
+     * @param {string} eventType - e.g. transaction.completed
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} The webhook log of the attempt
+     */
+    async sendTestWebhook(webhookId, eventType, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/webhook/${webhookId}/test`, {
+            method: 'POST',
+            body: JSON.stringify({ event_type: eventType }),
+            ...options
         });
     }
 
@@ -187,33 +1125,39 @@ class QuantumPayAPI {
     /**
      * Create webhook log entry
      * @param {Object} webhookData - Webhook log data
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} Created webhook log
      */
-    async createWebhookLog(webhookData) {
+    async createWebhookLog(webhookData, options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/webhook_log`, {
             method: 'POST',
-            body: JSON.stringify(webhookData)
+            body: JSON.stringify(webhookData),
+            ...options
         });
     }
 
     /**
      * Get all webhook logs
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Array>} List of webhook logs
      */
-    async getAllWebhookLogs() {
+    async getAllWebhookLogs(options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/webhook_log`, {
-            method: 'GET'
+            method: 'GET',
+            ...options
         });
     }
 
     /**
      * Get specific webhook log by ID
      * @param {string} webhookLogId - Webhook log UUID
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} Webhook log details
      */
-    async getWebhookLog(webhookLogId) {
+    async getWebhookLog(webhookLogId, options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/webhook_log/${webhookLogId}`, {
-            method: 'GET'
+            method: 'GET',
+            ...options
         });
     }
 
@@ -221,23 +1165,40 @@ class QuantumPayAPI {
      * Update webhook log
      * @param {string} webhookLogId - Webhook log UUID
      * @param {Object} updateData - Data to update
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<Object>} Updated webhook log
      */
-    async updateWebhookLog(webhookLogId, updateData) {
+    async updateWebhookLog(webhookLogId, updateData, options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/webhook_log/${webhookLogId}`, {
             method: 'PATCH',
-            body: JSON.stringify(updateData)
+            body: JSON.stringify(updateData),
+            ...options
         });
     }
 
     /**
      * Delete webhook log
      * @param {string} webhookLogId - Webhook log UUID
+     * @param {RequestOptions} [options] - Request options
      * @returns {Promise<void>}
      */
-    async deleteWebhookLog(webhookLogId) {
+    async deleteWebhookLog(webhookLogId, options = {}) {
         return await this.makeRequest(`${this.transactionBaseURL}/webhook_log/${webhookLogId}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            ...options
+        });
+    }
+
+    /**
+     * Send a logged delivery's payload to its endpoint again
+     * @param {string} webhookLogId - Webhook log UUID
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} The webhook log of the new attempt
+     */
+    async redeliverWebhookLog(webhookLogId, options = {}) {
+        return await this.makeRequest(`${this.transactionBaseURL}/webhook_log/${webhookLogId}/redeliver`, {
+            method: 'POST',
+            ...options
         });
     }
 
@@ -245,23 +1206,13 @@ class QuantumPayAPI {
 
     /**
      * Format currency amount
-     * @param {number} amount - Amount in cents
+     * @param {number} amount - Amount in minor units (cents for USD, yen for JPY, fils for KWD)
      * @param {string} currency - Currency code (default: USD)
+     * @param {string} [locale] - BCP 47 locale (default: the user's locale)
      * @returns {string} Formatted currency string
      */
-    formatCurrency(amount, currency = 'USD') {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: currency
-        }).format(amount / 100);
-    }
-
-    /**
-     * Generate OTP code
-     * @returns {string} 6-digit OTP code
-     */
-    generateOTP() {
-        return Math.floor(100000 + Math.random() * 900000).toString();
+    formatCurrency(amount, currency = 'USD', locale = Money.getDefaultLocale()) {
+        return Money.of(amount, currency).format(locale);
     }
 
     /**
@@ -15,6 +15,11 @@ class AuthHandler {
             this.redirectToDashboard();
         }
 
+        // Explain why the user landed on the sign-in page
+        if (new URLSearchParams(window.location.search).get('reason') === 'expired') {
+            this.showMessage('Your session has expired. Please sign in again.', 'info');
+        }
+
         // Bind form events
         this.bindEvents();
     }
@@ -91,6 +96,13 @@ class AuthHandler {
                 localStorage.setItem('quantum_remember_me', 'true');
             }
 
+            // Accounts with 2FA need a code from their authenticator app first
+            if (response.two_factor_required) {
+                this.setFormLoading(form, false);
+                this.showTwoFactorStep(form, response.challenge_token);
+                return;
+            }
+
             // Show success message
             this.showMessage('Login successful! Redirecting...', 'success');
             
@@ -100,11 +112,105 @@ class AuthHandler {
             }, 1500);
 
         } catch (error) {
-            this.showMessage(error.message, 'error');
+            this.showMessage(getUserMessage(error), 'error');
+            if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors);
+            }
+            this.setFormLoading(form, false);
+        }
+    }
+
+    showTwoFactorStep(signinForm, challengeToken) {
+        signinForm.style.display = 'none';
+        this.setPageHeading('Two-factor authentication', 'Enter the 6-digit code from your authenticator app.');
+
+        signinForm.insertAdjacentHTML('afterend', `
+            <form id="two-factor-form" data-mode="code">
+                <div class="form-group">
+                    <label for="two-factor-code" class="form-label">Authentication code</label>
+                    <input type="text" id="two-factor-code" name="code" class="form-input" placeholder="123456" maxlength="6" inputmode="numeric" autocomplete="one-time-code" required>
+                </div>
+                <div class="form-options">
+                    <a href="#" class="two-factor-toggle">Use a backup code instead</a>
+                    <a href="#" class="two-factor-cancel">Back to sign in</a>
+                </div>
+                <button type="submit" class="btn btn--primary" data-original-text="Verify">Verify</button>
+            </form>
+        `);
+
+        const form = document.querySelector('#two-factor-form');
+        const input = form.querySelector('#two-factor-code');
+        input.focus();
+
+        form.querySelector('.two-factor-toggle').addEventListener('click', (e) => {
+            e.preventDefault();
+            const useBackup = form.dataset.mode === 'code';
+            form.dataset.mode = useBackup ? 'backup' : 'code';
+            form.querySelector('label').textContent = useBackup ? 'Backup code' : 'Authentication code';
+            input.name = useBackup ? 'backup_code' : 'code';
+            input.placeholder = useBackup ? 'xxxx-xxxx' : '123456';
+            input.maxLength = useBackup ? 9 : 6;
+            input.inputMode = useBackup ? 'text' : 'numeric';
+            input.value = '';
+            e.target.textContent = useBackup ? 'Use your authenticator app instead' : 'Use a backup code instead';
+            input.focus();
+        });
+
+        form.querySelector('.two-factor-cancel').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.resetSignIn(signinForm);
+        });
+
+        form.addEventListener('submit', (e) => this.handleTwoFactor(e, signinForm, challengeToken));
+    }
+
+    async handleTwoFactor(event, signinForm, challengeToken) {
+        event.preventDefault();
+
+        const form = event.target;
+        const value = form.querySelector('#two-factor-code').value.trim();
+        const secondFactor = form.dataset.mode === 'backup' ? { backup_code: value } : { code: value };
+
+        this.setFormLoading(form, true);
+
+        try {
+            await this.api.verifyTwoFactorLogin(challengeToken, secondFactor);
+
+            this.showMessage('Login successful! Redirecting...', 'success');
+            setTimeout(() => {
+                this.redirectToDashboard();
+            }, 1500);
+
+        } catch (error) {
             this.setFormLoading(form, false);
+
+            if (error instanceof ForbiddenError) {
+                // The sign-in attempt expired or ran out of attempts, start over
+                this.showMessage(error.message, 'error');
+                this.resetSignIn(signinForm);
+            } else if (error instanceof ValidationError && error.payload && error.payload.attempts_remaining) {
+                const remaining = error.payload.attempts_remaining;
+                this.showMessage(`Incorrect code. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`, 'error');
+            } else {
+                this.showMessage(getUserMessage(error), 'error');
+            }
         }
     }
 
+    resetSignIn(signinForm) {
+        document.querySelector('#two-factor-form')?.remove();
+        signinForm.style.display = '';
+        signinForm.querySelector('[name="password"]').value = '';
+        this.setPageHeading('Sign in to your account', 'Welcome back! Please enter your details.');
+    }
+
+    setPageHeading(title, subtitle) {
+        const titleEl = document.querySelector('.form-title');
+        const subtitleEl = document.querySelector('.form-subtitle');
+        if (titleEl) titleEl.textContent = title;
+        if (subtitleEl) subtitleEl.textContent = subtitle;
+    }
+
     async handleStep1(event) {
         event.preventDefault();
         
@@ -203,6 +309,10 @@ class AuthHandler {
             // Store additional preferences
             if (phoneNumber) {
                 localStorage.setItem('quantum_phone', phoneNumber);
+                // Lets people find this account by phone number; signup already succeeded if this fails
+                await this.api.updateCurrentUser({ phone: phoneNumber }).catch(error => {
+                    console.warn('Could not save phone number:', error);
+                });
             }
             if (marketingOptIn) {
                 localStorage.setItem('quantum_marketing_opt_in', 'true');
@@ -217,7 +327,11 @@ class AuthHandler {
             }, 2000);
 
         } catch (error) {
-            this.showMessage(error.message, 'error');
+            if (error instanceof ConflictError) {
+                this.showMessage('An account with this email already exists. Please sign in instead.', 'error');
+            } else {
+                this.showMessage(getUserMessage(error), 'error');
+            }
             this.setFormLoading(form, false);
         }
     }
@@ -268,6 +382,42 @@ class AuthHandler {
         }
     }
 
+    /**
+     * Mark the inputs named in a ValidationError's field errors and show the message under each
+     * @param {HTMLFormElement} form - Form that was submitted
+     * @param {Object} fieldErrors - { apiFieldName: message }
+     * @param {Object} [fieldMap] - API field name to input name, when they differ
+     */
+    highlightFieldErrors(form, fieldErrors, fieldMap = {}) {
+        // Clear errors from a previous submit
+        form.querySelectorAll('.field-error').forEach(el => el.remove());
+        form.querySelectorAll('.input-error').forEach(el => {
+            el.classList.remove('input-error');
+            el.style.borderColor = '';
+        });
+
+        let firstInput = null;
+        Object.entries(fieldErrors).forEach(([field, message]) => {
+            const input = form.querySelector(`[name="${fieldMap[field] || field}"]`);
+            if (!input) return;
+
+            input.classList.add('input-error');
+            input.style.borderColor = '#ef4444';
+
+            const errorEl = document.createElement('span');
+            errorEl.className = 'field-error';
+            errorEl.textContent = message;
+            errorEl.style.cssText = 'display: block; color: #ef4444; font-size: 0.85rem; margin-top: 4px;';
+            input.insertAdjacentElement('afterend', errorEl);
+
+            firstInput = firstInput || input;
+        });
+
+        if (firstInput) {
+            firstInput.focus();
+        }
+    }
+
     showMessage(message, type = 'info') {
         // Remove existing messages
         const existingMessage = document.querySelector('.auth-message');
@@ -348,7 +498,21 @@ class AuthHandler {
             return;
         }
         
-        window.location.href = '/dashboard/dashboard-main.html';
+        window.location.href = this.getReturnUrl() || '/dashboard/dashboard-main.html';
+    }
+
+    /**
+     * Page to go back to after signing in, set by the session manager when a session ends
+     * @returns {string|null} Same-site path, or null
+     */
+    getReturnUrl() {
+        const returnUrl = new URLSearchParams(window.location.search).get('returnUrl');
+
+        // Only accept local paths so the sign-in page cannot be used as an open redirect
+        if (returnUrl && /^\/(?![\/\\])/.test(returnUrl)) {
+            return returnUrl;
+        }
+        return null;
     }
 
     // ==================== INITIALIZATION CHECKS ====================
@@ -363,9 +527,14 @@ class AuthHandler {
             await this.api.getCurrentUser();
             return true;
         } catch (error) {
-            // Token is invalid, clear it
-            this.api.clearAuthToken();
-            return false;
+            if (error instanceof UnauthorizedError) {
+                // Token is invalid, clear it
+                this.api.clearAuthToken();
+                return false;
+            }
+
+            // Network or server trouble says nothing about the token, keep the session
+            return true;
         }
     }
 }
@@ -0,0 +1,177 @@
+/**
+ * Backend Adapters
+ * Lets QuantumPayAPI talk to Xano, a self-hosted deployment, or the local mock backend
+ *
+ * An adapter exposes the two base URLs the API service builds endpoints from and a
+ * fetch(url, init) function with the same contract as window.fetch.
+ */
+
+const BACKEND_CONFIG_KEY = 'quantum_backend_config';
+
+// The local mock and the scripts only it needs, in load order, relative to this file
+const LOCAL_BACKEND_SCRIPTS = [
+    'totp.js',
+    'recurrence.js',
+    'transaction-query.js',
+    'webhook-signature.js',
+    'webhook-delivery.js',
+    'local-backend.js'
+];
+
+const XANO_BASE_URLS = {
+    authBaseURL: 'https://x8ki-letl-twmt.n7.xano.io/api:Yh3BvUig',
+    transactionBaseURL: 'https://x8ki-letl-twmt.n7.xano.io/api:1i6yBSwb'
+};
+
+class RemoteBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Adapter name shown in diagnostics
+     * @param {string} options.authBaseURL - Base URL for /auth endpoints
+     * @param {string} options.transactionBaseURL - Base URL for /transaction and /webhook_log endpoints
+     */
+    constructor({ name, authBaseURL, transactionBaseURL }) {
+        this.name = name;
+        this.authBaseURL = authBaseURL.replace(/\/+$/, '');
+        this.transactionBaseURL = transactionBaseURL.replace(/\/+$/, '');
+    }
+
+    fetch(url, init) {
+        return window.fetch(url, init);
+    }
+}
+
+/**
+ * Read the backend configuration for this browser.
+ * A per-browser override in localStorage wins over the page-level window.QUANTUM_PAY_CONFIG.
+ * @returns {Object} Backend config ({ type: 'xano' | 'http' | 'local', ... })
+ */
+function resolveBackendConfig() {
+    const pageConfig = (typeof window !== 'undefined' && window.QUANTUM_PAY_CONFIG && window.QUANTUM_PAY_CONFIG.backend) || {};
+    let storedConfig = {};
+
+    try {
+        storedConfig = JSON.parse(localStorage.getItem(BACKEND_CONFIG_KEY) || '{}') || {};
+    } catch (error) {
+        console.warn('Ignoring invalid backend config in localStorage:', error);
+    }
+
+    return { type: 'xano', ...pageConfig, ...storedConfig };
+}
+
+/**
+ * Check a backend config without creating the adapter
+ * @param {Object} config - Backend config
+ * @returns {string|null} Why it can't be used, or null
+ */
+function checkBackendConfig(config) {
+    switch (config.type) {
+        case 'xano':
+            return null;
+
+        case 'http':
+            // A self-hosted deployment may serve both API groups from one base URL
+            return (config.authBaseURL || config.baseURL) && (config.transactionBaseURL || config.baseURL)
+                ? null
+                : 'The http backend requires baseURL or authBaseURL and transactionBaseURL';
+
+        case 'local':
+            return typeof LocalBackend === 'undefined'
+                ? 'The local backend requires js/local-backend.js to be loaded'
+                : null;
+
+        default:
+            return `Unknown backend type: ${config.type}`;
+    }
+}
+
+/**
+ * Create the adapter described by a backend config
+ * @param {Object} [config] - Backend config, defaults to resolveBackendConfig()
+ * @returns {Object} Backend adapter
+ * @throws {Error} When checkBackendConfig rejects the config
+ */
+function createBackend(config = resolveBackendConfig()) {
+    const problem = checkBackendConfig(config);
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    switch (config.type) {
+        case 'http':
+            return new RemoteBackend({
+                name: 'http',
+                authBaseURL: config.authBaseURL || config.baseURL,
+                transactionBaseURL: config.transactionBaseURL || config.baseURL
+            });
+
+        case 'local':
+            return new LocalBackend(config);
+
+        default:
+            return new RemoteBackend({ name: 'xano', ...XANO_BASE_URLS });
+    }
+}
+
+/**
+ * The adapter for this browser's backend config. A config that can't be used, e.g. a saved
+ * http override without a URL, is logged and replaced by Xano, so pages still load and the
+ * override can be fixed from /api-test.html.
+ * @returns {Object} Backend adapter
+ */
+function createConfiguredBackend() {
+    const config = resolveBackendConfig();
+    const problem = checkBackendConfig(config);
+    if (problem) {
+        console.warn(`Ignoring unusable backend config, using Xano: ${problem}`);
+        return createBackend({ type: 'xano' });
+    }
+    return createBackend(config);
+}
+
+/**
+ * Load the local mock on pages that leave it out, when this browser is configured for it.
+ * Scripts written while the page is parsed run before the next <script> tag, so the mock is
+ * there by the time api-service.js creates the backend. Scripts the page has already are skipped.
+ */
+function loadLocalBackend() {
+    const script = document.currentScript;
+    if (document.readyState !== 'loading' || !script || typeof LocalBackend !== 'undefined'
+        || resolveBackendConfig().type !== 'local') {
+        return;
+    }
+
+    const loaded = new Set([...document.scripts].map(s => s.src));
+    LOCAL_BACKEND_SCRIPTS
+        .map(file => new URL(file, script.src).href)
+        .filter(src => !loaded.has(src))
+        .forEach(src => document.write(`<script src="${src}"></script>`));
+}
+
+/**
+ * Persist a backend config for this browser (pass null to go back to the default)
+ * @param {Object|null} config - Backend config
+ */
+function saveBackendConfig(config) {
+    // The session and everything cached for it belong to the backend that issued them
+    if (typeof window !== 'undefined' && window.quantumAPI) {
+        window.quantumAPI.clearUserData();
+    } else {
+        localStorage.removeItem('quantum_auth_token');
+    }
+
+    if (config) {
+        localStorage.setItem(BACKEND_CONFIG_KEY, JSON.stringify(config));
+    } else {
+        localStorage.removeItem(BACKEND_CONFIG_KEY);
+    }
+}
+
+if (typeof document !== 'undefined') {
+    loadLocalBackend();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RemoteBackend, checkBackendConfig, createBackend, createConfiguredBackend, resolveBackendConfig, saveBackendConfig, XANO_BASE_URLS };
+}
@@ -0,0 +1,405 @@
+/**
+ * Contacts Handler
+ * The contacts list on the dashboard and recipient suggestions for the send money form
+ */
+
+const RECIPIENT_SUGGESTION_DELAY = 150;
+
+class ContactsHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.directory = window.userDirectory;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.suggestTimer = null;
+        this.init();
+    }
+
+    async init() {
+        if (!this.api.isAuthenticated() || !this.directory) return;
+
+        this.bindEvents();
+        await this.loadContacts();
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const contactId = button.getAttribute('data-contact-id');
+            const userId = button.getAttribute('data-user-id');
+
+            switch (button.getAttribute('data-action')) {
+                case 'pay-contact':
+                    this.payContact(userId);
+                    break;
+                case 'favorite-contact':
+                    this.toggleFavorite(contactId);
+                    break;
+                case 'rename-contact':
+                    this.renameContact(contactId);
+                    break;
+                case 'remove-contact':
+                    this.removeContact(contactId);
+                    break;
+                case 'save-recipient':
+                    this.addContact({ user_id: userId });
+                    break;
+            }
+        });
+
+        const addForm = document.querySelector('#add-contact-form');
+        if (addForm) {
+            addForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleAddContact(addForm);
+            });
+        }
+
+        this.bindRecipientInput();
+
+        // Sending money changes the recent recipients; contacts may be saved from transaction details
+        window.addEventListener('quantum:transaction-completed', () => this.loadContacts());
+        window.addEventListener('quantum:contacts-changed', () => this.renderContacts());
+    }
+
+    // ==================== CONTACT OPERATIONS ====================
+
+    async loadContacts() {
+        await this.directory.loadContacts();
+        this.renderContacts();
+    }
+
+    async handleAddContact(form) {
+        const input = form.elements.contact;
+        const text = input.value.trim();
+        if (!text) return;
+
+        const added = await this.addContact(text.includes('@') ? { email: text } : { phone: text }, form);
+        if (added) {
+            form.reset();
+        }
+    }
+
+    /**
+     * @param {Object} contactData - { user_id } or { email } or { phone }
+     * @param {HTMLFormElement} [form] - Form to show field errors on
+     * @returns {Promise<boolean>} Whether the contact was saved
+     */
+    async addContact(contactData, form) {
+        try {
+            const contact = await this.directory.addContact(contactData);
+            this.showSuccess(`${this.directory.getDisplayName(contact.contact_user_id)} added to your contacts`);
+            this.renderContacts();
+            this.refreshTransactions();
+            return true;
+        } catch (error) {
+            console.error('Failed to add contact:', error);
+            if (form && error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors, { email: 'contact', phone: 'contact', user_id: 'contact' });
+            }
+            this.handleApiError(error, 'Failed to add contact');
+            return false;
+        }
+    }
+
+    async toggleFavorite(contactId) {
+        const contact = this.findContact(contactId);
+        if (!contact) return;
+
+        try {
+            await this.directory.updateContact(contactId, { favorite: !contact.favorite });
+            this.renderContacts();
+        } catch (error) {
+            console.error('Failed to update contact:', error);
+            this.handleApiError(error, 'Failed to update contact');
+        }
+    }
+
+    async renameContact(contactId) {
+        const contact = this.findContact(contactId);
+        if (!contact) return;
+
+        const nickname = prompt('Nickname (leave empty to use their name)', contact.nickname || '');
+        if (nickname === null) return;
+
+        try {
+            await this.directory.updateContact(contactId, { nickname: nickname.trim() });
+            this.renderContacts();
+            this.refreshTransactions();
+        } catch (error) {
+            console.error('Failed to rename contact:', error);
+            this.handleApiError(error, 'Failed to rename contact');
+        }
+    }
+
+    async removeContact(contactId) {
+        const contact = this.findContact(contactId);
+        if (!contact || !confirm(`Remove ${this.directory.getDisplayName(contact.contact_user_id)} from your contacts?`)) return;
+
+        try {
+            await this.directory.removeContact(contactId);
+            this.showSuccess('Contact removed');
+            this.renderContacts();
+            this.refreshTransactions();
+        } catch (error) {
+            console.error('Failed to remove contact:', error);
+            this.handleApiError(error, 'Failed to remove contact');
+        }
+    }
+
+    findContact(contactId) {
+        return this.directory.contacts.find(c => c.id === contactId) || null;
+    }
+
+    /**
+     * Fill the send money form with this person
+     */
+    payContact(userId) {
+        const form = document.querySelector('#send-money-form');
+        if (!form) return;
+
+        // Paying a contact replaces a payment request that was being paid
+        if (window.transactionHandler) {
+            window.transactionHandler.clearPaymentRequest();
+        }
+        this.selectRecipient(form, userId);
+        form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        form.elements.amount.focus();
+    }
+
+    refreshTransactions() {
+        // Names in the transaction list come from contact nicknames
+        if (window.transactionHandler) {
+            window.transactionHandler.renderTransactions();
+        }
+    }
+
+    // ==================== RECIPIENT SUGGESTIONS ====================
+
+    bindRecipientInput() {
+        const form = document.querySelector('#send-money-form');
+        const input = form && form.elements.receiver;
+        if (!input) return;
+
+        input.addEventListener('input', () => {
+            // Typing replaces a recipient picked from the suggestions
+            form.elements.receiver_id.value = '';
+            clearTimeout(this.suggestTimer);
+            this.suggestTimer = setTimeout(() => this.showSuggestions(input.value), RECIPIENT_SUGGESTION_DELAY);
+        });
+        input.addEventListener('focus', () => {
+            if (!input.readOnly) {
+                this.showSuggestions(input.value);
+            }
+        });
+        input.addEventListener('blur', () => {
+            // Leave time for a click on a suggestion to land
+            setTimeout(() => this.hideSuggestions(), RECIPIENT_SUGGESTION_DELAY);
+        });
+        input.addEventListener('keydown', (e) => this.handleSuggestionKey(e, form));
+
+        const list = document.querySelector('#recipient-suggestions');
+        list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-user-id]');
+            if (!option) return;
+
+            e.preventDefault();
+            this.selectRecipient(form, option.getAttribute('data-user-id'));
+        });
+    }
+
+    showSuggestions(text) {
+        this.suggestions = this.directory.suggest(text);
+        this.activeSuggestion = -1;
+        this.renderSuggestions();
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.renderSuggestions();
+    }
+
+    handleSuggestionKey(e, form) {
+        if (this.suggestions.length === 0) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.activeSuggestion = (this.activeSuggestion + 1) % this.suggestions.length;
+                this.renderSuggestions();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.activeSuggestion = this.activeSuggestion <= 0 ? this.suggestions.length - 1 : this.activeSuggestion - 1;
+                this.renderSuggestions();
+                break;
+            case 'Enter':
+                if (this.activeSuggestion >= 0) {
+                    e.preventDefault();
+                    this.selectRecipient(form, this.suggestions[this.activeSuggestion].userId);
+                }
+                break;
+            case 'Escape':
+                this.hideSuggestions();
+                break;
+        }
+    }
+
+    selectRecipient(form, userId) {
+        form.elements.receiver.value = this.directory.getDisplayName(userId);
+        form.elements.receiver_id.value = userId;
+        this.hideSuggestions();
+    }
+
+    renderSuggestions() {
+        const list = document.querySelector('#recipient-suggestions');
+        const input = document.querySelector('#send-money-form [name="receiver"]');
+        if (!list || !input) return;
+
+        list.innerHTML = '';
+        this.suggestions.forEach((suggestion, index) => {
+            const option = document.createElement('li');
+            option.id = `recipient-suggestion-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('data-user-id', suggestion.userId);
+            option.setAttribute('aria-selected', String(index === this.activeSuggestion));
+            option.innerHTML = `${this.directory.renderAvatar(suggestion.userId)}<span></span><small></small>`;
+            option.querySelector('span').textContent = `${suggestion.favorite ? '★ ' : ''}${suggestion.name}`;
+            option.querySelector('small').textContent = suggestion.detail;
+            list.appendChild(option);
+        });
+
+        const open = this.suggestions.length > 0;
+        list.hidden = !open;
+        input.setAttribute('aria-expanded', String(open));
+        if (this.activeSuggestion >= 0) {
+            input.setAttribute('aria-activedescendant', `recipient-suggestion-${this.activeSuggestion}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderContacts() {
+        const list = document.querySelector('#contact-list');
+        const recentList = document.querySelector('#recent-recipient-list');
+        if (!list) return;
+
+        const byName = (a, b) => this.directory.getDisplayName(a.contact_user_id)
+            .localeCompare(this.directory.getDisplayName(b.contact_user_id));
+        const contacts = [...this.directory.contacts].sort((a, b) => (b.favorite - a.favorite) || byName(a, b));
+
+        list.innerHTML = contacts.length === 0
+            ? '<li class="contact-empty">Add people you pay often by email or phone number</li>'
+            : '';
+        contacts.forEach(contact => list.appendChild(this.createContactItem(contact)));
+
+        if (!recentList) return;
+
+        const recent = this.directory.recent.filter(entry => !this.directory.getContact(entry.user.id));
+        recentList.innerHTML = recent.length === 0
+            ? '<li class="contact-empty">No one else you paid recently</li>'
+            : '';
+        recent.forEach(entry => recentList.appendChild(this.createRecentItem(entry)));
+    }
+
+    createContactItem(contact) {
+        const userId = contact.contact_user_id;
+        const item = document.createElement('li');
+        item.className = 'contact-item';
+        item.innerHTML = `
+            ${this.directory.renderAvatar(userId)}
+            <div class="contact-info">
+                <span class="contact-name"></span>
+                <span class="contact-detail"></span>
+            </div>
+            <div class="contact-actions">
+                <button type="button" class="contact-favorite" data-action="favorite-contact" data-contact-id="${contact.id}"
+                        aria-pressed="${contact.favorite}" title="${contact.favorite ? 'Remove from favorites' : 'Add to favorites'}">★</button>
+                <button type="button" class="btn btn-small btn-primary" data-action="pay-contact" data-user-id="${userId}">Pay</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="rename-contact" data-contact-id="${contact.id}">Rename</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="remove-contact" data-contact-id="${contact.id}">Remove</button>
+            </div>
+        `;
+        item.querySelector('.contact-name').textContent = this.directory.getDisplayName(userId);
+        item.querySelector('.contact-detail').textContent = contact.user ? contact.user.email : '';
+        return item;
+    }
+
+    createRecentItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'contact-item';
+        item.innerHTML = `
+            ${this.directory.renderAvatar(entry.user.id)}
+            <div class="contact-info">
+                <span class="contact-name"></span>
+                <span class="contact-detail">Paid ${new Date(entry.last_paid_at).toLocaleDateString()}</span>
+            </div>
+            <div class="contact-actions">
+                <button type="button" class="btn btn-small btn-primary" data-action="pay-contact" data-user-id="${entry.user.id}">Pay</button>
+                <button type="button" class="btn btn-small btn-secondary" data-action="save-recipient" data-user-id="${entry.user.id}">Save</button>
+            </div>
+        `;
+        item.querySelector('.contact-name').textContent = this.directory.getDisplayName(entry.user.id);
+        return item;
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    handleApiError(error, fallbackMessage) {
+        this.showError(getUserMessage(error, fallbackMessage));
+
+        if (error instanceof UnauthorizedError) {
+            setTimeout(() => {
+                if (window.sessionManager) {
+                    window.sessionManager.endSession('expired');
+                } else {
+                    this.api.clearAuthToken();
+                    window.location.href = '/main/sign-in page.html';
+                }
+            }, 1500);
+        }
+    }
+
+    highlightFieldErrors(form, fieldErrors, fieldMap) {
+        // Reuse the field error display from auth handler
+        if (window.authHandler && window.authHandler.highlightFieldErrors) {
+            window.authHandler.highlightFieldErrors(form, fieldErrors, fieldMap);
+        }
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#contact-list')) {
+        window.contactsHandler = new ContactsHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactsHandler;
+}
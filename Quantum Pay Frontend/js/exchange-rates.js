@@ -0,0 +1,230 @@
+/**
+ * Exchange Rates
+ * Pluggable exchange-rate providers and a caching service used to consolidate
+ * multi-currency totals into one display currency
+ *
+ * A provider exposes a name and fetchRates(base) resolving to a snapshot:
+ * { base, rates: { CODE: units per 1 base }, asOf: timestamp, provider }.
+ */
+
+const EXCHANGE_RATES_CACHE_KEY = 'quantum_exchange_rates';
+
+const EXCHANGE_RATE_DEFAULTS = {
+    url: 'https://api.frankfurter.app/latest', // ECB reference rates, no API key needed
+    ttl: 60 * 60 * 1000,                       // reuse a snapshot for an hour
+    timeout: 10000
+};
+
+// Indicative rates against USD for development and offline use, never for real conversions
+const STATIC_RATES = {
+    asOf: Date.UTC(2024, 0, 2),
+    base: 'USD',
+    rates: {
+        USD: 1,
+        EUR: 0.9132,
+        GBP: 0.7868,
+        JPY: 141.87,
+        CHF: 0.8476,
+        CAD: 1.3316,
+        AUD: 1.4738,
+        CNY: 7.1206,
+        INR: 83.27,
+        NGN: 897.5,
+        KWD: 0.3074,
+        BHD: 0.377
+    }
+};
+
+class StaticRateProvider {
+    /**
+     * @param {Object} [table] - { base, rates, asOf }, defaults to STATIC_RATES
+     */
+    constructor(table = STATIC_RATES) {
+        this.name = 'static';
+        this.table = table;
+    }
+
+    async fetchRates(base) {
+        const pivot = this.table.rates[base];
+        if (!pivot) {
+            throw new Error(`No static exchange rate for ${base}`);
+        }
+
+        // Re-base the table; the values are indicative so float division is fine here
+        const rates = {};
+        Object.entries(this.table.rates).forEach(([code, rate]) => {
+            rates[code] = code === base ? 1 : Number((rate / pivot).toPrecision(8));
+        });
+
+        return { base, rates, asOf: this.table.asOf, provider: this.name };
+    }
+}
+
+class HttpRateProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Endpoint answering ?from=BASE with { base, date, rates } (Frankfurter format)
+     * @param {number} [options.timeout] - Milliseconds before giving up
+     */
+    constructor({ url, timeout = EXCHANGE_RATE_DEFAULTS.timeout }) {
+        this.name = 'http';
+        this.url = url;
+        this.timeout = timeout;
+    }
+
+    async fetchRates(base) {
+        const url = new URL(this.url);
+        url.searchParams.set('from', base);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+
+        try {
+            response = await fetch(url.toString(), { signal: controller.signal });
+        } catch (error) {
+            throw controller.signal.aborted
+                ? new TimeoutError('Exchange rates took too long to load.', { endpoint: url.toString(), method: 'GET', timeout: this.timeout })
+                : new NetworkError('Unable to load exchange rates.', { endpoint: url.toString(), method: 'GET', cause: error });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw QuantumPayError.fromResponse(response, data, { endpoint: url.toString(), method: 'GET' });
+        }
+
+        return {
+            base: data.base || base,
+            rates: { ...data.rates, [data.base || base]: 1 },
+            asOf: data.date ? Date.parse(data.date) : Date.now(),
+            provider: this.name
+        };
+    }
+}
+
+class ExchangeRateService {
+    /**
+     * @param {Object} provider - Rate provider (see createRateProvider)
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - How long a snapshot is reused, in milliseconds
+     * @param {Storage} [options.storage] - Where snapshots are cached (default: localStorage)
+     */
+    constructor(provider, { ttl = EXCHANGE_RATE_DEFAULTS.ttl, storage = localStorage } = {}) {
+        this.provider = provider;
+        this.ttl = ttl;
+        this.storage = storage;
+        this.pending = {};
+    }
+
+    /**
+     * Latest rates for a base currency, from the cache while it is fresh.
+     * When the provider fails, a cached snapshot of any age is returned with stale: true.
+     * @param {string} base - ISO 4217 code
+     * @returns {Promise<Object>} { base, rates, asOf, provider, fetchedAt, stale }
+     */
+    getSnapshot(base) {
+        const cached = this.readCache(base);
+        if (cached && Date.now() - cached.fetchedAt < this.ttl) {
+            return Promise.resolve(cached);
+        }
+
+        // Concurrent callers share one request
+        if (!this.pending[base]) {
+            this.pending[base] = this.provider.fetchRates(base)
+                .then(snapshot => {
+                    const fresh = { ...snapshot, fetchedAt: Date.now(), stale: false };
+                    this.writeCache(fresh);
+                    return fresh;
+                })
+                .catch(error => {
+                    if (cached) {
+                        console.warn('Using cached exchange rates:', error);
+                        return { ...cached, stale: true };
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    delete this.pending[base];
+                });
+        }
+        return this.pending[base];
+    }
+
+    /**
+     * Convert using a snapshot; currencies the snapshot has no rate for return null
+     * @param {Money} money - Amount to convert
+     * @param {string} currency - Target ISO 4217 code
+     * @param {Object} snapshot - From getSnapshot()
+     * @returns {Money|null}
+     */
+    static convert(money, currency, snapshot) {
+        if (money.currency === currency) return money;
+
+        const from = snapshot.rates[money.currency];
+        const to = snapshot.rates[currency];
+        if (!from || !to) return null;
+
+        return money.convert(currency, to, { per: from });
+    }
+
+    readCache(base) {
+        try {
+            const cache = JSON.parse(this.storage.getItem(EXCHANGE_RATES_CACHE_KEY) || '{}');
+            const snapshot = cache[`${this.provider.name}:${base}`];
+            return snapshot && snapshot.rates ? snapshot : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeCache(snapshot) {
+        try {
+            const cache = JSON.parse(this.storage.getItem(EXCHANGE_RATES_CACHE_KEY) || '{}');
+            cache[`${snapshot.provider}:${snapshot.base}`] = snapshot;
+            this.storage.setItem(EXCHANGE_RATES_CACHE_KEY, JSON.stringify(cache));
+        } catch (error) {
+            console.warn('Could not cache exchange rates:', error);
+        }
+    }
+}
+
+/**
+ * Create the provider described by window.QUANTUM_PAY_CONFIG.exchangeRates.
+ * Without a config, the static table is used with the local backend and the HTTP provider otherwise.
+ * @param {Object} [config] - { type: 'static' | 'http', url, timeout, table, ttl }
+ * @returns {Object} Rate provider
+ */
+function createRateProvider(config = (typeof window !== 'undefined' && window.QUANTUM_PAY_CONFIG && window.QUANTUM_PAY_CONFIG.exchangeRates) || {}) {
+    const type = config.type
+        || (typeof resolveBackendConfig === 'function' && resolveBackendConfig().type === 'local' ? 'static' : 'http');
+
+    switch (type) {
+        case 'static':
+            return new StaticRateProvider(config.table || STATIC_RATES);
+
+        case 'http':
+            return new HttpRateProvider({ url: EXCHANGE_RATE_DEFAULTS.url, ...config });
+
+        default:
+            throw new Error(`Unknown exchange rate provider: ${type}`);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.exchangeRates = new ExchangeRateService(createRateProvider(),
+        (window.QUANTUM_PAY_CONFIG && window.QUANTUM_PAY_CONFIG.exchangeRates) || {});
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StaticRateProvider,
+        HttpRateProvider,
+        ExchangeRateService,
+        createRateProvider,
+        STATIC_RATES
+    };
+}
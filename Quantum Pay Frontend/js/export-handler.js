@@ -0,0 +1,232 @@
+/**
+ * Export Handler
+ * Downloads of the filtered transaction list on the transactions page: CSV, OFX, QFX and a
+ * monthly PDF statement, made from what TransactionHandler loads
+ */
+
+class ExportHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.exporting = false;
+        this.init();
+    }
+
+    init() {
+        if (!this.api.isAuthenticated()) return;
+
+        const monthInput = document.querySelector('#transaction-export [name="statement_month"]');
+        if (monthInput && !monthInput.value) {
+            monthInput.value = TransactionExport.formatDate(Date.now()).slice(0, 7);
+        }
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.getAttribute('data-action')) {
+                case 'export-transactions':
+                    this.run(button, () => this.exportTransactions(button.getAttribute('data-format')));
+                    break;
+                case 'export-statement':
+                    this.run(button, () => this.exportStatement(
+                        document.querySelector('#transaction-export [name="statement_month"]').value));
+                    break;
+            }
+        });
+    }
+
+    /**
+     * One export at a time; the button shows that it is working
+     */
+    async run(button, task) {
+        const handler = window.transactionHandler;
+        if (this.exporting) return;
+        if (!handler || !handler.currentUser) {
+            this.showError('Transactions are still loading. Try again in a moment.');
+            return;
+        }
+
+        this.exporting = true;
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Preparing...';
+        try {
+            await task();
+        } catch (error) {
+            console.error('Failed to export transactions:', error);
+            handler.handleApiError(error, 'Failed to export transactions');
+        } finally {
+            this.exporting = false;
+            button.disabled = false;
+            button.textContent = label;
+        }
+    }
+
+    // ==================== EXPORTS ====================
+
+    /**
+     * Every transaction matching the filters, as CSV, OFX or QFX
+     * @param {string} format - csv, ofx or qfx
+     */
+    async exportTransactions(format) {
+        const handler = window.transactionHandler;
+        const transactions = await handler.loadAllTransactions();
+        if (transactions.length === 0) {
+            this.showError('No transactions match the filters');
+            return;
+        }
+
+        const userId = handler.currentUser.id;
+        const counterparty = t => this.describeCounterparty(t);
+        const content = format === 'csv'
+            ? TransactionExport.toCSV(transactions, { userId, counterparty })
+            : TransactionExport.toOFX(transactions, {
+                userId,
+                counterparty,
+                balances: this.getCurrentBalances().balances,
+                quicken: format === 'qfx'
+            });
+
+        this.download(content, TransactionExport.fileName(format), TransactionExport.FORMATS[format].type);
+    }
+
+    /**
+     * The filtered transactions of one month, with the account's balances and totals for it
+     * @param {string} month - e.g. 2026-03
+     */
+    async exportStatement(month) {
+        const handler = window.transactionHandler;
+        const [year, monthNumber] = (month || '').split('-').map(Number);
+        if (!year || !monthNumber) {
+            this.showError('Choose the month of the statement');
+            return;
+        }
+        const period = {
+            from: new Date(year, monthNumber - 1, 1).getTime(),
+            to: new Date(year, monthNumber, 1).getTime() - 1
+        };
+
+        const userId = handler.currentUser.id;
+        const [transactions, activity] = await Promise.all([
+            handler.loadAllTransactions(),
+            // Balances cover the whole account, whatever the list is filtered by
+            handler.findTransactions({ status: 'completed,refunded', from: period.from })
+        ]);
+        const { balances, withTransfers } = this.getCurrentBalances();
+        const listed = transactions
+            .filter(t => t.transaction_date >= period.from && t.transaction_date <= period.to)
+            .sort((a, b) => a.transaction_date - b.transaction_date);
+
+        const pdf = TransactionExport.toStatementPDF({
+            title: new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+            holder: handler.currentUser,
+            balances: TransactionExport.balances(balances, activity, userId, period, withTransfers),
+            transactions: listed,
+            userId,
+            counterparty: t => this.describeCounterparty(t),
+            note: handler.hasFilters()
+                ? `Only transactions matching ${this.describeFilters(handler.filters)} are listed. Balances and totals cover the whole account.`
+                : ''
+        });
+
+        this.download(pdf, TransactionExport.fileName('pdf', `statement-${month}`), TransactionExport.FORMATS.pdf.type);
+    }
+
+    /**
+     * Today's balances in minor units by currency. Without wallet endpoints they come from the
+     * dashboard totals, which leave transfers out.
+     * @returns {Object} { balances, withTransfers }
+     */
+    getCurrentBalances() {
+        const handler = window.transactionHandler;
+        const balances = {};
+
+        if (handler.wallets) {
+            handler.wallets.forEach(wallet => {
+                balances[wallet.currency] = (balances[wallet.currency] || 0) + wallet.balance;
+            });
+            return { balances, withTransfers: true };
+        }
+
+        const summary = handler.summary || { currencies: {} };
+        Object.entries(summary.currencies).forEach(([code, { income, expenses }]) => {
+            balances[code] = income - expenses;
+        });
+        return { balances, withTransfers: false };
+    }
+
+    /**
+     * Name and email of the other party; for a transfer, the wallets it went between
+     * @returns {Object} { name, email }
+     */
+    describeCounterparty(transaction) {
+        const handler = window.transactionHandler;
+        if (transaction.type === 'transfer') {
+            return {
+                name: `${handler.getWalletName(transaction.wallet_id)} to ${handler.getWalletName(transaction.receiver_wallet_id)}`,
+                email: ''
+            };
+        }
+
+        const outgoing = transaction.sender_user_id === handler.currentUser.id;
+        const userId = handler.getParticipantId(transaction, outgoing);
+        const profile = handler.directory ? handler.directory.get(userId) : null;
+        return {
+            name: handler.getTransactionParticipant(transaction, outgoing),
+            email: profile ? profile.email || '' : ''
+        };
+    }
+
+    describeFilters(filters) {
+        return Object.entries(filters)
+            .filter(([name]) => name !== 'sort')
+            .map(([name, value]) => `${name.replace('_', ' ')} "${value}"`)
+            .join(', ');
+    }
+
+    // ==================== UTILITY FUNCTIONS ====================
+
+    /**
+     * Save a file made in the browser
+     * @param {string|Uint8Array} content
+     * @param {string} fileName
+     * @param {string} type - MIME type
+     */
+    download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoked once the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    showError(message) {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, 'error');
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#transaction-export')) {
+        window.exportHandler = new ExportHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportHandler;
+}
@@ -0,0 +1,177 @@
+/**
+ * Install Handler
+ * Registers the service worker that caches the dashboard, offers to install Quantum Pay as an
+ * app, and tells the user when a new version is ready
+ *
+ * The install button is the [data-action="install-app"] element of the page, shown only while
+ * the browser allows installing.
+ */
+
+// Relative to the dashboard pages
+const INSTALL_SETTINGS = {
+    serviceWorker: '../service-worker.js',
+    scope: './'
+};
+
+class InstallHandler {
+    constructor() {
+        this.installPrompt = null;
+        this.registration = null;
+        this.updating = false;
+        this.init();
+    }
+
+    async init() {
+        this.bindEvents();
+
+        try {
+            this.registration = await navigator.serviceWorker.register(INSTALL_SETTINGS.serviceWorker, { scope: INSTALL_SETTINGS.scope });
+        } catch (error) {
+            // The pages work as before, loaded from the network
+            console.warn('Service worker registration failed:', error);
+            return;
+        }
+        this.watchForUpdates();
+    }
+
+    bindEvents() {
+        // The browser's own prompt is kept for the install button
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            this.renderInstallButton();
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.renderInstallButton();
+            this.showSuccess('Quantum Pay is installed. Open it from your home screen or app list.');
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="install-app"]')) {
+                this.install();
+            }
+        });
+
+        // The page asked for the new version: reload into it once it has taken over
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) {
+                window.location.reload();
+            }
+        });
+    }
+
+    // ==================== INSTALL ====================
+
+    async install() {
+        if (!this.installPrompt) return;
+
+        const prompt = this.installPrompt;
+        // A prompt can only be shown once
+        this.installPrompt = null;
+        this.renderInstallButton();
+
+        prompt.prompt();
+        await prompt.userChoice;
+    }
+
+    renderInstallButton() {
+        document.querySelectorAll('[data-action="install-app"]').forEach(button => {
+            button.hidden = !this.installPrompt;
+        });
+    }
+
+    // ==================== UPDATES ====================
+
+    /**
+     * A new version installs in the background and waits while pages of the current one are
+     * open. Pages controlled by the current one offer to reload into it.
+     */
+    watchForUpdates() {
+        // Without a controller this is the first install, not an update
+        if (!navigator.serviceWorker.controller) return;
+
+        const track = worker => worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') {
+                this.showUpdateBanner();
+            }
+        });
+
+        if (this.registration.waiting) {
+            this.showUpdateBanner();
+        } else if (this.registration.installing) {
+            track(this.registration.installing);
+        }
+        this.registration.addEventListener('updatefound', () => track(this.registration.installing));
+    }
+
+    applyUpdate() {
+        const worker = this.registration && this.registration.waiting;
+        if (!worker) return;
+
+        this.updating = true;
+        worker.postMessage({ type: 'skip-waiting' });
+    }
+
+    showUpdateBanner() {
+        if (document.querySelector('.app-update')) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'app-update';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <span>A new version of Quantum Pay is available.</span>
+            <button type="button" data-action="app-update">Reload</button>
+            <button type="button" data-action="app-update-dismiss">&times;</button>
+        `;
+        banner.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            padding: 12px 16px;
+            border-radius: 8px;
+            background: #6c63ff;
+            color: white;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            z-index: 10000;
+            font-weight: 500;
+        `;
+        document.body.appendChild(banner);
+
+        banner.querySelector('[data-action="app-update"]').addEventListener('click', () => this.applyUpdate());
+        banner.querySelector('[data-action="app-update-dismiss"]').addEventListener('click', () => banner.remove());
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Created as soon as the script loads, so the browser's install prompt isn't missed
+if (typeof window !== 'undefined' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator
+    && window.location.pathname.includes('/dashboard/')) {
+    window.installHandler = new InstallHandler();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InstallHandler;
+}
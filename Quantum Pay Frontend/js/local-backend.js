@@ -0,0 +1,2718 @@
+/**
+ * Local Mock Backend
+ * In-browser implementation of the Xano endpoints documented in api.txt
+ *
+ * Requests are routed in memory and the data is persisted to localStorage, so the
+ * dashboard flows can be developed and tested without touching the shared workspace.
+ * Tokens are unsigned and passwords are only hashed with SHA-256: never use it in production.
+ * Requires js/totp.js for two-factor authentication, js/exchange-rates.js (static rates)
+ * for transfers between wallets in different currencies, js/transaction-status.js
+ * for the transaction state machine, js/transaction-query.js for transaction list filters,
+ * js/recurrence.js for scheduled payments, and js/webhook-signature.js and js/webhook-delivery.js
+ * for webhooks.
+ */
+
+const LOCAL_STORE_KEY = 'quantum_local_backend';
+const LOCAL_OUTBOX_KEY = 'quantum_local_outbox';
+const LOCAL_TOKEN_LIFETIME = 24 * 60 * 60 * 1000; // 24 hours, same as the Xano default
+
+const LOCAL_SEED_USER = {
+    name: 'Test User',
+    email: 'test@example.com',
+    phone: '+15551234567',
+    password: 'password123'
+};
+
+const TRANSACTION_FIELDS = [
+    'amount', 'currency', 'status', 'transaction_date', 'otp_code',
+    'otp_verified', 'sender_user_id', 'receiver_user_id', 'wallet_id', 'memo'
+];
+
+const TRANSACTION_MEMO_MAX_LENGTH = 140;
+
+// Details that can only be changed while a transaction is a draft, before a code names the amount
+const TRANSACTION_DRAFT_FIELDS = ['amount', 'currency', 'receiver_user_id', 'wallet_id'];
+
+// The only status a client may set with PATCH; the others follow from OTP verification and settlement
+const CLIENT_TRANSACTION_STATUSES = ['cancelled'];
+
+// GET /transaction pages; without limit or cursor the whole list is returned, as before paging
+const TRANSACTION_PAGE_SETTINGS = {
+    defaultLimit: 25,
+    maxLimit: 100
+};
+
+const CONTACT_FIELDS = ['nickname', 'favorite'];
+const RECENT_RECIPIENT_LIMIT = 5;
+
+const WALLET_FIELDS = ['name', 'currency', 'type', 'archived'];
+const WALLET_TYPES = ['main', 'savings', 'spending', 'business'];
+
+// Opening balances of the seed user, in minor units
+const LOCAL_SEED_WALLETS = [
+    { name: 'Main Account', currency: 'USD', type: 'main', balance: 525000 },
+    { name: 'Savings Account', currency: 'USD', type: 'savings', balance: 175000 }
+];
+
+const PAYMENT_REQUEST_SETTINGS = {
+    defaultLifetime: 7 * 24 * 60 * 60 * 1000, // open for a week unless expires_at is given
+    maxLifetime: 90 * 24 * 60 * 60 * 1000,
+    maxMemoLength: 140
+};
+
+const SCHEDULE_FIELDS = [
+    'amount', 'currency', 'receiver_user_id', 'wallet_id', 'memo',
+    'recurrence', 'start_date', 'end_date', 'max_occurrences', 'status'
+];
+
+// Statuses a client may set with PATCH; completed follows from the end conditions
+const CLIENT_SCHEDULE_STATUSES = ['active', 'paused', 'cancelled'];
+
+const SCHEDULE_SETTINGS = {
+    maxLead: 366 * 24 * 60 * 60 * 1000, // the first payment is at most a year ahead
+    startGrace: 5 * 60 * 1000,          // "now" as sent by a client may be a little in the past
+    maxOccurrences: 1000,
+    maxMemoLength: 140,
+    maxRunsPerPass: 50                  // payments created per request when catching up
+};
+
+const REFUND_SETTINGS = {
+    maxReasonLength: 140
+};
+
+const RECONCILIATION_FIELDS = [
+    'transaction_id', 'statement_reference', 'statement_date', 'statement_amount',
+    'statement_currency', 'statement_description', 'source'
+];
+
+const RECONCILIATION_SETTINGS = {
+    maxItems: 500,     // statement lines marked per request
+    maxTextLength: 255
+};
+
+const WEBHOOK_LOG_FIELDS = ['webhook_url', 'payload', 'status', 'response', 'transaction_id'];
+
+const WEBHOOK_FIELDS = ['url', 'events', 'description', 'active'];
+
+const WEBHOOK_SETTINGS = {
+    maxEndpoints: 10,          // per user
+    maxUrlLength: 2048,
+    maxDescriptionLength: 140,
+    defaultSecretOverlap: 24,  // hours the old secret keeps signing after a rotation
+    maxSecretOverlap: 7 * 24
+};
+
+// Status changes that send a webhook; created and refunded are sent where they happen
+const WEBHOOK_STATUS_EVENTS = {
+    processing: 'transaction.otp_verified',
+    completed: 'transaction.completed',
+    cancelled: 'transaction.cancelled'
+};
+
+const TWO_FACTOR_SETTINGS = {
+    challengeLifetime: 5 * 60 * 1000, // time to enter the code after the password
+    maxAttempts: 5,
+    backupCodeCount: 10
+};
+
+const IDEMPOTENCY_SETTINGS = {
+    lifetime: 24 * 60 * 60 * 1000, // a key can be replayed for a day
+    maxKeyLength: 255
+};
+
+const OTP_SETTINGS = {
+    digits: 6,
+    lifetime: 5 * 60 * 1000,     // a code is valid for 5 minutes
+    maxAttempts: 5,              // wrong guesses before the code is locked
+    resendCooldown: 30 * 1000,   // minimum time between two codes
+    maxSends: 5                  // codes per transaction
+};
+
+class LocalBackendError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Xano style error code
+     * @param {string} message - Human readable message
+     * @param {*} [payload] - Extra error details
+     * @param {Object} [headers] - Extra response headers, e.g. Retry-After
+     */
+    constructor(status, code, message, payload = null, headers = {}) {
+        super(message);
+        this.name = 'LocalBackendError';
+        this.status = status;
+        this.code = code;
+        this.payload = payload;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Stand-in for the email/SMS provider: messages the local backend "sends" are kept in
+ * localStorage and announced with a quantum:dev-message event and a console line.
+ */
+class LocalOutbox {
+    constructor(storage) {
+        this.storage = storage;
+        this.memory = [];
+    }
+
+    /**
+     * @param {Object} message - { channel, to, subject, body }
+     */
+    deliver(message) {
+        const entry = { id: crypto.randomUUID(), sent_at: Date.now(), ...message };
+        const messages = [entry, ...this.list()].slice(0, 50);
+
+        if (this.storage) {
+            this.storage.setItem(LOCAL_OUTBOX_KEY, JSON.stringify(messages));
+        } else {
+            this.memory = messages;
+        }
+
+        console.info(`[Local outbox] ${entry.channel} to ${entry.to}: ${entry.body}`);
+        if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent('quantum:dev-message', { detail: entry }));
+        }
+        this.announce(entry);
+        return entry;
+    }
+
+    /**
+     * Show the message on the page until dismissed, so codes can be read without a mail server
+     */
+    announce(entry) {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const note = document.createElement('div');
+        note.className = 'local-outbox-note';
+        note.innerHTML = `
+            <strong>📨 Local outbox</strong>
+            <button type="button" aria-label="Dismiss">&times;</button>
+            <div class="local-outbox-note__to"></div>
+            <div class="local-outbox-note__body"></div>
+        `;
+        note.querySelector('.local-outbox-note__to').textContent = `${entry.channel} to ${entry.to}`;
+        note.querySelector('.local-outbox-note__body').textContent = entry.body;
+        note.querySelector('button').addEventListener('click', () => note.remove());
+        note.querySelector('button').style.cssText = 'float: right; background: none; border: none; color: inherit; font-size: 18px; cursor: pointer;';
+        note.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 20px;
+            max-width: 360px;
+            padding: 12px 16px;
+            background: #1f2937;
+            color: white;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+            font-size: 0.9rem;
+            z-index: 10002;
+        `;
+
+        document.querySelectorAll('.local-outbox-note').forEach(el => el.remove());
+        document.body.appendChild(note);
+    }
+
+    /**
+     * @returns {Array<Object>} Delivered messages, newest first
+     */
+    list() {
+        if (!this.storage) return this.memory;
+
+        try {
+            return JSON.parse(this.storage.getItem(LOCAL_OUTBOX_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    clear() {
+        this.memory = [];
+        if (this.storage) {
+            this.storage.removeItem(LOCAL_OUTBOX_KEY);
+        }
+    }
+}
+
+class LocalBackend {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Persist data to storage, or keep it in memory only
+     * @param {Storage} [options.storage] - Storage to persist to (default: localStorage)
+     * @param {number} [options.latency=0] - Simulated network latency in milliseconds
+     * @param {number} [options.tokenLifetime] - Token lifetime in milliseconds (default 24 hours)
+     * @param {LocalWebhookReceiver} [options.webhookReceiver] - Answers local://webhooks/... URLs
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.authBaseURL = 'local://auth';
+        this.transactionBaseURL = 'local://transaction';
+        this.latency = options.latency || 0;
+        this.tokenLifetime = options.tokenLifetime || LOCAL_TOKEN_LIFETIME;
+        this.storage = options.persist === false
+            ? null
+            : options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.state = this.loadState();
+        this.outbox = new LocalOutbox(this.storage);
+        this.webhookDelivery = new WebhookDelivery(this, { receiver: options.webhookReceiver });
+        this.idempotentRequests = new Map(); // requests still running, by idempotency scope
+        this.routes = [];
+        this.registerRoutes();
+        // Deliveries still queued when the page was closed carry on
+        this.ready = this.seed().then(() => this.webhookDelivery.schedule());
+    }
+
+    // ==================== ROUTING ====================
+
+    registerRoutes() {
+        // Authentication
+        this.route('POST', 'auth', '/auth/login', this.handleLogin);
+        this.route('POST', 'auth', '/auth/signup', this.handleSignup);
+        this.route('GET', 'auth', '/auth/me', this.handleGetMe);
+        this.route('PATCH', 'auth', '/auth/me', this.handleUpdateMe);
+        this.route('POST', 'auth', '/auth/refresh', this.handleRefresh);
+
+        // User directory
+        this.route('GET', 'auth', '/user', this.handleListUsers);
+        this.route('GET', 'auth', '/user/lookup', this.handleLookupUser);
+
+        // Two-factor authentication
+        this.route('POST', 'auth', '/auth/2fa/enroll', this.handleEnrollTwoFactor);
+        this.route('POST', 'auth', '/auth/2fa/confirm', this.handleConfirmTwoFactor);
+        this.route('POST', 'auth', '/auth/2fa/disable', this.handleDisableTwoFactor);
+        this.route('POST', 'auth', '/auth/2fa/backup-codes', this.handleRegenerateBackupCodes);
+        this.route('POST', 'auth', '/auth/2fa/verify', this.handleVerifyTwoFactor);
+
+        // Transactions
+        this.route('GET', 'transaction', '/transaction', this.handleListTransactions);
+        this.route('POST', 'transaction', '/transaction', this.handleCreateTransaction);
+        this.route('GET', 'transaction', '/transaction/summary', this.handleTransactionSummary);
+        this.route('GET', 'transaction', '/transaction/:transaction_id', this.handleGetTransaction);
+        this.route('PATCH', 'transaction', '/transaction/:transaction_id', this.handleUpdateTransaction);
+        this.route('DELETE', 'transaction', '/transaction/:transaction_id', this.handleDeleteTransaction);
+
+        // Transaction OTP challenges
+        this.route('POST', 'transaction', '/transaction/:transaction_id/otp', this.handleIssueOTP);
+        this.route('POST', 'transaction', '/transaction/:transaction_id/otp/verify', this.handleVerifyOTP);
+
+        // Refunds
+        this.route('POST', 'transaction', '/transaction/:transaction_id/refund', this.handleRefundTransaction);
+
+        // Reconciliation marks: which transactions the user matched to a bank statement line
+        this.route('GET', 'transaction', '/reconciliation', this.handleListReconciliations);
+        this.route('POST', 'transaction', '/reconciliation', this.handleCreateReconciliations);
+        this.route('DELETE', 'transaction', '/reconciliation/:reconciliation_id', this.handleDeleteReconciliation);
+
+        // Wallets
+        this.route('GET', 'transaction', '/wallet', this.handleListWallets);
+        this.route('POST', 'transaction', '/wallet', this.handleCreateWallet);
+        this.route('GET', 'transaction', '/wallet/:wallet_id', this.handleGetWallet);
+        this.route('PATCH', 'transaction', '/wallet/:wallet_id', this.handleUpdateWallet);
+
+        // Transfers between a user's own wallets
+        this.route('GET', 'transaction', '/transfer/quote', this.handleQuoteTransfer);
+        this.route('POST', 'transaction', '/transfer', this.handleCreateTransfer);
+
+        // Payment requests
+        this.route('GET', 'transaction', '/payment_request', this.handleListPaymentRequests);
+        this.route('POST', 'transaction', '/payment_request', this.handleCreatePaymentRequest);
+        this.route('GET', 'transaction', '/payment_request/link/:share_token', this.handleGetPaymentRequestByLink);
+        this.route('GET', 'transaction', '/payment_request/:payment_request_id', this.handleGetPaymentRequest);
+        this.route('POST', 'transaction', '/payment_request/:payment_request_id/decline', this.handleDeclinePaymentRequest);
+
+        // Scheduled and recurring payments
+        this.route('GET', 'transaction', '/schedule', this.handleListSchedules);
+        this.route('POST', 'transaction', '/schedule', this.handleCreateSchedule);
+        this.route('GET', 'transaction', '/schedule/:schedule_id', this.handleGetSchedule);
+        this.route('PATCH', 'transaction', '/schedule/:schedule_id', this.handleUpdateSchedule);
+
+        // Contacts
+        this.route('GET', 'transaction', '/contact', this.handleListContacts);
+        this.route('POST', 'transaction', '/contact', this.handleCreateContact);
+        this.route('GET', 'transaction', '/contact/recent', this.handleListRecentRecipients);
+        this.route('PATCH', 'transaction', '/contact/:contact_id', this.handleUpdateContact);
+        this.route('DELETE', 'transaction', '/contact/:contact_id', this.handleDeleteContact);
+
+        // Webhook endpoints
+        this.route('GET', 'transaction', '/webhook', this.handleListWebhooks);
+        this.route('POST', 'transaction', '/webhook', this.handleCreateWebhook);
+        this.route('GET', 'transaction', '/webhook/:webhook_id', this.handleGetWebhook);
+        this.route('PATCH', 'transaction', '/webhook/:webhook_id', this.handleUpdateWebhook);
+        this.route('DELETE', 'transaction', '/webhook/:webhook_id', this.handleDeleteWebhook);
+        this.route('POST', 'transaction', '/webhook/:webhook_id/rotate_secret', this.handleRotateWebhookSecret);
+        this.route('POST', 'transaction', '/webhook/:webhook_id/test', this.handleSendTestWebhook);
+
+        // Webhook logs
+        this.route('GET', 'transaction', '/webhook_log', this.handleListWebhookLogs);
+        this.route('POST', 'transaction', '/webhook_log', this.handleCreateWebhookLog);
+        this.route('GET', 'transaction', '/webhook_log/:webhook_log_id', this.handleGetWebhookLog);
+        this.route('PATCH', 'transaction', '/webhook_log/:webhook_log_id', this.handleUpdateWebhookLog);
+        this.route('DELETE', 'transaction', '/webhook_log/:webhook_log_id', this.handleDeleteWebhookLog);
+        this.route('POST', 'transaction', '/webhook_log/:webhook_log_id/redeliver', this.handleRedeliverWebhookLog);
+    }
+
+    /**
+     * Register a route handler
+     * @param {string} method - HTTP method
+     * @param {string} service - 'auth' or 'transaction' (the base URL the route lives under)
+     * @param {string} pattern - Path pattern, e.g. /transaction/:transaction_id
+     * @param {Function} handler - Receives the request and returns the response body
+     */
+    route(method, service, pattern, handler) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+
+        this.routes.push({
+            method,
+            service,
+            keys,
+            regex: new RegExp(`^${source}$`),
+            handler: handler.bind(this)
+        });
+    }
+
+    /**
+     * fetch() compatible entry point used by QuantumPayAPI.makeRequest
+     * @param {string} url - local://auth/... or local://transaction/... URL
+     * @param {Object} [init] - fetch options
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, init = {}) {
+        await this.ready;
+        await this.simulateLatency(init.signal);
+
+        const { host: service, pathname, searchParams } = new URL(url);
+        const method = (init.method || 'GET').toUpperCase();
+        const headers = new Headers(init.headers || {});
+
+        let match = null;
+        const route = this.routes.find(r => {
+            if (r.method !== method || r.service !== service) return false;
+            match = pathname.match(r.regex);
+            return !!match;
+        });
+
+        const requestId = headers.get('X-Request-Id');
+
+        if (!route) {
+            return this.respond(404, {
+                code: 'ERROR_CODE_NOT_FOUND',
+                message: `Unable to locate request: ${method} ${pathname}`
+            }, requestId);
+        }
+
+        const request = {
+            method,
+            headers,
+            params: Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])),
+            query: Object.fromEntries(searchParams.entries()),
+            body: {}
+        };
+
+        // Guarded schedule by schedule: a broken one can't fail the request
+        this.runDueSchedules();
+
+        try {
+            request.body = this.parseBody(init.body);
+
+            if (method === 'POST' && headers.has('Idempotency-Key')) {
+                const { result, replayed } = await this.runIdempotent(request, pathname, () => route.handler(request));
+                return this.respond(200, result === undefined ? null : result, requestId,
+                    replayed ? { 'Idempotent-Replayed': 'true' } : {});
+            }
+
+            const result = await route.handler(request);
+            return this.respond(200, result === undefined ? null : result, requestId);
+        } catch (error) {
+            if (error instanceof LocalBackendError) {
+                return this.respond(error.status, {
+                    code: error.code,
+                    message: error.message,
+                    payload: error.payload
+                }, requestId, error.headers);
+            }
+
+            console.error('Local backend handler failed:', error);
+            return this.respond(500, { code: 'ERROR_FATAL', message: error.message }, requestId);
+        } finally {
+            // Failed requests can change state too, e.g. a wrong OTP guess
+            this.saveState();
+        }
+    }
+
+    /**
+     * @param {string} [body] - Raw request body
+     * @returns {Object} The parsed JSON, {} when there is none
+     * @throws {LocalBackendError} 400 when it isn't JSON
+     */
+    parseBody(body) {
+        if (!body) return {};
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'The request body is not valid JSON.');
+        }
+    }
+
+    /**
+     * Run a POST at most once per Idempotency-Key. A replay with the same key and body gets the
+     * stored response; a replay while the first request is still running waits for it.
+     * Only successful responses are stored, so a request that failed can be tried again.
+     * @param {Object} request - Routed request
+     * @param {string} pathname - Request path, part of what a key is bound to
+     * @param {Function} handler - Runs the request
+     * @returns {Promise<Object>} { result, replayed }
+     */
+    async runIdempotent(request, pathname, handler) {
+        const key = request.headers.get('Idempotency-Key').trim();
+        if (!key || key.length > IDEMPOTENCY_SETTINGS.maxKeyLength) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Invalid Idempotency-Key header.');
+        }
+
+        // Keys are per user, so two accounts can't see each other's responses
+        let owner = 'anonymous';
+        try {
+            owner = this.requireUser(request).id;
+        } catch (error) {
+            // Unauthenticated requests share one scope; the handler rejects them if it needs a user
+        }
+        const scope = `${owner}:${key}`;
+        const fingerprint = `${request.method} ${pathname} ${JSON.stringify(request.body)}`;
+
+        const running = this.idempotentRequests.get(scope);
+        if (running) {
+            await running.catch(() => {});
+        }
+
+        const now = Date.now();
+        this.state.idempotency_keys = this.state.idempotency_keys.filter(k => k.expires_at > now);
+        const saved = this.state.idempotency_keys.find(k => k.scope === scope);
+        if (saved) {
+            if (saved.fingerprint !== fingerprint) {
+                throw new LocalBackendError(422, 'ERROR_CODE_IDEMPOTENCY_MISMATCH',
+                    'This Idempotency-Key was already used for a different request.');
+            }
+            return { result: saved.response, replayed: true };
+        }
+
+        const pending = Promise.resolve().then(handler);
+        this.idempotentRequests.set(scope, pending);
+        try {
+            const result = await pending;
+            this.state.idempotency_keys.push({
+                scope,
+                fingerprint,
+                response: result === undefined ? null : JSON.parse(JSON.stringify(result)), // as it was sent
+                created_at: now,
+                expires_at: now + IDEMPOTENCY_SETTINGS.lifetime
+            });
+            return { result, replayed: false };
+        } finally {
+            this.idempotentRequests.delete(scope);
+        }
+    }
+
+    respond(status, body, requestId = null, extraHeaders = {}) {
+        const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+        if (requestId) {
+            headers['X-Request-Id'] = requestId;
+        }
+
+        return new Response(JSON.stringify(body), { status, headers });
+    }
+
+    simulateLatency(signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+        }
+        if (!this.latency) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, this.latency);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('The operation was aborted.', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    createEmptyState() {
+        return {
+            users: [], transactions: [], wallets: [], payment_requests: [], contacts: [],
+            webhook_logs: [], otp_challenges: [], login_challenges: [], idempotency_keys: [], schedules: [],
+            reconciliations: [], webhooks: [], webhook_deliveries: []
+        };
+    }
+
+    loadState() {
+        const emptyState = this.createEmptyState();
+        if (!this.storage) return emptyState;
+
+        try {
+            const state = { ...emptyState, ...JSON.parse(this.storage.getItem(LOCAL_STORE_KEY) || '{}') };
+            // Transactions stored before the state machine existed
+            state.transactions.forEach(t => {
+                t.status = TransactionStatus.normalize(t.status);
+            });
+            // Endpoints added before payloads were signed
+            state.webhooks.forEach(w => {
+                w.secret = w.secret || WebhookSignature.generateSecret();
+            });
+            return state;
+        } catch (error) {
+            console.warn('Resetting unreadable local backend data:', error);
+            return emptyState;
+        }
+    }
+
+    saveState() {
+        if (this.storage) {
+            this.storage.setItem(LOCAL_STORE_KEY, JSON.stringify(this.state));
+        }
+    }
+
+    /**
+     * Wipe all local data and recreate the seed user
+     */
+    async reset() {
+        this.webhookDelivery.stop();
+        this.state = this.createEmptyState();
+        this.outbox.clear();
+        this.webhookDelivery.receiver.clear();
+        await this.seed();
+        this.saveState();
+    }
+
+    async seed() {
+        if (this.state.users.length > 0) return;
+
+        const { name, email, phone, password } = LOCAL_SEED_USER;
+        const user = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            name,
+            email,
+            phone,
+            password_hash: await this.hashPassword(password)
+        };
+        this.state.users.push(user);
+        LOCAL_SEED_WALLETS.forEach(wallet => this.addWallet(user, wallet));
+        this.saveState();
+    }
+
+    // ==================== AUTH HELPERS ====================
+
+    async hashPassword(password) {
+        return this.sha256(`quantum-local:${password}`);
+    }
+
+    async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Compare two strings without returning early on the first difference
+     */
+    timingSafeEqual(a, b) {
+        if (a.length !== b.length) return false;
+
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    issueToken(user) {
+        const now = Date.now();
+        const header = { alg: 'none', typ: 'JWT' };
+        const payload = {
+            sub: user.id,
+            iat: Math.floor(now / 1000),
+            exp: Math.floor((now + this.tokenLifetime) / 1000),
+            jti: crypto.randomUUID()
+        };
+
+        return `${this.encodeSegment(header)}.${this.encodeSegment(payload)}.`;
+    }
+
+    encodeSegment(value) {
+        const bytes = new TextEncoder().encode(JSON.stringify(value));
+        const binary = Array.from(bytes, b => String.fromCharCode(b)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodeSegment(segment) {
+        const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    }
+
+    /**
+     * Resolve the user behind the request's bearer token
+     * @param {Object} request - Routed request
+     * @returns {Object} Stored user record
+     */
+    requireUser(request) {
+        const authorization = request.headers.get('Authorization') || '';
+        const token = authorization.replace(/^Bearer\s+/i, '');
+        let payload = null;
+
+        try {
+            payload = token ? this.decodeSegment(token.split('.')[1]) : null;
+        } catch (error) {
+            payload = null;
+        }
+
+        if (!payload || payload.exp * 1000 <= Date.now()) {
+            throw new LocalBackendError(401, 'ERROR_CODE_UNAUTHORIZED', 'Invalid token.');
+        }
+
+        const user = this.state.users.find(u => u.id === payload.sub);
+        if (!user) {
+            throw new LocalBackendError(401, 'ERROR_CODE_UNAUTHORIZED', 'Invalid token.');
+        }
+
+        return user;
+    }
+
+    publicUser(user) {
+        const { id, created_at, name, email, phone = null } = user;
+        return { id, created_at, name, email, phone, two_factor_enabled: this.hasTwoFactor(user) };
+    }
+
+    /**
+     * What other users may see of an account: no phone number, 2FA state or timestamps
+     */
+    directoryProfile(user) {
+        const { id, name, email, avatar_url = null } = user;
+        return { id, name, email, avatar_url };
+    }
+
+    /**
+     * Phone numbers are stored as + and digits; spaces, dashes and brackets are dropped
+     * @returns {string|null} Normalized number, or null when it isn't a plausible phone number
+     */
+    normalizePhone(value) {
+        const phone = String(value || '').trim().replace(/[\s().-]/g, '');
+        return /^\+?\d{7,15}$/.test(phone) ? phone : null;
+    }
+
+    phoneDigits(phone) {
+        return String(phone || '').replace(/\D/g, '');
+    }
+
+    // ==================== VALIDATION HELPERS ====================
+
+    requireFields(body, fields) {
+        const missing = fields.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+        if (missing.length > 0) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', `Missing param: ${missing[0]}`, {
+                param: missing[0]
+            });
+        }
+    }
+
+    /**
+     * Amounts are positive integers in the currency's minor units (see money.js)
+     */
+    validateAmount(body) {
+        if ('amount' in body && !(Number.isSafeInteger(body.amount) && body.amount > 0)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                'amount must be a positive whole number of minor units.', { param: 'amount' });
+        }
+        if ('currency' in body && !/^[A-Z]{3}$/.test(body.currency)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                'currency must be an ISO 4217 code.', { param: 'currency' });
+        }
+    }
+
+    /**
+     * A transaction's note is optional; it is stored trimmed
+     */
+    validateMemo(body) {
+        if (!('memo' in body)) return;
+        body.memo = String(body.memo || '').trim();
+        if (body.memo.length > TRANSACTION_MEMO_MAX_LENGTH) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `The note can be at most ${TRANSACTION_MEMO_MAX_LENGTH} characters.`, { param: 'memo' });
+        }
+    }
+
+    pick(body, fields) {
+        return Object.fromEntries(fields.filter(field => field in body).map(field => [field, body[field]]));
+    }
+
+    findRecord(collection, id, label) {
+        const record = this.state[collection].find(r => r.id === id);
+        if (!record) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', `${label} not found.`);
+        }
+        return record;
+    }
+
+    removeRecord(collection, id, label) {
+        const record = this.findRecord(collection, id, label);
+        this.state[collection] = this.state[collection].filter(r => r !== record);
+        return null;
+    }
+
+    // ==================== AUTH ENDPOINTS ====================
+
+    async handleLogin({ body }) {
+        this.requireFields(body, ['email', 'password']);
+
+        const user = this.state.users.find(u => u.email.toLowerCase() === String(body.email).toLowerCase());
+        if (!user || user.password_hash !== await this.hashPassword(body.password)) {
+            throw new LocalBackendError(403, 'ERROR_CODE_ACCESS_DENIED', 'Invalid Credentials.');
+        }
+
+        // With 2FA the password only earns a challenge; the token comes from /auth/2fa/verify
+        if (this.hasTwoFactor(user)) {
+            const now = Date.now();
+            const challenge = {
+                token: crypto.randomUUID(),
+                user_id: user.id,
+                attempts: 0,
+                expires_at: now + TWO_FACTOR_SETTINGS.challengeLifetime
+            };
+            this.state.login_challenges = this.state.login_challenges
+                .filter(c => c.expires_at > now && c.user_id !== user.id)
+                .concat(challenge);
+
+            return { two_factor_required: true, challenge_token: challenge.token };
+        }
+
+        return { authToken: this.issueToken(user) };
+    }
+
+    async handleSignup({ body }) {
+        this.requireFields(body, ['name', 'email', 'password']);
+
+        const email = String(body.email).toLowerCase();
+        if (this.state.users.some(u => u.email.toLowerCase() === email)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'This account is already in use.', {
+                param: 'email'
+            });
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            name: body.name,
+            email,
+            password_hash: await this.hashPassword(body.password)
+        };
+        this.state.users.push(user);
+        this.addWallet(user, { name: 'Main Account', currency: 'USD', type: 'main' });
+
+        return { authToken: this.issueToken(user) };
+    }
+
+    handleGetMe(request) {
+        return this.publicUser(this.requireUser(request));
+    }
+
+    handleUpdateMe(request) {
+        const user = this.requireUser(request);
+        const { body } = request;
+
+        if ('name' in body) {
+            const name = String(body.name || '').trim();
+            if (!name) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Missing param: name', { param: 'name' });
+            }
+            user.name = name;
+        }
+
+        if ('phone' in body) {
+            const phone = body.phone ? this.normalizePhone(body.phone) : null;
+            if (body.phone && !phone) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Enter a valid phone number.', { param: 'phone' });
+            }
+            const digits = this.phoneDigits(phone);
+            if (phone && this.state.users.some(u => u !== user && this.phoneDigits(u.phone) === digits)) {
+                throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'This phone number is already in use.', { param: 'phone' });
+            }
+            user.phone = phone;
+        }
+
+        return this.publicUser(user);
+    }
+
+    handleRefresh(request) {
+        return { authToken: this.issueToken(this.requireUser(request)) };
+    }
+
+    // ==================== TWO-FACTOR ENDPOINTS ====================
+
+    hasTwoFactor(user) {
+        return !!(user.two_factor && user.two_factor.enabled);
+    }
+
+    async generateBackupCodes(user) {
+        const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+        const codes = Array.from({ length: TWO_FACTOR_SETTINGS.backupCodeCount }, () => {
+            const chars = Array.from(crypto.getRandomValues(new Uint8Array(8)), b => alphabet[b % alphabet.length]);
+            return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+        });
+
+        user.two_factor.backup_code_hashes = await Promise.all(codes.map(code => this.hashBackupCode(code)));
+        return codes;
+    }
+
+    hashBackupCode(code) {
+        return this.sha256(`backup:${String(code).toLowerCase().replace(/[\s-]/g, '')}`);
+    }
+
+    /**
+     * Check an authenticator code (body.code) or a backup code (body.backup_code).
+     * Authenticator codes cannot be replayed; backup codes are used up.
+     * @returns {Promise<boolean>}
+     */
+    async checkSecondFactor(user, body) {
+        const twoFactor = user.two_factor;
+
+        if (body.backup_code) {
+            const hash = await this.hashBackupCode(body.backup_code);
+            const index = twoFactor.backup_code_hashes.indexOf(hash);
+            if (index === -1) return false;
+
+            twoFactor.backup_code_hashes.splice(index, 1);
+            return true;
+        }
+
+        const step = await TOTP.verify(twoFactor.secret, body.code);
+        if (step === null || step <= (twoFactor.last_used_step || 0)) {
+            return false;
+        }
+
+        twoFactor.last_used_step = step;
+        return true;
+    }
+
+    requireSecondFactor(body) {
+        if (!body.code && !body.backup_code) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Missing param: code', { param: 'code' });
+        }
+    }
+
+    handleEnrollTwoFactor(request) {
+        const user = this.requireUser(request);
+        if (this.hasTwoFactor(user)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'Two-factor authentication is already enabled.');
+        }
+
+        const secret = TOTP.generateSecret();
+        user.two_factor = { enabled: false, pending_secret: secret };
+
+        return {
+            secret,
+            otpauth_uri: TOTP.buildURI({ secret, accountName: user.email })
+        };
+    }
+
+    async handleConfirmTwoFactor(request) {
+        const user = this.requireUser(request);
+        this.requireFields(request.body, ['code']);
+
+        if (!user.two_factor || !user.two_factor.pending_secret) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'Start two-factor enrollment first.');
+        }
+
+        const step = await TOTP.verify(user.two_factor.pending_secret, request.body.code);
+        if (step === null) {
+            throw new LocalBackendError(400, 'ERROR_CODE_2FA_INVALID', 'Incorrect code. Check the time on your device and try again.', {
+                param: 'code'
+            });
+        }
+
+        user.two_factor = {
+            enabled: true,
+            secret: user.two_factor.pending_secret,
+            last_used_step: step,
+            enabled_at: Date.now()
+        };
+        const backupCodes = await this.generateBackupCodes(user);
+
+        return { two_factor_enabled: true, backup_codes: backupCodes };
+    }
+
+    async handleDisableTwoFactor(request) {
+        const user = this.requireUser(request);
+        this.requireSecondFactor(request.body);
+
+        if (!this.hasTwoFactor(user)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'Two-factor authentication is not enabled.');
+        }
+        if (!await this.checkSecondFactor(user, request.body)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_2FA_INVALID', 'Incorrect code.', { param: 'code' });
+        }
+
+        user.two_factor = { enabled: false };
+        return { two_factor_enabled: false };
+    }
+
+    async handleRegenerateBackupCodes(request) {
+        const user = this.requireUser(request);
+        this.requireFields(request.body, ['code']);
+
+        if (!this.hasTwoFactor(user)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'Two-factor authentication is not enabled.');
+        }
+        if (!await this.checkSecondFactor(user, { code: request.body.code })) {
+            throw new LocalBackendError(400, 'ERROR_CODE_2FA_INVALID', 'Incorrect code.', { param: 'code' });
+        }
+
+        return { backup_codes: await this.generateBackupCodes(user) };
+    }
+
+    /**
+     * Second login step: exchange the challenge from /auth/login and a code for a token
+     */
+    async handleVerifyTwoFactor({ body }) {
+        this.requireFields(body, ['challenge_token']);
+        this.requireSecondFactor(body);
+
+        const challenge = this.state.login_challenges.find(c => c.token === body.challenge_token);
+        if (!challenge || challenge.expires_at <= Date.now()) {
+            throw new LocalBackendError(403, 'ERROR_CODE_2FA_EXPIRED', 'This sign-in attempt has expired. Please sign in again.');
+        }
+
+        const user = this.state.users.find(u => u.id === challenge.user_id);
+        if (!user || !await this.checkSecondFactor(user, body)) {
+            challenge.attempts += 1;
+            const attemptsRemaining = TWO_FACTOR_SETTINGS.maxAttempts - challenge.attempts;
+
+            if (attemptsRemaining <= 0) {
+                this.state.login_challenges = this.state.login_challenges.filter(c => c !== challenge);
+                throw new LocalBackendError(403, 'ERROR_CODE_2FA_EXPIRED', 'Too many incorrect codes. Please sign in again.');
+            }
+            throw new LocalBackendError(400, 'ERROR_CODE_2FA_INVALID', 'Incorrect code.', {
+                param: body.backup_code ? 'backup_code' : 'code',
+                attempts_remaining: attemptsRemaining
+            });
+        }
+
+        this.state.login_challenges = this.state.login_challenges.filter(c => c !== challenge);
+        return { authToken: this.issueToken(user) };
+    }
+
+    // ==================== TRANSACTION ENDPOINTS ====================
+
+    isParticipant(transaction, user) {
+        return transaction.sender_user_id === user.id || transaction.receiver_user_id === user.id;
+    }
+
+    findTransaction(request) {
+        const user = this.requireUser(request);
+        const transaction = this.findRecord('transactions', request.params.transaction_id, 'Transaction');
+        if (!this.isParticipant(transaction, user)) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Transaction not found.');
+        }
+        return transaction;
+    }
+
+    /**
+     * The user's transactions, filtered and sorted as described in js/transaction-query.js.
+     * With limit or cursor the list comes in pages of { items, next_cursor, total }.
+     */
+    handleListTransactions(request) {
+        const user = this.requireUser(request);
+        const { query } = request;
+
+        // A search finds the other party by name, email or the nickname the user gave them
+        const describeUser = id => {
+            const other = this.state.users.find(u => u.id === id);
+            const contact = this.state.contacts.find(c => c.owner_user_id === user.id && c.contact_user_id === id);
+            return [other && other.name, other && other.email, contact && contact.nickname];
+        };
+
+        let matches;
+        try {
+            matches = TransactionQuery.apply(this.state.transactions.filter(t => this.isParticipant(t, user)), query,
+                user.id, describeUser);
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', error.message, { param: error.param });
+        }
+
+        if (query.limit === undefined && query.cursor === undefined) {
+            return matches;
+        }
+
+        const limit = query.limit === undefined ? TRANSACTION_PAGE_SETTINGS.defaultLimit : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > TRANSACTION_PAGE_SETTINGS.maxLimit) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `limit must be a whole number from 1 to ${TRANSACTION_PAGE_SETTINGS.maxLimit}.`, { param: 'limit' });
+        }
+
+        const sort = query.sort || TransactionQuery.SORTS[0];
+        let start = 0;
+        if (query.cursor) {
+            // The page starts after the last transaction of the previous one, wherever it is now
+            const compare = TransactionQuery.comparator(sort);
+            const after = this.decodeCursor(query.cursor, sort);
+            start = matches.findIndex(t => compare(t, after) > 0);
+            if (start === -1) start = matches.length;
+        }
+
+        const items = matches.slice(start, start + limit);
+        const more = start + limit < matches.length;
+        return {
+            items,
+            next_cursor: more ? this.encodeCursor(sort, items[items.length - 1]) : null,
+            total: matches.length
+        };
+    }
+
+    /**
+     * Cursors hold the sort order and the sort value and ID of the last transaction on a page,
+     * so transactions created or removed in between don't shift the next page
+     */
+    encodeCursor(sort, transaction) {
+        const field = sort.replace(/^-/, '');
+        return btoa(JSON.stringify([sort, transaction[field], transaction.id]));
+    }
+
+    decodeCursor(cursor, sort) {
+        let decoded;
+        try {
+            decoded = JSON.parse(atob(cursor));
+        } catch (error) {
+            decoded = null;
+        }
+        if (!Array.isArray(decoded) || decoded.length !== 3 || decoded[0] !== sort) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                'Invalid cursor. Start again from the first page.', { param: 'cursor' });
+        }
+        const [, value, id] = decoded;
+        return { [sort.replace(/^-/, '')]: value, id };
+    }
+
+    /**
+     * Dashboard totals over all of the user's transactions, so the dashboard only loads one page
+     */
+    handleTransactionSummary(request) {
+        const user = this.requireUser(request);
+        return TransactionQuery.summarize(this.state.transactions.filter(t => this.isParticipant(t, user)), user.id);
+    }
+
+    handleCreateTransaction(request) {
+        const user = this.requireUser(request);
+        this.requireFields(request.body, ['amount', 'currency', 'sender_user_id', 'receiver_user_id']);
+        this.validateAmount(request.body);
+        this.validateMemo(request.body);
+
+        if (request.body.sender_user_id !== user.id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'You can only send money from your own account.', {
+                param: 'sender_user_id'
+            });
+        }
+
+        // Status and OTP state are owned by the server, whatever the client sends
+        const transaction = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            transaction_date: Date.now(),
+            ...this.pick(request.body, TRANSACTION_FIELDS),
+            status: 'draft',
+            status_updated_at: Date.now(),
+            otp_code: '',
+            otp_verified: false
+        };
+        transaction.wallet_id = this.resolveSourceWallet(user, transaction);
+
+        // Paying a request sends the money to whoever asked for it, with its note unless there is one
+        if (request.body.payment_request_id) {
+            transaction.payment_request_id = request.body.payment_request_id;
+            const paymentRequest = this.findPayableRequest(transaction);
+            transaction.receiver_user_id = paymentRequest.requester_user_id;
+            transaction.memo = transaction.memo || paymentRequest.memo;
+        }
+        this.validateReceiver(transaction);
+        this.assertSufficientFunds(transaction);
+
+        this.state.transactions.push(transaction);
+        this.webhookDelivery.enqueue('transaction.created', transaction);
+
+        return transaction;
+    }
+
+    handleGetTransaction(request) {
+        return this.findTransaction(request);
+    }
+
+    handleUpdateTransaction(request) {
+        const { user, transaction } = this.findOwnTransaction(request);
+        this.assertNotTransfer(transaction);
+        const { status, ...changes } = this.pick(request.body, TRANSACTION_FIELDS);
+        this.validateAmount(changes);
+        this.validateMemo(changes);
+
+        ['otp_code', 'otp_verified'].forEach(field => {
+            if (field in changes) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                    'OTP verification must go through POST /transaction/{id}/otp/verify.', { param: field });
+            }
+        });
+        if ('sender_user_id' in changes && changes.sender_user_id !== transaction.sender_user_id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', "The sender of a transaction can't be changed.", {
+                param: 'sender_user_id'
+            });
+        }
+
+        const edited = TRANSACTION_DRAFT_FIELDS.filter(field => field in changes && changes[field] !== transaction[field]);
+        if (edited.length > 0) {
+            if (transaction.status !== 'draft') {
+                throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT',
+                    'Only draft transactions can be changed. Cancel this one and start again.', { param: edited[0] });
+            }
+            const draft = { ...transaction, ...changes };
+            draft.wallet_id = this.resolveSourceWallet(user, draft);
+            this.validateReceiver(draft);
+            this.assertSufficientFunds(draft);
+            changes.wallet_id = draft.wallet_id;
+        }
+
+        const nextStatus = status === undefined ? transaction.status : TransactionStatus.normalize(status);
+        if (nextStatus !== transaction.status) {
+            if (!CLIENT_TRANSACTION_STATUSES.includes(nextStatus)) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                    `status can only be set to ${CLIENT_TRANSACTION_STATUSES.join(', ')}; the other statuses follow from OTP verification.`,
+                    { param: 'status' });
+            }
+            this.assertTransition(transaction, nextStatus);
+        }
+
+        Object.assign(transaction, changes);
+        if (nextStatus !== transaction.status) {
+            this.transition(transaction, nextStatus);
+            this.state.otp_challenges = this.state.otp_challenges.filter(c => c.transaction_id !== transaction.id);
+        }
+        return transaction;
+    }
+
+    handleDeleteTransaction(request) {
+        const { transaction } = this.findOwnTransaction(request);
+        this.assertNotTransfer(transaction);
+
+        if (TransactionStatus.isBooked(transaction.status)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT',
+                `${TransactionStatus.label(transaction.status)} transactions can't be deleted.`);
+        }
+        this.state.otp_challenges = this.state.otp_challenges.filter(c => c.transaction_id !== transaction.id);
+        this.state.reconciliations = this.state.reconciliations.filter(r => r.transaction_id !== transaction.id);
+        return this.removeRecord('transactions', transaction.id, 'Transaction');
+    }
+
+    /**
+     * A transaction the current user sent; only the sender can change or delete one
+     */
+    findOwnTransaction(request) {
+        const user = this.requireUser(request);
+        const transaction = this.findTransaction(request);
+
+        if (transaction.sender_user_id !== user.id) {
+            throw new LocalBackendError(403, 'ERROR_CODE_ACCESS_DENIED', 'Only the sender can change this transaction.');
+        }
+        return { user, transaction };
+    }
+
+    /**
+     * @throws {LocalBackendError} 409 ERROR_CODE_INVALID_TRANSITION unless the state machine
+     *         (js/transaction-status.js) allows the move
+     */
+    assertTransition(transaction, status) {
+        if (!TransactionStatus.canTransition(transaction.status, status)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_INVALID_TRANSITION',
+                `A ${TransactionStatus.label(transaction.status).toLowerCase()} transaction can't be moved to ${TransactionStatus.label(status).toLowerCase()}.`,
+                { param: 'status', status: transaction.status, allowed: TransactionStatus.nextStatuses(transaction.status) });
+        }
+    }
+
+    /**
+     * Change a transaction's status. Every status change goes through here.
+     * @param {Object} transaction - Stored transaction
+     * @param {string} status - New status
+     * @param {Object} [fields] - Other fields to set with it
+     */
+    transition(transaction, status, fields = {}) {
+        this.assertTransition(transaction, status);
+        Object.assign(transaction, fields, { status, status_updated_at: Date.now() });
+        if (WEBHOOK_STATUS_EVENTS[status]) {
+            this.webhookDelivery.enqueue(WEBHOOK_STATUS_EVENTS[status], transaction);
+        }
+    }
+
+    /**
+     * The sender's wallet must hold the amount when a payment is created or changed
+     */
+    assertSufficientFunds(transaction) {
+        const wallet = this.state.wallets.find(w => w.id === transaction.wallet_id);
+        if (!wallet) {
+            throw new LocalBackendError(409, 'ERROR_CODE_INSUFFICIENT_FUNDS',
+                `You don't have a ${transaction.currency} wallet to pay from.`, { param: 'currency' });
+        }
+        if (wallet.balance < transaction.amount) {
+            throw new LocalBackendError(409, 'ERROR_CODE_INSUFFICIENT_FUNDS',
+                `${wallet.name} doesn't have enough money for this payment.`, { param: 'amount', balance: wallet.balance });
+        }
+    }
+
+    /**
+     * Payments go to an existing account other than the sender's. Clients resolve emails and
+     * phone numbers to user ids with GET /user/lookup first.
+     */
+    validateReceiver(transaction) {
+        if (!this.state.users.some(u => u.id === transaction.receiver_user_id)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Unknown recipient.', { param: 'receiver_user_id' });
+        }
+        if (transaction.receiver_user_id === transaction.sender_user_id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', "You can't send money to yourself.", {
+                param: 'receiver_user_id'
+            });
+        }
+    }
+
+    /**
+     * Transfer legs are booked together and can't be edited or deleted one at a time
+     */
+    assertNotTransfer(transaction) {
+        if (transaction.transfer_id) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'Transfers between wallets cannot be changed.');
+        }
+    }
+
+    // ==================== OTP ENDPOINTS ====================
+
+    /**
+     * Find a transaction the current user can verify: they must be the sender
+     * and the transaction must still be waiting for its OTP
+     */
+    findVerifiableTransaction(request) {
+        const user = this.requireUser(request);
+        const transaction = this.findTransaction(request);
+
+        if (transaction.sender_user_id !== user.id) {
+            throw new LocalBackendError(403, 'ERROR_CODE_ACCESS_DENIED', 'Only the sender can verify this transaction.');
+        }
+        if (!['draft', 'pending_otp'].includes(transaction.status) || transaction.otp_verified) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'This transaction is not awaiting verification.');
+        }
+        if (transaction.payment_request_id) {
+            this.findPayableRequest(transaction);
+        }
+
+        return { user, transaction };
+    }
+
+    generateOTPCode() {
+        const range = 10 ** OTP_SETTINGS.digits;
+        const limit = Math.floor(0x100000000 / range) * range; // reject values that would bias the modulo
+        const buffer = new Uint32Array(1);
+
+        do {
+            crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+
+        return String(buffer[0] % range).padStart(OTP_SETTINGS.digits, '0');
+    }
+
+    maskEmail(email) {
+        const [local, domain] = email.split('@');
+        return `${local.slice(0, 1)}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+    }
+
+    describeChallenge(challenge, destination) {
+        return {
+            challenge_id: challenge.id,
+            expires_at: challenge.expires_at,
+            resend_available_at: challenge.sent_at + OTP_SETTINGS.resendCooldown,
+            attempts_remaining: OTP_SETTINGS.maxAttempts - challenge.attempts,
+            delivery: { channel: 'email', destination: this.maskEmail(destination) }
+        };
+    }
+
+    /**
+     * Issue an OTP for a pending transaction and deliver it out-of-band.
+     * An unexpired code is reused unless body.resend is set; resends are throttled.
+     */
+    async handleIssueOTP(request) {
+        const { user, transaction } = this.findVerifiableTransaction(request);
+        const now = Date.now();
+        const existing = this.state.otp_challenges.find(c => c.transaction_id === transaction.id);
+
+        if (existing && !request.body.resend && existing.expires_at > now && existing.attempts < OTP_SETTINGS.maxAttempts) {
+            return this.describeChallenge(existing, user.email);
+        }
+
+        if (existing) {
+            const waitMs = existing.sent_at + OTP_SETTINGS.resendCooldown - now;
+            if (waitMs > 0) {
+                throw new LocalBackendError(429, 'ERROR_CODE_TOO_MANY_REQUESTS',
+                    'Please wait before requesting another code.',
+                    { retry_after: Math.ceil(waitMs / 1000) },
+                    { 'Retry-After': String(Math.ceil(waitMs / 1000)) });
+            }
+            if (existing.sends >= OTP_SETTINGS.maxSends) {
+                throw new LocalBackendError(403, 'ERROR_CODE_OTP_LOCKED',
+                    'Too many codes requested for this transaction. Please cancel it and start again.');
+            }
+        }
+
+        const code = this.generateOTPCode();
+        const challenge = {
+            id: crypto.randomUUID(),
+            transaction_id: transaction.id,
+            code_hash: null,
+            attempts: 0,
+            sends: existing ? existing.sends + 1 : 1,
+            sent_at: now,
+            expires_at: now + OTP_SETTINGS.lifetime
+        };
+        challenge.code_hash = await this.sha256(`${challenge.id}:${code}`);
+
+        this.state.otp_challenges = this.state.otp_challenges
+            .filter(c => c.transaction_id !== transaction.id)
+            .concat(challenge);
+        if (transaction.status === 'draft') {
+            this.transition(transaction, 'pending_otp');
+        }
+
+        this.outbox.deliver({
+            channel: 'email',
+            to: user.email,
+            subject: 'Your Quantum Pay verification code',
+            body: `Your code to confirm the payment of ${Money.of(transaction.amount, transaction.currency).format()} is ${code}. It expires in ${OTP_SETTINGS.lifetime / 60000} minutes.`,
+            code
+        });
+
+        return this.describeChallenge(challenge, user.email);
+    }
+
+    /**
+     * Check a code against the stored hash and complete the transaction on success
+     */
+    async handleVerifyOTP(request) {
+        const { transaction } = this.findVerifiableTransaction(request);
+        this.requireFields(request.body, ['code']);
+
+        const challenge = this.state.otp_challenges.find(c => c.transaction_id === transaction.id);
+        if (!challenge) {
+            throw new LocalBackendError(400, 'ERROR_CODE_OTP_MISSING', 'No code has been sent for this transaction.', {
+                param: 'code'
+            });
+        }
+        if (challenge.attempts >= OTP_SETTINGS.maxAttempts) {
+            throw new LocalBackendError(403, 'ERROR_CODE_OTP_LOCKED', 'Too many incorrect attempts. Please request a new code.');
+        }
+        if (challenge.expires_at <= Date.now()) {
+            throw new LocalBackendError(400, 'ERROR_CODE_OTP_EXPIRED', 'This code has expired. Please request a new code.', {
+                param: 'code'
+            });
+        }
+
+        const codeHash = await this.sha256(`${challenge.id}:${String(request.body.code).trim()}`);
+        if (!this.timingSafeEqual(codeHash, challenge.code_hash)) {
+            challenge.attempts += 1;
+            const attemptsRemaining = OTP_SETTINGS.maxAttempts - challenge.attempts;
+            throw new LocalBackendError(400, 'ERROR_CODE_OTP_INVALID', 'Incorrect code.', {
+                param: 'code',
+                attempts_remaining: attemptsRemaining
+            });
+        }
+
+        this.state.otp_challenges = this.state.otp_challenges.filter(c => c !== challenge);
+        this.transition(transaction, 'processing', { otp_verified: true });
+        this.processTransaction(transaction);
+
+        return transaction;
+    }
+
+    /**
+     * Settle a verified transaction. The balance is checked again since it may have changed
+     * after the transaction was created; a payment the wallet can no longer cover fails.
+     */
+    processTransaction(transaction) {
+        const source = this.state.wallets.find(w => w.id === transaction.wallet_id);
+        if (!source || source.archived || source.balance < transaction.amount) {
+            this.transition(transaction, 'failed', { failure_reason: 'insufficient_funds' });
+            return;
+        }
+
+        this.settleTransaction(transaction);
+        this.transition(transaction, 'completed');
+
+        if (transaction.payment_request_id) {
+            Object.assign(this.findPayableRequest(transaction), {
+                status: 'paid',
+                paid_at: Date.now(),
+                transaction_id: transaction.id,
+                payer_user_id: transaction.sender_user_id
+            });
+        }
+    }
+
+    // ==================== WALLET ENDPOINTS ====================
+
+    /**
+     * Store a new wallet for a user
+     * @param {Object} user - Owner
+     * @param {Object} fields - { name, currency, type, balance }
+     * @returns {Object} Wallet record
+     */
+    addWallet(user, { name, currency, type = 'main', balance = 0 }) {
+        const wallet = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            user_id: user.id,
+            name,
+            currency,
+            type,
+            balance,
+            archived: false
+        };
+        this.state.wallets.push(wallet);
+        return wallet;
+    }
+
+    userWallets(user) {
+        return this.state.wallets.filter(w => w.user_id === user.id);
+    }
+
+    /**
+     * Active wallet to book an amount in a currency to, creating one if the user has none
+     */
+    findOrCreateWallet(user, currency) {
+        return this.userWallets(user).find(w => !w.archived && w.currency === currency)
+            || this.addWallet(user, { name: `${currency} Wallet`, currency, type: 'main' });
+    }
+
+    findWallet(request) {
+        const user = this.requireUser(request);
+        const wallet = this.findRecord('wallets', request.params.wallet_id, 'Wallet');
+        if (wallet.user_id !== user.id) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Wallet not found.');
+        }
+        return wallet;
+    }
+
+    validateWallet(body) {
+        if ('name' in body && !String(body.name || '').trim()) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Missing param: name', { param: 'name' });
+        }
+        if ('type' in body && !WALLET_TYPES.includes(body.type)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `type must be one of: ${WALLET_TYPES.join(', ')}.`, { param: 'type' });
+        }
+        this.validateAmount(this.pick(body, ['currency']));
+    }
+
+    /**
+     * The wallet a transaction is paid from: the one given, which must be the sender's, active and
+     * in the transaction currency, or else the sender's first wallet in that currency
+     * @returns {string|null} Wallet id, null when the sender isn't the current user or has no such wallet
+     */
+    resolveSourceWallet(user, transaction) {
+        if (!transaction.wallet_id) {
+            if (transaction.sender_user_id !== user.id) return null;
+            const wallet = this.userWallets(user).find(w => !w.archived && w.currency === transaction.currency);
+            return wallet ? wallet.id : null;
+        }
+
+        const wallet = this.state.wallets.find(w => w.id === transaction.wallet_id && w.user_id === user.id);
+        if (!wallet || transaction.sender_user_id !== user.id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Unknown wallet.', { param: 'wallet_id' });
+        }
+        if (wallet.archived) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'This wallet is archived.', { param: 'wallet_id' });
+        }
+        if (wallet.currency !== transaction.currency) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `This wallet holds ${wallet.currency}; the transaction is in ${transaction.currency}.`, { param: 'currency' });
+        }
+        return wallet.id;
+    }
+
+    /**
+     * Move a completed transaction's amount out of the source wallet and into the receiver's
+     */
+    settleTransaction(transaction) {
+        const source = this.state.wallets.find(w => w.id === transaction.wallet_id);
+        if (source) {
+            source.balance -= transaction.amount;
+        }
+
+        const receiver = this.state.users.find(u => u.id === transaction.receiver_user_id);
+        if (receiver) {
+            const target = this.findOrCreateWallet(receiver, transaction.currency);
+            target.balance += transaction.amount;
+            transaction.receiver_wallet_id = target.id;
+        }
+    }
+
+    handleListWallets(request) {
+        const user = this.requireUser(request);
+
+        // Accounts created before wallets existed get their main wallet on first use
+        if (this.userWallets(user).length === 0) {
+            this.addWallet(user, { name: 'Main Account', currency: 'USD', type: 'main' });
+        }
+
+        return this.userWallets(user);
+    }
+
+    handleCreateWallet(request) {
+        const user = this.requireUser(request);
+        this.requireFields(request.body, ['name', 'currency']);
+        this.validateWallet(request.body);
+
+        const { name, currency, type } = request.body;
+        return this.addWallet(user, { name: String(name).trim(), currency, type });
+    }
+
+    handleGetWallet(request) {
+        return this.findWallet(request);
+    }
+
+    handleUpdateWallet(request) {
+        const wallet = this.findWallet(request);
+        const changes = this.pick(request.body, WALLET_FIELDS);
+
+        if ('balance' in request.body) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                'Wallet balances only change through transactions.', { param: 'balance' });
+        }
+        if ('currency' in changes && changes.currency !== wallet.currency) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                'The currency of a wallet cannot be changed.', { param: 'currency' });
+        }
+        this.validateWallet(changes);
+
+        if (changes.archived === true && !wallet.archived && wallet.balance !== 0) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT',
+                'Move the balance out of this wallet before archiving it.');
+        }
+        if ('name' in changes) {
+            changes.name = String(changes.name).trim();
+        }
+        if ('archived' in changes) {
+            changes.archived = changes.archived === true;
+        }
+
+        Object.assign(wallet, changes);
+        return wallet;
+    }
+
+    // ==================== REFUND ENDPOINTS ====================
+
+    /**
+     * Give back all or part of a completed payment. Only its receiver can, from the wallet that was
+     * credited. A linked refund transaction records the money going back; the payment is
+     * refunded once its whole amount has been returned.
+     */
+    handleRefundTransaction(request) {
+        const user = this.requireUser(request);
+        const transaction = this.findTransaction(request);
+        const { body } = request;
+
+        if (transaction.type === 'transfer' || transaction.type === 'refund') {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'Only payments can be refunded.');
+        }
+        if (transaction.receiver_user_id !== user.id) {
+            throw new LocalBackendError(403, 'ERROR_CODE_ACCESS_DENIED', 'Only the receiver of a payment can refund it.');
+        }
+        this.assertTransition(transaction, 'refunded');
+
+        const refunded = transaction.refunded_amount || 0;
+        const remaining = transaction.amount - refunded;
+        const amount = body.amount === undefined || body.amount === null ? remaining : body.amount;
+        this.validateAmount({ amount });
+        if (amount > remaining) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `At most ${Money.of(remaining, transaction.currency).format()} can still be refunded.`, { param: 'amount' });
+        }
+
+        const reason = String(body.reason || '').trim();
+        if (!reason) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Missing param: reason', { param: 'reason' });
+        }
+        if (reason.length > REFUND_SETTINGS.maxReasonLength) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `The reason can be at most ${REFUND_SETTINGS.maxReasonLength} characters.`, { param: 'reason' });
+        }
+
+        const source = this.state.wallets.find(w => w.id === transaction.receiver_wallet_id && !w.archived)
+            || this.userWallets(user).find(w => !w.archived && w.currency === transaction.currency);
+        if (!source || source.balance < amount) {
+            throw new LocalBackendError(409, 'ERROR_CODE_INSUFFICIENT_FUNDS',
+                `${source ? source.name : `Your ${transaction.currency} wallet`} doesn't have enough money for this refund.`,
+                { param: 'amount' });
+        }
+
+        const payer = this.state.users.find(u => u.id === transaction.sender_user_id);
+        if (!payer) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'The payer no longer has an account.');
+        }
+        const target = this.state.wallets.find(w => w.id === transaction.wallet_id && !w.archived)
+            || this.findOrCreateWallet(payer, transaction.currency);
+
+        const now = Date.now();
+        const refund = {
+            id: crypto.randomUUID(),
+            created_at: now,
+            transaction_date: now,
+            type: 'refund',
+            original_transaction_id: transaction.id,
+            amount,
+            currency: transaction.currency,
+            status: 'completed',
+            status_updated_at: now,
+            sender_user_id: user.id,
+            receiver_user_id: payer.id,
+            wallet_id: source.id,
+            receiver_wallet_id: target.id,
+            reason,
+            otp_code: '',
+            otp_verified: false
+        };
+
+        source.balance -= amount;
+        target.balance += amount;
+        this.state.transactions.push(refund);
+
+        transaction.refunded_amount = refunded + amount;
+        if (transaction.refunded_amount === transaction.amount) {
+            this.transition(transaction, 'refunded');
+        }
+        this.webhookDelivery.enqueue('transaction.refunded', transaction, { refund });
+
+        return { refund, transaction };
+    }
+
+    // ==================== RECONCILIATION ENDPOINTS ====================
+
+    // Marks belong to one user: both parties of a payment reconcile it against their own bank
+
+    findReconciliation(request) {
+        const user = this.requireUser(request);
+        const reconciliation = this.findRecord('reconciliations', request.params.reconciliation_id, 'Reconciliation');
+        if (reconciliation.owner_user_id !== user.id) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Reconciliation not found.');
+        }
+        return reconciliation;
+    }
+
+    /**
+     * The user's marks; ?transaction_id=a,b only those of some transactions
+     */
+    handleListReconciliations(request) {
+        const user = this.requireUser(request);
+        const ids = request.query.transaction_id ? request.query.transaction_id.split(',') : null;
+        return this.state.reconciliations
+            .filter(r => r.owner_user_id === user.id && (!ids || ids.includes(r.transaction_id)));
+    }
+
+    /**
+     * Mark transactions as matched to statement lines ({ items: [...] }), all or none.
+     * Marking a transaction again with the same statement_reference returns the existing mark.
+     */
+    handleCreateReconciliations(request) {
+        const user = this.requireUser(request);
+        const items = request.body.items;
+        if (!Array.isArray(items) || items.length === 0 || items.length > RECONCILIATION_SETTINGS.maxItems) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `items must list 1 to ${RECONCILIATION_SETTINGS.maxItems} reconciliations.`, { param: 'items' });
+        }
+
+        const now = Date.now();
+        const seen = new Set();
+        const results = items.map((item, index) => {
+            const fields = this.pick(item || {}, RECONCILIATION_FIELDS);
+            const invalid = (param, message) => new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', message, { param, index });
+
+            this.requireFields(fields, ['transaction_id', 'statement_reference']);
+            const transaction = this.state.transactions.find(t => t.id === fields.transaction_id);
+            if (!transaction || !this.isParticipant(transaction, user)) {
+                throw invalid('transaction_id', 'Transaction not found.');
+            }
+            if (seen.has(fields.transaction_id)) {
+                throw invalid('transaction_id', 'A transaction can only be matched to one statement line.');
+            }
+            seen.add(fields.transaction_id);
+
+            ['statement_reference', 'statement_description', 'source'].forEach(key => {
+                if (key in fields) fields[key] = String(fields[key] || '').trim().slice(0, RECONCILIATION_SETTINGS.maxTextLength);
+            });
+            if ('statement_date' in fields && !Number.isSafeInteger(fields.statement_date)) {
+                throw invalid('statement_date', 'statement_date must be a timestamp in milliseconds.');
+            }
+            if ('statement_amount' in fields && !Number.isSafeInteger(fields.statement_amount)) {
+                throw invalid('statement_amount', 'statement_amount must be a whole number of minor units.');
+            }
+
+            const existing = this.state.reconciliations
+                .find(r => r.owner_user_id === user.id && r.transaction_id === transaction.id);
+            if (existing && existing.statement_reference !== fields.statement_reference) {
+                throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT',
+                    'This transaction is already reconciled with another statement line.', { param: 'transaction_id', index });
+            }
+            return existing || {
+                id: crypto.randomUUID(),
+                owner_user_id: user.id,
+                reconciled_at: now,
+                statement_date: null,
+                statement_amount: null,
+                statement_currency: transaction.currency,
+                statement_description: '',
+                source: '',
+                ...fields
+            };
+        });
+
+        results.forEach(r => {
+            if (!this.state.reconciliations.includes(r)) this.state.reconciliations.push(r);
+        });
+        return { items: results };
+    }
+
+    handleDeleteReconciliation(request) {
+        return this.removeRecord('reconciliations', this.findReconciliation(request).id, 'Reconciliation');
+    }
+
+    // ==================== TRANSFER ENDPOINTS ====================
+
+    /**
+     * Validate a transfer between two of the user's wallets and work out what the target receives
+     * @returns {Object} { from, to, debit: Money, credit: Money, rate, rateAsOf }
+     */
+    async priceTransfer(user, params) {
+        this.requireFields(params, ['from_wallet_id', 'to_wallet_id', 'amount']);
+        const amount = Number(params.amount);
+        this.validateAmount({ amount });
+
+        const findOwn = (id, param) => {
+            const wallet = this.userWallets(user).find(w => w.id === id);
+            if (!wallet) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Unknown wallet.', { param });
+            }
+            if (wallet.archived) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'This wallet is archived.', { param });
+            }
+            return wallet;
+        };
+        const from = findOwn(params.from_wallet_id, 'from_wallet_id');
+        const to = findOwn(params.to_wallet_id, 'to_wallet_id');
+        if (from.id === to.id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Choose two different wallets.', { param: 'to_wallet_id' });
+        }
+
+        const debit = Money.of(amount, from.currency);
+        if (from.currency === to.currency) {
+            return { from, to, debit, credit: debit, rate: 1, rateAsOf: null };
+        }
+
+        if (typeof StaticRateProvider === 'undefined') {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                'Transfers between currencies need js/exchange-rates.js.', { param: 'to_wallet_id' });
+        }
+        let snapshot;
+        try {
+            snapshot = await new StaticRateProvider().fetchRates(from.currency);
+        } catch (error) {
+            snapshot = null;
+        }
+        const credit = snapshot && ExchangeRateService.convert(debit, to.currency, snapshot);
+        if (!credit) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `No exchange rate from ${from.currency} to ${to.currency}.`, { param: 'to_wallet_id' });
+        }
+        if (!credit.isPositive()) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'This amount is too small to convert.', { param: 'amount' });
+        }
+
+        return { from, to, debit, credit, rate: snapshot.rates[to.currency], rateAsOf: snapshot.asOf };
+    }
+
+    describeTransfer({ from, to, debit, credit, rate, rateAsOf }) {
+        return {
+            from_wallet_id: from.id,
+            to_wallet_id: to.id,
+            from_amount: debit.amount,
+            from_currency: debit.currency,
+            to_amount: credit.amount,
+            to_currency: credit.currency,
+            rate,
+            rate_as_of: rateAsOf
+        };
+    }
+
+    async handleQuoteTransfer(request) {
+        const user = this.requireUser(request);
+        return this.describeTransfer(await this.priceTransfer(user, request.query));
+    }
+
+    /**
+     * Move money between two of the user's wallets. Both balances and both ledger entries
+     * (a debit and a credit sharing a transfer_id) are written together or not at all.
+     */
+    async handleCreateTransfer(request) {
+        const user = this.requireUser(request);
+        const priced = await this.priceTransfer(user, request.body);
+        const { from, to, debit, credit } = priced;
+
+        if (from.balance < debit.amount) {
+            throw new LocalBackendError(409, 'ERROR_CODE_INSUFFICIENT_FUNDS',
+                `${from.name} doesn't have enough money for this transfer.`, { param: 'amount' });
+        }
+
+        const transferId = crypto.randomUUID();
+        const now = Date.now();
+        const leg = (money, direction) => ({
+            id: crypto.randomUUID(),
+            created_at: now,
+            transaction_date: now,
+            amount: money.amount,
+            currency: money.currency,
+            status: 'completed',
+            otp_code: '',
+            otp_verified: false,
+            sender_user_id: user.id,
+            receiver_user_id: user.id,
+            wallet_id: from.id,
+            receiver_wallet_id: to.id,
+            type: 'transfer',
+            transfer_id: transferId,
+            transfer_leg: direction,
+            exchange_rate: priced.rate
+        });
+        const debitEntry = leg(debit, 'debit');
+        const creditEntry = leg(credit, 'credit');
+
+        from.balance -= debit.amount;
+        to.balance += credit.amount;
+        this.state.transactions.push(debitEntry, creditEntry);
+
+        return {
+            transfer_id: transferId,
+            ...this.describeTransfer(priced),
+            debit: debitEntry,
+            credit: creditEntry
+        };
+    }
+
+    // ==================== PAYMENT REQUEST ENDPOINTS ====================
+
+    /**
+     * Open requests past their expiry become expired when they are next read
+     */
+    refreshRequestStatus(paymentRequest) {
+        if (paymentRequest.status === 'open' && paymentRequest.expires_at <= Date.now()) {
+            paymentRequest.status = 'expired';
+        }
+        return paymentRequest;
+    }
+
+    isRequestPayer(paymentRequest, user) {
+        return paymentRequest.payer_user_id === user.id || paymentRequest.payer_email === user.email.toLowerCase();
+    }
+
+    /**
+     * The request as the current user sees it: with the requester's name and email, and with
+     * the share token only when they are the requester
+     */
+    describePaymentRequest(paymentRequest, user) {
+        this.refreshRequestStatus(paymentRequest);
+        const { share_token, ...fields } = paymentRequest;
+        const requester = this.state.users.find(u => u.id === paymentRequest.requester_user_id);
+
+        return {
+            ...fields,
+            ...(paymentRequest.requester_user_id === user.id ? { share_token } : {}),
+            requester: requester ? { id: requester.id, name: requester.name, email: requester.email } : null
+        };
+    }
+
+    findPaymentRequest(request) {
+        const user = this.requireUser(request);
+        const paymentRequest = this.findRecord('payment_requests', request.params.payment_request_id, 'Payment request');
+        if (paymentRequest.requester_user_id !== user.id && !this.isRequestPayer(paymentRequest, user)) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Payment request not found.');
+        }
+        return { user, paymentRequest };
+    }
+
+    /**
+     * The open request a transaction pays; the transaction must match its amount and currency
+     * @returns {Object} Payment request record
+     */
+    findPayableRequest(transaction) {
+        const paymentRequest = this.state.payment_requests.find(r => r.id === transaction.payment_request_id);
+        if (!paymentRequest) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Unknown payment request.', {
+                param: 'payment_request_id'
+            });
+        }
+
+        this.refreshRequestStatus(paymentRequest);
+        if (paymentRequest.status !== 'open') {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', `This payment request is ${paymentRequest.status}.`);
+        }
+        if (paymentRequest.requester_user_id === transaction.sender_user_id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', "You can't pay your own request.", {
+                param: 'payment_request_id'
+            });
+        }
+        if (paymentRequest.amount !== transaction.amount || paymentRequest.currency !== transaction.currency) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `This request is for ${Money.of(paymentRequest.amount, paymentRequest.currency).format()}.`, { param: 'amount' });
+        }
+        return paymentRequest;
+    }
+
+    /**
+     * Who a new request is addressed to: a user id, or an email that may not have an account yet
+     */
+    resolvePayer(body, user) {
+        let payer = null;
+        let email = null;
+
+        if (body.payer_user_id) {
+            payer = this.state.users.find(u => u.id === body.payer_user_id);
+            if (!payer) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Unknown user.', { param: 'payer_user_id' });
+            }
+        } else {
+            email = String(body.payer_email || '').trim().toLowerCase();
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Enter a valid email address.', { param: 'payer_email' });
+            }
+            payer = this.state.users.find(u => u.email.toLowerCase() === email) || null;
+        }
+
+        if (payer && payer.id === user.id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', "You can't request money from yourself.", {
+                param: body.payer_user_id ? 'payer_user_id' : 'payer_email'
+            });
+        }
+        return { payer_user_id: payer ? payer.id : null, payer_email: payer ? payer.email.toLowerCase() : email };
+    }
+
+    handleListPaymentRequests(request) {
+        const user = this.requireUser(request);
+        return this.state.payment_requests
+            .filter(r => r.requester_user_id === user.id || this.isRequestPayer(r, user))
+            .map(r => this.describePaymentRequest(r, user));
+    }
+
+    /**
+     * Create a request and send it to the payer. Anyone holding its share link can open and pay it.
+     */
+    handleCreatePaymentRequest(request) {
+        const user = this.requireUser(request);
+        const { body } = request;
+        this.requireFields(body, ['amount', 'currency']);
+        this.validateAmount(body);
+
+        const memo = String(body.memo || '').trim();
+        if (memo.length > PAYMENT_REQUEST_SETTINGS.maxMemoLength) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `The note can be at most ${PAYMENT_REQUEST_SETTINGS.maxMemoLength} characters.`, { param: 'memo' });
+        }
+
+        const now = Date.now();
+        const expiresAt = body.expires_at === undefined || body.expires_at === null
+            ? now + PAYMENT_REQUEST_SETTINGS.defaultLifetime
+            : Number(body.expires_at);
+        if (!(expiresAt > now && expiresAt <= now + PAYMENT_REQUEST_SETTINGS.maxLifetime)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `expires_at must be in the next ${PAYMENT_REQUEST_SETTINGS.maxLifetime / 86400000} days.`, { param: 'expires_at' });
+        }
+
+        const paymentRequest = {
+            id: crypto.randomUUID(),
+            created_at: now,
+            requester_user_id: user.id,
+            ...this.resolvePayer(body, user),
+            amount: body.amount,
+            currency: body.currency,
+            memo,
+            status: 'open',
+            expires_at: expiresAt,
+            share_token: crypto.randomUUID().replace(/-/g, ''),
+            transaction_id: null,
+            paid_at: null,
+            declined_at: null
+        };
+        this.state.payment_requests.push(paymentRequest);
+
+        const amount = Money.of(paymentRequest.amount, paymentRequest.currency).format();
+        this.outbox.deliver({
+            channel: 'email',
+            to: paymentRequest.payer_email,
+            subject: `${user.name} requested ${amount}`,
+            body: `${user.name} requested ${amount}${memo ? ` for "${memo}"` : ''}. Open Requests in Quantum Pay to pay or decline it.`
+        });
+
+        return this.describePaymentRequest(paymentRequest, user);
+    }
+
+    handleGetPaymentRequest(request) {
+        const { user, paymentRequest } = this.findPaymentRequest(request);
+        return this.describePaymentRequest(paymentRequest, user);
+    }
+
+    handleGetPaymentRequestByLink(request) {
+        const user = this.requireUser(request);
+        const paymentRequest = this.state.payment_requests.find(r => r.share_token === request.params.share_token);
+        if (!paymentRequest) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Payment request not found.');
+        }
+        return this.describePaymentRequest(paymentRequest, user);
+    }
+
+    handleDeclinePaymentRequest(request) {
+        const { user, paymentRequest } = this.findPaymentRequest(request);
+        if (!this.isRequestPayer(paymentRequest, user)) {
+            throw new LocalBackendError(403, 'ERROR_CODE_ACCESS_DENIED', 'Only the person asked to pay can decline this request.');
+        }
+
+        this.refreshRequestStatus(paymentRequest);
+        if (paymentRequest.status !== 'open') {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', `This payment request is ${paymentRequest.status}.`);
+        }
+
+        Object.assign(paymentRequest, { status: 'declined', declined_at: Date.now(), payer_user_id: user.id });
+        return this.describePaymentRequest(paymentRequest, user);
+    }
+
+    // ==================== SCHEDULE ENDPOINTS ====================
+
+    /**
+     * Stands in for the server's scheduler job: before each request, every active schedule
+     * that has come due gets its payment. Payments missed while nobody made requests are
+     * caught up one by one, each as its own draft. A schedule that can't run, e.g. because its
+     * sender was deleted, is paused and logged; the others still run.
+     * @param {number} [now] - Current time
+     */
+    runDueSchedules(now = Date.now()) {
+        let runs = 0;
+        this.state.schedules.forEach(schedule => {
+            while (schedule.status === 'active' && schedule.next_run_at !== null && schedule.next_run_at <= now
+                && runs < SCHEDULE_SETTINGS.maxRunsPerPass) {
+                runs += 1;
+                try {
+                    this.runSchedule(schedule);
+                } catch (error) {
+                    console.error(`Scheduled payment ${schedule.id} failed, pausing it:`, error);
+                    schedule.status = 'paused';
+                }
+            }
+        });
+    }
+
+    /**
+     * Create the payment due for a schedule. It is a draft like any other: the sender confirms it
+     * with an OTP, and it fails then if the wallet can't cover it.
+     */
+    runSchedule(schedule) {
+        const user = this.state.users.find(u => u.id === schedule.user_id);
+        if (!user) {
+            throw new Error('The sender of this schedule no longer exists.');
+        }
+        const wallet = this.state.wallets.find(w => w.id === schedule.wallet_id && !w.archived)
+            || this.userWallets(user).find(w => !w.archived && w.currency === schedule.currency);
+        const now = Date.now();
+
+        const transaction = {
+            id: crypto.randomUUID(),
+            created_at: now,
+            transaction_date: schedule.next_run_at,
+            amount: schedule.amount,
+            currency: schedule.currency,
+            status: 'draft',
+            status_updated_at: now,
+            sender_user_id: user.id,
+            receiver_user_id: schedule.receiver_user_id,
+            wallet_id: wallet ? wallet.id : null,
+            memo: schedule.memo,
+            schedule_id: schedule.id,
+            otp_code: '',
+            otp_verified: false
+        };
+        this.state.transactions.push(transaction);
+        this.webhookDelivery.enqueue('transaction.created', transaction);
+
+        schedule.occurrence_count += 1;
+        schedule.last_run_at = schedule.next_run_at;
+        schedule.last_transaction_id = transaction.id;
+        this.planNextRun(schedule, schedule.last_run_at);
+
+        const receiver = this.state.users.find(u => u.id === schedule.receiver_user_id);
+        this.outbox.deliver({
+            channel: 'email',
+            to: user.email,
+            subject: 'A scheduled payment is ready to confirm',
+            body: `Your scheduled payment of ${Money.of(schedule.amount, schedule.currency).format()} to ${receiver ? receiver.name : 'your recipient'} is due. Open Quantum Pay to confirm it with a code.`
+        });
+        return transaction;
+    }
+
+    /**
+     * Set when the schedule runs next, completing it when its end conditions are met
+     * @param {Object} schedule - Stored schedule
+     * @param {number} after - Only runs after this moment count
+     */
+    planNextRun(schedule, after) {
+        schedule.next_run_at = Recurrence.nextRun(schedule, after, schedule.occurrence_count);
+        if (schedule.next_run_at === null && schedule.status !== 'cancelled') {
+            schedule.status = 'completed';
+        }
+    }
+
+    findSchedule(request) {
+        const user = this.requireUser(request);
+        const schedule = this.findRecord('schedules', request.params.schedule_id, 'Schedule');
+        if (schedule.user_id !== user.id) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Schedule not found.');
+        }
+        return { user, schedule };
+    }
+
+    /**
+     * Check a new or changed schedule, normalizing its recurrence and choosing its wallet
+     * @param {Object} user - Sender
+     * @param {Object} schedule - Schedule with the changes applied
+     */
+    validateSchedule(user, schedule) {
+        this.validateAmount(schedule);
+
+        try {
+            schedule.recurrence = Recurrence.normalize(schedule.recurrence || {});
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', error.message, { param: 'recurrence' });
+        }
+
+        schedule.memo = String(schedule.memo || '').trim();
+        if (schedule.memo.length > SCHEDULE_SETTINGS.maxMemoLength) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `The note can be at most ${SCHEDULE_SETTINGS.maxMemoLength} characters.`, { param: 'memo' });
+        }
+
+        if (!Number.isSafeInteger(schedule.start_date)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'start_date must be a timestamp.', { param: 'start_date' });
+        }
+        if (schedule.end_date === undefined || schedule.end_date === '') {
+            schedule.end_date = null;
+        }
+        if (schedule.end_date !== null && !(Number.isSafeInteger(schedule.end_date) && schedule.end_date >= schedule.start_date)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'The end date must be after the start date.', {
+                param: 'end_date'
+            });
+        }
+        if (schedule.max_occurrences === undefined || schedule.max_occurrences === '') {
+            schedule.max_occurrences = null;
+        }
+        if (schedule.max_occurrences !== null && !(Number.isInteger(schedule.max_occurrences)
+            && schedule.max_occurrences >= 1 && schedule.max_occurrences <= SCHEDULE_SETTINGS.maxOccurrences)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `max_occurrences must be a whole number from 1 to ${SCHEDULE_SETTINGS.maxOccurrences}.`, { param: 'max_occurrences' });
+        }
+
+        const payment = { ...schedule, sender_user_id: user.id };
+        this.validateReceiver(payment);
+        schedule.wallet_id = this.resolveSourceWallet(user, payment);
+        if (!schedule.wallet_id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `You don't have a ${schedule.currency} wallet to pay from.`, { param: 'currency' });
+        }
+    }
+
+    handleListSchedules(request) {
+        const user = this.requireUser(request);
+        return this.state.schedules.filter(s => s.user_id === user.id);
+    }
+
+    /**
+     * Schedule a payment for later, or a series of them. Nothing is checked against the balance
+     * yet: each payment is created as a draft when it comes due.
+     */
+    handleCreateSchedule(request) {
+        const user = this.requireUser(request);
+        this.requireFields(request.body, ['amount', 'currency', 'receiver_user_id', 'start_date']);
+
+        const now = Date.now();
+        const schedule = {
+            id: crypto.randomUUID(),
+            created_at: now,
+            user_id: user.id,
+            ...this.pick(request.body, SCHEDULE_FIELDS),
+            status: 'active',
+            occurrence_count: 0,
+            next_run_at: null,
+            last_run_at: null,
+            last_transaction_id: null
+        };
+        this.validateSchedule(user, schedule);
+
+        if (schedule.start_date < now - SCHEDULE_SETTINGS.startGrace || schedule.start_date > now + SCHEDULE_SETTINGS.maxLead) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `The first payment must be in the next ${Math.floor(SCHEDULE_SETTINGS.maxLead / 86400000)} days.`, { param: 'start_date' });
+        }
+
+        this.planNextRun(schedule, schedule.start_date - 1);
+        if (schedule.next_run_at === null) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'This schedule would never make a payment.', {
+                param: schedule.recurrence.frequency === 'custom' ? 'recurrence' : 'end_date'
+            });
+        }
+
+        this.state.schedules.push(schedule);
+        // A schedule starting now makes its first payment straight away
+        this.runDueSchedules(now);
+        return schedule;
+    }
+
+    handleGetSchedule(request) {
+        return this.findSchedule(request).schedule;
+    }
+
+    /**
+     * Change, pause, resume or cancel a schedule. Payments already created are not affected.
+     * A resumed schedule doesn't make up the payments it skipped while paused.
+     */
+    handleUpdateSchedule(request) {
+        const { user, schedule } = this.findSchedule(request);
+        const { status, ...changes } = this.pick(request.body, SCHEDULE_FIELDS);
+
+        if (['completed', 'cancelled'].includes(schedule.status)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', `This schedule is ${schedule.status}.`);
+        }
+        ['receiver_user_id', 'currency'].forEach(field => {
+            if (field in changes && changes[field] !== schedule[field]) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                    `The ${field === 'currency' ? 'currency' : 'recipient'} of a schedule can't be changed. Cancel it and create a new one.`,
+                    { param: field });
+            }
+        });
+        if ('start_date' in changes && changes.start_date !== schedule.start_date && schedule.occurrence_count > 0) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT',
+                "The start date can't change once a payment has been made.", { param: 'start_date' });
+        }
+        if (status !== undefined && !CLIENT_SCHEDULE_STATUSES.includes(status)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `status can only be set to ${CLIENT_SCHEDULE_STATUSES.join(', ')}.`, { param: 'status' });
+        }
+
+        const updated = { ...schedule, ...changes };
+        this.validateSchedule(user, updated);
+
+        const now = Date.now();
+        if (status === 'cancelled') {
+            Object.assign(schedule, updated, { status, next_run_at: null, updated_at: now });
+            return schedule;
+        }
+
+        Object.assign(schedule, updated, { status: status || schedule.status, updated_at: now });
+        // Only payments from now on are planned again; runs already made stay counted
+        this.planNextRun(schedule, Math.max(now, schedule.last_run_at || 0, schedule.start_date - 1));
+        return schedule;
+    }
+
+    // ==================== USER DIRECTORY ENDPOINTS ====================
+
+    /**
+     * Public profiles for a comma-separated list of user ids; unknown ids are left out
+     */
+    handleListUsers(request) {
+        this.requireUser(request);
+        const ids = String(request.query.ids || '').split(',').filter(Boolean);
+        return this.state.users
+            .filter(u => ids.includes(u.id))
+            .map(u => this.directoryProfile(u));
+    }
+
+    /**
+     * Find the account with exactly this email or phone number
+     */
+    handleLookupUser(request) {
+        this.requireUser(request);
+        const { email, phone } = request.query;
+        let match = null;
+
+        if (email) {
+            match = this.state.users.find(u => u.email.toLowerCase() === String(email).trim().toLowerCase());
+        } else if (phone) {
+            const normalized = this.normalizePhone(phone);
+            if (!normalized) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Enter a valid phone number.', { param: 'phone' });
+            }
+            match = this.state.users.find(u => u.phone && this.phoneDigits(u.phone) === this.phoneDigits(normalized));
+        } else {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Missing param: email', { param: 'email' });
+        }
+
+        if (!match) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'No Quantum Pay user has this email or phone number.');
+        }
+        return this.directoryProfile(match);
+    }
+
+    // ==================== CONTACT ENDPOINTS ====================
+
+    describeContact(contact) {
+        const user = this.state.users.find(u => u.id === contact.contact_user_id);
+        return { ...contact, user: user ? this.directoryProfile(user) : null };
+    }
+
+    findContact(request) {
+        const user = this.requireUser(request);
+        const contact = this.findRecord('contacts', request.params.contact_id, 'Contact');
+        if (contact.owner_user_id !== user.id) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Contact not found.');
+        }
+        return contact;
+    }
+
+    validateContact(changes) {
+        if ('nickname' in changes) {
+            changes.nickname = String(changes.nickname || '').trim();
+            if (changes.nickname.length > 40) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                    'The nickname can be at most 40 characters.', { param: 'nickname' });
+            }
+        }
+        if ('favorite' in changes) {
+            changes.favorite = changes.favorite === true;
+        }
+        return changes;
+    }
+
+    handleListContacts(request) {
+        const user = this.requireUser(request);
+        return this.state.contacts
+            .filter(c => c.owner_user_id === user.id)
+            .map(c => this.describeContact(c));
+    }
+
+    /**
+     * Save a user as a contact, by user_id, email or phone
+     */
+    handleCreateContact(request) {
+        const user = this.requireUser(request);
+        const { body } = request;
+        let target;
+
+        if (body.user_id) {
+            target = this.state.users.find(u => u.id === body.user_id);
+            if (!target) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', 'Unknown user.', { param: 'user_id' });
+            }
+        } else {
+            target = this.handleLookupUser({ ...request, query: this.pick(body, ['email', 'phone']) });
+            target = this.state.users.find(u => u.id === target.id);
+        }
+
+        if (target.id === user.id) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR', "You can't add yourself as a contact.", { param: 'user_id' });
+        }
+        if (this.state.contacts.some(c => c.owner_user_id === user.id && c.contact_user_id === target.id)) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT', 'This person is already in your contacts.', { param: 'user_id' });
+        }
+
+        const contact = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            owner_user_id: user.id,
+            contact_user_id: target.id,
+            nickname: '',
+            favorite: false,
+            ...this.validateContact(this.pick(body, CONTACT_FIELDS))
+        };
+        this.state.contacts.push(contact);
+
+        return this.describeContact(contact);
+    }
+
+    handleUpdateContact(request) {
+        const contact = this.findContact(request);
+        Object.assign(contact, this.validateContact(this.pick(request.body, CONTACT_FIELDS)));
+        return this.describeContact(contact);
+    }
+
+    handleDeleteContact(request) {
+        return this.removeRecord('contacts', this.findContact(request).id, 'Contact');
+    }
+
+    /**
+     * The people the user paid most recently, newest first
+     */
+    handleListRecentRecipients(request) {
+        const user = this.requireUser(request);
+        const lastPaid = new Map();
+
+        this.state.transactions
+            .filter(t => t.sender_user_id === user.id && t.receiver_user_id !== user.id && t.type !== 'transfer')
+            .forEach(t => {
+                const date = t.transaction_date || t.created_at;
+                if (!lastPaid.has(t.receiver_user_id) || lastPaid.get(t.receiver_user_id) < date) {
+                    lastPaid.set(t.receiver_user_id, date);
+                }
+            });
+
+        return [...lastPaid.entries()]
+            .map(([id, date]) => ({ user: this.state.users.find(u => u.id === id), last_paid_at: date }))
+            .filter(entry => entry.user)
+            .sort((a, b) => b.last_paid_at - a.last_paid_at)
+            .slice(0, RECENT_RECIPIENT_LIMIT)
+            .map(({ user: recipient, last_paid_at }) => ({ user: this.directoryProfile(recipient), last_paid_at }));
+    }
+
+    // ==================== WEBHOOK ENDPOINTS ====================
+
+    // Endpoints belong to one user and get the events of transactions that user sends or receives
+
+    findWebhook(request) {
+        const user = this.requireUser(request);
+        const webhook = this.findRecord('webhooks', request.params.webhook_id, 'Webhook');
+        if (webhook.owner_user_id !== user.id) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Webhook not found.');
+        }
+        return this.expireWebhookSecret(webhook);
+    }
+
+    /**
+     * Forget the secret a rotation replaced once its overlap is over
+     * @param {Object} webhook - Stored endpoint, changed in place
+     * @returns {Object} The endpoint
+     */
+    expireWebhookSecret(webhook) {
+        if (webhook.previous_secret && webhook.previous_secret_expires_at <= Date.now()) {
+            delete webhook.previous_secret;
+            delete webhook.previous_secret_expires_at;
+        }
+        return webhook;
+    }
+
+    /**
+     * Check and tidy the fields of a new or changed endpoint
+     * @param {Object} changes - Picked WEBHOOK_FIELDS, changed in place
+     */
+    validateWebhook(changes) {
+        if ('url' in changes) {
+            changes.url = String(changes.url || '').trim();
+            let url = null;
+            try {
+                url = new URL(changes.url);
+            } catch (error) {
+                url = null;
+            }
+            // Plain http only to this machine; local:// goes to the local receiver
+            const allowed = url && (url.protocol === 'https:'
+                || (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname))
+                || (url.protocol === 'local:' && url.host === 'webhooks'));
+            if (!allowed || changes.url.length > WEBHOOK_SETTINGS.maxUrlLength) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                    'url must be an https:// address (http:// only for localhost).', { param: 'url' });
+            }
+        }
+        if ('events' in changes) {
+            const events = Array.isArray(changes.events) ? [...new Set(changes.events)] : [];
+            if (events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                    `events must list one or more of ${WEBHOOK_EVENTS.join(', ')}.`, { param: 'events' });
+            }
+            changes.events = events;
+        }
+        if ('description' in changes) {
+            changes.description = String(changes.description || '').trim();
+            if (changes.description.length > WEBHOOK_SETTINGS.maxDescriptionLength) {
+                throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                    `The description can be at most ${WEBHOOK_SETTINGS.maxDescriptionLength} characters.`, { param: 'description' });
+            }
+        }
+        if ('active' in changes) {
+            changes.active = !!changes.active;
+        }
+    }
+
+    handleListWebhooks(request) {
+        const user = this.requireUser(request);
+        return this.state.webhooks
+            .filter(w => w.owner_user_id === user.id)
+            .map(w => this.expireWebhookSecret(w));
+    }
+
+    handleCreateWebhook(request) {
+        const user = this.requireUser(request);
+        const fields = this.pick(request.body, WEBHOOK_FIELDS);
+        this.requireFields(fields, ['url', 'events']);
+        this.validateWebhook(fields);
+
+        if (this.state.webhooks.filter(w => w.owner_user_id === user.id).length >= WEBHOOK_SETTINGS.maxEndpoints) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT',
+                `You can have at most ${WEBHOOK_SETTINGS.maxEndpoints} webhook endpoints.`);
+        }
+
+        const webhook = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            owner_user_id: user.id,
+            description: '',
+            active: true,
+            ...fields,
+            secret: WebhookSignature.generateSecret()
+        };
+        this.state.webhooks.push(webhook);
+        return webhook;
+    }
+
+    handleGetWebhook(request) {
+        return this.findWebhook(request);
+    }
+
+    handleUpdateWebhook(request) {
+        const webhook = this.findWebhook(request);
+        const changes = this.pick(request.body, WEBHOOK_FIELDS);
+        this.validateWebhook(changes);
+        return Object.assign(webhook, changes);
+    }
+
+    /**
+     * Remove an endpoint; deliveries still queued for it are dropped, its logs are kept
+     */
+    handleDeleteWebhook(request) {
+        const webhook = this.findWebhook(request);
+        this.state.webhook_deliveries = this.state.webhook_deliveries.filter(d => d.webhook_id !== webhook.id);
+        return this.removeRecord('webhooks', webhook.id, 'Webhook');
+    }
+
+    /**
+     * Give an endpoint a new signing secret. Deliveries are signed with both secrets for
+     * overlap_hours (default 24), so receivers can switch without rejecting any; 0 drops the old
+     * secret at once, e.g. when it leaked. Rotating again during an overlap ends the earlier one.
+     */
+    handleRotateWebhookSecret(request) {
+        const webhook = this.findWebhook(request);
+        const { overlap_hours: overlap = WEBHOOK_SETTINGS.defaultSecretOverlap } = request.body || {};
+        if (typeof overlap !== 'number' || !(overlap >= 0 && overlap <= WEBHOOK_SETTINGS.maxSecretOverlap)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `overlap_hours must be between 0 and ${WEBHOOK_SETTINGS.maxSecretOverlap}.`, { param: 'overlap_hours' });
+        }
+
+        if (overlap > 0) {
+            webhook.previous_secret = webhook.secret;
+            webhook.previous_secret_expires_at = Date.now() + overlap * 60 * 60 * 1000;
+        } else {
+            delete webhook.previous_secret;
+            delete webhook.previous_secret_expires_at;
+        }
+        webhook.secret = WebhookSignature.generateSecret();
+        webhook.secret_rotated_at = Date.now();
+        return webhook;
+    }
+
+    /**
+     * Send a made-up event to an endpoint now, whether or not it is paused or subscribed to it
+     * @returns {Promise<Object>} The webhook_log entry
+     */
+    async handleSendTestWebhook(request) {
+        const webhook = this.findWebhook(request);
+        const { event_type: type = WEBHOOK_EVENTS[0] } = request.body || {};
+        if (!WEBHOOK_EVENTS.includes(type)) {
+            throw new LocalBackendError(400, 'ERROR_CODE_INPUT_ERROR',
+                `event_type must be one of ${WEBHOOK_EVENTS.join(', ')}.`, { param: 'event_type' });
+        }
+        return this.webhookDelivery.deliverNow(webhook, this.webhookDelivery.testMessage(type, webhook), 'test');
+    }
+
+    // ==================== WEBHOOK LOG ENDPOINTS ====================
+
+    /**
+     * Logs of the user's own endpoints, and the ones they wrote with POST /webhook_log
+     */
+    handleListWebhookLogs(request) {
+        const user = this.requireUser(request);
+        return this.state.webhook_logs.filter(log => log.owner_user_id === user.id);
+    }
+
+    handleCreateWebhookLog(request) {
+        const user = this.requireUser(request);
+        this.requireFields(request.body, ['webhook_url']);
+
+        const log = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            owner_user_id: user.id,
+            payload: '',
+            status: '',
+            response: '',
+            transaction_id: null,
+            ...this.pick(request.body, WEBHOOK_LOG_FIELDS)
+        };
+        this.state.webhook_logs.push(log);
+
+        return log;
+    }
+
+    findWebhookLog(request) {
+        const user = this.requireUser(request);
+        const log = this.findRecord('webhook_logs', request.params.webhook_log_id, 'Webhook log');
+        if (log.owner_user_id !== user.id) {
+            throw new LocalBackendError(404, 'ERROR_CODE_NOT_FOUND', 'Webhook log not found.');
+        }
+        return log;
+    }
+
+    /**
+     * Send a logged delivery's payload again, to the endpoint it went to. The event id stays the
+     * same, so receivers can tell it is one they may have handled already.
+     * @returns {Promise<Object>} The new webhook_log entry
+     */
+    async handleRedeliverWebhookLog(request) {
+        const log = this.findWebhookLog(request);
+        const webhook = log.webhook_id && this.state.webhooks.find(w => w.id === log.webhook_id);
+        if (!webhook) {
+            throw new LocalBackendError(409, 'ERROR_CODE_CONFLICT',
+                "This delivery can't be sent again: it has no webhook endpoint, or the endpoint was removed.");
+        }
+
+        return this.webhookDelivery.deliverNow(this.expireWebhookSecret(webhook), {
+            event_id: log.event_id,
+            event_type: log.event_type,
+            transaction_id: log.transaction_id,
+            payload: log.payload
+        }, 'redelivery');
+    }
+
+    handleGetWebhookLog(request) {
+        return this.findWebhookLog(request);
+    }
+
+    handleUpdateWebhookLog(request) {
+        const log = this.findWebhookLog(request);
+        Object.assign(log, this.pick(request.body, WEBHOOK_LOG_FIELDS));
+        return log;
+    }
+
+    handleDeleteWebhookLog(request) {
+        return this.removeRecord('webhook_logs', this.findWebhookLog(request).id, 'Webhook log');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalBackend, LocalBackendError, LocalOutbox };
+}
@@ -0,0 +1,516 @@
+/**
+ * Money
+ * Immutable amounts held as integer minor units (cents, yen, fils) with the ISO 4217 exponent
+ * of their currency, so no amount ever goes through floating point arithmetic.
+ *
+ * Amounts on the wire (transaction.amount) are always minor units.
+ */
+
+// ISO 4217 minor unit exponents that differ from the usual 2
+const CURRENCY_EXPONENTS = {
+    // No minor unit
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+    RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    // Thousandths
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    // Ten-thousandths
+    CLF: 4, UYW: 4
+};
+
+const DEFAULT_CURRENCY_EXPONENT = 2;
+
+const ROUNDING_MODES = {
+    HALF_EVEN: 'half-even', // banker's rounding, the default
+    HALF_UP: 'half-up',     // ties away from zero
+    HALF_DOWN: 'half-down', // ties towards zero
+    UP: 'up',               // away from zero
+    DOWN: 'down',           // towards zero (truncate)
+    CEILING: 'ceiling',
+    FLOOR: 'floor'
+};
+
+class Money {
+    /**
+     * @param {number} amount - Integer amount in minor units
+     * @param {string} currency - ISO 4217 code
+     */
+    constructor(amount, currency) {
+        if (!Number.isSafeInteger(amount)) {
+            throw new RangeError(`Money amounts must be whole minor units, got ${amount}`);
+        }
+        this.amount = amount === 0 ? 0 : amount; // no -0
+        this.currency = Money.normalizeCurrency(currency);
+        Object.freeze(this);
+    }
+
+    // ==================== CREATION ====================
+
+    /**
+     * @param {number} amount - Integer amount in minor units
+     * @param {string} [currency='USD']
+     * @returns {Money}
+     */
+    static of(amount, currency = 'USD') {
+        return new Money(amount, currency);
+    }
+
+    static zero(currency = 'USD') {
+        return new Money(0, currency);
+    }
+
+    /**
+     * Amount from major units, e.g. fromMajor('19.99', 'USD') is 1999 cents.
+     * Strings are converted exactly; numbers go through their shortest decimal representation.
+     * @param {string|number} value - Amount in major units ('.' as decimal separator)
+     * @param {string} [currency='USD']
+     * @param {string} [rounding] - ROUNDING_MODES value, used when value has more decimals than the currency
+     * @returns {Money}
+     */
+    static fromMajor(value, currency = 'USD', rounding = ROUNDING_MODES.HALF_EVEN) {
+        const { numerator, denominator } = Money.parseDecimal(String(value));
+        const scale = 10n ** BigInt(Money.getExponent(currency));
+        return new Money(Money.toSafeNumber(Money.divideRounded(numerator * scale, denominator, rounding)), currency);
+    }
+
+    /**
+     * Parse an amount typed by the user, in their locale ('1.234,56' in de-DE, "1'234.56" in de-CH,
+     * '1,00,000' in en-IN). Currency symbols, the currency code and spaces are ignored; any other
+     * letter or sign makes the amount invalid.
+     * @param {string} input - Text entered by the user
+     * @param {string} [currency='USD']
+     * @param {string} [locale] - BCP 47 locale (default: the user's locale)
+     * @returns {Money}
+     * @throws {RangeError} With a message that can be shown to the user
+     */
+    static parse(input, currency = 'USD', locale = Money.getDefaultLocale()) {
+        const exponent = Money.getExponent(currency);
+        const { group, decimal } = Money.getSeparators(locale);
+        const invalid = () => new RangeError('Please enter a valid amount');
+
+        let text = String(input == null ? '' : input);
+        // Symbols first, so the sign is found wherever the symbol was: '$-5.00', '-$5.00', '5,00 €-'
+        Money.getCurrencySymbols(currency, locale).forEach(symbol => {
+            text = text.split(symbol).join('');
+        });
+        text = text.replace(/\p{Sc}/gu, '').replace(/\s/g, '');
+
+        // -5.00, +5.00, 5.00- or (5.00)
+        const sign = /^([-\u2212+]?)(\(?)([\d.,'\u2019]*)(\)?)([-\u2212]?)$/.exec(text);
+        if (!sign || !/\d/.test(sign[3]) || sign[2] !== (sign[4] && '(')
+            || (/[-\u2212]/.test(sign[1]) && sign[5])) {
+            throw invalid();
+        }
+        const negative = /[-\u2212]/.test(sign[1]) || sign[5] !== '' || sign[2] !== '';
+        text = sign[3];
+
+        let decimalSeparator = decimal;
+        if (!text.includes(decimal)) {
+            // Also accept the other common separator as the decimal point when it can't be a
+            // thousands separator, e.g. '12.5' typed on a de-DE keyboard
+            const other = decimal === ',' ? '.' : ',';
+            const parts = text.split(other);
+            if (parts.length === 2 && parts[1].length !== 3) {
+                decimalSeparator = other;
+            }
+        }
+
+        const [whole, fraction = '', ...rest] = text.split(decimalSeparator);
+        if (rest.length > 0) {
+            throw invalid();
+        }
+
+        // Group separators are only allowed in the whole part, grouped the locale's way or in threes
+        const groupChars = new Set([group, ',', '.', '\'', '\u2019'].filter(c => c !== decimalSeparator));
+        const groups = whole.split('').some(c => groupChars.has(c))
+            ? whole.split(new RegExp(`[${[...groupChars].map(c => '\\' + c).join('')}]`))
+            : [whole];
+        const { primary, secondary } = Money.getGrouping(locale);
+        const groupedBy = (last, others) => groups[0].length >= 1 && groups[0].length <= others
+            && groups[groups.length - 1].length === last
+            && groups.slice(1, -1).every(g => g.length === others);
+        if (groups.length > 1 && !groupedBy(primary, secondary) && !groupedBy(3, 3)) {
+            throw invalid();
+        }
+        if (!/^\d*$/.test(fraction) || groups.some(g => !/^\d*$/.test(g))) {
+            throw invalid();
+        }
+        if (fraction.length > exponent) {
+            throw new RangeError(exponent === 0
+                ? `${currency} amounts can't have decimals`
+                : `Please enter at most ${exponent} decimal places`);
+        }
+
+        const digits = (groups.join('') || '0') + fraction.padEnd(exponent, '0');
+        const amount = Money.toSafeNumber(BigInt(digits));
+        return new Money(negative ? -amount : amount, currency);
+    }
+
+    /**
+     * Rebuild a Money from its toJSON() form
+     * @param {{ amount: number, currency: string }} json
+     * @returns {Money}
+     */
+    static fromJSON({ amount, currency }) {
+        return new Money(amount, currency);
+    }
+
+    // ==================== ARITHMETIC ====================
+
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(Money.toSafeNumber(BigInt(this.amount) + BigInt(other.amount)), this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(Money.toSafeNumber(BigInt(this.amount) - BigInt(other.amount)), this.currency);
+    }
+
+    /**
+     * @param {number|string} factor - Decimal multiplier, e.g. 1.5 or '0.029'
+     * @param {string} [rounding] - ROUNDING_MODES value
+     * @returns {Money}
+     */
+    multiply(factor, rounding = ROUNDING_MODES.HALF_EVEN) {
+        const { numerator, denominator } = Money.parseDecimal(String(factor));
+        return new Money(Money.toSafeNumber(Money.divideRounded(BigInt(this.amount) * numerator, denominator, rounding)), this.currency);
+    }
+
+    /**
+     * @param {number|string} divisor - Non-zero decimal divisor
+     * @param {string} [rounding] - ROUNDING_MODES value
+     * @returns {Money}
+     */
+    divide(divisor, rounding = ROUNDING_MODES.HALF_EVEN) {
+        const { numerator, denominator } = Money.parseDecimal(String(divisor));
+        if (numerator === 0n) {
+            throw new RangeError('Cannot divide money by zero');
+        }
+        return new Money(Money.toSafeNumber(Money.divideRounded(BigInt(this.amount) * denominator, numerator, rounding)), this.currency);
+    }
+
+    /**
+     * Split the amount by ratios without losing or creating minor units; leftover units go to the
+     * first parts. allocate([1, 1, 1]) on $1.00 gives $0.34, $0.33, $0.33.
+     * @param {number[]} ratios - Non-negative integer weights
+     * @returns {Money[]}
+     */
+    allocate(ratios) {
+        const weights = ratios.map(r => BigInt(r));
+        const total = weights.reduce((sum, w) => sum + w, 0n);
+        if (total <= 0n || weights.some(w => w < 0n)) {
+            throw new RangeError('Allocation ratios must be non-negative and not all zero');
+        }
+
+        const amount = BigInt(this.amount);
+        const parts = weights.map(w => amount * w / total);
+        let remainder = amount - parts.reduce((sum, p) => sum + p, 0n);
+        const step = remainder < 0n ? -1n : 1n;
+
+        for (let i = 0; remainder !== 0n; i = (i + 1) % parts.length) {
+            if (weights[i] === 0n) continue;
+            parts[i] += step;
+            remainder -= step;
+        }
+
+        return parts.map(p => new Money(Number(p), this.currency));
+    }
+
+    /**
+     * Convert to another currency, accounting for the difference in minor units.
+     * The rate is how many units of the target one unit of this currency buys; for a cross rate
+     * through a common base, pass both quotes against that base as rate and per.
+     * @param {string} currency - Target ISO 4217 code
+     * @param {number|string} rate - Units of the target currency
+     * @param {Object} [options]
+     * @param {number|string} [options.per=1] - Units of this currency the rate is quoted for
+     * @param {string} [options.rounding] - ROUNDING_MODES value
+     * @returns {Money}
+     */
+    convert(currency, rate, { per = 1, rounding = ROUNDING_MODES.HALF_EVEN } = {}) {
+        const target = Money.parseDecimal(String(rate));
+        const source = Money.parseDecimal(String(per));
+        if (target.numerator <= 0n || source.numerator <= 0n) {
+            throw new RangeError('Exchange rates must be positive');
+        }
+
+        const numerator = BigInt(this.amount) * target.numerator * source.denominator
+            * 10n ** BigInt(Money.getExponent(currency));
+        const denominator = target.denominator * source.numerator * 10n ** BigInt(this.exponent);
+        return new Money(Money.toSafeNumber(Money.divideRounded(numerator, denominator, rounding)), currency);
+    }
+
+    negate() {
+        return new Money(-this.amount, this.currency);
+    }
+
+    abs() {
+        return new Money(Math.abs(this.amount), this.currency);
+    }
+
+    /**
+     * Sum a list of Money in one currency
+     * @param {Money[]} list
+     * @param {string} [currency] - Currency of the result when the list is empty
+     * @returns {Money}
+     */
+    static sum(list, currency = 'USD') {
+        return list.reduce((total, money) => total.add(money), Money.zero(list.length ? list[0].currency : currency));
+    }
+
+    // ==================== COMPARISON ====================
+
+    compare(other) {
+        this.assertSameCurrency(other);
+        return Math.sign(this.amount - other.amount);
+    }
+
+    equals(other) {
+        return other instanceof Money && this.currency === other.currency && this.amount === other.amount;
+    }
+
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    isZero() {
+        return this.amount === 0;
+    }
+
+    isPositive() {
+        return this.amount > 0;
+    }
+
+    isNegative() {
+        return this.amount < 0;
+    }
+
+    // ==================== OUTPUT ====================
+
+    get exponent() {
+        return Money.getExponent(this.currency);
+    }
+
+    /**
+     * Exact amount in major units as a string, e.g. '-19.99' or '1500' (JPY)
+     * @returns {string}
+     */
+    toDecimalString() {
+        const digits = String(Math.abs(this.amount)).padStart(this.exponent + 1, '0');
+        const whole = digits.slice(0, digits.length - this.exponent);
+        const fraction = digits.slice(digits.length - this.exponent);
+        return `${this.amount < 0 ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+    }
+
+    /**
+     * Amount in major units as a number, for charts and rate calculations; never for arithmetic
+     * @returns {number}
+     */
+    toMajor() {
+        return Number(this.toDecimalString());
+    }
+
+    /**
+     * Format for display in the user's locale, e.g. '$1,234.50', '1.234,50 €', '¥1,500', 'KWD 1.250'
+     * @param {string} [locale] - BCP 47 locale (default: the user's locale)
+     * @param {Object} [options] - Extra Intl.NumberFormat options (e.g. { currencyDisplay: 'code' })
+     * @returns {string}
+     */
+    format(locale = Money.getDefaultLocale(), options = {}) {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: this.exponent,
+            maximumFractionDigits: this.exponent,
+            ...options
+        }).format(this.toDecimalString());
+    }
+
+    toString() {
+        return `${this.toDecimalString()} ${this.currency}`;
+    }
+
+    toJSON() {
+        return { amount: this.amount, currency: this.currency };
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Number of decimal places of a currency's minor unit
+     * @param {string} currency - ISO 4217 code
+     * @returns {number}
+     */
+    static getExponent(currency) {
+        const code = Money.normalizeCurrency(currency);
+        return code in CURRENCY_EXPONENTS ? CURRENCY_EXPONENTS[code] : DEFAULT_CURRENCY_EXPONENT;
+    }
+
+    static normalizeCurrency(currency) {
+        const code = String(currency || '').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) {
+            throw new TypeError(`Invalid currency code: ${currency}`);
+        }
+        return code;
+    }
+
+    /**
+     * Locale from window.QUANTUM_PAY_CONFIG.locale, then the browser, then en-US
+     * @returns {string}
+     */
+    static getDefaultLocale() {
+        const config = typeof window !== 'undefined' && window.QUANTUM_PAY_CONFIG;
+        if (config && config.locale) return config.locale;
+        if (typeof navigator !== 'undefined' && navigator.language) return navigator.language;
+        return 'en-US';
+    }
+
+    /**
+     * Group and decimal separators of a locale
+     * @param {string} locale
+     * @returns {{ group: string, decimal: string }}
+     */
+    static getSeparators(locale) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+        const find = type => (parts.find(p => p.type === type) || {}).value;
+        return { group: find('group') || ',', decimal: find('decimal') || '.' };
+    }
+
+    /**
+     * How a locale groups the digits of whole numbers, e.g. { primary: 3, secondary: 2 } for
+     * en-IN (12,34,567) and { primary: 3, secondary: 3 } for en-US (1,234,567)
+     * @param {string} locale
+     * @returns {{ primary: number, secondary: number }}
+     */
+    static getGrouping(locale) {
+        const integers = new Intl.NumberFormat(locale, { useGrouping: true }).formatToParts(1234567890)
+            .filter(p => p.type === 'integer')
+            .map(p => p.value.length);
+        if (integers.length < 2) {
+            return { primary: 3, secondary: 3 };
+        }
+        return {
+            primary: integers[integers.length - 1],
+            secondary: integers.length > 2 ? integers[integers.length - 2] : integers[integers.length - 1]
+        };
+    }
+
+    /**
+     * What the user may type for a currency besides digits: its code and the locale's symbols
+     * for it ('CHF', 'R$', 'CA$'), longest first so 'CA$' goes before '$'
+     * @param {string} currency - ISO 4217 code
+     * @param {string} locale
+     * @returns {Array<string>}
+     */
+    static getCurrencySymbols(currency, locale) {
+        const code = Money.normalizeCurrency(currency);
+        const symbols = new Set([code, code.toLowerCase()]);
+        ['symbol', 'narrowSymbol'].forEach(currencyDisplay => {
+            try {
+                const part = new Intl.NumberFormat(locale, { style: 'currency', currency: code, currencyDisplay })
+                    .formatToParts(1)
+                    .find(p => p.type === 'currency');
+                if (part) symbols.add(part.value);
+            } catch (error) {
+                // Not a currency Intl knows: the code and \p{Sc} symbols still apply
+            }
+        });
+        return [...symbols].sort((a, b) => b.length - a.length);
+    }
+
+    assertSameCurrency(other) {
+        if (!(other instanceof Money)) {
+            throw new TypeError('Expected a Money value');
+        }
+        if (other.currency !== this.currency) {
+            throw new TypeError(`Cannot combine ${this.currency} and ${other.currency} amounts`);
+        }
+    }
+
+    /**
+     * Exact fraction for a decimal string such as '-12.345' or '1e-7'
+     * @returns {{ numerator: bigint, denominator: bigint }}
+     */
+    static parseDecimal(text) {
+        const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text.trim());
+        if (!match || !(match[2] || match[3])) {
+            throw new RangeError(`Invalid decimal number: ${text}`);
+        }
+
+        const [, sign, whole = '', fraction = '', exp = '0'] = match;
+        const shift = Number(exp) - fraction.length;
+        let numerator = BigInt((whole + fraction) || '0');
+        let denominator = 1n;
+
+        if (shift >= 0) {
+            numerator *= 10n ** BigInt(shift);
+        } else {
+            denominator = 10n ** BigInt(-shift);
+        }
+
+        return { numerator: sign === '-' ? -numerator : numerator, denominator };
+    }
+
+    /**
+     * Integer division with rounding
+     * @param {bigint} numerator
+     * @param {bigint} denominator - Positive
+     * @param {string} rounding - ROUNDING_MODES value
+     * @returns {bigint}
+     */
+    static divideRounded(numerator, denominator, rounding) {
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+
+        const quotient = numerator / denominator; // truncates towards zero
+        const remainder = numerator % denominator;
+        if (remainder === 0n) return quotient;
+
+        const sign = numerator < 0n ? -1n : 1n;
+        const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+        const awayFromZero = quotient + sign;
+
+        switch (rounding) {
+            case ROUNDING_MODES.UP:
+                return awayFromZero;
+            case ROUNDING_MODES.DOWN:
+                return quotient;
+            case ROUNDING_MODES.CEILING:
+                return sign > 0n ? awayFromZero : quotient;
+            case ROUNDING_MODES.FLOOR:
+                return sign < 0n ? awayFromZero : quotient;
+            case ROUNDING_MODES.HALF_UP:
+                return twiceRemainder >= denominator ? awayFromZero : quotient;
+            case ROUNDING_MODES.HALF_DOWN:
+                return twiceRemainder > denominator ? awayFromZero : quotient;
+            case ROUNDING_MODES.HALF_EVEN:
+                if (twiceRemainder === denominator) {
+                    return quotient % 2n === 0n ? quotient : awayFromZero;
+                }
+                return twiceRemainder > denominator ? awayFromZero : quotient;
+            default:
+                throw new RangeError(`Unknown rounding mode: ${rounding}`);
+        }
+    }
+
+    static toSafeNumber(value) {
+        const number = Number(value);
+        if (!Number.isSafeInteger(number)) {
+            throw new RangeError('Amount is too large');
+        }
+        return number;
+    }
+}
+
+Money.ROUNDING = ROUNDING_MODES;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Money;
+}
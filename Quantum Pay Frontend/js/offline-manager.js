@@ -0,0 +1,279 @@
+/**
+ * Offline Manager
+ * Notices when Quantum Pay can't be reached, shows the "offline" banner, and keeps the changes
+ * that are safe to make offline until the connection is back
+ *
+ * Only the actions in OFFLINE_ACTIONS can be queued. Each one is sent as it was made, so
+ * replaying it after the backend already has it does no harm. Anything that moves money is
+ * refused while offline instead (see TransactionHandler).
+ *
+ * Events on window:
+ *   quantum:connectivity-changed - { offline }
+ *   quantum:offline-actions-replayed - { replayed: [{ action, result }], failed: [{ action, error }] }
+ */
+
+const OFFLINE_ACTIONS = {
+    // A payment kept as a draft; once created it is verified from the list like any other
+    create_draft: {
+        label: 'Payment draft',
+        replay: (api, data) => api.createTransaction(data.transaction, { idempotencyKey: data.idempotency_key })
+    },
+    cancel_transaction: {
+        label: 'Cancellation',
+        replay: (api, data) => api.updateTransaction(data.transaction_id, { status: 'cancelled' })
+    }
+};
+
+// How often the backend is tried again while it can't be reached
+const OFFLINE_RETRY_INTERVAL = 30000;
+
+class OfflineManager {
+    /**
+     * @param {QuantumPayAPI} api
+     * @param {OfflineStore} store
+     */
+    constructor(api, store) {
+        this.api = api;
+        this.store = store;
+        this.offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        this.userId = null;
+        this.syncedAt = null;
+        this.actions = [];
+        this.replaying = false;
+        this.retryTimer = null;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('offline', () => this.setOffline(true));
+            // The browser has a network again, which doesn't mean Quantum Pay answers
+            window.addEventListener('online', () => this.checkConnection());
+        }
+    }
+
+    isOffline() {
+        return this.offline;
+    }
+
+    /**
+     * Record a failed request: a network error means Quantum Pay can't be reached
+     * @param {Error} error - Error thrown by the API service
+     * @returns {boolean} Whether it was a network error
+     */
+    noteError(error) {
+        if (!(error instanceof NetworkError)) return false;
+        this.setOffline(true);
+        return true;
+    }
+
+    setOffline(offline) {
+        if (offline === this.offline) return;
+
+        this.offline = offline;
+        clearInterval(this.retryTimer);
+        if (offline) {
+            this.retryTimer = setInterval(() => this.checkConnection(), OFFLINE_RETRY_INTERVAL);
+        }
+        this.renderBanner();
+        window.dispatchEvent(new CustomEvent('quantum:connectivity-changed', { detail: { offline } }));
+
+        if (!offline) {
+            this.replay();
+        }
+    }
+
+    /**
+     * Try a request; any answer, even an error, means Quantum Pay can be reached again
+     */
+    async checkConnection() {
+        try {
+            await this.api.getCurrentUser();
+            this.setOffline(false);
+        } catch (error) {
+            this.setOffline(error instanceof NetworkError);
+        }
+    }
+
+    // ==================== SAVED DATA ====================
+
+    /**
+     * Pick up the saved data and queued changes of the signed-in user
+     * @param {string} userId - User UUID
+     */
+    async load(userId) {
+        this.userId = userId;
+        try {
+            const [snapshot, actions] = await Promise.all([
+                this.store.getSnapshot(userId),
+                this.store.getActions(userId)
+            ]);
+            this.syncedAt = snapshot ? snapshot.synced_at : null;
+            this.actions = actions;
+        } catch (error) {
+            console.warn('Failed to read offline data:', error);
+        }
+        this.renderBanner();
+    }
+
+    /**
+     * The signed-in user as saved by the last visit, for when they can't be fetched
+     * @param {string} email - From QuantumPayAPI.getSessionInfo
+     * @returns {Promise<Object|null>}
+     */
+    async findUser(email) {
+        try {
+            const snapshot = await this.store.findSnapshot(email);
+            return snapshot ? snapshot.user : null;
+        } catch (error) {
+            console.warn('Failed to read offline data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} { user, transactions, wallets, summary, synced_at }
+     */
+    async getSnapshot() {
+        try {
+            return this.userId ? await this.store.getSnapshot(this.userId) : null;
+        } catch (error) {
+            console.warn('Failed to read offline data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Keep what was just loaded for the next time Quantum Pay can't be reached. A failure
+     * to save is logged and otherwise ignored: the dashboard works without it.
+     * @param {Object} changes - Any of { user, transactions, wallets, summary }
+     */
+    async saveSnapshot(changes) {
+        if (!this.userId) return;
+        try {
+            const snapshot = await this.store.saveSnapshot(this.userId, changes);
+            this.syncedAt = snapshot ? snapshot.synced_at : this.syncedAt;
+        } catch (error) {
+            console.warn('Failed to save offline data:', error);
+        }
+    }
+
+    // ==================== QUEUED ACTIONS ====================
+
+    /**
+     * Keep a change to send when the connection is back
+     * @param {string} type - Key of OFFLINE_ACTIONS
+     * @param {Object} data - What the action needs to be replayed
+     * @returns {Promise<Object>} The queued action
+     */
+    async queue(type, data) {
+        if (!OFFLINE_ACTIONS[type]) {
+            throw new Error(`${type} can't be done offline.`);
+        }
+
+        const action = await this.store.addAction({
+            id: crypto.randomUUID(),
+            user_id: this.userId,
+            type,
+            data,
+            queued_at: Date.now()
+        });
+        this.actions.push(action);
+        this.renderBanner();
+        return action;
+    }
+
+    /**
+     * Whether a change to a transaction is waiting to be sent
+     * @param {string} type - Key of OFFLINE_ACTIONS
+     * @param {string} transactionId - Transaction UUID
+     */
+    isQueued(type, transactionId) {
+        return this.actions.some(a => a.type === type && a.data.transaction_id === transactionId);
+    }
+
+    /**
+     * Send the queued changes, oldest first. Losing the connection again stops and keeps the
+     * rest; a change the backend turns down is dropped and reported.
+     */
+    async replay() {
+        if (this.replaying || this.offline || this.actions.length === 0) return;
+
+        this.replaying = true;
+        const replayed = [];
+        const failed = [];
+        try {
+            for (const action of [...this.actions]) {
+                try {
+                    replayed.push({ action, result: await OFFLINE_ACTIONS[action.type].replay(this.api, action.data) });
+                } catch (error) {
+                    if (this.noteError(error)) break;
+                    console.error('Queued change failed:', error);
+                    failed.push({ action, error });
+                }
+                await this.store.deleteAction(action.id);
+                this.actions = this.actions.filter(a => a.id !== action.id);
+            }
+        } finally {
+            this.replaying = false;
+            this.renderBanner();
+        }
+
+        if (replayed.length > 0 || failed.length > 0) {
+            window.dispatchEvent(new CustomEvent('quantum:offline-actions-replayed', { detail: { replayed, failed } }));
+        }
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderBanner() {
+        if (typeof document === 'undefined') return;
+
+        let banner = document.querySelector('#offline-banner');
+        if (!this.offline) {
+            if (banner) banner.remove();
+            return;
+        }
+
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'offline-banner';
+            banner.setAttribute('role', 'status');
+            banner.innerHTML = `
+                <span class="offline-banner__text"></span>
+                <button type="button" data-action="offline-retry">Try again</button>
+            `;
+            banner.style.cssText = `
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 12px;
+                margin-bottom: 20px;
+                padding: 12px 16px;
+                border-radius: 8px;
+                background: #64748b;
+                color: white;
+                font-weight: 500;
+            `;
+            banner.querySelector('[data-action="offline-retry"]').addEventListener('click', () => this.checkConnection());
+            const container = document.querySelector('.main-content, .dashboard-main') || document.body;
+            container.prepend(banner);
+        }
+
+        const synced = this.syncedAt
+            ? `Showing what was last synced ${new Date(this.syncedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}.`
+            : 'Nothing has been saved on this device yet.';
+        const count = this.actions.length;
+        const queued = count > 0
+            ? ` ${count} change${count === 1 ? '' : 's'} will be sent when you're back online.`
+            : '';
+        banner.querySelector('.offline-banner__text').textContent = `You're offline. ${synced}${queued}`;
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && window.quantumAPI && window.offlineStore) {
+    window.offlineManager = new OfflineManager(window.quantumAPI, window.offlineStore);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineManager, OFFLINE_ACTIONS };
+}
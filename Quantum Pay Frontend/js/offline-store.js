@@ -0,0 +1,162 @@
+/**
+ * Offline Store
+ * Keeps the last data the dashboard loaded, and the changes made while offline, in IndexedDB
+ *
+ * snapshots: one per user ({ user_id, user, transactions, wallets, summary, synced_at })
+ * actions: changes waiting to be sent, in the order they were made ({ id, user_id, type, data, queued_at })
+ *
+ * The database is deleted when the user signs out (see QuantumPayAPI.clearAuthToken).
+ */
+
+const OFFLINE_DB_NAME = 'quantum_offline';
+const OFFLINE_DB_VERSION = 1;
+
+// Transactions kept per user, newest first; the dashboard shows the first pages
+const OFFLINE_TRANSACTION_LIMIT = 500;
+
+class OfflineStore {
+    /**
+     * @param {Object} [options]
+     * @param {IDBFactory} [options.indexedDB] - Default: the browser's; without one nothing is kept
+     */
+    constructor({ indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined } = {}) {
+        this.factory = indexedDB || null;
+        this.db = null;
+    }
+
+    get available() {
+        return !!this.factory;
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = this.factory.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('snapshots', { keyPath: 'user_id' });
+                    db.createObjectStore('actions', { keyPath: 'id' }).createIndex('user_id', 'user_id');
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Another page is deleting or upgrading the database, e.g. on sign-out: let it,
+                    // and open it again on the next read or write
+                    db.onversionchange = () => {
+                        db.close();
+                        this.db = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.db = null;
+                throw error;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {string} storeName - snapshots or actions
+     * @param {string} mode - readonly or readwrite
+     * @param {Function} makeRequest - Given the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result, once the transaction has committed
+     */
+    async run(storeName, mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // ==================== SNAPSHOTS ====================
+
+    /**
+     * @param {string} userId - User UUID
+     * @returns {Promise<Object|null>}
+     */
+    async getSnapshot(userId) {
+        if (!this.available) return null;
+        return (await this.run('snapshots', 'readonly', store => store.get(userId))) || null;
+    }
+
+    /**
+     * The snapshot of the user signed in with this email, for when the user can't be fetched
+     * @param {string} email
+     * @returns {Promise<Object|null>}
+     */
+    async findSnapshot(email) {
+        if (!this.available || !email) return null;
+        const snapshots = await this.run('snapshots', 'readonly', store => store.getAll());
+        return snapshots.find(s => s.user && String(s.user.email).toLowerCase() === String(email).toLowerCase()) || null;
+    }
+
+    /**
+     * Record what was just loaded. Transactions are added to the ones kept before, so pages and
+     * filtered lists loaded one after another all end up in the snapshot.
+     * @param {string} userId - User UUID
+     * @param {Object} changes - Any of { user, transactions, wallets, summary }
+     * @returns {Promise<Object|null>} The snapshot
+     */
+    async saveSnapshot(userId, changes) {
+        if (!this.available) return null;
+
+        const snapshot = (await this.getSnapshot(userId)) || { user_id: userId, transactions: [] };
+        const { transactions, ...rest } = changes;
+        Object.assign(snapshot, rest, { synced_at: Date.now() });
+
+        if (transactions) {
+            const byId = new Map(snapshot.transactions.map(t => [t.id, t]));
+            transactions.forEach(t => byId.set(t.id, t));
+            snapshot.transactions = [...byId.values()]
+                .sort((a, b) => b.transaction_date - a.transaction_date)
+                .slice(0, OFFLINE_TRANSACTION_LIMIT);
+        }
+
+        await this.run('snapshots', 'readwrite', store => store.put(snapshot));
+        return snapshot;
+    }
+
+    // ==================== ACTIONS ====================
+
+    /**
+     * @param {string} userId - User UUID
+     * @returns {Promise<Array<Object>>} Oldest first
+     */
+    async getActions(userId) {
+        if (!this.available) return [];
+        const actions = await this.run('actions', 'readonly', store => store.index('user_id').getAll(userId));
+        return actions.sort((a, b) => a.queued_at - b.queued_at);
+    }
+
+    async addAction(action) {
+        if (!this.available) {
+            throw new Error('Changes can only be saved for later in browsers with IndexedDB.');
+        }
+        await this.run('actions', 'readwrite', store => store.put(action));
+        return action;
+    }
+
+    async deleteAction(actionId) {
+        if (!this.available) return;
+        await this.run('actions', 'readwrite', store => store.delete(actionId));
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+    window.offlineStore = new OfflineStore();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineStore;
+}
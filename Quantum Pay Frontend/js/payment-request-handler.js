@@ -0,0 +1,574 @@
+/**
+ * Payment Request Handler
+ * "Request money": creates payment requests, lists the ones sent and received, and opens shared links
+ */
+
+const PAYMENT_REQUEST_LINK_PARAM = 'request';
+const PENDING_PAYMENT_REQUEST_KEY = 'quantum_pending_payment_request';
+
+const PAYMENT_REQUEST_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD'];
+
+const PAYMENT_REQUEST_EXPIRY_DAYS = [1, 7, 30];
+
+class PaymentRequestHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.requests = [];
+        this.sharedRequest = null; // opened from a link, may not be in this.requests
+        this.currentUser = null;
+        this.view = 'incoming';
+        this.init();
+    }
+
+    async init() {
+        const sharedToken = this.takeSharedToken();
+
+        if (!this.api.isAuthenticated()) {
+            // The page redirects to sign in; keep the link for when the user lands on the dashboard
+            if (sharedToken) {
+                sessionStorage.setItem(PENDING_PAYMENT_REQUEST_KEY, sharedToken);
+            }
+            return;
+        }
+
+        this.bindEvents();
+
+        try {
+            this.currentUser = await this.api.getCurrentUser();
+            await this.loadRequests();
+        } catch (error) {
+            console.error('Failed to initialize payment requests:', error);
+            this.handleApiError(error, 'Failed to load payment requests');
+            return;
+        }
+
+        if (sharedToken) {
+            await this.openSharedRequest(sharedToken);
+        } else if (new URLSearchParams(window.location.search).has('new_request')) {
+            // Opened from the Request button on another page
+            const url = new URL(window.location.href);
+            url.searchParams.delete('new_request');
+            window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+            this.showCreateModal();
+        }
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const requestId = button.getAttribute('data-request-id');
+
+            switch (button.getAttribute('data-action')) {
+                case 'request-money':
+                    this.showCreateModal();
+                    break;
+                case 'pay-request':
+                    this.payRequest(requestId);
+                    break;
+                case 'decline-request':
+                    this.declineRequest(requestId);
+                    break;
+                case 'share-request':
+                    this.showShareModal(this.findRequest(requestId));
+                    break;
+                case 'payment-request-view':
+                    this.view = button.getAttribute('data-view');
+                    this.renderRequests();
+                    break;
+            }
+        });
+
+        const filterSelect = document.querySelector('#payment-request-filter');
+        if (filterSelect) {
+            filterSelect.addEventListener('change', () => this.renderRequests());
+        }
+
+        // A paid request changes status once its transaction is verified
+        window.addEventListener('quantum:transaction-completed', (e) => {
+            if (e.detail && e.detail.payment_request_id) {
+                this.loadRequests();
+            }
+        });
+    }
+
+    /**
+     * Share token from the ?request= link, or one saved while the user was signing in.
+     * The parameter is removed from the address bar so a reload doesn't reopen the request.
+     * @returns {string|null}
+     */
+    takeSharedToken() {
+        const url = new URL(window.location.href);
+        const token = url.searchParams.get(PAYMENT_REQUEST_LINK_PARAM) || sessionStorage.getItem(PENDING_PAYMENT_REQUEST_KEY);
+
+        if (url.searchParams.has(PAYMENT_REQUEST_LINK_PARAM)) {
+            url.searchParams.delete(PAYMENT_REQUEST_LINK_PARAM);
+            window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+        }
+        sessionStorage.removeItem(PENDING_PAYMENT_REQUEST_KEY);
+        return token;
+    }
+
+    // ==================== REQUEST OPERATIONS ====================
+
+    async loadRequests() {
+        try {
+            this.showLoading(true);
+            this.requests = await this.api.getAllPaymentRequests();
+            this.renderRequests();
+        } catch (error) {
+            console.error('Failed to load payment requests:', error);
+            this.handleApiError(error, 'Failed to load payment requests');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async createRequest(form) {
+        const formData = new FormData(form);
+        const currency = formData.get('currency');
+        const payer = formData.get('payer').trim();
+
+        let amount;
+        try {
+            amount = Money.parse(formData.get('amount'), currency);
+        } catch (error) {
+            this.highlightFieldErrors(form, { amount: error.message });
+            return;
+        }
+        if (!amount.isPositive()) {
+            this.highlightFieldErrors(form, { amount: 'Please enter a valid amount' });
+            return;
+        }
+
+        const requestData = {
+            amount: amount.amount,
+            currency: amount.currency,
+            memo: formData.get('memo').trim(),
+            expires_at: Date.now() + Number(formData.get('expires_in')) * 24 * 60 * 60 * 1000
+        };
+        if (payer.includes('@')) {
+            requestData.payer_email = payer;
+        } else {
+            requestData.payer_user_id = payer;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const paymentRequest = await this.api.createPaymentRequest(requestData);
+            this.showSuccess(`Requested ${amount.format()}`);
+            await this.loadRequests();
+            this.view = 'outgoing';
+            this.renderRequests();
+            this.showShareModal(paymentRequest);
+        } catch (error) {
+            console.error('Failed to create payment request:', error);
+            if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors, {
+                    payer_email: 'payer',
+                    payer_user_id: 'payer'
+                });
+            }
+            this.handleApiError(error, 'Failed to create the request');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Hand the request to the send form; it is marked paid once that payment is verified
+     */
+    payRequest(requestId) {
+        const paymentRequest = this.findRequest(requestId);
+        if (!paymentRequest) return;
+
+        if (!window.transactionHandler) {
+            this.showError('Open the dashboard to pay this request.');
+            return;
+        }
+        if (window.transactionHandler.payPaymentRequest(paymentRequest)) {
+            this.closeModal();
+        }
+    }
+
+    async declineRequest(requestId) {
+        const paymentRequest = this.findRequest(requestId);
+        if (!paymentRequest || !confirm('Decline this payment request?')) return;
+
+        try {
+            await this.api.declinePaymentRequest(requestId);
+            this.showSuccess('Request declined');
+            this.closeModal();
+            await this.loadRequests();
+        } catch (error) {
+            console.error('Failed to decline payment request:', error);
+            this.handleApiError(error, 'Failed to decline the request');
+            if (error instanceof ConflictError) {
+                await this.loadRequests();
+            }
+        }
+    }
+
+    async openSharedRequest(token) {
+        try {
+            this.sharedRequest = await this.api.getPaymentRequestByLink(token);
+            this.showRequestModal(this.sharedRequest);
+        } catch (error) {
+            console.error('Failed to open payment request:', error);
+            this.handleApiError(error, 'This payment request link is not valid.');
+        }
+    }
+
+    findRequest(requestId) {
+        return this.requests.find(r => r.id === requestId)
+            || (this.sharedRequest && this.sharedRequest.id === requestId ? this.sharedRequest : null);
+    }
+
+    isIncoming(paymentRequest) {
+        return paymentRequest.requester_user_id !== this.currentUser.id;
+    }
+
+    /**
+     * Only the person a request was sent to can decline it; anyone with the link can pay it
+     */
+    isAddressedToMe(paymentRequest) {
+        return paymentRequest.payer_user_id === this.currentUser.id
+            || paymentRequest.payer_email === String(this.currentUser.email).toLowerCase();
+    }
+
+    getShareURL(paymentRequest) {
+        const url = new URL('dashboard-main.html', window.location.href);
+        url.searchParams.set(PAYMENT_REQUEST_LINK_PARAM, paymentRequest.share_token);
+        return url.toString();
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderRequests() {
+        const list = document.querySelector('#payment-request-list');
+        if (!list) return;
+
+        document.querySelectorAll('[data-action="payment-request-view"]').forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-view') === this.view);
+        });
+
+        const statusFilter = document.querySelector('#payment-request-filter')?.value || 'all';
+        const visible = this.requests
+            .filter(r => this.isIncoming(r) === (this.view === 'incoming'))
+            .filter(r => statusFilter === 'all' || r.status === statusFilter)
+            .sort((a, b) => b.created_at - a.created_at);
+
+        if (visible.length === 0) {
+            list.innerHTML = `
+                <div class="no-transactions">
+                    <h3>No requests</h3>
+                    <p>${this.view === 'incoming' ? 'Requests people send you will appear here' : 'Use Request to ask someone for money'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = '';
+        visible.forEach(paymentRequest => list.appendChild(this.createRequestItem(paymentRequest)));
+    }
+
+    createRequestItem(paymentRequest) {
+        const incoming = this.isIncoming(paymentRequest);
+        const item = document.createElement('div');
+        item.className = 'payment-request-item';
+        item.setAttribute('data-request-id', paymentRequest.id);
+        item.innerHTML = `
+            <div class="payment-request-details">
+                <div class="payment-request-title"></div>
+                <div class="payment-request-memo"></div>
+                <div class="payment-request-date">${this.describeDate(paymentRequest)}</div>
+            </div>
+            <div class="payment-request-amount">${Money.of(paymentRequest.amount, paymentRequest.currency).format()}</div>
+            <span class="status-badge status-${paymentRequest.status}">${paymentRequest.status}</span>
+            <div class="payment-request-actions">${this.renderActions(paymentRequest)}</div>
+        `;
+        item.querySelector('.payment-request-title').textContent = incoming
+            ? `From ${this.describeRequester(paymentRequest)}`
+            : `To ${paymentRequest.payer_email || paymentRequest.payer_user_id}`;
+        item.querySelector('.payment-request-memo').textContent = paymentRequest.memo || '';
+        return item;
+    }
+
+    renderActions(paymentRequest) {
+        if (paymentRequest.status !== 'open') return '';
+
+        const id = paymentRequest.id;
+        if (!this.isIncoming(paymentRequest)) {
+            return `<button type="button" class="btn btn-small btn-secondary" data-action="share-request" data-request-id="${id}">Share link</button>`;
+        }
+        return `
+            <button type="button" class="btn btn-small btn-primary" data-action="pay-request" data-request-id="${id}">Pay</button>
+            ${this.isAddressedToMe(paymentRequest)
+                ? `<button type="button" class="btn btn-small btn-secondary" data-action="decline-request" data-request-id="${id}">Decline</button>`
+                : ''}
+        `;
+    }
+
+    describeDate(paymentRequest) {
+        const format = timestamp => new Date(timestamp).toLocaleDateString();
+
+        switch (paymentRequest.status) {
+            case 'paid':
+                return `Paid ${format(paymentRequest.paid_at)}`;
+            case 'declined':
+                return `Declined ${format(paymentRequest.declined_at)}`;
+            case 'expired':
+                return `Expired ${format(paymentRequest.expires_at)}`;
+            default:
+                return `Expires ${format(paymentRequest.expires_at)}`;
+        }
+    }
+
+    describeRequester(paymentRequest) {
+        const { requester } = paymentRequest;
+        return requester ? requester.name || requester.email : 'Unknown user';
+    }
+
+    // ==================== MODAL METHODS ====================
+
+    showCreateModal() {
+        this.closeModal();
+
+        const currencyOptions = PAYMENT_REQUEST_CURRENCIES
+            .map(code => `<option value="${code}">${code}</option>`)
+            .join('');
+        const expiryOptions = PAYMENT_REQUEST_EXPIRY_DAYS
+            .map(days => `<option value="${days}"${days === 7 ? ' selected' : ''}>${days} day${days === 1 ? '' : 's'}</option>`)
+            .join('');
+
+        const modalHTML = `
+            <div class="modal-overlay" onclick="paymentRequestHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Request Money</h3>
+                        <button class="modal-close" onclick="paymentRequestHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="payment-request-form">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="request-amount">Amount</label>
+                                    <input type="text" id="request-amount" name="amount" inputmode="decimal" autocomplete="off" required>
+                                </div>
+                                <div class="form-group">
+                                    <label for="request-currency">Currency</label>
+                                    <select id="request-currency" name="currency">${currencyOptions}</select>
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="request-payer">From (email or user ID)</label>
+                                <input type="text" id="request-payer" name="payer" placeholder="payer@example.com" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="request-memo">What's it for?</label>
+                                <input type="text" id="request-memo" name="memo" maxlength="140" placeholder="Optional">
+                            </div>
+                            <div class="form-group">
+                                <label for="request-expires">Expires after</label>
+                                <select id="request-expires" name="expires_in">${expiryOptions}</select>
+                            </div>
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" onclick="paymentRequestHandler.closeModal()">Cancel</button>
+                                <button type="submit" class="btn btn-primary">Send Request</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const form = document.querySelector('#payment-request-form');
+        const updatePlaceholder = () => {
+            form.elements.amount.placeholder = Money.zero(form.elements.currency.value).toDecimalString();
+        };
+        form.elements.currency.addEventListener('change', updatePlaceholder);
+        updatePlaceholder();
+        form.elements.amount.focus();
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createRequest(form);
+        });
+    }
+
+    /**
+     * Show the link to a request so the requester can send it any way they like
+     */
+    showShareModal(paymentRequest) {
+        if (!paymentRequest || !paymentRequest.share_token) return;
+        this.closeModal();
+
+        const modalHTML = `
+            <div class="modal-overlay" onclick="paymentRequestHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Share Request</h3>
+                        <button class="modal-close" onclick="paymentRequestHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="payment-request-share-text"></p>
+                        <div class="form-group">
+                            <label for="payment-request-link">Link</label>
+                            <input type="text" id="payment-request-link" readonly>
+                        </div>
+                        <div class="modal-actions">
+                            <button type="button" class="btn btn-secondary" onclick="paymentRequestHandler.closeModal()">Done</button>
+                            <button type="button" class="btn btn-primary payment-request-copy">Copy Link</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const amount = Money.of(paymentRequest.amount, paymentRequest.currency).format();
+        document.querySelector('.payment-request-share-text').textContent =
+            `We've sent your request for ${amount} to ${paymentRequest.payer_email || 'the payer'}. Anyone with this link can pay it.`;
+
+        const linkInput = document.querySelector('#payment-request-link');
+        linkInput.value = this.getShareURL(paymentRequest);
+        linkInput.addEventListener('focus', () => linkInput.select());
+
+        document.querySelector('.payment-request-copy').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(linkInput.value);
+                this.showSuccess('Link copied');
+            } catch (error) {
+                linkInput.select();
+                this.showError('Could not copy the link. Please copy it from the box instead.');
+            }
+        });
+    }
+
+    /**
+     * A request opened from a link, with Pay and Decline when it is still open
+     */
+    showRequestModal(paymentRequest) {
+        this.closeModal();
+        const incoming = this.isIncoming(paymentRequest);
+
+        const modalHTML = `
+            <div class="modal-overlay" onclick="paymentRequestHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Payment Request</h3>
+                        <button class="modal-close" onclick="paymentRequestHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="transaction-detail-item">
+                            <label>From:</label>
+                            <span class="payment-request-requester"></span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>Amount:</label>
+                            <span>${Money.of(paymentRequest.amount, paymentRequest.currency).format()}</span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>For:</label>
+                            <span class="payment-request-memo"></span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>Status:</label>
+                            <span class="status-badge status-${paymentRequest.status}">${paymentRequest.status}</span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>${paymentRequest.status === 'open' ? 'Expires:' : 'Updated:'}</label>
+                            <span>${this.describeDate(paymentRequest)}</span>
+                        </div>
+                        ${!incoming ? '<p>This is your own request.</p>' : ''}
+                        <div class="modal-actions">${this.renderActions(paymentRequest)}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        document.querySelector('.payment-request-requester').textContent = this.describeRequester(paymentRequest);
+        document.querySelector('.modal-body .payment-request-memo').textContent = paymentRequest.memo || '—';
+    }
+
+    closeModal() {
+        const modal = document.querySelector('.modal-overlay');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    /**
+     * Show the right message for a failed API call, sending the user back to sign in on 401
+     * @param {Error} error - Error thrown by the API service
+     * @param {string} fallbackMessage - Message for errors that carry none
+     */
+    handleApiError(error, fallbackMessage) {
+        this.showError(getUserMessage(error, fallbackMessage));
+
+        if (error instanceof UnauthorizedError) {
+            setTimeout(() => {
+                if (window.sessionManager) {
+                    window.sessionManager.endSession('expired');
+                } else {
+                    this.api.clearAuthToken();
+                    window.location.href = '/main/sign-in page.html';
+                }
+            }, 1500);
+        }
+    }
+
+    highlightFieldErrors(form, fieldErrors, fieldMap) {
+        // Reuse the field error display from auth handler
+        if (window.authHandler && window.authHandler.highlightFieldErrors) {
+            window.authHandler.highlightFieldErrors(form, fieldErrors, fieldMap);
+        }
+    }
+
+    showLoading(show) {
+        const loader = document.querySelector('#payment-request-loader');
+        if (loader) {
+            loader.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#payment-request-list')) {
+        window.paymentRequestHandler = new PaymentRequestHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaymentRequestHandler;
+}
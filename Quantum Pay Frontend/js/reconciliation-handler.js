@@ -0,0 +1,511 @@
+/**
+ * Reconciliation Handler
+ * Imports a bank statement on the transactions page, matches its lines to the user's
+ * transactions and, once the user has reviewed the matches, marks those transactions reconciled
+ */
+
+// Lines read from a CSV file that the mapping step shows
+const STATEMENT_PREVIEW_ROWS = 5;
+
+// Marks sent per request; the backend takes each request all or none
+const RECONCILIATION_BATCH_SIZE = 500;
+
+const RECONCILIATION_CONFLICT_REASONS = {
+    ambiguous: 'More than one transaction fits',
+    taken: 'What fits is matched to another line',
+    reconciled: 'Already reconciled with another line'
+};
+
+class ReconciliationHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.csv = null;
+        this.review = null;
+        this.busy = false;
+        this.init();
+    }
+
+    init() {
+        if (!this.api.isAuthenticated()) return;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const fileInput = document.querySelector('#statement-import [name="statement_file"]');
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.getAttribute('data-action')) {
+                case 'import-statement':
+                    fileInput.value = '';
+                    fileInput.click();
+                    break;
+                case 'close-statement-import':
+                    this.close();
+                    break;
+            }
+        });
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importFile(fileInput.files[0]);
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.closest('#statement-mapping')) {
+                this.renderPreview();
+            }
+        });
+
+        document.addEventListener('submit', (e) => {
+            if (e.target.matches('#statement-mapping')) {
+                e.preventDefault();
+                this.run(() => this.matchCSV());
+            } else if (e.target.matches('#statement-review')) {
+                e.preventDefault();
+                this.run(() => this.confirmReview(e.target));
+            }
+        });
+    }
+
+    /**
+     * One step at a time; a second click while matching or saving does nothing
+     */
+    async run(task) {
+        const handler = window.transactionHandler;
+        if (this.busy) return;
+        if (!handler || !handler.currentUser) {
+            this.showError('Transactions are still loading. Try again in a moment.');
+            return;
+        }
+
+        this.busy = true;
+        const submit = document.querySelector('.modal-overlay [type="submit"]');
+        if (submit) submit.disabled = true;
+        try {
+            await task();
+        } catch (error) {
+            console.error('Failed to reconcile statement:', error);
+            handler.handleApiError(error, 'Failed to reconcile statement');
+        } finally {
+            this.busy = false;
+            if (submit) submit.disabled = false;
+        }
+    }
+
+    // ==================== IMPORT ====================
+
+    /**
+     * OFX and QFX files go straight to matching; CSV files first ask which column is which
+     * @param {File} file
+     */
+    async importFile(file) {
+        const text = await file.text();
+        const source = file.name;
+
+        if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) {
+            const { lines, errors } = StatementImport.parseOFX(text);
+            this.run(() => this.match(lines, errors, source));
+            return;
+        }
+
+        const rows = StatementImport.parseCSV(text);
+        if (rows.length === 0) {
+            this.showError(`${source} has no statement lines`);
+            return;
+        }
+        this.csv = { rows, source };
+        this.showMappingModal();
+    }
+
+    showMappingModal() {
+        const handler = window.transactionHandler;
+        const { rows, source } = this.csv;
+        const headers = rows[0];
+        const mapping = StatementImport.guessMapping(headers);
+        // A header row names at least the date column, so a file without one guesses nothing
+        const hasHeader = mapping.date !== -1;
+        const dateColumn = hasHeader ? mapping.date : 0;
+        const dateFormat = StatementImport.guessDateFormat(rows.slice(hasHeader ? 1 : 0).map(cells => cells[dateColumn] || ''));
+        const currency = this.getDefaultCurrency();
+
+        const fieldLabels = {
+            date: 'Date',
+            amount: 'Amount (signed)',
+            debit: 'Money out',
+            credit: 'Money in',
+            currency: 'Currency',
+            counterparty: 'Payee or payer',
+            description: 'Description',
+            reference: 'Bank transaction ID'
+        };
+        const columnOptions = (selected) => [
+            `<option value="-1">Not in this file</option>`,
+            ...headers.map((header, index) => `
+                <option value="${index}" ${index === selected ? 'selected' : ''}>
+                    ${hasHeader ? handler.escapeHTML(header) : `Column ${index + 1}`}
+                </option>
+            `)
+        ].join('');
+
+        this.close();
+        const modalHTML = `
+            <div class="modal-overlay" onclick="reconciliationHandler.close()">
+                <div class="modal-content modal-content--wide" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Import ${handler.escapeHTML(source)}</h3>
+                        <button class="modal-close" data-action="close-statement-import">&times;</button>
+                    </div>
+                    <form class="modal-body statement-mapping" id="statement-mapping">
+                        <p>Which column holds what? Use one signed amount column, or money out and money in.</p>
+                        <div class="statement-mapping__fields">
+                            ${StatementImport.FIELDS.map(field => `
+                                <label>
+                                    ${fieldLabels[field]}
+                                    <select name="${field}">${columnOptions(mapping[field])}</select>
+                                </label>
+                            `).join('')}
+                            <label>
+                                Dates look like
+                                <select name="date_format">
+                                    <option value="YMD" ${dateFormat === 'YMD' ? 'selected' : ''}>2026-03-15</option>
+                                    <option value="DMY" ${dateFormat === 'DMY' ? 'selected' : ''}>15/03/2026</option>
+                                    <option value="MDY" ${dateFormat === 'MDY' ? 'selected' : ''}>03/15/2026</option>
+                                </select>
+                            </label>
+                            <label>
+                                Decimal separator
+                                <select name="decimal">
+                                    <option value=".">1,234.56</option>
+                                    <option value=",">1.234,56</option>
+                                </select>
+                            </label>
+                            <label>
+                                Currency
+                                <input type="text" name="currency" value="${currency}" maxlength="3" size="4" required>
+                            </label>
+                            <label class="statement-mapping__header">
+                                <input type="checkbox" name="has_header" ${hasHeader ? 'checked' : ''}>
+                                The first row names the columns
+                            </label>
+                        </div>
+                        <div class="statement-preview" id="statement-preview"></div>
+                        <div class="modal-actions">
+                            <button type="button" class="btn btn-secondary" data-action="close-statement-import">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Match transactions</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.renderPreview();
+    }
+
+    /**
+     * The mapping form as options for StatementImport.readCSV()
+     */
+    getMappingOptions() {
+        const form = document.querySelector('#statement-mapping');
+        return {
+            mapping: Object.fromEntries(StatementImport.FIELDS.map(field => [field, Number(form.elements[field].value)])),
+            hasHeader: form.elements.has_header.checked,
+            dateFormat: form.elements.date_format.value,
+            decimal: form.elements.decimal.value,
+            currency: form.elements.currency.value.trim().toUpperCase()
+        };
+    }
+
+    /**
+     * The first lines as they will be read, so a wrong column or date format shows before matching
+     */
+    renderPreview() {
+        const handler = window.transactionHandler;
+        const preview = document.querySelector('#statement-preview');
+        if (!preview || !this.csv) return;
+
+        const options = this.getMappingOptions();
+        if (options.mapping.date === -1 || (options.mapping.amount === -1 && options.mapping.debit === -1 && options.mapping.credit === -1)) {
+            preview.innerHTML = '<p class="statement-preview__error">Choose the date column and an amount column.</p>';
+            return;
+        }
+
+        const rows = this.csv.rows.slice(0, STATEMENT_PREVIEW_ROWS + (options.hasHeader ? 1 : 0));
+        let result;
+        try {
+            result = StatementImport.readCSV(rows, options);
+        } catch (error) {
+            preview.innerHTML = `<p class="statement-preview__error">${handler.escapeHTML(error.message)}</p>`;
+            return;
+        }
+
+        preview.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Row</th><th>Date</th><th>Amount</th><th>Payee or payer</th><th>Description</th></tr>
+                </thead>
+                <tbody>
+                    ${result.lines.map(line => `
+                        <tr>
+                            <td>${line.row}</td>
+                            <td>${new Date(line.date).toLocaleDateString()}</td>
+                            <td class="${line.amount.isNegative() ? 'negative' : 'positive'}">${this.formatAmount(line.amount)}</td>
+                            <td>${handler.escapeHTML(line.counterparty)}</td>
+                            <td>${handler.escapeHTML(line.description)}</td>
+                        </tr>
+                    `).join('')}
+                    ${result.errors.map(error => `
+                        <tr class="statement-preview__error">
+                            <td>${error.row}</td>
+                            <td colspan="4">${handler.escapeHTML(error.message)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async matchCSV() {
+        const options = this.getMappingOptions();
+        if (!/^[A-Z]{3}$/.test(options.currency)) {
+            this.showError('Enter a currency code such as USD');
+            return;
+        }
+        const { lines, errors } = StatementImport.readCSV(this.csv.rows, options);
+        await this.match(lines, errors, this.csv.source);
+    }
+
+    // ==================== MATCHING ====================
+
+    /**
+     * Match statement lines to the user's completed transactions around the same dates
+     * @param {Array} lines - Statement lines
+     * @param {Array} errors - Lines that couldn't be read, { row, message }
+     * @param {string} source - File name, kept with each mark
+     */
+    async match(lines, errors, source) {
+        const handler = window.transactionHandler;
+        if (lines.length === 0) {
+            this.showError(errors.length > 0 ? `No statement lines could be read: ${errors[0].message}` : 'No statement lines found');
+            return;
+        }
+
+        if (!handler.reconciliations) {
+            await handler.loadReconciliations();
+            if (!handler.reconciliations) {
+                this.showError('Reconciliation is not available on this server');
+                return;
+            }
+        }
+
+        const dates = lines.map(line => line.date);
+        const tolerance = StatementImport.MATCHING.dateTolerance * 24 * 60 * 60 * 1000;
+        const transactions = await handler.findTransactions({
+            status: 'completed,refunded',
+            from: Math.min(...dates) - tolerance,
+            to: Math.max(...dates) + tolerance + 24 * 60 * 60 * 1000 - 1
+        });
+        await handler.resolveParticipants(undefined, transactions);
+
+        const result = StatementImport.reconcile(lines, transactions, {
+            userId: handler.currentUser.id,
+            describeUser: id => handler.describeUser(id),
+            reconciliations: handler.reconciliations
+        });
+        this.review = { ...result, errors, source };
+        this.showReviewModal();
+    }
+
+    showReviewModal() {
+        const handler = window.transactionHandler;
+        const { matched, reconciled, conflicts, unmatched, missing, errors, source } = this.review;
+
+        const section = (title, count, body) => (count > 0 ? `
+            <section class="statement-review__section">
+                <h4>${title} <span class="statement-review__count">${count}</span></h4>
+                ${body}
+            </section>
+        ` : '');
+
+        this.close();
+        const modalHTML = `
+            <div class="modal-overlay" onclick="reconciliationHandler.close()">
+                <div class="modal-content modal-content--wide" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Review ${handler.escapeHTML(source)}</h3>
+                        <button class="modal-close" data-action="close-statement-import">&times;</button>
+                    </div>
+                    <form class="modal-body statement-review" id="statement-review">
+                        ${section('Matched', matched.length, `
+                            <table>
+                                <tbody>
+                                    ${matched.map(({ line, transaction, score }) => `
+                                        <tr>
+                                            <td><input type="checkbox" name="match" value="${line.row}" checked aria-label="Reconcile row ${line.row}"></td>
+                                            <td>${this.renderLine(line)}</td>
+                                            <td>${this.renderTransaction(transaction)}</td>
+                                            <td class="statement-review__score" title="How well they match">${Math.round(score * 100)}%</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        `)}
+                        ${section('Needs a decision', conflicts.length, conflicts.map(({ line, candidates, reason }) => `
+                            <fieldset class="statement-review__conflict">
+                                <legend>${this.renderLine(line)} <small>${RECONCILIATION_CONFLICT_REASONS[reason]}</small></legend>
+                                ${candidates.map(({ transaction }) => `
+                                    <label>
+                                        <input type="radio" name="conflict-${line.row}" value="${transaction.id}"
+                                            ${handler.reconciliations.has(transaction.id) ? 'disabled' : ''}>
+                                        ${this.renderTransaction(transaction)}
+                                    </label>
+                                `).join('')}
+                                <label>
+                                    <input type="radio" name="conflict-${line.row}" value="" checked>
+                                    Leave unreconciled
+                                </label>
+                            </fieldset>
+                        `).join(''))}
+                        ${section('Not in Quantum Pay', unmatched.length, `
+                            <ul>${unmatched.map(line => `<li>${this.renderLine(line)}</li>`).join('')}</ul>
+                        `)}
+                        ${section('Not on the statement', missing.length, `
+                            <ul>${missing.map(transaction => `<li>${this.renderTransaction(transaction)}</li>`).join('')}</ul>
+                        `)}
+                        ${section('Reconciled before', reconciled.length, `
+                            <ul>${reconciled.map(({ line }) => `<li>${this.renderLine(line)}</li>`).join('')}</ul>
+                        `)}
+                        ${section('Skipped rows', errors.length, `
+                            <ul>${errors.map(error => `<li>Row ${error.row}: ${handler.escapeHTML(error.message)}</li>`).join('')}</ul>
+                        `)}
+                        <div class="modal-actions">
+                            <button type="button" class="btn btn-secondary" data-action="close-statement-import">Cancel</button>
+                            <button type="submit" class="btn btn-primary" ${matched.length + conflicts.length === 0 ? 'disabled' : ''}>Reconcile</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Mark the ticked matches and the chosen answers to conflicts as reconciled
+     * @param {HTMLFormElement} form
+     */
+    async confirmReview(form) {
+        const { matched, conflicts, source } = this.review;
+        const ticked = new Set([...form.querySelectorAll('[name="match"]:checked')].map(input => Number(input.value)));
+
+        const pairs = matched
+            .filter(({ line }) => ticked.has(line.row))
+            .map(({ line, transaction }) => ({ line, transactionId: transaction.id }));
+        conflicts.forEach(({ line }) => {
+            const choice = form.querySelector(`[name="conflict-${line.row}"]:checked`);
+            if (choice && choice.value) pairs.push({ line, transactionId: choice.value });
+        });
+
+        if (pairs.length === 0) {
+            this.showError('Tick at least one match to reconcile');
+            return;
+        }
+        const chosen = pairs.map(pair => pair.transactionId);
+        if (new Set(chosen).size !== chosen.length) {
+            this.showError('A transaction can only be matched to one statement line');
+            return;
+        }
+
+        const items = pairs.map(({ line, transactionId }) => ({
+            transaction_id: transactionId,
+            statement_reference: line.reference,
+            statement_date: line.date,
+            statement_amount: line.amount.amount,
+            statement_currency: line.amount.currency,
+            statement_description: [line.counterparty, line.description].filter(Boolean).join(' · '),
+            source
+        }));
+        for (let i = 0; i < items.length; i += RECONCILIATION_BATCH_SIZE) {
+            await this.api.createReconciliations(items.slice(i, i + RECONCILIATION_BATCH_SIZE));
+        }
+
+        this.close();
+        window.transactionHandler.showSuccess(`${items.length} transaction${items.length === 1 ? '' : 's'} reconciled`);
+        window.dispatchEvent(new CustomEvent('quantum:reconciliations-changed'));
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderLine(line) {
+        const handler = window.transactionHandler;
+        const text = [line.counterparty, line.description].filter(Boolean).join(' · ');
+        return `
+            <span class="statement-line">
+                <span>${new Date(line.date).toLocaleDateString()}</span>
+                <strong class="${line.amount.isNegative() ? 'negative' : 'positive'}">${this.formatAmount(line.amount)}</strong>
+                <span>${handler.escapeHTML(text)}</span>
+            </span>
+        `;
+    }
+
+    renderTransaction(transaction) {
+        const handler = window.transactionHandler;
+        const amount = TransactionExport.signedAmount(transaction, handler.currentUser.id);
+        const name = transaction.type === 'transfer'
+            ? `${handler.getWalletName(transaction.wallet_id)} to ${handler.getWalletName(transaction.receiver_wallet_id)}`
+            : handler.getTransactionParticipant(transaction, transaction.sender_user_id === handler.currentUser.id);
+        return `
+            <span class="statement-line">
+                <span>${new Date(transaction.transaction_date).toLocaleDateString()}</span>
+                <strong class="${amount.isNegative() ? 'negative' : 'positive'}">${this.formatAmount(amount)}</strong>
+                <span>${handler.escapeHTML(name)}${transaction.memo ? ` · ${handler.escapeHTML(transaction.memo)}` : ''}</span>
+            </span>
+        `;
+    }
+
+    formatAmount(money) {
+        return `${money.isNegative() ? '-' : '+'}${this.api.formatCurrency(money.abs().amount, money.currency)}`;
+    }
+
+    // ==================== UTILITY FUNCTIONS ====================
+
+    /**
+     * The currency of the user's main wallet, for statements that don't name one
+     */
+    getDefaultCurrency() {
+        const wallets = (window.transactionHandler.wallets || []).filter(w => !w.archived);
+        const wallet = wallets.find(w => w.type === 'main') || wallets[0];
+        return wallet ? wallet.currency : 'USD';
+    }
+
+    close() {
+        window.transactionHandler.closeModal();
+    }
+
+    showError(message) {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, 'error');
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#statement-import')) {
+        window.reconciliationHandler = new ReconciliationHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReconciliationHandler;
+}
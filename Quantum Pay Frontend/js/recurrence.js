@@ -0,0 +1,240 @@
+/**
+ * Recurrence
+ * When a scheduled payment comes up, shared by the local backend (which runs schedules)
+ * and the dashboard (which lists upcoming payments)
+ *
+ * A recurrence is { frequency, interval, rule }:
+ *   once                    a single payment on the start date
+ *   daily, weekly, monthly  every `interval` days, weeks or months from the start date
+ *   custom                  `rule`, a cron expression: minute hour day-of-month month day-of-week
+ *
+ * Dates are worked out in the local time zone, so a payment at 9:00 stays at 9:00 across
+ * daylight saving changes. Monthly payments started on the 31st fall on the last day of
+ * shorter months.
+ */
+
+const RECURRENCE_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly', 'custom'];
+const RECURRENCE_MAX_INTERVAL = 365;
+
+const RECURRENCE_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Cron fields in order; day of week 0 and 7 are both Sunday
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// A cron rule that doesn't match within this many years never will, e.g. "0 9 30 2 *"
+const CRON_SEARCH_YEARS = 5;
+
+const RECURRENCE_HOUR = 60 * 60 * 1000;
+
+class Recurrence {
+    /**
+     * Check a recurrence and fill in its defaults
+     * @param {Object} [recurrence] - { frequency, interval, rule }
+     * @returns {Object} { frequency }, { frequency, interval } or { frequency: 'custom', rule }
+     * @throws {RangeError} When the recurrence isn't valid
+     */
+    static normalize(recurrence = {}) {
+        const frequency = recurrence.frequency || 'once';
+        if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+            throw new RangeError(`frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}.`);
+        }
+        if (frequency === 'once') {
+            return { frequency };
+        }
+        if (frequency === 'custom') {
+            const rule = String(recurrence.rule || '').trim().replace(/\s+/g, ' ');
+            Recurrence.parseRule(rule);
+            return { frequency, rule };
+        }
+
+        const interval = recurrence.interval === undefined || recurrence.interval === null ? 1 : Number(recurrence.interval);
+        if (!Number.isInteger(interval) || interval < 1 || interval > RECURRENCE_MAX_INTERVAL) {
+            throw new RangeError(`interval must be a whole number from 1 to ${RECURRENCE_MAX_INTERVAL}.`);
+        }
+        return { frequency, interval };
+    }
+
+    /**
+     * The next occurrence strictly after a moment, never before the start date
+     * @param {Object} recurrence - Normalized recurrence
+     * @param {number} start - Start date (timestamp)
+     * @param {number} after - Timestamp
+     * @returns {number|null} Timestamp, or null when there are no more
+     */
+    static next(recurrence, start, after) {
+        const { frequency } = recurrence;
+        if (frequency === 'once') {
+            return start > after ? start : null;
+        }
+        if (frequency === 'custom') {
+            return Recurrence.nextMatch(recurrence.rule, Math.max(after, start - 1));
+        }
+
+        // Skip the periods that have certainly passed, then step to the next one; the longest
+        // possible period (DST, 31-day months) keeps the estimate from overshooting
+        const longest = {
+            daily: 25 * RECURRENCE_HOUR,
+            weekly: (7 * 24 + 1) * RECURRENCE_HOUR,
+            monthly: (31 * 24 + 1) * RECURRENCE_HOUR
+        }[frequency];
+        let n = Math.max(0, Math.floor((after - start) / (longest * recurrence.interval)));
+        while (Recurrence.occurrence(recurrence, start, n) <= after) {
+            n += 1;
+        }
+        return Recurrence.occurrence(recurrence, start, n);
+    }
+
+    /**
+     * The n-th occurrence of an interval recurrence (0 is the start date)
+     */
+    static occurrence(recurrence, start, n) {
+        const date = new Date(start);
+        const steps = n * recurrence.interval;
+
+        switch (recurrence.frequency) {
+            case 'daily':
+                date.setDate(date.getDate() + steps);
+                break;
+            case 'weekly':
+                date.setDate(date.getDate() + 7 * steps);
+                break;
+            case 'monthly': {
+                const day = date.getDate();
+                date.setDate(1);
+                date.setMonth(date.getMonth() + steps);
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                date.setDate(Math.min(day, lastDay));
+                break;
+            }
+        }
+        return date.getTime();
+    }
+
+    /**
+     * The next run of a schedule, taking its end date and payment limit into account
+     * @param {Object} schedule - { recurrence, start_date, end_date, max_occurrences }
+     * @param {number} after - Timestamp
+     * @param {number} count - Payments made so far
+     * @returns {number|null} Timestamp, or null when the schedule has ended
+     */
+    static nextRun(schedule, after, count) {
+        if (schedule.max_occurrences && count >= schedule.max_occurrences) {
+            return null;
+        }
+        const next = Recurrence.next(schedule.recurrence, schedule.start_date, after);
+        if (next === null || (schedule.end_date && next > schedule.end_date)) {
+            return null;
+        }
+        return next;
+    }
+
+    // ==================== CRON RULES ====================
+
+    /**
+     * @param {string} rule - "minute hour day-of-month month day-of-week", e.g. "0 9 1,15 * *"
+     * @returns {Array<Object>} { values: Set, any } for each field
+     * @throws {RangeError} When the rule can't be read
+     */
+    static parseRule(rule) {
+        const parts = String(rule).trim().split(/\s+/);
+        if (parts.length !== CRON_FIELDS.length) {
+            throw new RangeError('A custom rule has 5 fields: minute hour day-of-month month day-of-week, e.g. "0 9 1 * *".');
+        }
+        return parts.map((part, i) => Recurrence.parseField(part, CRON_FIELDS[i]));
+    }
+
+    /**
+     * One cron field: *, a value, a range (1-5), a step (*\/15, 1-31/2) or a list of those
+     */
+    static parseField(text, field) {
+        const values = new Set();
+
+        text.split(',').forEach(item => {
+            const match = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new RangeError(`"${item}" is not a valid ${field.name}.`);
+            }
+
+            const [, star, from, to, step] = match;
+            const first = star ? field.min : Number(from);
+            const last = star ? field.max : to !== undefined ? Number(to) : step !== undefined ? field.max : first;
+            const by = step === undefined ? 1 : Number(step);
+            if (first < field.min || last > field.max || first > last || by < 1) {
+                throw new RangeError(`The ${field.name} must be from ${field.min} to ${field.max}.`);
+            }
+
+            for (let value = first; value <= last; value += by) {
+                values.add(field.name === 'day of week' ? value % 7 : value);
+            }
+        });
+
+        // As in cron, a field starting with * doesn't restrict the day
+        return { values, any: text.startsWith('*') };
+    }
+
+    /**
+     * First minute strictly after a moment that matches a cron rule
+     * @returns {number|null} Timestamp, or null when the rule never matches
+     */
+    static nextMatch(rule, after) {
+        const [minutes, hours, days, months, weekdays] = Recurrence.parseRule(rule);
+        const limit = new Date(after);
+        limit.setFullYear(limit.getFullYear() + CRON_SEARCH_YEARS);
+
+        // When both day fields are restricted, cron runs on days matching either
+        const dayMatches = date => {
+            const dayOfMonth = days.values.has(date.getDate());
+            const dayOfWeek = weekdays.values.has(date.getDay());
+            return !days.any && !weekdays.any ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+        };
+
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        while (date < limit) {
+            if (!months.values.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!dayMatches(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!hours.values.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!minutes.values.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date.getTime();
+            }
+        }
+        return null;
+    }
+
+    // ==================== DISPLAY ====================
+
+    /**
+     * @param {Object} recurrence - Normalized recurrence
+     * @returns {string} e.g. "Once", "Every week", "Every 2 months", "Custom (0 9 1 * *)"
+     */
+    static describe(recurrence) {
+        const { frequency, interval } = recurrence;
+        if (frequency === 'once') return 'Once';
+        if (frequency === 'custom') return `Custom (${recurrence.rule})`;
+
+        const unit = RECURRENCE_UNITS[frequency];
+        return interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    }
+}
+
+Recurrence.FREQUENCIES = RECURRENCE_FREQUENCIES;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Recurrence;
+}
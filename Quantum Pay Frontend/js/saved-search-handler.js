@@ -0,0 +1,271 @@
+/**
+ * Saved Search Handler
+ * Named transaction searches kept in this browser; pinned ones sit above the transaction list
+ * so one click brings back their filters
+ */
+
+const SAVED_SEARCHES_KEY = 'quantum_saved_searches';
+const SAVED_SEARCH_LIMIT = 20;
+
+class SavedSearchHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.currentUser = null;
+        this.searches = [];
+        this.activeFilters = {};
+        this.init();
+    }
+
+    async init() {
+        if (!this.api.isAuthenticated()) return;
+
+        this.bindEvents();
+
+        try {
+            this.currentUser = await this.api.getCurrentUser();
+            this.searches = this.loadSearches();
+            if (window.transactionHandler) {
+                this.activeFilters = { ...window.transactionHandler.filters };
+            }
+            this.renderSearches();
+        } catch (error) {
+            console.error('Failed to load saved searches:', error);
+        }
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const searchId = button.getAttribute('data-search-id');
+
+            switch (button.getAttribute('data-action')) {
+                case 'save-search':
+                    this.saveCurrentSearch();
+                    break;
+                case 'apply-saved-search':
+                    this.applySearch(searchId);
+                    break;
+                case 'pin-saved-search':
+                    this.togglePinned(searchId);
+                    break;
+                case 'rename-saved-search':
+                    this.renameSearch(searchId);
+                    break;
+                case 'delete-saved-search':
+                    this.deleteSearch(searchId);
+                    break;
+            }
+        });
+
+        window.addEventListener('quantum:transaction-filters-changed', (e) => {
+            this.activeFilters = e.detail;
+            this.renderSearches();
+        });
+    }
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Saved searches of the signed-in user; several people may use the same browser
+     * @returns {Array} [{ id, name, filters, pinned, created_at }]
+     */
+    loadSearches() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SAVED_SEARCHES_KEY) || '{}') || {};
+            return Array.isArray(stored[this.currentUser.id]) ? stored[this.currentUser.id] : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    storeSearches() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(SAVED_SEARCHES_KEY) || '{}') || {};
+        } catch (error) {
+            // Start over rather than fail to save
+        }
+        stored[this.currentUser.id] = this.searches;
+        localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(stored));
+    }
+
+    findSearch(searchId) {
+        return this.searches.find(s => s.id === searchId) || null;
+    }
+
+    // ==================== SEARCH OPERATIONS ====================
+
+    saveCurrentSearch() {
+        const filters = { ...this.activeFilters };
+        if (Object.keys(filters).length === 0) {
+            this.showError('Search or filter the transactions first, then save that search');
+            return;
+        }
+        if (this.searches.some(s => this.isSameFilters(s.filters, filters))) {
+            this.showError('This search is already saved');
+            return;
+        }
+        if (this.searches.length >= SAVED_SEARCH_LIMIT) {
+            this.showError(`You can save up to ${SAVED_SEARCH_LIMIT} searches. Delete one to save another.`);
+            return;
+        }
+
+        const name = prompt('Name this search', filters.q || '');
+        if (name === null) return;
+
+        this.searches.push({
+            id: crypto.randomUUID(),
+            name: name.trim() || this.describeFilters(filters),
+            filters,
+            // Shown as a chip right away; unpinning moves it to the collapsed list
+            pinned: true,
+            created_at: Date.now()
+        });
+        this.storeSearches();
+        this.renderSearches();
+        this.showSuccess('Search saved');
+    }
+
+    applySearch(searchId) {
+        const search = this.findSearch(searchId);
+        if (!search || !window.transactionHandler) return;
+
+        window.transactionHandler.setFilters(search.filters);
+    }
+
+    togglePinned(searchId) {
+        const search = this.findSearch(searchId);
+        if (!search) return;
+
+        search.pinned = !search.pinned;
+        this.storeSearches();
+        this.renderSearches();
+    }
+
+    renameSearch(searchId) {
+        const search = this.findSearch(searchId);
+        if (!search) return;
+
+        const name = prompt('Search name', search.name);
+        if (name === null || !name.trim()) return;
+
+        search.name = name.trim();
+        this.storeSearches();
+        this.renderSearches();
+    }
+
+    deleteSearch(searchId) {
+        const search = this.findSearch(searchId);
+        if (!search || !confirm(`Delete the saved search "${search.name}"?`)) return;
+
+        this.searches = this.searches.filter(s => s.id !== searchId);
+        this.storeSearches();
+        this.renderSearches();
+    }
+
+    isSameFilters(a, b) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => (a[key] || '') === (b[key] || ''));
+    }
+
+    /**
+     * Short text for a search saved without a name, e.g. "pending · EUR · from 2026-01-01"
+     */
+    describeFilters(filters) {
+        const parts = [filters.q, filters.status, filters.currency];
+        if (filters.from) parts.push(`from ${filters.from}`);
+        if (filters.to) parts.push(`until ${filters.to}`);
+        if (filters.min_amount) parts.push(`≥ ${filters.min_amount}`);
+        if (filters.max_amount) parts.push(`≤ ${filters.max_amount}`);
+        return parts.filter(Boolean).join(' · ') || 'Saved search';
+    }
+
+    // ==================== UI UPDATES ====================
+
+    /**
+     * Pinned searches as chips, the others in a collapsed list, the one in use marked
+     */
+    renderSearches() {
+        const container = document.querySelector('#saved-searches');
+        if (!container || !this.currentUser) return;
+
+        const pinned = this.searches.filter(s => s.pinned);
+        const others = this.searches.filter(s => !s.pinned);
+        const canSave = Object.keys(this.activeFilters).length > 0
+            && !this.searches.some(s => this.isSameFilters(s.filters, this.activeFilters));
+        const moreOpen = Boolean(container.querySelector('.saved-search-more[open]'));
+
+        container.innerHTML = `
+            <ul class="saved-search-chips"></ul>
+            ${others.length > 0 ? `
+                <details class="saved-search-more"${moreOpen ? ' open' : ''}>
+                    <summary>Saved searches (${others.length})</summary>
+                    <ul class="saved-search-list"></ul>
+                </details>
+            ` : ''}
+            <button type="button" class="btn btn-small btn-secondary" data-action="save-search"${canSave ? '' : ' hidden'}>Save this search</button>
+        `;
+
+        const chips = container.querySelector('.saved-search-chips');
+        pinned.forEach(search => chips.appendChild(this.createSearchItem(search, 'saved-search-chip')));
+
+        const list = container.querySelector('.saved-search-list');
+        if (list) {
+            others.forEach(search => list.appendChild(this.createSearchItem(search, 'saved-search-item')));
+        }
+    }
+
+    createSearchItem(search, className) {
+        const item = document.createElement('li');
+        item.className = className;
+        item.classList.toggle('active', this.isSameFilters(search.filters, this.activeFilters));
+        item.innerHTML = `
+            <button type="button" class="saved-search-name" data-action="apply-saved-search" data-search-id="${search.id}"></button>
+            <button type="button" class="saved-search-pin" data-action="pin-saved-search" data-search-id="${search.id}"
+                    aria-pressed="${search.pinned}" title="${search.pinned ? 'Unpin' : 'Pin above the list'}">📌</button>
+            <button type="button" class="saved-search-rename" data-action="rename-saved-search" data-search-id="${search.id}"
+                    title="Rename" aria-label="Rename">✎</button>
+            <button type="button" class="saved-search-delete" data-action="delete-saved-search" data-search-id="${search.id}"
+                    title="Delete" aria-label="Delete">×</button>
+        `;
+        const nameButton = item.querySelector('.saved-search-name');
+        nameButton.textContent = search.name;
+        nameButton.title = this.describeFilters(search.filters);
+        return item;
+    }
+
+    // ==================== UTILITY FUNCTIONS ====================
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#saved-searches')) {
+        window.savedSearchHandler = new SavedSearchHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SavedSearchHandler;
+}
@@ -0,0 +1,721 @@
+/**
+ * Schedule Handler
+ * Scheduled and recurring payments: the "When" fields of the send form, the list of schedules
+ * with pause, resume, edit and cancel, and the upcoming payments on the dashboard
+ *
+ * The backend creates each payment as a draft when it comes due (see js/recurrence.js);
+ * the sender confirms it with an OTP like any other payment.
+ */
+
+const UPCOMING_PAYMENT_DAYS = 30;
+const UPCOMING_PAYMENT_LIMIT = 5;
+
+// Check for due payments at least this often, even when none is expected sooner
+const SCHEDULE_REFRESH_INTERVAL = 60 * 60 * 1000;
+
+const SCHEDULE_FREQUENCY_OPTIONS = [
+    ['', 'Now'],
+    ['once', 'Later'],
+    ['daily', 'Every day'],
+    ['weekly', 'Every week'],
+    ['monthly', 'Every month'],
+    ['custom', 'Custom rule']
+];
+
+const SCHEDULE_INTERVAL_UNITS = { daily: 'days', weekly: 'weeks', monthly: 'months' };
+
+class ScheduleHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.schedules = [];
+        this.currentUser = null;
+        this.directory = window.userDirectory || null;
+        this.available = true;
+        this.refreshTimer = null;
+        this.init();
+    }
+
+    async init() {
+        if (!this.api.isAuthenticated()) return;
+
+        this.renderSendFormFields();
+        this.bindEvents();
+
+        try {
+            this.currentUser = await this.api.getCurrentUser();
+            await this.loadSchedules();
+        } catch (error) {
+            console.error('Failed to initialize scheduled payments:', error);
+            this.handleApiError(error, 'Failed to load scheduled payments');
+        }
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const scheduleId = button.getAttribute('data-schedule-id');
+
+            switch (button.getAttribute('data-action')) {
+                case 'pause-schedule':
+                    this.updateSchedule(scheduleId, { status: 'paused' }, 'Schedule paused');
+                    break;
+                case 'resume-schedule':
+                    this.updateSchedule(scheduleId, { status: 'active' }, 'Schedule resumed');
+                    break;
+                case 'edit-schedule':
+                    this.showEditModal(scheduleId);
+                    break;
+                case 'cancel-schedule':
+                    this.cancelSchedule(scheduleId);
+                    break;
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.schedule-fields select')) {
+                this.syncRecurrenceFields(e.target.form);
+            }
+        });
+
+        // form.reset() puts the selects back without a change event
+        const sendMoneyForm = document.querySelector('#send-money-form');
+        if (sendMoneyForm) {
+            sendMoneyForm.addEventListener('reset', () => {
+                setTimeout(() => this.syncRecurrenceFields(sendMoneyForm));
+            });
+        }
+    }
+
+    // ==================== SCHEDULE OPERATIONS ====================
+
+    async loadSchedules() {
+        if (!this.available) return;
+
+        try {
+            this.showLoading(true);
+            this.schedules = await this.api.getAllSchedules();
+            if (this.directory) {
+                await this.directory.resolve(this.schedules.map(s => s.receiver_user_id));
+            }
+            this.renderSchedules();
+            this.renderUpcoming();
+            this.planRefresh();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                // This backend can't schedule payments; the send form only sends now
+                this.available = false;
+                this.renderSendFormFields();
+                return;
+            }
+            console.error('Failed to load scheduled payments:', error);
+            this.handleApiError(error, 'Failed to load scheduled payments');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Create a schedule from the send form instead of paying now
+     * @param {HTMLFormElement} form - Send form with the schedule fields filled in
+     * @param {Object} transactionData - Amount, currency, recipient and wallet of the payment
+     * @returns {Promise<boolean>} Whether the schedule was created
+     */
+    async schedulePayment(form, transactionData) {
+        const { data, fieldErrors } = this.readScheduleFields(form);
+        if (Object.keys(fieldErrors).length > 0) {
+            this.highlightFieldErrors(form, fieldErrors);
+            return false;
+        }
+
+        const scheduleData = {
+            ...data,
+            amount: transactionData.amount,
+            currency: transactionData.currency,
+            receiver_user_id: transactionData.receiver_user_id
+        };
+        if (transactionData.wallet_id) {
+            scheduleData.wallet_id = transactionData.wallet_id;
+        }
+
+        try {
+            const schedule = await this.api.createSchedule(scheduleData);
+            await this.loadSchedules();
+
+            if (schedule.last_transaction_id && window.transactionHandler) {
+                // It started straight away: the first payment waits for its code like any other
+                this.showSuccess('Schedule created. Please verify the first payment with OTP.');
+                await window.transactionHandler.loadTransactions();
+                window.transactionHandler.showOTPModal(schedule.last_transaction_id);
+            } else {
+                this.showSuccess(`Payment scheduled for ${this.formatDate(schedule.next_run_at)}`);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to schedule payment:', error);
+            if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors, this.getFieldMap(data.recurrence));
+            }
+            this.handleApiError(error, 'Failed to schedule the payment');
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} scheduleId - Schedule UUID
+     * @param {Object} changes - Fields to change
+     * @param {string} successMessage - Shown once saved
+     * @param {HTMLFormElement} [form] - Form to show field errors on
+     * @returns {Promise<boolean>} Whether the change was saved
+     */
+    async updateSchedule(scheduleId, changes, successMessage, form = null) {
+        try {
+            await this.api.updateSchedule(scheduleId, changes);
+            this.showSuccess(successMessage);
+            await this.loadSchedules();
+            return true;
+        } catch (error) {
+            console.error('Failed to update schedule:', error);
+            if (form && error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors, this.getFieldMap(changes.recurrence));
+            }
+            this.handleApiError(error, 'Failed to update the schedule');
+            if (error instanceof ConflictError) {
+                // It ended in the meantime
+                this.closeModal();
+                await this.loadSchedules();
+            }
+            return false;
+        }
+    }
+
+    async cancelSchedule(scheduleId) {
+        if (!confirm('Cancel this schedule? Payments already made are not affected.')) {
+            return;
+        }
+
+        if (await this.updateSchedule(scheduleId, { status: 'cancelled' }, 'Schedule cancelled')) {
+            this.closeModal();
+        }
+    }
+
+    async saveSchedule(form, schedule) {
+        const { data, fieldErrors } = this.readScheduleFields(form);
+
+        try {
+            data.amount = Money.parse(form.elements.amount.value, schedule.currency).amount;
+        } catch (error) {
+            fieldErrors.amount = error.message;
+        }
+        if (Object.keys(fieldErrors).length > 0) {
+            this.highlightFieldErrors(form, fieldErrors);
+            return;
+        }
+        if (form.elements.start_date.disabled) {
+            // Fixed once the first payment has been made
+            delete data.start_date;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        if (await this.updateSchedule(schedule.id, data, 'Schedule updated', form)) {
+            this.closeModal();
+        }
+        submitBtn.disabled = false;
+    }
+
+    findSchedule(scheduleId) {
+        return this.schedules.find(s => s.id === scheduleId) || null;
+    }
+
+    // ==================== SCHEDULER ====================
+
+    /**
+     * Check again when the next payment comes due, so its draft shows up while the page is open
+     */
+    planRefresh() {
+        clearTimeout(this.refreshTimer);
+
+        const nextRuns = this.schedules
+            .filter(s => s.status === 'active' && s.next_run_at)
+            .map(s => s.next_run_at);
+        if (nextRuns.length === 0) return;
+
+        const delay = Math.min(Math.max(Math.min(...nextRuns) - Date.now(), 0) + 1000, SCHEDULE_REFRESH_INTERVAL);
+        this.refreshTimer = setTimeout(() => this.refreshDuePayments(), delay);
+    }
+
+    /**
+     * Reload the schedules and, when payments came due, the transactions that hold them
+     */
+    async refreshDuePayments() {
+        const counts = Object.fromEntries(this.schedules.map(s => [s.id, s.occurrence_count]));
+        await this.loadSchedules();
+
+        const due = this.schedules.filter(s => s.occurrence_count > (counts[s.id] || 0));
+        if (due.length === 0) return;
+
+        this.showNotification(due.length === 1
+            ? `Your scheduled payment to ${this.getReceiverName(due[0])} is due. Verify it to send it.`
+            : `${due.length} scheduled payments are due. Verify them to send them.`);
+        if (window.transactionHandler) {
+            await window.transactionHandler.loadTransactions();
+        }
+    }
+
+    /**
+     * Payments the active schedules will make soon, soonest first
+     * @param {number} [days] - How far ahead to look
+     * @param {number} [limit] - Maximum number of payments
+     * @returns {Array<Object>} { schedule, date }
+     */
+    getUpcomingPayments(days = UPCOMING_PAYMENT_DAYS, limit = UPCOMING_PAYMENT_LIMIT) {
+        const until = Date.now() + days * 24 * 60 * 60 * 1000;
+        const payments = [];
+
+        this.schedules.filter(s => s.status === 'active').forEach(schedule => {
+            let date = schedule.next_run_at;
+            let count = schedule.occurrence_count;
+            for (let taken = 0; date && date <= until && taken < limit; taken++) {
+                payments.push({ schedule, date });
+                count += 1;
+                date = Recurrence.nextRun(schedule, date, count);
+            }
+        });
+
+        return payments.sort((a, b) => a.date - b.date).slice(0, limit);
+    }
+
+    // ==================== RECURRENCE FIELDS ====================
+
+    /**
+     * Put the "When" fields in the send form, or take them out when the backend can't schedule
+     */
+    renderSendFormFields() {
+        const container = document.querySelector('#send-schedule-fields');
+        if (!container) return;
+
+        container.innerHTML = this.available ? this.renderRecurrenceFields('send') : '';
+        const form = container.closest('form');
+        if (form) {
+            this.syncRecurrenceFields(form);
+        }
+    }
+
+    /**
+     * Fields for when a payment is made and how it repeats
+     * @param {string} idPrefix - Keeps element ids unique when two forms are on the page
+     * @param {Object} [schedule] - Schedule being edited; without one, "Now" is offered too and the
+     *     note comes from the send form's own field
+     * @returns {string} HTML
+     */
+    renderRecurrenceFields(idPrefix, schedule = null) {
+        const recurrence = schedule ? schedule.recurrence : { frequency: '' };
+        const ends = !schedule ? 'never' : schedule.end_date ? 'date' : schedule.max_occurrences ? 'count' : 'never';
+        const startLocked = schedule && schedule.occurrence_count > 0;
+
+        const frequencyOptions = SCHEDULE_FREQUENCY_OPTIONS
+            .filter(([value]) => value || !schedule)
+            .map(([value, label]) => `<option value="${value}"${value === recurrence.frequency ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const endOptions = [['never', 'Never'], ['date', 'On a date'], ['count', 'After a number of payments']]
+            .map(([value, label]) => `<option value="${value}"${value === ends ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        return `
+            <div class="schedule-fields">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="${idPrefix}-frequency">When</label>
+                        <select id="${idPrefix}-frequency" name="frequency">${frequencyOptions}</select>
+                    </div>
+                    <div class="form-group" data-frequencies="once daily weekly monthly custom">
+                        <label for="${idPrefix}-start-date">${schedule && recurrence.frequency !== 'once' ? 'First payment' : 'Date'}</label>
+                        <input type="datetime-local" id="${idPrefix}-start-date" name="start_date"
+                               value="${schedule ? this.toDateTimeLocal(schedule.start_date) : ''}"${startLocked ? ' disabled' : ''}>
+                    </div>
+                </div>
+                <div class="form-row" data-frequencies="daily weekly monthly custom">
+                    <div class="form-group" data-frequencies="daily weekly monthly">
+                        <label for="${idPrefix}-interval">Repeat every (<span data-recurrence-unit></span>)</label>
+                        <input type="number" id="${idPrefix}-interval" name="interval" min="1" max="365" value="${recurrence.interval || 1}">
+                    </div>
+                    <div class="form-group" data-frequencies="custom">
+                        <label for="${idPrefix}-rule">Rule (minute hour day month weekday)</label>
+                        <input type="text" id="${idPrefix}-rule" name="rule" placeholder="0 9 1 * *" autocomplete="off"
+                               value="${this.escapeHTML(recurrence.rule || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label for="${idPrefix}-ends">Ends</label>
+                        <select id="${idPrefix}-ends" name="ends">${endOptions}</select>
+                        <input type="date" name="end_date" aria-label="Last day" data-ends="date"
+                               value="${schedule && schedule.end_date ? this.toDateInput(schedule.end_date) : ''}">
+                        <input type="number" name="max_occurrences" aria-label="Number of payments" min="1" max="1000"
+                               placeholder="Number of payments" data-ends="count" value="${schedule && schedule.max_occurrences || ''}">
+                    </div>
+                </div>
+                ${schedule ? `
+                    <div class="form-group">
+                        <label for="${idPrefix}-memo">Note</label>
+                        <input type="text" id="${idPrefix}-memo" name="memo" maxlength="140" placeholder="Optional, e.g. Rent"
+                               value="${this.escapeHTML(schedule.memo || '')}">
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Show only the fields that apply to the chosen frequency and end condition
+     * @param {HTMLFormElement} form - Form holding renderRecurrenceFields()
+     */
+    syncRecurrenceFields(form) {
+        if (!form || !form.elements.frequency) return;
+
+        const frequency = form.elements.frequency.value;
+        const ends = form.elements.ends.value;
+
+        form.querySelectorAll('[data-frequencies]').forEach(el => {
+            el.hidden = !el.getAttribute('data-frequencies').split(' ').includes(frequency);
+        });
+        form.querySelectorAll('[data-ends]').forEach(el => {
+            el.hidden = el.getAttribute('data-ends') !== ends;
+        });
+        form.querySelectorAll('[data-recurrence-unit]').forEach(el => {
+            el.textContent = SCHEDULE_INTERVAL_UNITS[frequency] || '';
+        });
+
+        const startInput = form.elements.start_date;
+        if (frequency && !startInput.value) {
+            startInput.value = this.toDateTimeLocal(Date.now());
+        }
+
+        // The send form schedules instead of paying when a date or repeat is chosen
+        const submitBtn = form.querySelector('button[type="submit"][data-schedule-label]');
+        if (submitBtn && !submitBtn.disabled) {
+            submitBtn.dataset.sendLabel = submitBtn.dataset.sendLabel || submitBtn.textContent;
+            submitBtn.textContent = frequency ? submitBtn.getAttribute('data-schedule-label') : submitBtn.dataset.sendLabel;
+        }
+    }
+
+    /**
+     * Read the recurrence fields into the API shape, checking what can be checked here
+     * @param {HTMLFormElement} form - Form holding renderRecurrenceFields()
+     * @returns {Object} { data: { recurrence, start_date, end_date, max_occurrences, memo }, fieldErrors }
+     */
+    readScheduleFields(form) {
+        const { elements } = form;
+        const frequency = elements.frequency.value;
+        const fieldErrors = {};
+
+        const startDate = new Date(elements.start_date.value).getTime();
+        if (!Number.isFinite(startDate)) {
+            fieldErrors.start_date = 'Choose when the payment is made';
+        }
+
+        const recurrence = { frequency };
+        if (SCHEDULE_INTERVAL_UNITS[frequency]) {
+            recurrence.interval = Number(elements.interval.value);
+        } else if (frequency === 'custom') {
+            recurrence.rule = elements.rule.value.trim();
+        }
+        try {
+            Recurrence.normalize(recurrence);
+        } catch (error) {
+            fieldErrors[frequency === 'custom' ? 'rule' : 'interval'] = error.message;
+        }
+
+        const data = {
+            recurrence,
+            start_date: startDate,
+            end_date: null,
+            max_occurrences: null,
+            memo: elements.memo.value.trim()
+        };
+
+        if (frequency !== 'once' && elements.ends.value === 'date') {
+            // The whole last day counts
+            data.end_date = new Date(`${elements.end_date.value}T23:59:59.999`).getTime();
+            if (!Number.isFinite(data.end_date)) {
+                fieldErrors.end_date = 'Choose the last day';
+            }
+        } else if (frequency !== 'once' && elements.ends.value === 'count') {
+            data.max_occurrences = Number(elements.max_occurrences.value);
+            if (!Number.isInteger(data.max_occurrences) || data.max_occurrences < 1) {
+                fieldErrors.max_occurrences = 'Enter how many payments to make';
+            }
+        }
+
+        return { data, fieldErrors };
+    }
+
+    /**
+     * Inputs that hold the fields the API names in its errors
+     */
+    getFieldMap(recurrence) {
+        return {
+            recurrence: recurrence && recurrence.frequency === 'custom' ? 'rule' : 'interval',
+            receiver_user_id: 'receiver'
+        };
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderSchedules() {
+        const list = document.querySelector('#schedule-list');
+        if (!list) return;
+
+        // Running schedules first, soonest first; ended ones after them
+        const order = { active: 0, paused: 1, completed: 2, cancelled: 2 };
+        const visible = [...this.schedules].sort((a, b) => order[a.status] - order[b.status]
+            || (a.next_run_at || Infinity) - (b.next_run_at || Infinity)
+            || b.created_at - a.created_at);
+
+        if (visible.length === 0) {
+            list.innerHTML = `
+                <div class="no-transactions">
+                    <h3>No scheduled payments</h3>
+                    <p>Choose a date or a repeat under "When" to schedule a payment</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = '';
+        visible.forEach(schedule => list.appendChild(this.createScheduleItem(schedule)));
+    }
+
+    createScheduleItem(schedule) {
+        const item = document.createElement('div');
+        item.className = 'schedule-item';
+        item.setAttribute('data-schedule-id', schedule.id);
+        item.innerHTML = `
+            <div class="schedule-details">
+                <div class="schedule-title"></div>
+                <div class="schedule-memo"></div>
+                <div class="schedule-date">${this.escapeHTML(this.describeSchedule(schedule))}</div>
+            </div>
+            <div class="schedule-amount">${Money.of(schedule.amount, schedule.currency).format()}</div>
+            <span class="status-badge status-${schedule.status}">${schedule.status}</span>
+            <div class="schedule-actions">${this.renderActions(schedule)}</div>
+        `;
+        item.querySelector('.schedule-title').textContent = `To ${this.getReceiverName(schedule)}`;
+        item.querySelector('.schedule-memo').textContent = schedule.memo || '';
+        return item;
+    }
+
+    renderActions(schedule) {
+        const id = schedule.id;
+        const button = (action, label, className = 'btn-secondary') =>
+            `<button type="button" class="btn btn-small ${className}" data-action="${action}" data-schedule-id="${id}">${label}</button>`;
+
+        switch (schedule.status) {
+            case 'active':
+                return button('pause-schedule', 'Pause') + button('edit-schedule', 'Edit') + button('cancel-schedule', 'Cancel', 'btn-danger');
+            case 'paused':
+                return button('resume-schedule', 'Resume', 'btn-primary') + button('edit-schedule', 'Edit') + button('cancel-schedule', 'Cancel', 'btn-danger');
+            default:
+                return '';
+        }
+    }
+
+    renderUpcoming() {
+        const list = document.querySelector('#upcoming-payment-list');
+        if (!list) return;
+
+        const upcoming = this.getUpcomingPayments();
+        if (upcoming.length === 0) {
+            list.innerHTML = `<li class="activity-item upcoming-payment--empty">Nothing due in the next ${UPCOMING_PAYMENT_DAYS} days</li>`;
+            return;
+        }
+
+        list.innerHTML = '';
+        upcoming.forEach(({ schedule, date }) => {
+            const item = document.createElement('li');
+            item.className = 'activity-item upcoming-payment';
+            item.innerHTML = `
+                <div class="activity-info">
+                    <span class="activity-description"></span>
+                    <span class="activity-date">${this.formatDate(date)}</span>
+                </div>
+                <span class="activity-amount expense">-${Money.of(schedule.amount, schedule.currency).format()}</span>
+            `;
+            item.querySelector('.activity-description').textContent = `To ${this.getReceiverName(schedule)}`
+                + (schedule.memo ? ` · ${schedule.memo}` : '');
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * e.g. "Every month · next Nov 1, 9:00 AM · 2 of 12 made"
+     */
+    describeSchedule(schedule) {
+        const parts = [Recurrence.describe(schedule.recurrence)];
+
+        if (schedule.status === 'active' && schedule.next_run_at) {
+            parts.push(`next ${this.formatDate(schedule.next_run_at)}`);
+        } else if (schedule.status === 'paused') {
+            parts.push('paused');
+        }
+
+        if (schedule.max_occurrences) {
+            parts.push(`${schedule.occurrence_count} of ${schedule.max_occurrences} made`);
+        } else if (schedule.end_date) {
+            parts.push(`until ${new Date(schedule.end_date).toLocaleDateString()}`);
+        }
+        return parts.join(' · ');
+    }
+
+    getReceiverName(schedule) {
+        return this.directory
+            ? this.directory.getDisplayName(schedule.receiver_user_id)
+            : `${schedule.receiver_user_id.slice(0, 8)}...`;
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Local date and time as a datetime-local input wants it, to the minute
+     */
+    toDateTimeLocal(timestamp) {
+        const date = new Date(timestamp);
+        const pad = n => String(n).padStart(2, '0');
+        return `${this.toDateInput(timestamp)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    toDateInput(timestamp) {
+        const date = new Date(timestamp);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // ==================== MODAL METHODS ====================
+
+    showEditModal(scheduleId) {
+        const schedule = this.findSchedule(scheduleId);
+        if (!schedule) return;
+        this.closeModal();
+
+        const amount = Money.of(schedule.amount, schedule.currency);
+        const modalHTML = `
+            <div class="modal-overlay" onclick="scheduleHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Edit Schedule</h3>
+                        <button class="modal-close" onclick="scheduleHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="schedule-edit-receiver"></p>
+                        <form id="schedule-edit-form" novalidate>
+                            <div class="form-group">
+                                <label for="schedule-edit-amount">Amount (${schedule.currency})</label>
+                                <input type="text" id="schedule-edit-amount" name="amount" inputmode="decimal" autocomplete="off" required
+                                       value="${amount.format(undefined, { style: 'decimal', useGrouping: false })}">
+                            </div>
+                            ${this.renderRecurrenceFields('schedule-edit', schedule)}
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" onclick="scheduleHandler.closeModal()">Close</button>
+                                <button type="submit" class="btn btn-primary">Save</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        document.querySelector('.schedule-edit-receiver').textContent =
+            `Payments to ${this.getReceiverName(schedule)}. Payments already made are not changed.`;
+
+        const form = document.querySelector('#schedule-edit-form');
+        this.syncRecurrenceFields(form);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSchedule(form, schedule);
+        });
+    }
+
+    closeModal() {
+        const modal = document.querySelector('.modal-overlay');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    /**
+     * Show the right message for a failed API call, sending the user back to sign in on 401
+     * @param {Error} error - Error thrown by the API service
+     * @param {string} fallbackMessage - Message for errors that carry none
+     */
+    handleApiError(error, fallbackMessage) {
+        this.showError(getUserMessage(error, fallbackMessage));
+
+        if (error instanceof UnauthorizedError) {
+            setTimeout(() => {
+                if (window.sessionManager) {
+                    window.sessionManager.endSession('expired');
+                } else {
+                    this.api.clearAuthToken();
+                    window.location.href = '/main/sign-in page.html';
+                }
+            }, 1500);
+        }
+    }
+
+    highlightFieldErrors(form, fieldErrors, fieldMap) {
+        // Reuse the field error display from auth handler
+        if (window.authHandler && window.authHandler.highlightFieldErrors) {
+            window.authHandler.highlightFieldErrors(form, fieldErrors, fieldMap);
+        }
+    }
+
+    showLoading(show) {
+        const loader = document.querySelector('#schedule-loader');
+        if (loader) {
+            loader.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#schedule-list, #send-schedule-fields')) {
+        window.scheduleHandler = new ScheduleHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleHandler;
+}
@@ -0,0 +1,385 @@
+/**
+ * Session Manager
+ * Tracks the auth token lifetime, renews sessions and signs the user out when they end
+ *
+ * Attaches itself to QuantumPayAPI: requests made while the session is being renewed are
+ * queued, and a request that fails with 401 is replayed once the session has been renewed.
+ */
+
+const SESSION_DEFAULTS = {
+    tokenLifetime: 24 * 60 * 60 * 1000, // assumed when the token cannot be decoded (Xano default)
+    warningLeadTime: 5 * 60 * 1000,     // warn this long before expiry
+    activityWindow: 10 * 60 * 1000,     // activity this recent allows a silent refresh
+    signInPage: '/main/sign-in page.html'
+};
+
+class SessionManager {
+    /**
+     * @param {QuantumPayAPI} api - API service to manage the session of
+     * @param {Object} [options] - Overrides for SESSION_DEFAULTS
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.options = { ...SESSION_DEFAULTS, ...options };
+        this.renewal = null;
+        this.refreshSupported = true;
+        this.warningTimer = null;
+        this.expiryTimer = null;
+        this.countdownTimer = null;
+        this.lastActivity = Date.now();
+        this.ended = false;
+
+        this.api.sessionManager = this;
+        this.bindEvents();
+        this.schedule();
+    }
+
+    bindEvents() {
+        // Remember when the user last interacted with the page
+        ['click', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+            window.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+
+        // Keep tabs in sync when another tab signs in, refreshes or signs out
+        window.addEventListener('storage', (e) => {
+            if (e.key !== 'quantum_auth_token') return;
+
+            this.api.authToken = e.newValue;
+            if (e.newValue) {
+                this.hideWarning();
+                this.schedule();
+            } else {
+                this.endSession('signed_out');
+            }
+        });
+    }
+
+    // ==================== TOKEN LIFETIME ====================
+
+    /**
+     * When the current token expires, from its JWT exp claim when it has one,
+     * otherwise from the time it was stored plus the configured lifetime
+     * @returns {number|null} Expiry timestamp in milliseconds, null when signed out
+     */
+    getExpiry() {
+        const token = this.api.authToken;
+        if (!token) return null;
+
+        const claims = SessionManager.decodeToken(token);
+        if (claims && claims.exp) {
+            return claims.exp * 1000;
+        }
+
+        const { issuedAt } = this.api.getSessionInfo();
+        return (issuedAt || Date.now()) + this.options.tokenLifetime;
+    }
+
+    /**
+     * Milliseconds until the session expires (0 when expired or signed out)
+     */
+    getTimeRemaining() {
+        const expiry = this.getExpiry();
+        return expiry ? Math.max(0, expiry - Date.now()) : 0;
+    }
+
+    /**
+     * Decode the payload of a JWT. Encrypted tokens (JWE, as issued by Xano) return null.
+     * @param {string} token - Auth token
+     * @returns {Object|null} Token claims
+     */
+    static decodeToken(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    schedule() {
+        clearTimeout(this.warningTimer);
+        clearTimeout(this.expiryTimer);
+
+        const remaining = this.getTimeRemaining();
+        if (!this.api.authToken) return;
+
+        if (remaining === 0) {
+            this.handleUnauthorized();
+            return;
+        }
+
+        // setTimeout overflows past ~24.8 days, the timers are re-armed whenever the token changes
+        const clamp = ms => Math.min(Math.max(ms, 0), 2147483647);
+        this.warningTimer = setTimeout(() => this.onExpiryApproaching(), clamp(remaining - this.options.warningLeadTime));
+        this.expiryTimer = setTimeout(() => this.handleUnauthorized(), clamp(remaining));
+    }
+
+    async onExpiryApproaching() {
+        const recentlyActive = Date.now() - this.lastActivity < this.options.activityWindow;
+
+        if (recentlyActive && this.refreshSupported && await this.refresh()) {
+            return;
+        }
+
+        this.showWarning();
+    }
+
+    // ==================== RENEWAL ====================
+
+    /**
+     * Resolves once no renewal is in progress; makeRequest waits on this before sending
+     */
+    whenReady() {
+        return this.renewal ? this.renewal.catch(() => false) : Promise.resolve(true);
+    }
+
+    /**
+     * Called by makeRequest on a 401 and by the expiry timer.
+     * Concurrent callers share one renewal attempt.
+     * @returns {Promise<boolean>} True when the session was renewed
+     */
+    handleUnauthorized() {
+        if (!this.renewal) {
+            this.renewal = this.renew().finally(() => {
+                this.renewal = null;
+            });
+        }
+        return this.renewal;
+    }
+
+    async renew() {
+        if (this.ended) return false;
+
+        if (await this.refresh() || await this.promptReauthentication()) {
+            return true;
+        }
+
+        this.endSession('expired');
+        return false;
+    }
+
+    /**
+     * Try the backend refresh endpoint
+     * @returns {Promise<boolean>} True when a new token was issued
+     */
+    async refresh() {
+        if (!this.refreshSupported || !this.api.authToken || this.getTimeRemaining() === 0) {
+            return false;
+        }
+
+        try {
+            await this.api.refreshToken({ skipSession: true, retries: 1 });
+            this.hideWarning();
+            this.schedule();
+            return true;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.refreshSupported = false; // this backend has no refresh endpoint
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Ask for the password (and the 2FA code, when enabled) again in place, so the page and
+     * any queued requests survive
+     * @returns {Promise<boolean>} True when the user signed in again
+     */
+    promptReauthentication() {
+        const { email } = this.api.getSessionInfo();
+        if (!email || typeof document === 'undefined') {
+            return Promise.resolve(false);
+        }
+
+        this.hideWarning();
+        document.querySelector('.session-reauth-overlay')?.remove();
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay session-reauth-overlay';
+            overlay.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Session expired</h3>
+                    </div>
+                    <div class="modal-body">
+                        <p>For your security, please enter your password to continue as <strong></strong>.</p>
+                        <form id="session-reauth-form">
+                            <div class="form-group">
+                                <input type="password" name="password" placeholder="Password" autocomplete="current-password" required>
+                            </div>
+                            <div class="form-group" style="display: none;">
+                                <input type="text" name="code" placeholder="6-digit code from your authenticator app" maxlength="6" inputmode="numeric" autocomplete="one-time-code">
+                            </div>
+                            <p class="session-reauth-error" style="color: #ef4444; display: none;"></p>
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" data-action="session-sign-out">Sign out</button>
+                                <button type="submit" class="btn btn-primary">Continue</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            `;
+            overlay.querySelector('strong').textContent = email;
+            document.body.appendChild(overlay);
+
+            const form = overlay.querySelector('form');
+            const errorEl = overlay.querySelector('.session-reauth-error');
+            const { password, code } = form.elements;
+            let challengeToken = null; // set when the account asks for a second factor
+            password.focus();
+
+            const showStep = (twoFactor) => {
+                password.parentElement.style.display = twoFactor ? 'none' : '';
+                code.parentElement.style.display = twoFactor ? '' : 'none';
+                password.required = !twoFactor;
+                code.required = twoFactor;
+                (twoFactor ? code : password).focus();
+            };
+
+            const finish = (renewed) => {
+                overlay.remove();
+                resolve(renewed);
+            };
+
+            overlay.querySelector('[data-action="session-sign-out"]').addEventListener('click', () => finish(false));
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const submitBtn = form.querySelector('button[type="submit"]');
+                submitBtn.disabled = true;
+                errorEl.style.display = 'none';
+
+                try {
+                    if (challengeToken) {
+                        await this.api.verifyTwoFactorLogin(challengeToken, { code: code.value.trim() }, { skipSession: true });
+                    } else {
+                        const response = await this.api.login(email, password.value, { skipSession: true });
+                        if (response.two_factor_required) {
+                            challengeToken = response.challenge_token;
+                            showStep(true);
+                            submitBtn.disabled = false;
+                            return;
+                        }
+                    }
+                    this.schedule();
+                    finish(true);
+                } catch (error) {
+                    if (challengeToken && error instanceof ForbiddenError) {
+                        // The 2FA challenge expired or ran out of attempts, start over with the password
+                        challengeToken = null;
+                        password.value = '';
+                        code.value = '';
+                        showStep(false);
+                        errorEl.textContent = error.message;
+                    } else if (error instanceof ForbiddenError) {
+                        errorEl.textContent = 'Incorrect password. Please try again.';
+                    } else {
+                        errorEl.textContent = getUserMessage(error);
+                    }
+                    errorEl.style.display = 'block';
+                    submitBtn.disabled = false;
+                }
+            });
+        });
+    }
+
+    /**
+     * Sign the user out and send them to the sign-in page, returning here after they sign in
+     * @param {string} [reason] - 'expired' or 'signed_out', shown on the sign-in page
+     */
+    endSession(reason = 'expired') {
+        if (this.ended) return;
+        this.ended = true;
+
+        clearTimeout(this.warningTimer);
+        clearTimeout(this.expiryTimer);
+        this.hideWarning();
+        this.api.clearAuthToken();
+
+        window.location.href = SessionManager.getSignInURL(reason);
+    }
+
+    /**
+     * Sign-in page URL that brings the user back to the current page
+     * @param {string} [reason] - Why the user is being sent to sign in
+     * @returns {string}
+     */
+    static getSignInURL(reason) {
+        const params = new URLSearchParams({
+            returnUrl: window.location.pathname + window.location.search
+        });
+        if (reason) {
+            params.set('reason', reason);
+        }
+        return `${SESSION_DEFAULTS.signInPage}?${params}`;
+    }
+
+    // ==================== EXPIRY WARNING ====================
+
+    showWarning() {
+        if (document.querySelector('.session-warning')) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'session-warning';
+        banner.innerHTML = `
+            <span class="session-warning__text"></span>
+            <button type="button" data-action="session-extend">Stay signed in</button>
+            <button type="button" data-action="session-dismiss">&times;</button>
+        `;
+        banner.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 12px;
+            padding: 10px 16px;
+            background: #f59e0b;
+            color: white;
+            z-index: 10001;
+            font-weight: 500;
+        `;
+        document.body.appendChild(banner);
+
+        banner.querySelector('[data-action="session-extend"]').addEventListener('click', () => {
+            this.hideWarning();
+            this.handleUnauthorized();
+        });
+        banner.querySelector('[data-action="session-dismiss"]').addEventListener('click', () => this.hideWarning());
+
+        const updateCountdown = () => {
+            const minutes = Math.ceil(this.getTimeRemaining() / 60000);
+            banner.querySelector('.session-warning__text').textContent =
+                `Your session expires in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+        };
+        updateCountdown();
+        this.countdownTimer = setInterval(updateCountdown, 15000);
+    }
+
+    hideWarning() {
+        clearInterval(this.countdownTimer);
+        if (typeof document !== 'undefined') {
+            document.querySelector('.session-warning')?.remove();
+        }
+    }
+}
+
+// Pages that need a signed-in user get a session manager as soon as the script loads,
+// so it is attached before any handler makes its first request
+if (typeof window !== 'undefined' && window.quantumAPI && window.location.pathname.includes('/dashboard/')) {
+    window.sessionManager = new SessionManager(window.quantumAPI, (window.QUANTUM_PAY_CONFIG || {}).session);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+}
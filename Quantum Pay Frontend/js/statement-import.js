@@ -0,0 +1,423 @@
+/**
+ * Statement Import
+ * Reads bank statements (CSV with any columns, or OFX/QFX) into statement lines and matches
+ * them to Quantum Pay transactions for reconciliation
+ *
+ * A statement line is { row, reference, date, amount, counterparty, description }:
+ *   amount     Money, signed from the account holder's side (money in is positive)
+ *   reference  the bank's ID for the line (OFX FITID, or a CSV column), otherwise one made from
+ *              the line itself, so importing the same file again finds what is reconciled already
+ */
+
+// Words in CSV headers that name each field; the first column that matches is used
+const STATEMENT_COLUMN_NAMES = {
+    date: ['date', 'posted', 'booked', 'booking', 'datum'],
+    amount: ['amount', 'value', 'betrag', 'sum'],
+    debit: ['debit', 'withdrawal', 'paid out', 'money out', 'outflow'],
+    credit: ['credit', 'deposit', 'paid in', 'money in', 'inflow'],
+    currency: ['currency', 'ccy'],
+    counterparty: ['payee', 'counterparty', 'beneficiary', 'merchant', 'name'],
+    description: ['description', 'details', 'narrative', 'memo', 'text', 'reference'],
+    reference: ['transaction id', 'fitid', 'id', 'reference number']
+};
+
+const STATEMENT_FIELDS = Object.keys(STATEMENT_COLUMN_NAMES);
+
+// Decimal separator to a locale that reads amounts written with it, for Money.parse()
+const STATEMENT_DECIMAL_LOCALES = { '.': 'en-US', ',': 'de-DE' };
+
+const RECONCILIATION_MATCHING = {
+    dateTolerance: 3,        // days between the statement and the transaction date
+    amountTolerance: 0.01,   // share of the amount a bank fee or rounding may change
+    ambiguityMargin: 0.05,   // candidates scoring this close can't be told apart
+    weights: { amount: 0.5, date: 0.3, counterparty: 0.2 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StatementImport {
+    // ==================== CSV ====================
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180). The delimiter is whichever of , ; or tab
+     * the first line has most of.
+     * @param {string} text
+     * @returns {Array<Array<string>>} Rows without the empty ones
+     */
+    static parseCSV(text) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(char => [char, firstLine.split(char).length])
+            .sort((a, b) => b[1] - a[1])[0][0];
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(value => value.trim()))
+            .filter(cells => cells.some(Boolean));
+    }
+
+    /**
+     * Which column holds which field, guessed from the header row
+     * @param {Array<string>} headers
+     * @returns {Object} Column index by field name, -1 when there is none
+     */
+    static guessMapping(headers) {
+        const names = headers.map(header => header.toLowerCase().replace(/[_-]+/g, ' ').trim());
+        const mapping = Object.fromEntries(STATEMENT_FIELDS.map(field => [field, -1]));
+        const taken = new Set();
+        const assign = (field, test) => {
+            if (mapping[field] !== -1) return;
+            const index = names.findIndex((name, i) => !taken.has(i) && STATEMENT_COLUMN_NAMES[field].some(word => test(name, word)));
+            if (index !== -1) {
+                mapping[field] = index;
+                taken.add(index);
+            }
+        };
+
+        // Exact names first, so "Transaction ID" isn't taken for a description
+        STATEMENT_FIELDS.forEach(field => assign(field, (name, word) => name === word));
+        STATEMENT_FIELDS
+            .filter(field => field !== 'reference')
+            .forEach(field => assign(field, (name, word) => name.includes(word)));
+
+        // One signed amount column is enough; debit and credit are only needed without it
+        if (mapping.amount !== -1) {
+            mapping.debit = -1;
+            mapping.credit = -1;
+        }
+        return mapping;
+    }
+
+    /**
+     * The date order of a column, from values where it shows: 2026-03-15, 15/03/2026 or 03/15/2026
+     * @param {Array<string>} values
+     * @returns {string} YMD, DMY or MDY
+     */
+    static guessDateFormat(values) {
+        const parts = values.map(value => String(value).split(/[T\s]/)[0].split(/[-/.]/).map(Number));
+        if (parts.length && parts.every(p => String(p[0]).length === 4)) return 'YMD';
+        if (parts.some(p => p[1] > 12)) return 'MDY';
+        return 'DMY';
+    }
+
+    /**
+     * @param {string} value - e.g. 2026-03-15, 15.03.2026, 3/15/26, 2026-03-15T10:00:00
+     * @param {string} format - YMD, DMY or MDY
+     * @returns {number|null} Local midnight of the day, or null when it isn't a date
+     */
+    static parseDate(value, format) {
+        const parts = String(value || '').trim().split(/[T\s]/)[0].split(/[-/.]/);
+        if (parts.length !== 3 || !parts.every(part => /^\d{1,4}$/.test(part))) return null;
+
+        const order = { YMD: [0, 1, 2], DMY: [2, 1, 0], MDY: [2, 0, 1] }[format];
+        let [year, month, day] = order.map(i => Number(parts[i]));
+        if (year < 100) year += 2000;
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        return date.getTime();
+    }
+
+    /**
+     * Statement lines from CSV rows
+     * @param {Array<Array<string>>} rows - From parseCSV()
+     * @param {Object} options
+     * @param {Object} options.mapping - From guessMapping(), possibly changed by the user
+     * @param {boolean} options.hasHeader - Whether the first row names the columns
+     * @param {string} options.dateFormat - YMD, DMY or MDY
+     * @param {string} options.decimal - "." or ","
+     * @param {string} options.currency - For rows without a currency column
+     * @returns {Object} { lines, errors: [{ row, message }] }
+     */
+    static readCSV(rows, { mapping, hasHeader, dateFormat, decimal, currency }) {
+        const lines = [];
+        const errors = [];
+        const locale = STATEMENT_DECIMAL_LOCALES[decimal];
+        const cell = (cells, field) => (mapping[field] >= 0 ? cells[mapping[field]] || '' : '');
+        const occurrences = new Map();
+
+        rows.slice(hasHeader ? 1 : 0).forEach((cells, i) => {
+            const row = i + (hasHeader ? 2 : 1);
+            const code = (cell(cells, 'currency') || currency).toUpperCase();
+            const date = StatementImport.parseDate(cell(cells, 'date'), dateFormat);
+            if (date === null) {
+                errors.push({ row, message: `"${cell(cells, 'date')}" isn't a date` });
+                return;
+            }
+
+            let amount;
+            try {
+                if (mapping.amount >= 0) {
+                    amount = Money.parse(cell(cells, 'amount'), code, locale);
+                } else {
+                    const read = field => (cell(cells, field) ? Money.parse(cell(cells, field), code, locale).abs() : Money.zero(code));
+                    amount = read('credit').subtract(read('debit'));
+                }
+            } catch (error) {
+                errors.push({ row, message: `No amount: ${error.message}` });
+                return;
+            }
+
+            const line = {
+                row,
+                date,
+                amount,
+                counterparty: cell(cells, 'counterparty'),
+                description: cell(cells, 'description'),
+                reference: cell(cells, 'reference')
+            };
+            if (!line.reference) {
+                // Identical lines (two coffees on one day) are numbered
+                const key = [date, amount.amount, amount.currency, line.counterparty, line.description].join('|');
+                occurrences.set(key, (occurrences.get(key) || 0) + 1);
+                line.reference = `line:${StatementImport.hash(`${key}|${occurrences.get(key)}`)}`;
+            }
+            lines.push(line);
+        });
+
+        return { lines, errors };
+    }
+
+    // ==================== OFX ====================
+
+    /**
+     * Statement lines from an OFX or QFX file, SGML (1.x) or XML (2.x), bank or credit card
+     * @param {string} text
+     * @returns {Object} { lines, errors }
+     */
+    static parseOFX(text) {
+        const lines = [];
+        const errors = [];
+        const value = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? StatementImport.decodeEntities(match[1].trim()) : '';
+        };
+
+        String(text).split(/<(?:CC)?STMTRS>/i).slice(1).forEach(statement => {
+            const currency = value(statement, 'CURDEF') || 'USD';
+            statement.split(/<STMTTRN>/i).slice(1).forEach((block, i) => {
+                const row = lines.length + errors.length + 1;
+                const posted = value(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+                if (!posted) {
+                    errors.push({ row, message: 'No DTPOSTED date' });
+                    return;
+                }
+                let amount;
+                try {
+                    amount = Money.parse(value(block, 'TRNAMT'), currency, 'en-US');
+                } catch (error) {
+                    errors.push({ row, message: `No amount: ${error.message}` });
+                    return;
+                }
+                const date = new Date(Number(posted[1]), Number(posted[2]) - 1, Number(posted[3])).getTime();
+                lines.push({
+                    row,
+                    date,
+                    amount,
+                    counterparty: value(block, 'NAME') || value(block, 'PAYEE'),
+                    description: value(block, 'MEMO'),
+                    reference: value(block, 'FITID')
+                        || `line:${StatementImport.hash([date, amount.amount, currency, i].join('|'))}`
+                });
+            });
+        });
+
+        if (lines.length === 0 && errors.length === 0) {
+            errors.push({ row: 0, message: 'No statement transactions found in this file' });
+        }
+        return { lines, errors };
+    }
+
+    static decodeEntities(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Short, stable text for a string (32-bit FNV-1a in hex); not for security
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    // ==================== MATCHING ====================
+
+    /**
+     * How well a statement line fits a transaction, from 0 to 1, or 0 when it can't be the one:
+     * the currency and direction must agree, the amount must be within amountTolerance and the
+     * date within dateTolerance days. Then closer amounts and dates score more, and so do words the
+     * line shares with the other party's name or the note, two of them counting in full.
+     * @param {Object} line - Statement line
+     * @param {Object} transaction
+     * @param {string} userId
+     * @param {Function} describeUser - User ID to the names of that person
+     * @returns {number}
+     */
+    static score(line, transaction, userId, describeUser) {
+        const { dateTolerance, amountTolerance, weights } = RECONCILIATION_MATCHING;
+        const amount = TransactionExport.signedAmount(transaction, userId);
+        if (amount.currency !== line.amount.currency || amount.isNegative() !== line.amount.isNegative()) return 0;
+
+        const difference = Math.abs(amount.amount - line.amount.amount);
+        if (difference > Math.abs(amount.amount) * amountTolerance) return 0;
+
+        // Whole days, so a late-evening payment matches a bank's next-day booking
+        const days = Math.abs(Math.round((StatementImport.startOfDay(transaction.transaction_date) - line.date) / DAY_MS));
+        if (days > dateTolerance) return 0;
+
+        const words = text => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3);
+        const lineWords = new Set(words(`${line.counterparty} ${line.description}`));
+        const counterparty = transaction.sender_user_id === userId ? transaction.receiver_user_id : transaction.sender_user_id;
+        const known = new Set(words([...(describeUser(counterparty) || []), transaction.memo, transaction.id.slice(0, 8)].join(' ')));
+        const shared = [...known].filter(word => lineWords.has(word)).length;
+
+        return weights.amount * (difference === 0 ? 1 : 0.5)
+            + weights.date * (1 - days / (dateTolerance + 1))
+            + weights.counterparty * Math.min(shared / 2, 1);
+    }
+
+    static startOfDay(timestamp) {
+        const date = new Date(timestamp);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+
+    /**
+     * Pair statement lines with transactions. Each line and each transaction is used once, the
+     * best scoring pairs first.
+     * @param {Array} lines - Statement lines
+     * @param {Array} transactions - The user's transactions around the statement's dates
+     * @param {Object} options
+     * @param {string} options.userId
+     * @param {Function} options.describeUser - User ID to the names of that person
+     * @param {Map} [options.reconciliations] - Existing marks by transaction ID
+     * @returns {Object} {
+     *     matched: [{ line, transaction, score }],
+     *     reconciled: [{ line, transaction }]            matched to this line before,
+     *     conflicts: [{ line, candidates, reason }]      reason: ambiguous, taken or reconciled,
+     *     unmatched: [line]                              nothing fits,
+     *     missing: [transaction]                         in the statement's dates but on no line
+     * }
+     */
+    static reconcile(lines, transactions, { userId, describeUser, reconciliations = new Map() }) {
+        const { ambiguityMargin } = RECONCILIATION_MATCHING;
+        const booked = transactions.filter(TransactionExport.movedMoney);
+        const result = { matched: [], reconciled: [], conflicts: [], unmatched: [], missing: [] };
+
+        // A line imported before keeps its transaction
+        const byReference = new Map([...reconciliations.values()].map(mark => [mark.statement_reference, mark]));
+        const used = new Set();
+        const open = lines.filter(line => {
+            const mark = byReference.get(line.reference);
+            const transaction = mark && booked.find(t => t.id === mark.transaction_id);
+            if (!transaction) return true;
+            result.reconciled.push({ line, transaction });
+            used.add(transaction.id);
+            return false;
+        });
+
+        const candidatesOf = new Map(open.map(line => [line, booked
+            .map(transaction => ({ transaction, score: StatementImport.score(line, transaction, userId, describeUser) }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score)]));
+
+        const pairs = open
+            .flatMap(line => candidatesOf.get(line).map(candidate => ({ line, ...candidate })))
+            .sort((a, b) => b.score - a.score);
+        const assigned = new Map();
+        const claims = new Map();
+        pairs.forEach(pair => {
+            if (assigned.has(pair.line) || used.has(pair.transaction.id)) return;
+            assigned.set(pair.line, pair);
+            claims.set(pair.transaction.id, pair);
+            used.add(pair.transaction.id);
+        });
+
+        // A transaction that fits a line as well as its match is a rival, unless another line has a
+        // clearly better claim to it, or the two lines fit both transactions the same (two equal
+        // coffees on one day) so swapping them would change nothing
+        const scoreOf = (line, transaction) => {
+            const candidate = candidatesOf.get(line).find(c => c.transaction === transaction);
+            return candidate ? candidate.score : 0;
+        };
+        const isRival = (pair, candidate) => {
+            const claim = claims.get(candidate.transaction.id);
+            if (!claim) return !used.has(candidate.transaction.id);
+            if (claim.score >= candidate.score + ambiguityMargin) return false;
+            return candidate.score !== pair.score || scoreOf(claim.line, pair.transaction) !== claim.score;
+        };
+
+        open.forEach(line => {
+            const candidates = candidatesOf.get(line);
+            const pair = assigned.get(line);
+            if (candidates.length === 0) {
+                result.unmatched.push(line);
+            } else if (!pair) {
+                // What fits went to lines that fit it better
+                result.conflicts.push({ line, candidates, reason: 'taken' });
+            } else if (reconciliations.has(pair.transaction.id)) {
+                result.conflicts.push({ line, candidates, reason: 'reconciled' });
+            } else if (candidates.some(c => c.transaction !== pair.transaction
+                && pair.score - c.score < ambiguityMargin && isRival(pair, c))) {
+                // Another transaction fits as well
+                result.conflicts.push({ line, candidates, reason: 'ambiguous' });
+            } else {
+                result.matched.push(pair);
+            }
+        });
+
+        if (lines.length > 0) {
+            const dates = lines.map(line => line.date);
+            const from = Math.min(...dates);
+            const to = Math.max(...dates) + DAY_MS - 1;
+            const claimed = new Set([...result.matched, ...result.reconciled].map(p => p.transaction.id));
+            result.missing = booked.filter(t => t.transaction_date >= from && t.transaction_date <= to
+                && !claimed.has(t.id) && !reconciliations.has(t.id)
+                && !result.conflicts.some(c => c.candidates.some(candidate => candidate.transaction === t)));
+        }
+        return result;
+    }
+}
+
+StatementImport.FIELDS = STATEMENT_FIELDS;
+StatementImport.MATCHING = RECONCILIATION_MATCHING;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementImport;
+}
@@ -0,0 +1,158 @@
+/**
+ * TOTP
+ * Time-based one-time passwords (RFC 6238) for authenticator apps, built on Web Crypto
+ *
+ * Secrets are base32 encoded (RFC 4648) as authenticator apps expect.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TOTP {
+    /**
+     * Generate a random secret
+     * @param {number} [byteLength=20] - 20 bytes (160 bits) as recommended for HMAC-SHA1
+     * @returns {string} Base32 secret
+     */
+    static generateSecret(byteLength = 20) {
+        return TOTP.base32Encode(crypto.getRandomValues(new Uint8Array(byteLength)));
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string} Base32 without padding
+     */
+    static base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * @param {string} secret - Base32 string; case, spaces and padding are ignored
+     * @returns {Uint8Array}
+     */
+    static base32Decode(secret) {
+        const clean = secret.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid base32 character: ${char}`);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * HMAC-based one-time password (RFC 4226)
+     * @param {string|Uint8Array} secret - Base32 secret or raw key bytes
+     * @param {number} counter - Moving factor
+     * @param {number} [digits=6] - Code length
+     * @returns {Promise<string>} Zero-padded code
+     */
+    static async hotp(secret, counter, digits = 6) {
+        const keyBytes = typeof secret === 'string' ? TOTP.base32Decode(secret) : secret;
+        const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+
+        // 8-byte big-endian counter
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 0x100000000));
+        message.setUint32(4, counter >>> 0);
+
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+
+        // Dynamic truncation
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24)
+            | (hmac[offset + 1] << 16)
+            | (hmac[offset + 2] << 8)
+            | hmac[offset + 3];
+
+        return String(binary % 10 ** digits).padStart(digits, '0');
+    }
+
+    /**
+     * Time step counter for a timestamp
+     * @param {number} [time] - Milliseconds since epoch (default: now)
+     * @param {number} [period=30] - Step length in seconds
+     * @returns {number}
+     */
+    static timeStep(time = Date.now(), period = 30) {
+        return Math.floor(time / 1000 / period);
+    }
+
+    /**
+     * Code for a point in time
+     * @param {string|Uint8Array} secret - Base32 secret or raw key bytes
+     * @param {Object} [options] - { time, period, digits }
+     * @returns {Promise<string>}
+     */
+    static async generate(secret, { time = Date.now(), period = 30, digits = 6 } = {}) {
+        return TOTP.hotp(secret, TOTP.timeStep(time, period), digits);
+    }
+
+    /**
+     * Check a code, allowing for clock drift of `window` steps either side
+     * @param {string|Uint8Array} secret - Base32 secret or raw key bytes
+     * @param {string} code - Code entered by the user
+     * @param {Object} [options] - { time, period, digits, window }
+     * @returns {Promise<number|null>} The matching time step (store it to reject replays), or null
+     */
+    static async verify(secret, code, { time = Date.now(), period = 30, digits = 6, window = 1 } = {}) {
+        const normalized = String(code).replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+            return null;
+        }
+
+        const current = TOTP.timeStep(time, period);
+        for (let step = current - window; step <= current + window; step++) {
+            if (await TOTP.hotp(secret, step, digits) === normalized) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * otpauth:// URI understood by authenticator apps (and encoded in the enrollment QR code)
+     * @param {Object} params
+     * @param {string} params.secret - Base32 secret
+     * @param {string} params.accountName - Usually the user's email
+     * @param {string} [params.issuer='Quantum Pay']
+     * @returns {string}
+     */
+    static buildURI({ secret, accountName, issuer = 'Quantum Pay', digits = 6, period = 30 }) {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits, period });
+        return `otpauth://totp/${label}?${params}`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TOTP;
+}
@@ -0,0 +1,458 @@
+/**
+ * Transaction Export
+ * Files for accounting tools, made in the browser from a list of transactions: CSV, OFX (QFX
+ * for Quicken) and a monthly PDF statement. Nothing is sent anywhere.
+ *
+ * Amounts are signed from the user's side: money in is positive, money out negative. Only
+ * completed and refunded transactions moved money; OFX files and balances leave the others out.
+ */
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+    ofx: { extension: 'ofx', type: 'application/x-ofx' },
+    qfx: { extension: 'qfx', type: 'application/vnd.intu.qfx' },
+    pdf: { extension: 'pdf', type: 'application/pdf' }
+};
+
+const CSV_COLUMNS = [
+    'Date', 'Transaction ID', 'Type', 'Counterparty', 'Counterparty email', 'Note',
+    'Status', 'Currency', 'Amount', 'Original transaction ID'
+];
+
+const OFX_SETTINGS = {
+    org: 'Quantum Pay',
+    bankId: 'QUANTUMPAY',
+    // Quicken looks this up in its list of banks; until Quantum Pay is listed, a placeholder
+    quickenBankId: '3000',
+    nameLength: 32,
+    memoLength: 255
+};
+
+// A4 in points; rows are one line of 9pt text
+const STATEMENT_PAGE = { width: 595, height: 842, margin: 50, rowHeight: 15 };
+
+// Code points of Windows-1252 (the PDF's WinAnsiEncoding) outside Latin-1
+const WIN_ANSI_EXTRA = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+    0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+    0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+class TransactionExport {
+    // ==================== TRANSACTIONS ====================
+
+    /**
+     * @returns {boolean} Whether the transaction changed anyone's balance
+     */
+    static movedMoney(transaction) {
+        return ['completed', 'refunded'].includes(transaction.status);
+    }
+
+    /**
+     * The transaction's amount from the user's side: negative when money left their account
+     * @param {Object} transaction
+     * @param {string} userId
+     * @returns {Money}
+     */
+    static signedAmount(transaction, userId) {
+        const money = Money.of(transaction.amount, transaction.currency);
+        const outgoing = transaction.type === 'transfer'
+            ? transaction.transfer_leg === 'debit'
+            : transaction.sender_user_id === userId;
+        return outgoing ? money.negate() : money;
+    }
+
+    /**
+     * e.g. "Payment sent", "Refund received", "Transfer"
+     */
+    static describeType(transaction, userId) {
+        if (transaction.type === 'transfer') return 'Transfer';
+        const received = transaction.receiver_user_id === userId;
+        const kind = transaction.type === 'refund' ? 'Refund' : 'Payment';
+        return `${kind} ${received ? 'received' : 'sent'}`;
+    }
+
+    /**
+     * Balances at the start and end of a period, per currency, worked back from today's balances
+     * @param {Object} currentBalances - Minor units by currency code, as the wallets hold them now
+     * @param {Array} transactions - Every transaction of the user from the start of the period on
+     * @param {string} userId
+     * @param {Object} period - { from, to } timestamps, inclusive
+     * @param {boolean} [withTransfers=true] - Whether the balances include transfers between wallets
+     * @returns {Object} { USD: { opening, moneyIn, moneyOut, closing } } as Money
+     */
+    static balances(currentBalances, transactions, userId, { from, to }, withTransfers = true) {
+        const result = {};
+        const totalsFor = code => result[code] || (result[code] = {
+            opening: Money.zero(code),
+            moneyIn: Money.zero(code),
+            moneyOut: Money.zero(code),
+            closing: Money.of(currentBalances[code] || 0, code)
+        });
+        Object.keys(currentBalances).forEach(totalsFor);
+
+        transactions
+            .filter(t => TransactionExport.movedMoney(t) && t.transaction_date >= from)
+            .filter(t => withTransfers || t.type !== 'transfer')
+            .forEach(t => {
+                const totals = totalsFor(t.currency);
+                const change = TransactionExport.signedAmount(t, userId);
+                if (t.transaction_date > to) {
+                    // After the period: take it back off today's balance
+                    totals.closing = totals.closing.subtract(change);
+                } else if (change.isNegative()) {
+                    totals.moneyOut = totals.moneyOut.subtract(change);
+                } else {
+                    totals.moneyIn = totals.moneyIn.add(change);
+                }
+            });
+
+        Object.values(result).forEach(totals => {
+            totals.opening = totals.closing.subtract(totals.moneyIn).add(totals.moneyOut);
+        });
+        return result;
+    }
+
+    // ==================== CSV ====================
+
+    /**
+     * One row per transaction, as spreadsheets expect it (RFC 4180, UTF-8 with a byte order mark)
+     * @param {Array} transactions
+     * @param {Object} options
+     * @param {string} options.userId
+     * @param {Function} options.counterparty - Transaction to { name, email } of the other party
+     * @returns {string}
+     */
+    static toCSV(transactions, { userId, counterparty }) {
+        const rows = transactions.map(t => {
+            const other = counterparty(t);
+            return [
+                TransactionExport.formatDateTime(t.transaction_date),
+                t.id,
+                TransactionExport.describeType(t, userId),
+                other.name,
+                other.email,
+                t.memo || t.reason || '',
+                TransactionStatus.label(t.status),
+                t.currency,
+                TransactionExport.signedAmount(t, userId).toDecimalString(),
+                t.original_transaction_id || ''
+            ];
+        });
+
+        return '\uFEFF' + [CSV_COLUMNS, ...rows]
+            .map(row => row.map(TransactionExport.csvField).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    static csvField(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        // A cell starting with = + - or @ is run as a formula by spreadsheets; amounts are numbers
+        if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ==================== OFX ====================
+
+    /**
+     * An OFX 1.0.2 bank statement with one account per currency, for Quicken (quicken: true),
+     * GnuCash, Xero and most accounting tools
+     * @param {Array} transactions - Those that didn't move money are left out
+     * @param {Object} options
+     * @param {string} options.userId
+     * @param {Function} options.counterparty - Transaction to { name, email } of the other party
+     * @param {Object} [options.balances] - Minor units by currency code, as of options.asOf
+     * @param {number} [options.asOf] - When the balances were read (default: now)
+     * @param {boolean} [options.quicken] - Add the bank ID Quicken asks for (QFX)
+     * @returns {string}
+     */
+    static toOFX(transactions, { userId, counterparty, balances = {}, asOf = Date.now(), quicken = false }) {
+        const config = (window.QUANTUM_PAY_CONFIG || {}).export || {};
+        const posted = transactions.filter(TransactionExport.movedMoney);
+        const currencies = [...new Set([...posted.map(t => t.currency), ...Object.keys(balances)])].sort();
+        const text = (value, length) => TransactionExport.ofxText(value).slice(0, length);
+
+        const statements = currencies.map((currency, i) => {
+            const items = posted.filter(t => t.currency === currency);
+            const dates = items.map(t => t.transaction_date);
+            const entries = items.map(t => {
+                const amount = TransactionExport.signedAmount(t, userId);
+                const other = counterparty(t);
+                const type = t.type === 'transfer' ? 'XFER' : amount.isNegative() ? 'DEBIT' : 'CREDIT';
+                return [
+                    '<STMTTRN>',
+                    `<TRNTYPE>${type}`,
+                    `<DTPOSTED>${TransactionExport.formatOFXDate(t.transaction_date)}`,
+                    `<TRNAMT>${amount.toDecimalString()}`,
+                    `<FITID>${t.id}`,
+                    `<NAME>${text(other.name || TransactionExport.describeType(t, userId), OFX_SETTINGS.nameLength)}`,
+                    t.memo || t.reason ? `<MEMO>${text(t.memo || t.reason, OFX_SETTINGS.memoLength)}` : null,
+                    '</STMTTRN>'
+                ].filter(Boolean).join('\n');
+            });
+
+            return [
+                '<STMTTRNRS>',
+                `<TRNUID>${i + 1}`,
+                '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+                '<STMTRS>',
+                `<CURDEF>${currency}`,
+                '<BANKACCTFROM>',
+                `<BANKID>${OFX_SETTINGS.bankId}`,
+                `<ACCTID>${userId}-${currency}`,
+                '<ACCTTYPE>CHECKING',
+                '</BANKACCTFROM>',
+                '<BANKTRANLIST>',
+                `<DTSTART>${TransactionExport.formatOFXDate(dates.length ? Math.min(...dates) : asOf)}`,
+                `<DTEND>${TransactionExport.formatOFXDate(dates.length ? Math.max(...dates) : asOf)}`,
+                ...entries,
+                '</BANKTRANLIST>',
+                '<LEDGERBAL>',
+                `<BALAMT>${Money.of(balances[currency] || 0, currency).toDecimalString()}`,
+                `<DTASOF>${TransactionExport.formatOFXDate(asOf)}`,
+                '</LEDGERBAL>',
+                '</STMTRS>',
+                '</STMTTRNRS>'
+            ].join('\n');
+        });
+
+        return [
+            'OFXHEADER:100',
+            'DATA:OFXSGML',
+            'VERSION:102',
+            'SECURITY:NONE',
+            'ENCODING:USASCII',
+            'CHARSET:1252',
+            'COMPRESSION:NONE',
+            'OLDFILEUID:NONE',
+            'NEWFILEUID:NONE',
+            '',
+            '<OFX>',
+            '<SIGNONMSGSRSV1>',
+            '<SONRS>',
+            '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+            `<DTSERVER>${TransactionExport.formatOFXDate(Date.now())}`,
+            '<LANGUAGE>ENG',
+            `<FI><ORG>${OFX_SETTINGS.org}<FID>${OFX_SETTINGS.bankId}</FI>`,
+            quicken ? `<INTU.BID>${config.quickenBankId || OFX_SETTINGS.quickenBankId}` : null,
+            '</SONRS>',
+            '</SIGNONMSGSRSV1>',
+            '<BANKMSGSRSV1>',
+            ...statements,
+            '</BANKMSGSRSV1>',
+            '</OFX>',
+            ''
+        ].filter(line => line !== null).join('\r\n');
+    }
+
+    /**
+     * Plain ASCII for an OFX value: accents dropped, markup characters escaped
+     */
+    static ofxText(value) {
+        return String(value || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x20-\x7e]/g, '?')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .trim();
+    }
+
+    /**
+     * e.g. 20260315143000.000[+1:CET] in the browser's time zone
+     */
+    static formatOFXDate(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        const offset = -date.getTimezoneOffset() / 60;
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+            + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`
+            + `[${offset >= 0 ? '+' : ''}${Number(offset.toFixed(2))}:GMT]`;
+    }
+
+    // ==================== PDF STATEMENT ====================
+
+    /**
+     * A statement for one month: balances and totals per currency, then the transactions
+     * @param {Object} statement
+     * @param {string} statement.title - e.g. "March 2026"
+     * @param {Object} statement.holder - { name, email }
+     * @param {Object} statement.balances - From balances()
+     * @param {Array} statement.transactions - Listed in this order
+     * @param {string} statement.userId
+     * @param {Function} statement.counterparty - Transaction to { name, email } of the other party
+     * @param {string} [statement.note] - Shown under the title, e.g. which filters the list has
+     * @returns {Uint8Array} PDF file
+     */
+    static toStatementPDF({ title, holder, balances, transactions, userId, counterparty, note }) {
+        const { width, height, margin, rowHeight } = STATEMENT_PAGE;
+        const right = width - margin;
+        const money = value => value.format('en-US', { currencyDisplay: 'code' });
+        const pages = [];
+        let ops = [];
+        let y = 0;
+
+        const text = (x, value, { size = 9, font = 'F1', align = 'left', maxChars } = {}) => {
+            let content = String(value);
+            if (maxChars && content.length > maxChars) content = `${content.slice(0, maxChars - 1)}…`;
+            // Right-aligned text is set in Courier, where every character is 0.6em wide
+            const left = align === 'right' ? x - content.length * size * 0.6 : x;
+            ops.push(`BT /${align === 'right' ? 'F3' : font} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${TransactionExport.pdfText(content)}) Tj ET`);
+        };
+        const rule = () => ops.push(`0.8 G ${margin} ${(y - 4).toFixed(2)} m ${right} ${(y - 4).toFixed(2)} l S 0 G`);
+        const newPage = () => {
+            if (ops.length) pages.push(ops.join('\n'));
+            ops = [];
+            y = height - margin;
+        };
+        const ensureRoom = rows => {
+            if (y - rows * rowHeight < margin) newPage();
+        };
+
+        newPage();
+        text(margin, 'Quantum Pay statement', { size: 18, font: 'F2' });
+        y -= 24;
+        text(margin, title, { size: 12, font: 'F2' });
+        text(right, `Created ${TransactionExport.formatDateTime(Date.now())}`, { size: 8, align: 'right' });
+        y -= rowHeight;
+        text(margin, [holder.name, holder.email].filter(Boolean).join(' · '));
+        if (note) {
+            y -= rowHeight;
+            text(margin, note, { size: 8, maxChars: 110 });
+        }
+
+        y -= rowHeight * 2;
+        text(margin, 'Currency', { font: 'F2' });
+        ['Opening balance', 'Money in', 'Money out', 'Closing balance'].forEach((label, i) => {
+            text(right - (3 - i) * 100, label, { align: 'right' });
+        });
+        rule();
+        Object.entries(balances).sort(([a], [b]) => a.localeCompare(b)).forEach(([code, totals]) => {
+            y -= rowHeight;
+            text(margin, code);
+            [totals.opening, totals.moneyIn, totals.moneyOut.negate(), totals.closing].forEach((value, i) => {
+                text(right - (3 - i) * 100, money(value), { align: 'right' });
+            });
+        });
+
+        y -= rowHeight * 2;
+        const header = () => {
+            text(margin, 'Date', { font: 'F2' });
+            text(margin + 65, 'Description', { font: 'F2' });
+            text(margin + 330, 'Status', { font: 'F2' });
+            text(right, 'Amount', { align: 'right' });
+            rule();
+        };
+        ensureRoom(3);
+        header();
+        if (transactions.length === 0) {
+            y -= rowHeight;
+            text(margin, 'No transactions in this period.');
+        }
+        transactions.forEach(t => {
+            if (y - rowHeight < margin) {
+                newPage();
+                header();
+            }
+            y -= rowHeight;
+            const other = counterparty(t);
+            const description = [TransactionExport.describeType(t, userId), other.name, t.memo || t.reason]
+                .filter(Boolean).join(' · ');
+            text(margin, TransactionExport.formatDate(t.transaction_date));
+            text(margin + 65, description, { maxChars: 52 });
+            text(margin + 330, TransactionStatus.label(t.status), { maxChars: 18 });
+            text(right, money(TransactionExport.signedAmount(t, userId)), { align: 'right' });
+        });
+        newPage();
+
+        // Page numbers once the page count is known
+        const numbered = pages.map((content, i) => `${content}\nBT /F1 8 Tf ${margin} 30 Td (${TransactionExport.pdfText(`Page ${i + 1} of ${pages.length}`)}) Tj ET`);
+        return TransactionExport.buildPDF(numbered);
+    }
+
+    /**
+     * A PDF file of A4 pages using the standard Helvetica and Courier fonts
+     * @param {Array<string>} pages - Content stream of each page
+     * @returns {Uint8Array}
+     */
+    static buildPDF(pages) {
+        const { width, height } = STATEMENT_PAGE;
+        const fonts = ['Helvetica', 'Helvetica-Bold', 'Courier'];
+        // 1 catalog, 2 page tree, 3-5 fonts, then a page and its content for each page
+        const pageIds = pages.map((_, i) => 6 + i * 2);
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+            ...fonts.map(font => `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`)
+        ];
+        pages.forEach((content, i) => {
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+                + `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+            objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        });
+
+        // Every character is one byte (see pdfText), so string offsets are byte offsets
+        let file = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((object, i) => {
+            const offset = file.length;
+            file += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        const xref = file.length;
+        file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+            + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+            + `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Uint8Array.from(file, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Text for a PDF string in WinAnsiEncoding: one byte per character, ( ) and \ escaped
+     */
+    static pdfText(value) {
+        return Array.from(String(value).replace(/[\u00a0\u202f]/g, ' '), char => {
+            const code = char.codePointAt(0);
+            if (WIN_ANSI_EXTRA[code]) return String.fromCharCode(WIN_ANSI_EXTRA[code]);
+            if (code < 0x20 || (code >= 0x7f && code < 0xa0) || code > 0xff) return '?';
+            return char;
+        }).join('').replace(/[()\\]/g, '\\$&');
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * e.g. 2026-03-15, in the browser's time zone
+     */
+    static formatDate(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * e.g. 2026-03-15 14:30
+     */
+    static formatDateTime(timestamp) {
+        const date = new Date(timestamp);
+        return `${TransactionExport.formatDate(timestamp)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /**
+     * File name like quantum-pay-transactions-2026-03-15.csv
+     * @param {string} format - Key of EXPORT_FORMATS
+     * @param {string} [label] - Replaces the date, e.g. "statement-2026-03"
+     */
+    static fileName(format, label = `transactions-${TransactionExport.formatDate(Date.now())}`) {
+        return `quantum-pay-${label}.${EXPORT_FORMATS[format].extension}`;
+    }
+}
+
+TransactionExport.FORMATS = EXPORT_FORMATS;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionExport;
+}
@@ -3,11 +3,48 @@
  * Manages transaction operations, display, and real-time updates
  */
 
+// What each party can do to move a transaction to each status (see js/transaction-status.js)
+const TRANSACTION_ACTIONS = {
+    pending_otp: { label: 'Verify OTP', className: 'btn-primary', method: 'showOTPModal', role: 'sender' },
+    processing: { label: 'Verify OTP', className: 'btn-primary', method: 'showOTPModal', role: 'sender' },
+    cancelled: { label: 'Cancel Transaction', className: 'btn-danger', method: 'cancelTransaction', role: 'sender' },
+    refunded: { label: 'Refund', className: 'btn-secondary', method: 'showRefundModal', role: 'receiver' }
+};
+
+// Interrupted submissions are replayed for an hour; the backend remembers idempotency keys for a day
+const PENDING_SUBMISSION_MAX_AGE = 60 * 60 * 1000;
+
+// Transactions per page of the list; the next page loads as the end of the list scrolls into view
+const TRANSACTION_PAGE_SIZE = 25;
+
+// Fields of #transaction-filters, kept in the address bar so a filtered list can be bookmarked
+const TRANSACTION_LIST_FIELDS = ['q', 'status', 'currency', 'from', 'to', 'min_amount', 'max_amount', 'counterparty', 'sort'];
+
+// Typing in a filter waits for a pause before the list is fetched again
+const TRANSACTION_FILTER_DELAY = 300;
+
 class TransactionHandler {
     constructor() {
         this.api = window.quantumAPI;
         this.transactions = [];
+        this.nextCursor = null;
+        this.totalTransactions = 0;
+        this.summary = null;
+        this.filters = {};
+        this.highlightTerms = [];
+        this.filterTimer = null;
+        this.wallets = null;
+        this.reconciliations = null;
         this.currentUser = null;
+        this.loadController = null;
+        this.loadingListOnly = false;
+        this.otpChallenge = null;
+        this.otpTimer = null;
+        this.directory = window.userDirectory || null;
+        this.rates = window.exchangeRates || null;
+        this.offline = window.offlineManager || null;
+        this.rateSnapshot = null;
+        this.rateError = null;
         this.init();
     }
 
@@ -20,7 +57,12 @@ class TransactionHandler {
 
         try {
             // Get current user info
-            this.currentUser = await this.api.getCurrentUser();
+            this.currentUser = await this.loadCurrentUser();
+            if (this.offline) {
+                await this.offline.load(this.currentUser.id);
+            }
+
+            this.restoreFilters();
             
             // Load transactions
             await this.loadTransactions();
@@ -30,10 +72,19 @@ class TransactionHandler {
             
             // Update UI
             this.updateDashboard();
+
+            await this.resumePendingSubmissions();
+
+            await this.openLinkedTransaction();
+
+            // Changes queued on an earlier visit that ended offline
+            if (this.offline) {
+                await this.offline.replay();
+            }
             
         } catch (error) {
             console.error('Failed to initialize transaction handler:', error);
-            this.showError('Failed to load transaction data');
+            this.handleApiError(error, 'Failed to load transaction data');
         }
     }
 
@@ -42,19 +93,85 @@ class TransactionHandler {
         const sendMoneyForm = document.querySelector('#send-money-form');
         if (sendMoneyForm) {
             sendMoneyForm.addEventListener('submit', this.handleSendMoney.bind(this));
+
+            // Match the amount placeholder to the currency's decimals (0 for JPY, 0.000 for KWD)
+            const currencySelect = sendMoneyForm.querySelector('[name="currency"]');
+            const amountInput = sendMoneyForm.querySelector('[name="amount"]');
+            if (currencySelect && amountInput) {
+                const updatePlaceholder = () => {
+                    amountInput.placeholder = Money.zero(currencySelect.value).toDecimalString();
+                };
+                currencySelect.addEventListener('change', updatePlaceholder);
+                updatePlaceholder();
+            }
+        }
+
+        const walletSelect = document.querySelector('#send-money-form [name="wallet_id"]');
+        if (walletSelect) {
+            walletSelect.addEventListener('change', () => this.syncWalletCurrency());
+        }
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="clear-payment-request"]')) {
+                this.clearPaymentRequest();
+            }
+        });
+
+        const displayCurrency = document.querySelector('#display-currency');
+        if (displayCurrency) {
+            displayCurrency.addEventListener('change', () => this.setDisplayCurrency(displayCurrency.value));
         }
 
-        // Transaction filter/search
-        const searchInput = document.querySelector('#transaction-search');
-        if (searchInput) {
-            searchInput.addEventListener('input', this.filterTransactions.bind(this));
+        // Transaction filters: typing waits for a pause, the other controls apply at once
+        const filterForm = document.querySelector('#transaction-filters');
+        if (filterForm) {
+            filterForm.addEventListener('input', (e) => {
+                if (e.target.matches('input[type="text"]')) {
+                    clearTimeout(this.filterTimer);
+                    this.filterTimer = setTimeout(() => this.applyFilters(), TRANSACTION_FILTER_DELAY);
+                }
+            });
+            filterForm.addEventListener('change', () => this.applyFilters());
+            filterForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyFilters();
+            });
+            // The form is cleared after the reset event
+            filterForm.addEventListener('reset', () => {
+                setTimeout(() => this.applyFilters());
+            });
         }
 
-        const filterSelect = document.querySelector('#transaction-filter');
-        if (filterSelect) {
-            filterSelect.addEventListener('change', this.filterTransactions.bind(this));
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="load-more-transactions"]')) {
+                this.loadMoreTransactions();
+            }
+        });
+
+        // Infinite scroll: load the next page as the end of the list comes into view
+        const pager = document.querySelector('#transaction-pager');
+        if (pager && 'IntersectionObserver' in window) {
+            new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreTransactions();
+                }
+            }, { rootMargin: '200px' }).observe(pager);
         }
 
+        // Back online: the list is reloaded, and again once the queued changes are sent
+        window.addEventListener('quantum:connectivity-changed', (e) => {
+            if (!e.detail.offline) {
+                this.loadTransactions();
+            }
+        });
+        window.addEventListener('quantum:offline-actions-replayed', (e) => this.reportReplayedActions(e.detail));
+
+        // Marks made on the import screen, or removed from the details modal
+        window.addEventListener('quantum:reconciliations-changed', async () => {
+            await this.loadReconciliations();
+            this.renderTransactions();
+        });
+
         // Refresh button
         document.addEventListener('click', (e) => {
             if (e.target.matches('.refresh-transactions, [data-action="refresh-transactions"]')) {
@@ -84,18 +201,271 @@ class TransactionHandler {
 
     // ==================== TRANSACTION OPERATIONS ====================
 
-    async loadTransactions() {
+    /**
+     * The signed-in user; when Quantum Pay can't be reached, the one saved on this device
+     * @returns {Promise<Object>}
+     */
+    async loadCurrentUser() {
+        try {
+            return await this.api.getCurrentUser();
+        } catch (error) {
+            const user = this.offline && this.offline.noteError(error)
+                ? await this.offline.findUser(this.api.getSessionInfo().email)
+                : null;
+            if (!user) throw error;
+            return user;
+        }
+    }
+
+    /**
+     * Load the first page of the list, with the wallets, contacts and totals shown alongside it
+     * @param {Object} [options]
+     * @param {boolean} [options.listOnly] - Only the filters changed: reload the list alone
+     */
+    async loadTransactions({ listOnly = false } = {}) {
+        // A newer refresh supersedes any load that is still in flight, and takes over its work
+        if (this.loadController) {
+            this.loadController.abort();
+            listOnly = listOnly && this.loadingListOnly;
+        }
+        const controller = new AbortController();
+        this.loadController = controller;
+        this.loadingListOnly = listOnly;
+
         try {
             this.showLoading(true);
-            this.transactions = await this.api.getAllTransactions();
+            const [page, summary] = await Promise.all([
+                this.fetchTransactionPage(null, controller.signal),
+                !listOnly && this.loadSummary(controller.signal),
+                !listOnly && this.loadWallets(controller.signal),
+                !listOnly && this.loadReconciliations(controller.signal),
+                !listOnly && this.directory && this.directory.loadContacts({ signal: controller.signal })
+            ]);
+            this.transactions = page.items;
+            this.nextCursor = page.next_cursor;
+            this.totalTransactions = page.total;
+            if (!listOnly) {
+                // Without a summary endpoint the totals come from the list, complete when it isn't paged
+                this.summary = summary || TransactionQuery.summarize(page.unfiltered || page.items, this.currentUser.id);
+            }
+            await this.resolveParticipants(controller.signal);
             this.renderTransactions();
-            this.updateDashboardStats();
+            if (!listOnly) {
+                this.renderFilterOptions();
+                this.renderWalletOptions();
+                this.updateDashboardStats();
+            }
+            if (this.offline) {
+                this.offline.saveSnapshot(listOnly
+                    ? { transactions: page.unfiltered || page.items }
+                    : { user: this.currentUser, transactions: page.unfiltered || page.items, wallets: this.wallets, summary: this.summary });
+            }
         } catch (error) {
+            if (error.name === 'AbortError') return;
+            if (this.offline && this.offline.noteError(error) && await this.showOfflineData(listOnly)) return;
             console.error('Failed to load transactions:', error);
-            this.showError('Failed to load transactions');
+            this.handleApiError(error, 'Failed to load transactions');
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.showLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Append the next page to the list, unless there is none or a load is already running
+     */
+    async loadMoreTransactions() {
+        if (!this.nextCursor || this.loadController) return;
+
+        const controller = new AbortController();
+        this.loadController = controller;
+        this.loadingListOnly = true;
+        const button = document.querySelector('[data-action="load-more-transactions"]');
+        if (button) button.disabled = true;
+
+        try {
+            const page = await this.fetchTransactionPage(this.nextCursor, controller.signal);
+            const loaded = new Set(this.transactions.map(t => t.id));
+            this.transactions = [...this.transactions, ...page.items.filter(t => !loaded.has(t.id))];
+            this.nextCursor = page.next_cursor;
+            this.totalTransactions = page.total;
+            await this.resolveParticipants(controller.signal);
+            this.renderTransactions();
+            if (this.offline) {
+                this.offline.saveSnapshot({ transactions: page.items });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Failed to load more transactions:', error);
+            this.handleApiError(error, 'Failed to load more transactions');
         } finally {
-            this.showLoading(false);
+            if (this.loadController === controller) {
+                this.loadController = null;
+            }
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * One page of the list with the current filters. A backend that returns every transaction
+     * instead has them filtered and sorted here, as a single page.
+     * @param {string|null} cursor - next_cursor of the previous page
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} { items, next_cursor, total }, plus `unfiltered` from such a backend
+     */
+    async fetchTransactionPage(cursor, signal) {
+        const params = { ...this.getQueryParams(), limit: TRANSACTION_PAGE_SIZE, cursor };
+        const result = await this.api.getTransactions(params, { signal });
+        if (!Array.isArray(result)) return result;
+
+        // A search can name the other party, so everyone in the list is looked up first
+        if (params.q) {
+            await this.resolveParticipants(signal, result);
+        }
+        const items = TransactionQuery.apply(result, params, this.currentUser.id, id => this.describeUser(id));
+        return { items, next_cursor: null, total: items.length, unfiltered: result };
+    }
+
+    /**
+     * Every transaction matching the current filters: the loaded pages and the ones after them,
+     * with the other parties looked up. The list on the page stays as it is.
+     * @returns {Promise<Array>}
+     */
+    async loadAllTransactions() {
+        const transactions = [...this.transactions];
+        const loaded = new Set(transactions.map(t => t.id));
+        let cursor = this.nextCursor;
+        while (cursor) {
+            const page = await this.fetchTransactionPage(cursor);
+            transactions.push(...page.items.filter(t => !loaded.has(t.id)));
+            page.items.forEach(t => loaded.add(t.id));
+            cursor = page.next_cursor;
+        }
+        await this.resolveParticipants(undefined, transactions);
+        return transactions;
+    }
+
+    /**
+     * Every transaction matching some filters, loaded or not, e.g. the refunds of a payment
+     * @param {Object} params - Filters, see js/transaction-query.js
+     * @returns {Promise<Array>}
+     */
+    async findTransactions(params) {
+        const result = await this.api.getTransactions(params);
+        return Array.isArray(result)
+            ? TransactionQuery.apply(result, params, this.currentUser.id, id => this.describeUser(id))
+            : result.items;
+    }
+
+    /**
+     * A transaction from the loaded pages, or fetched when its page isn't loaded
+     */
+    async findTransaction(transactionId) {
+        return this.transactions.find(t => t.id === transactionId)
+            || await this.api.getTransaction(transactionId);
+    }
+
+    /**
+     * Totals over all transactions for the dashboard. Backends without the summary endpoint
+     * leave it null, in which case the totals are worked out from the list.
+     * @param {AbortSignal} [signal] - Cancels the request
+     */
+    async loadSummary(signal) {
+        try {
+            return await this.api.getTransactionSummary({ signal });
+        } catch (error) {
+            if (error instanceof NotFoundError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Load the current user's wallets. Backends without wallet endpoints leave this.wallets null,
+     * in which case balances are derived from the transaction list.
+     * @param {AbortSignal} [signal] - Cancels the request
+     */
+    async loadWallets(signal) {
+        try {
+            this.wallets = await this.api.getAllWallets({ signal });
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.wallets = null;
+            } else if (error.name !== 'AbortError') {
+                console.error('Failed to load wallets:', error);
+            }
+        }
+    }
+
+    /**
+     * Load the user's reconciliation marks by transaction ID. Backends without reconciliation
+     * endpoints leave this.reconciliations null, and the list shows no marks.
+     * @param {AbortSignal} [signal] - Cancels the request
+     */
+    async loadReconciliations(signal) {
+        try {
+            const marks = await this.api.getReconciliations({}, { signal });
+            this.reconciliations = new Map(marks.map(mark => [mark.transaction_id, mark]));
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.reconciliations = null;
+            } else if (error.name !== 'AbortError') {
+                console.error('Failed to load reconciliations:', error);
+            }
+        }
+    }
+
+    /**
+     * Fetch the names and avatars of everyone in the transaction list before it is rendered
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @param {Array} [transactions] - Another list than the loaded one
+     */
+    async resolveParticipants(signal, transactions = this.transactions) {
+        if (!this.directory) return;
+
+        const ids = transactions.flatMap(t => [t.sender_user_id, t.receiver_user_id])
+            .filter(id => id && id !== this.currentUser.id);
+        await this.directory.resolve(ids, { signal });
+    }
+
+    /**
+     * The receiver's user id: picked from the suggestions, typed as an id, or looked up by email or phone
+     * @param {HTMLFormElement} form - Send money form
+     * @param {Object} [options]
+     * @param {boolean} [options.offline] - Nothing can be looked up
+     * @returns {Promise<string>} User UUID
+     * @throws {ValidationError} With a receiver_user_id field error when nobody matches
+     */
+    async resolveRecipient(form, { offline = false } = {}) {
+        const pickedId = form.elements.receiver_id ? form.elements.receiver_id.value : '';
+        if (pickedId) return pickedId;
+
+        const text = (form.elements.receiver.value || '').trim();
+        const fail = message => new ValidationError(message, { data: { message, payload: { param: 'receiver_user_id' } } });
+
+        if (!text) {
+            throw fail('Please enter recipient information');
+        }
+        if (UserDirectory.isUserId(text)) {
+            return text;
+        }
+        if (!this.directory || !this.directory.available) {
+            throw fail("Enter the recipient's user ID");
+        }
+        if (!text.includes('@') && !/\d/.test(text)) {
+            // A name that didn't match any suggestion
+            throw fail('Choose a contact from the list, or enter an email or phone number');
+        }
+        if (offline) {
+            throw fail("You're offline, so emails and phone numbers can't be looked up. Choose a contact from the list or enter their user ID.");
+        }
+
+        const profile = await this.directory.lookup(text);
+        if (!profile) {
+            throw fail('No Quantum Pay user has this email or phone number');
         }
+        return profile.id;
     }
 
     async handleSendMoney(event) {
@@ -103,64 +473,221 @@ class TransactionHandler {
         
         const form = event.target;
         const formData = new FormData(form);
-        
-        const transactionData = {
-            amount: parseFloat(formData.get('amount')) * 100, // Convert to cents
-            currency: formData.get('currency') || 'USD',
-            receiver_user_id: formData.get('receiver_id') || formData.get('receiver_email'),
-            sender_user_id: this.currentUser.id,
-            status: 'pending',
-            transaction_date: Date.now(),
-            otp_code: this.api.generateOTP(),
-            otp_verified: false
-        };
+        const wallet = (this.wallets || []).find(w => w.id === formData.get('wallet_id'));
+        const currency = wallet ? wallet.currency : formData.get('currency') || 'USD';
+        // A date or repeat under "When" schedules the payment instead of sending it now
+        const scheduled = !!formData.get('frequency') && !!window.scheduleHandler;
+        const offline = !!this.offline && this.offline.isOffline();
 
         // Validate inputs
-        if (!transactionData.amount || transactionData.amount <= 0) {
+        let amount;
+        try {
+            amount = Money.parse(formData.get('amount'), currency);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        if (!amount.isPositive()) {
             this.showError('Please enter a valid amount');
             return;
         }
 
-        if (!transactionData.receiver_user_id) {
-            this.showError('Please enter recipient information');
+        // The backend checks too; this saves a round trip when the wallet clearly can't cover it.
+        // Scheduled payments are checked when they come due.
+        if (!scheduled && wallet && amount.greaterThan(Money.of(wallet.balance, wallet.currency))) {
+            this.highlightFieldErrors(form, { amount: `${wallet.name} doesn't have enough money for this payment.` });
             return;
         }
 
+        const transactionData = {
+            amount: amount.amount, // minor units of the currency
+            currency: amount.currency,
+            sender_user_id: this.currentUser.id,
+            status: 'draft',
+            transaction_date: Date.now()
+        };
+        if (wallet) {
+            transactionData.wallet_id = wallet.id;
+        }
+        if (formData.get('payment_request_id')) {
+            transactionData.payment_request_id = formData.get('payment_request_id');
+        }
+        if ((formData.get('memo') || '').trim()) {
+            transactionData.memo = formData.get('memo').trim();
+        }
+
         try {
             this.setFormLoading(form, true);
+
+            transactionData.receiver_user_id = await this.resolveRecipient(form, { offline });
+            if (transactionData.receiver_user_id === this.currentUser.id) {
+                throw new ValidationError("You can't send money to yourself", {
+                    data: { payload: { param: 'receiver_user_id' } }
+                });
+            }
+
+            if (offline) {
+                await this.queueDraft(form, transactionData, scheduled);
+                return;
+            }
+
+            if (scheduled) {
+                if (await window.scheduleHandler.schedulePayment(form, transactionData)) {
+                    this.resetSendForm(form);
+                }
+                return;
+            }
+
+            // Submitting the same payment again before the first outcome was known replays it with
+            // the first key, so the backend returns that transaction instead of creating another
+            const pending = this.findPendingSubmission(transactionData);
+            const newTransaction = pending
+                ? await this.api.createTransaction(pending.data, { idempotencyKey: pending.idempotencyKey })
+                : await this.api.createTransaction(transactionData);
             
-            // Create transaction
-            const newTransaction = await this.api.createTransaction(transactionData);
+            this.resetSendForm(form);
             
-            // Show OTP verification modal
+            this.showSuccess('Transaction initiated! Please verify with OTP.');
+
+            // Show OTP verification modal (the backend sends the code)
             this.showOTPModal(newTransaction.id);
             
             // Refresh transactions
             await this.loadTransactions();
             
-            // Reset form
-            form.reset();
-            
-            this.showSuccess('Transaction initiated! Please verify with OTP.');
-            
         } catch (error) {
             console.error('Transaction failed:', error);
-            this.showError(error.message || 'Transaction failed');
+            if (error.isTransient) {
+                if (this.offline) {
+                    this.offline.noteError(error);
+                }
+                // The form keeps its values; sending again replays the same request
+                this.showError("We couldn't confirm this payment. Send it again: it won't be paid twice.");
+                return;
+            }
+            if (error.code === 'ERROR_CODE_INSUFFICIENT_FUNDS') {
+                this.highlightFieldErrors(form, { amount: error.message });
+            } else if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors, {
+                    receiver_user_id: 'receiver',
+                    email: 'receiver',
+                    phone: 'receiver'
+                });
+            }
+            this.handleApiError(error, 'Transaction failed');
         } finally {
             this.setFormLoading(form, false);
         }
     }
 
+    resetSendForm(form) {
+        form.reset();
+        if (form.elements.receiver_id) {
+            form.elements.receiver_id.value = '';
+        }
+        this.clearPaymentRequest();
+    }
+
+    /**
+     * A submission of the same payment whose outcome isn't known yet
+     * @param {Object} transactionData - Payment about to be created
+     * @returns {Object|null} { idempotencyKey, data } from QuantumPayAPI.getPendingTransactions
+     */
+    findPendingSubmission(transactionData) {
+        const fields = ['amount', 'currency', 'sender_user_id', 'receiver_user_id', 'wallet_id', 'payment_request_id'];
+        return this.api.getPendingTransactions().find(pending =>
+            fields.every(field => (pending.data[field] || null) === (transactionData[field] || null))) || null;
+    }
+
+    /**
+     * Show the details of the transaction in ?transaction=, e.g. from a webhook delivery
+     */
+    async openLinkedTransaction() {
+        const url = new URL(window.location.href);
+        const transactionId = url.searchParams.get('transaction');
+        if (!transactionId) return;
+
+        url.searchParams.delete('transaction');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+        await this.showTransactionDetails(transactionId);
+    }
+
+    /**
+     * Finish the submissions a reload or a dropped connection interrupted. Replaying one with its
+     * key returns the transaction if it was created, or creates it now; it can then be verified.
+     * A submission the backend turns down is put back in the send form.
+     */
+    async resumePendingSubmissions() {
+        const pending = this.api.getPendingTransactions()
+            .filter(p => p.data.sender_user_id === this.currentUser.id);
+        const recovered = [];
+
+        for (const submission of pending) {
+            if (Date.now() - submission.submittedAt > PENDING_SUBMISSION_MAX_AGE) {
+                // Too old to replay safely: if it went through, it is in the transaction list
+                this.api.clearPendingTransaction(submission.idempotencyKey);
+                continue;
+            }
+
+            try {
+                recovered.push(await this.api.createTransaction(submission.data, {
+                    idempotencyKey: submission.idempotencyKey
+                }));
+            } catch (error) {
+                if (error.isTransient) {
+                    console.warn('Payment still unconfirmed, will retry later:', error);
+                    continue;
+                }
+                console.error('Interrupted payment failed:', error);
+                this.restoreSendForm(submission.data);
+                this.showError(`A payment you sent before the page reloaded didn't go through: ${getUserMessage(error)}`);
+            }
+        }
+
+        if (recovered.length === 0) return;
+
+        await this.loadTransactions();
+        const unverified = recovered.filter(t => this.canVerify(t));
+        if (unverified.length > 0) {
+            this.showNotification('A payment you sent before the page reloaded is waiting for verification.', 'info');
+            this.showOTPModal(unverified[unverified.length - 1].id);
+        }
+    }
+
+    /**
+     * Fill the send form with a payment that wasn't created, so it can be corrected and sent
+     */
+    restoreSendForm(data) {
+        const form = document.querySelector('#send-money-form');
+        if (!form || !form.elements.receiver) return;
+
+        if (form.elements.wallet_id && data.wallet_id) {
+            form.elements.wallet_id.value = data.wallet_id;
+            this.syncWalletCurrency();
+        } else if (form.elements.currency) {
+            form.elements.currency.value = data.currency;
+        }
+        form.elements.amount.value = Money.of(data.amount, data.currency).format(undefined, { style: 'decimal', useGrouping: false });
+        form.elements.receiver.value = this.directory
+            ? this.directory.getDisplayName(data.receiver_user_id)
+            : data.receiver_user_id;
+        form.elements.receiver_id.value = data.receiver_user_id;
+    }
+
     async verifyOTP(transactionId, otpCode) {
         try {
-            // Update transaction with OTP verification
-            const updatedTransaction = await this.api.updateTransaction(transactionId, {
-                otp_code: otpCode,
-                otp_verified: true,
-                status: 'completed'
-            });
+            // The backend compares the code, then completes the transaction or fails it
+            const updatedTransaction = await this.api.verifyTransactionOTP(transactionId, otpCode);
 
-            this.showSuccess('Transaction completed successfully!');
+            if (updatedTransaction.status === 'failed') {
+                this.showError(updatedTransaction.failure_reason === 'insufficient_funds'
+                    ? "Payment failed: your wallet no longer has enough money for it."
+                    : 'Payment failed.');
+            } else {
+                this.showSuccess('Transaction completed successfully!');
+                window.dispatchEvent(new CustomEvent('quantum:transaction-completed', { detail: updatedTransaction }));
+            }
             
             // Refresh transactions
             await this.loadTransactions();
@@ -172,7 +699,25 @@ class TransactionHandler {
             
         } catch (error) {
             console.error('OTP verification failed:', error);
-            this.showError('Invalid OTP code. Please try again.');
+            if (error instanceof ValidationError && error.code === 'ERROR_CODE_OTP_INVALID') {
+                const remaining = error.payload.attempts_remaining;
+                this.showError(remaining > 0
+                    ? `Invalid OTP code. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`
+                    : 'Invalid OTP code. Please request a new code.');
+            } else if (error instanceof ValidationError || error instanceof ForbiddenError) {
+                // Expired, missing or locked code: the message says what to do next
+                this.showError(error.message);
+            } else if (error instanceof ConflictError) {
+                this.showError('This transaction is no longer waiting for verification.');
+                this.closeModal();
+                await this.loadTransactions();
+            } else if (error instanceof NotFoundError) {
+                this.showError('This transaction no longer exists.');
+                this.closeModal();
+                await this.loadTransactions();
+            } else {
+                this.handleApiError(error, 'OTP verification failed. Please try again.');
+            }
             throw error;
         }
     }
@@ -182,17 +727,218 @@ class TransactionHandler {
             return;
         }
 
+        if (this.offline && this.offline.isOffline()) {
+            await this.queueCancellation(transactionId);
+            return;
+        }
+
         try {
             await this.api.updateTransaction(transactionId, {
                 status: 'cancelled'
             });
 
             this.showSuccess('Transaction cancelled successfully');
+            this.closeModal();
             await this.loadTransactions();
             
         } catch (error) {
+            if (this.offline && this.offline.noteError(error)) {
+                await this.queueCancellation(transactionId);
+                return;
+            }
             console.error('Failed to cancel transaction:', error);
-            this.showError('Failed to cancel transaction');
+            this.handleApiError(error, 'Failed to cancel transaction');
+            if (error instanceof ConflictError) {
+                // It moved on in the meantime, e.g. it was verified in another tab
+                await this.loadTransactions();
+            }
+        }
+    }
+
+    // ==================== OFFLINE ====================
+
+    /**
+     * Show the transactions, balances and totals saved by the last load, with the current filters
+     * @param {boolean} listOnly - Only the list is being reloaded
+     * @returns {Promise<boolean>} false when nothing was saved on this device
+     */
+    async showOfflineData(listOnly) {
+        const snapshot = await this.offline.getSnapshot();
+        if (!snapshot) return false;
+
+        this.transactions = TransactionQuery.apply(snapshot.transactions, this.getQueryParams(), this.currentUser.id, id => this.describeUser(id));
+        this.nextCursor = null;
+        this.totalTransactions = this.transactions.length;
+        this.renderTransactions();
+        if (!listOnly) {
+            this.wallets = snapshot.wallets;
+            this.summary = snapshot.summary || TransactionQuery.summarize(snapshot.transactions, this.currentUser.id);
+            this.renderFilterOptions();
+            this.renderWalletOptions();
+            this.updateDashboardStats();
+        }
+        return true;
+    }
+
+    /**
+     * Offline, a payment can't be sent: verifying it needs a code from Quantum Pay. It can be
+     * kept as a draft instead, created when the connection is back and verified from the list.
+     * @param {HTMLFormElement} form - Send money form
+     * @param {Object} transactionData - Payment about to be created
+     * @param {boolean} scheduled - Whether it was to be scheduled
+     */
+    async queueDraft(form, transactionData, scheduled) {
+        if (scheduled) {
+            this.showError("You're offline. Payments can be scheduled once you're back online.");
+            return;
+        }
+        if (!confirm("You're offline, so this payment can't be sent: it needs a verification code from Quantum Pay. Save it as a draft? It will be created when you're back online, ready to verify.")) {
+            return;
+        }
+
+        await this.offline.queue('create_draft', { transaction: transactionData, idempotency_key: crypto.randomUUID() });
+        this.resetSendForm(form);
+        this.showSuccess("Draft saved. It will be created when you're back online.");
+    }
+
+    async queueCancellation(transactionId) {
+        try {
+            await this.offline.queue('cancel_transaction', { transaction_id: transactionId });
+            this.showSuccess("You're offline. The transaction will be cancelled when you're back online.");
+            this.closeModal();
+            this.renderTransactions();
+        } catch (error) {
+            console.error('Failed to queue cancellation:', error);
+            this.handleApiError(error, 'Failed to cancel transaction');
+        }
+    }
+
+    /**
+     * Say how the changes made offline went. A draft that couldn't be created is put back in
+     * the send form, like an interrupted payment.
+     * @param {Object} detail - { replayed, failed } from OfflineManager.replay
+     */
+    async reportReplayedActions({ replayed, failed }) {
+        failed.filter(({ action }) => action.type === 'create_draft')
+            .forEach(({ action }) => this.restoreSendForm(action.data.transaction));
+
+        if (failed.length > 0) {
+            this.showError(failed.map(({ action, error }) =>
+                `${OFFLINE_ACTIONS[action.type].label} made offline failed: ${getUserMessage(error)}`).join(' '));
+        } else {
+            const drafts = replayed.filter(({ action }) => action.type === 'create_draft').length;
+            this.showSuccess(drafts > 0
+                ? `Changes made offline were sent. Verify your draft${drafts === 1 ? '' : 's'} to send the money.`
+                : 'Changes made offline were sent.');
+        }
+        await this.loadTransactions();
+    }
+
+    /**
+     * Stop an action that needs Quantum Pay to answer
+     * @param {string} message - What can't be done, e.g. "Refunds can be sent once you're back online."
+     * @returns {boolean} Whether the user is offline
+     */
+    refuseOffline(message) {
+        if (!this.offline || !this.offline.isOffline()) return false;
+        this.showError(`You're offline. ${message}`);
+        return true;
+    }
+
+    // ==================== PAYMENT REQUESTS ====================
+
+    /**
+     * Fill in the send form to pay a payment request. The amount, currency and recipient come
+     * from the request and stay locked until the payment is sent or the request is cleared.
+     * @param {Object} paymentRequest - Open request from the API
+     * @returns {boolean} false when there is no send form or no wallet in the request currency
+     */
+    payPaymentRequest(paymentRequest) {
+        const form = document.querySelector('#send-money-form');
+        if (!form) return false;
+
+        const { currency, amount, requester } = paymentRequest;
+        const walletSelect = form.elements.wallet_id;
+        if (this.wallets && walletSelect && walletSelect.options.length > 0) {
+            const wallet = this.wallets.find(w => !w.archived && w.currency === currency);
+            if (!wallet) {
+                this.showError(`You need a ${currency} wallet to pay this request.`);
+                return false;
+            }
+            walletSelect.value = wallet.id;
+            this.syncWalletCurrency();
+        } else {
+            const currencySelect = form.elements.currency;
+            if (![...currencySelect.options].some(o => o.value === currency)) {
+                currencySelect.add(new Option(currency, currency));
+            }
+            currencySelect.value = currency;
+            currencySelect.dispatchEvent(new Event('change'));
+        }
+
+        // Format for the user's locale so Money.parse reads it back exactly
+        form.elements.amount.value = Money.of(amount, currency).format(undefined, { style: 'decimal', useGrouping: false });
+        form.elements.receiver.value = requester ? requester.name || requester.email : '';
+        form.elements.receiver_id.value = requester ? requester.id : '';
+        form.elements.payment_request_id.value = paymentRequest.id;
+        [form.elements.amount, form.elements.receiver].forEach(input => {
+            input.readOnly = true;
+        });
+        if (form.elements.frequency) {
+            // A request is paid now
+            form.elements.frequency.value = '';
+            form.elements.frequency.disabled = true;
+            form.elements.frequency.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        if (walletSelect) {
+            // Only wallets in the request currency can pay it
+            [...walletSelect.options].forEach(option => {
+                option.disabled = option.dataset.currency !== currency;
+            });
+        }
+
+        const banner = document.querySelector('#payment-request-banner');
+        if (banner) {
+            const who = requester ? requester.name || requester.email : 'Someone';
+            banner.querySelector('.payment-request-banner__text').textContent = paymentRequest.memo
+                ? `Paying ${who}'s request: ${paymentRequest.memo}`
+                : `Paying ${who}'s request`;
+            banner.style.display = '';
+        }
+
+        form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return true;
+    }
+
+    /**
+     * Unlock the send form after paying a request, or when the user stops paying it
+     */
+    clearPaymentRequest() {
+        const form = document.querySelector('#send-money-form');
+        if (!form || !form.elements.payment_request_id) return;
+
+        const wasPaying = !!form.elements.payment_request_id.value;
+        form.elements.payment_request_id.value = '';
+        [form.elements.amount, form.elements.receiver].forEach(input => {
+            input.readOnly = false;
+        });
+        if (form.elements.frequency) {
+            form.elements.frequency.disabled = false;
+        }
+        if (form.elements.wallet_id) {
+            [...form.elements.wallet_id.options].forEach(option => {
+                option.disabled = false;
+            });
+        }
+
+        const banner = document.querySelector('#payment-request-banner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+        if (wasPaying) {
+            form.elements.amount.value = '';
+            form.elements.receiver.value = '';
+            form.elements.receiver_id.value = '';
         }
     }
 
@@ -205,9 +951,16 @@ class TransactionHandler {
         if (!transactionList && !transactionTable) return;
 
         const container = transactionList || transactionTable;
+        this.renderPager();
         
         if (this.transactions.length === 0) {
-            container.innerHTML = `
+            container.innerHTML = this.hasFilters() ? `
+                <div class="no-transactions">
+                    <div class="no-transactions__icon">🔍</div>
+                    <h3>No matching transactions</h3>
+                    <p>Try other filters, or clear them to see everything</p>
+                </div>
+            ` : `
                 <div class="no-transactions">
                     <div class="no-transactions__icon">💳</div>
                     <h3>No transactions yet</h3>
@@ -217,8 +970,13 @@ class TransactionHandler {
             return;
         }
 
-        const transactionHTML = this.transactions.map(transaction => {
+        const transactionHTML = this.groupTransfers(this.transactions).map(transaction => {
+            if (transaction.type === 'transfer') {
+                return this.renderTransfer(transaction, !!transactionList);
+            }
+
             const isOutgoing = transaction.sender_user_id === this.currentUser.id;
+            const isRefund = transaction.type === 'refund';
             const amount = this.api.formatCurrency(transaction.amount, transaction.currency);
             const date = new Date(transaction.transaction_date).toLocaleDateString();
             const statusClass = `status-${transaction.status}`;
@@ -228,20 +986,23 @@ class TransactionHandler {
                 return `
                     <div class="transaction-item ${isOutgoing ? 'outgoing' : 'incoming'}" data-transaction-id="${transaction.id}">
                         <div class="transaction-icon">
-                            ${isOutgoing ? '↗️' : '↙️'}
+                            ${isRefund ? '↩️' : isOutgoing ? '↗️' : '↙️'}
                         </div>
                         <div class="transaction-details">
                             <div class="transaction-title">
-                                ${isOutgoing ? 'Sent to' : 'Received from'} ${this.getTransactionParticipant(transaction, isOutgoing)}
+                                ${this.renderParticipant(transaction, isOutgoing, isRefund
+                                    ? (isOutgoing ? 'Refund to' : 'Refund from')
+                                    : (isOutgoing ? 'Sent to' : 'Received from'))}
                             </div>
-                            <div class="transaction-date">${date}</div>
+                            ${transaction.memo ? `<div class="transaction-memo">${this.highlight(transaction.memo)}</div>` : ''}
+                            <div class="transaction-date">${date}${this.renderReconciled(transaction)}</div>
                         </div>
                         <div class="transaction-amount ${isOutgoing ? 'negative' : 'positive'}">
                             ${isOutgoing ? '-' : '+'}${amount}
                         </div>
                         <div class="transaction-status ${statusClass}">
-                            ${transaction.status}
-                            ${!transaction.otp_verified && transaction.status === 'pending' ? 
+                            ${this.getStatusLabel(transaction)}
+                            ${this.canVerify(transaction) ? 
                                 `<button class="verify-otp-btn" data-transaction-id="${transaction.id}">Verify</button>` : 
                                 ''
                             }
@@ -253,18 +1014,22 @@ class TransactionHandler {
                 return `
                     <tr class="transaction-row" data-transaction-id="${transaction.id}">
                         <td>
-                            <div class="transaction-id">${transaction.id.slice(0, 8)}...</div>
+                            <div class="transaction-id">${this.highlight(transaction.id.slice(0, 8))}...</div>
                         </td>
                         <td>${date}</td>
-                        <td>${this.getTransactionParticipant(transaction, isOutgoing)}</td>
+                        <td>
+                            ${this.renderParticipant(transaction, isOutgoing, isRefund ? 'Refund:' : '')}
+                            ${transaction.memo ? `<div class="transaction-memo">${this.highlight(transaction.memo)}</div>` : ''}
+                        </td>
                         <td class="${isOutgoing ? 'negative' : 'positive'}">
                             ${isOutgoing ? '-' : '+'}${amount}
                         </td>
                         <td>
-                            <span class="status-badge ${statusClass}">${transaction.status}</span>
+                            <span class="status-badge ${statusClass}">${this.getStatusLabel(transaction)}</span>
+                            ${this.renderReconciled(transaction)}
                         </td>
                         <td>
-                            ${!transaction.otp_verified && transaction.status === 'pending' ? 
+                            ${this.canVerify(transaction) ? 
                                 `<button class="btn-small verify-otp-btn" data-transaction-id="${transaction.id}">Verify OTP</button>` : 
                                 '<button class="btn-small" onclick="transactionHandler.showTransactionDetails(\'' + transaction.id + '\')">View</button>'
                             }
@@ -277,7 +1042,101 @@ class TransactionHandler {
         container.innerHTML = transactionHTML;
     }
 
-    updateDashboardStats() {
+    /**
+     * Transfers between the user's own wallets are stored as a debit and a credit leg;
+     * list each transfer once, as its debit leg with the credit leg attached
+     * @param {Array} transactions - Transactions to list
+     * @returns {Array}
+     */
+    groupTransfers(transactions) {
+        const credits = {};
+        transactions.forEach(t => {
+            if (t.transfer_leg === 'credit') credits[t.transfer_id] = t;
+        });
+        const debits = new Set(transactions.filter(t => t.transfer_leg === 'debit').map(t => t.transfer_id));
+
+        return transactions
+            .filter(t => t.transfer_leg !== 'credit' || !debits.has(t.transfer_id))
+            .map(t => (t.transfer_leg === 'debit' && credits[t.transfer_id])
+                ? { ...t, credit: credits[t.transfer_id] }
+                : t);
+    }
+
+    /**
+     * One row for a wallet-to-wallet transfer, "Main → Savings" with both amounts when converted
+     */
+    renderTransfer(transfer, asCard) {
+        const title = `Transfer: ${this.escapeHTML(this.getWalletName(transfer.wallet_id))} → ${this.escapeHTML(this.getWalletName(transfer.receiver_wallet_id))}`;
+        const amount = this.formatTransferAmount(transfer);
+        const date = new Date(transfer.transaction_date).toLocaleDateString();
+        const statusClass = `status-${transfer.status}`;
+
+        if (asCard) {
+            return `
+                <div class="transaction-item transfer" data-transaction-id="${transfer.id}">
+                    <div class="transaction-icon">🔁</div>
+                    <div class="transaction-details">
+                        <div class="transaction-title">${title}</div>
+                        <div class="transaction-date">${date}${this.renderReconciled(transfer)}</div>
+                    </div>
+                    <div class="transaction-amount">${amount}</div>
+                    <div class="transaction-status ${statusClass}">${transfer.status}</div>
+                </div>
+            `;
+        }
+
+        return `
+            <tr class="transaction-row" data-transaction-id="${transfer.id}">
+                <td>
+                    <div class="transaction-id">${transfer.transfer_id.slice(0, 8)}...</div>
+                </td>
+                <td>${date}</td>
+                <td>${title}</td>
+                <td>${amount}</td>
+                <td>
+                    <span class="status-badge ${statusClass}">${transfer.status}</span>
+                    ${this.renderReconciled(transfer)}
+                </td>
+                <td>
+                    <button class="btn-small" onclick="transactionHandler.showTransactionDetails('${transfer.id}')">View</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * The user's reconciliation mark for a transaction; a transfer has one when either leg has
+     * @returns {Object|null}
+     */
+    getReconciliation(transaction) {
+        if (!this.reconciliations) return null;
+        return this.reconciliations.get(transaction.id)
+            || (transaction.credit && this.reconciliations.get(transaction.credit.id))
+            || null;
+    }
+
+    renderReconciled(transaction) {
+        const mark = this.getReconciliation(transaction);
+        if (!mark) return '';
+        const title = `Matched to ${mark.statement_description || mark.statement_reference} on your bank statement`;
+        return ` <span class="reconciled-mark" title="${this.escapeHTML(title)}">✓ Reconciled</span>`;
+    }
+
+    formatTransferAmount(transfer) {
+        const sent = this.api.formatCurrency(transfer.amount, transfer.currency);
+        const credit = transfer.credit;
+        if (!credit || credit.currency === transfer.currency) {
+            return sent;
+        }
+        return `${sent} → ${this.api.formatCurrency(credit.amount, credit.currency)}`;
+    }
+
+    getWalletName(walletId) {
+        const wallet = (this.wallets || []).find(w => w.id === walletId);
+        return wallet ? wallet.name : 'Wallet';
+    }
+
+    async updateDashboardStats() {
         const balanceEl = document.querySelector('#account-balance');
         const incomeEl = document.querySelector('#total-income');
         const expensesEl = document.querySelector('#total-expenses');
@@ -285,17 +1144,143 @@ class TransactionHandler {
 
         if (!balanceEl) return;
 
-        // Calculate stats
-        const stats = this.calculateTransactionStats();
-        
-        if (balanceEl) balanceEl.textContent = this.api.formatCurrency(stats.balance);
-        if (incomeEl) incomeEl.textContent = this.api.formatCurrency(stats.income);
-        if (expensesEl) expensesEl.textContent = this.api.formatCurrency(stats.expenses);
+        // Calculate stats, fetching exchange rates when other currencies need consolidating
+        let stats = this.calculateTransactionStats();
+        if (stats.needsConversion && this.rates) {
+            await this.loadRates(stats.currency);
+            stats = this.calculateTransactionStats();
+        }
+
+        const totals = stats.consolidated || stats;
+        if (balanceEl) balanceEl.textContent = totals.balance.format();
+        if (incomeEl) incomeEl.textContent = totals.income.format();
+        if (expensesEl) expensesEl.textContent = totals.expenses.format();
         if (pendingEl) pendingEl.textContent = stats.pendingCount.toString();
+
+        this.renderCurrencyBreakdown(stats);
     }
 
-    updateDashboard() {
-        // Update user info
+    /**
+     * Fetch the rate snapshot for the display currency; failures leave the totals unconverted
+     * @param {string} base - Display currency
+     */
+    async loadRates(base) {
+        try {
+            this.rateSnapshot = await this.rates.getSnapshot(base);
+            this.rateError = null;
+        } catch (error) {
+            console.error('Failed to load exchange rates:', error);
+            this.rateSnapshot = null;
+            this.rateError = error;
+        }
+    }
+
+    /**
+     * Per-currency balances and where the consolidated figures come from
+     * @param {Object} stats - From calculateTransactionStats()
+     */
+    renderCurrencyBreakdown(stats) {
+        const listEl = document.querySelector('#currency-balances');
+        const snapshotEl = document.querySelector('#rate-snapshot');
+        const selectEl = document.querySelector('#display-currency');
+
+        if (selectEl) {
+            if (![...selectEl.options].some(option => option.value === stats.currency)) {
+                selectEl.add(new Option(stats.currency, stats.currency));
+            }
+            selectEl.value = stats.currency;
+        }
+
+        const currencies = Object.keys(stats.byCurrency);
+        if (listEl) {
+            listEl.innerHTML = '';
+            if (currencies.length > 1) {
+                currencies.forEach(code => {
+                    const { balance, income, expenses } = stats.byCurrency[code];
+                    const item = document.createElement('li');
+                    item.innerHTML = `
+                        <span class="currency-balances__code"></span>
+                        <span class="currency-balances__balance"></span>
+                        <span class="currency-balances__flow"></span>
+                    `;
+                    item.querySelector('.currency-balances__code').textContent = code;
+                    item.querySelector('.currency-balances__balance').textContent = balance.format();
+                    item.querySelector('.currency-balances__flow').textContent = `+${income.format()} / -${expenses.format()}`;
+                    listEl.appendChild(item);
+                });
+            }
+        }
+
+        if (!snapshotEl) return;
+
+        if (stats.consolidated) {
+            const { snapshot, missing } = stats.consolidated;
+            const asOf = new Date(snapshot.asOf).toLocaleDateString(Money.getDefaultLocale(), { dateStyle: 'medium' });
+            const source = snapshot.provider === 'static' ? 'static development rates' : 'exchange rates';
+            let text = `Totals converted to ${stats.currency} using ${source} from ${asOf}.`;
+            if (snapshot.stale) {
+                text += ` Rates could not be updated; last fetched ${new Date(snapshot.fetchedAt).toLocaleString()}.`;
+            }
+            if (missing.length > 0) {
+                text += ` ${missing.join(', ')} not included (no rate available).`;
+            }
+            snapshotEl.textContent = text;
+        } else if (stats.needsConversion) {
+            snapshotEl.textContent = `Totals show ${stats.currency} transactions only; exchange rates are unavailable.`;
+        } else {
+            snapshotEl.textContent = '';
+        }
+    }
+
+    /**
+     * Fill the send form's wallet picker with the active wallets and their balances
+     */
+    renderWalletOptions() {
+        const select = document.querySelector('#send-money-form [name="wallet_id"]');
+        if (!select) return;
+
+        const active = (this.wallets || []).filter(w => !w.archived);
+        const group = select.closest('.form-group');
+        if (group) {
+            group.style.display = active.length > 0 ? '' : 'none';
+        }
+
+        const selected = select.value;
+        select.innerHTML = '';
+        active.forEach(wallet => {
+            const option = new Option(`${wallet.name} (${Money.of(wallet.balance, wallet.currency).format()})`, wallet.id);
+            option.dataset.currency = wallet.currency;
+            select.add(option);
+        });
+        if (active.some(w => w.id === selected)) {
+            select.value = selected;
+        }
+
+        this.syncWalletCurrency();
+    }
+
+    /**
+     * A payment is made in the currency of the wallet it comes from
+     */
+    syncWalletCurrency() {
+        const form = document.querySelector('#send-money-form');
+        const option = form && form.querySelector('[name="wallet_id"]')?.selectedOptions[0];
+        const currencySelect = form && form.querySelector('[name="currency"]');
+        if (!currencySelect) return;
+
+        if (option) {
+            const { currency } = option.dataset;
+            if (![...currencySelect.options].some(o => o.value === currency)) {
+                currencySelect.add(new Option(currency, currency));
+            }
+            currencySelect.value = currency;
+        }
+        currencySelect.disabled = !!option;
+        currencySelect.dispatchEvent(new Event('change'));
+    }
+
+    updateDashboard() {
+        // Update user info
         const userNameEls = document.querySelectorAll('.user-name, #user-name');
         const userEmailEls = document.querySelectorAll('.user-email, #user-email');
 
@@ -312,66 +1297,438 @@ class TransactionHandler {
 
     // ==================== HELPER METHODS ====================
 
-    calculateTransactionStats() {
-        const completed = this.transactions.filter(t => t.status === 'completed');
-        const pending = this.transactions.filter(t => t.status === 'pending');
-        
-        const income = completed
-            .filter(t => t.receiver_user_id === this.currentUser.id)
-            .reduce((sum, t) => sum + t.amount, 0);
-            
-        const expenses = completed
-            .filter(t => t.sender_user_id === this.currentUser.id)
-            .reduce((sum, t) => sum + t.amount, 0);
+    /**
+     * Totals of completed transactions as Money, per currency and in the display currency.
+     * Amounts in different currencies can't be added together; when a rate snapshot is available
+     * they are converted and summed into `consolidated`.
+     * @param {Object} [snapshot] - Exchange rates from ExchangeRateService.getSnapshot()
+     * @returns {Object} { currency, balance, income, expenses, pendingCount, byCurrency, needsConversion, consolidated }
+     */
+    calculateTransactionStats(snapshot = this.rateSnapshot) {
+        // The list may be one page of many; the summary covers every transaction
+        const summary = this.summary || TransactionQuery.summarize(this.transactions, this.currentUser.id);
+        const byCurrency = {};
+        const totalsFor = code => byCurrency[code] || (byCurrency[code] = {
+            balance: Money.zero(code),
+            income: Money.zero(code),
+            expenses: Money.zero(code)
+        });
+
+        Object.entries(summary.currencies).forEach(([code, { income, expenses }]) => {
+            const totals = totalsFor(code);
+            totals.income = Money.of(income, code);
+            totals.expenses = Money.of(expenses, code);
+        });
+
+        if (this.wallets) {
+            // Balances are held by the wallets
+            this.wallets.forEach(wallet => {
+                const totals = totalsFor(wallet.currency);
+                totals.balance = totals.balance.add(Money.of(wallet.balance, wallet.currency));
+            });
+        } else {
+            Object.values(byCurrency).forEach(totals => {
+                totals.balance = totals.income.subtract(totals.expenses);
+            });
+        }
+
+        const currency = this.getDisplayCurrency(byCurrency, summary);
+        const { balance, income, expenses } = byCurrency[currency] || {
+            balance: Money.zero(currency),
+            income: Money.zero(currency),
+            expenses: Money.zero(currency)
+        };
+        const needsConversion = Object.keys(byCurrency).some(code => code !== currency);
 
         return {
-            balance: income - expenses,
+            currency,
+            balance,
             income,
             expenses,
-            pendingCount: pending.length
+            pendingCount: summary.pending_count,
+            byCurrency,
+            needsConversion,
+            consolidated: needsConversion && snapshot ? this.consolidate(byCurrency, currency, snapshot) : null
+        };
+    }
+
+    /**
+     * Convert every currency's totals into one currency and add them up
+     * @param {Object} byCurrency - Totals keyed by currency code
+     * @param {string} currency - Target currency
+     * @param {Object} snapshot - Exchange rates
+     * @returns {Object} { balance, income, expenses, missing, snapshot }
+     */
+    consolidate(byCurrency, currency, snapshot) {
+        const result = {
+            balance: Money.zero(currency),
+            income: Money.zero(currency),
+            expenses: Money.zero(currency)
         };
+        const missing = [];
+
+        Object.entries(byCurrency).forEach(([code, totals]) => {
+            const converted = ['balance', 'income', 'expenses']
+                .map(key => ExchangeRateService.convert(totals[key], currency, snapshot));
+            if (converted.includes(null)) {
+                missing.push(code);
+                return;
+            }
+            ['balance', 'income', 'expenses'].forEach((key, i) => {
+                result[key] = result[key].add(converted[i]);
+            });
+        });
+
+        return { ...result, missing, snapshot };
+    }
+
+    /**
+     * Currency for the dashboard totals: the user's choice, then the configured one,
+     * then the one most transactions use
+     * @param {Object} byCurrency - Totals keyed by currency code
+     * @param {Object} summary - Transaction counts per currency, from the transaction summary
+     * @returns {string}
+     */
+    getDisplayCurrency(byCurrency, summary) {
+        const chosen = localStorage.getItem('quantum_display_currency');
+        if (chosen) return chosen;
+
+        const configured = (window.QUANTUM_PAY_CONFIG || {}).displayCurrency;
+        if (configured) return configured;
+
+        const count = code => (summary.currencies[code] ? summary.currencies[code].count : 0);
+        return Object.keys(byCurrency).sort((a, b) => count(b) - count(a))[0] || 'USD';
     }
 
+    /**
+     * Remember the user's display currency and redraw the totals in it
+     * @param {string} currency - ISO 4217 code
+     */
+    setDisplayCurrency(currency) {
+        localStorage.setItem('quantum_display_currency', currency);
+        this.rateSnapshot = null;
+        this.updateDashboardStats();
+    }
+
+    getParticipantId(transaction, isOutgoing) {
+        return isOutgoing ? transaction.receiver_user_id : transaction.sender_user_id;
+    }
+
+    /**
+     * Name of the other party: contact nickname or profile name when the directory knows them
+     */
     getTransactionParticipant(transaction, isOutgoing) {
-        // This would typically fetch user info by ID
-        // For now, return the user ID
-        const participantId = isOutgoing ? transaction.receiver_user_id : transaction.sender_user_id;
+        const participantId = this.getParticipantId(transaction, isOutgoing);
+        if (this.directory) {
+            return this.directory.getDisplayName(participantId);
+        }
         return participantId.slice(0, 8) + '...';
     }
 
-    filterTransactions() {
-        const searchTerm = document.querySelector('#transaction-search')?.value.toLowerCase() || '';
-        const statusFilter = document.querySelector('#transaction-filter')?.value || 'all';
+    /**
+     * Avatar and escaped name of the other party, for innerHTML
+     * @param {string} [prefix] - Text before the name, e.g. "Sent to"
+     */
+    renderParticipant(transaction, isOutgoing, prefix = '') {
+        const participantId = this.getParticipantId(transaction, isOutgoing);
+        const avatar = this.directory ? this.directory.renderAvatar(participantId) : '';
+        const name = this.highlight(this.getTransactionParticipant(transaction, isOutgoing));
+        return `<span class="participant">${avatar}<span>${prefix ? `${prefix} ` : ''}${name}</span></span>`;
+    }
+
+    /**
+     * Names a search can find the other party by: profile name, email and contact nickname
+     * @param {string} userId
+     * @returns {Array<string>}
+     */
+    describeUser(userId) {
+        if (!this.directory) return [];
+        const profile = this.directory.get(userId);
+        const contact = this.directory.getContact(userId);
+        return [profile && profile.name, profile && profile.email, contact && contact.nickname];
+    }
+
+    /**
+     * The "Reconciled" row of the details modal: which statement line, and a way to undo it
+     */
+    renderReconciliationDetail(transaction) {
+        const mark = this.getReconciliation(transaction);
+        if (!mark) return '';
+        const line = [
+            mark.statement_date ? new Date(mark.statement_date).toLocaleDateString() : '',
+            mark.statement_amount !== null ? this.api.formatCurrency(mark.statement_amount, mark.statement_currency) : '',
+            mark.statement_description
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="transaction-detail-item">
+                <label>Reconciled:</label>
+                <span>
+                    ${this.escapeHTML(line || mark.statement_reference)}
+                    ${mark.source ? `<small>${this.escapeHTML(mark.source)}</small>` : ''}
+                    <button class="btn-small" onclick="transactionHandler.unreconcileTransaction('${mark.id}')">Undo</button>
+                </span>
+            </div>
+        `;
+    }
+
+    /**
+     * Remove a reconciliation mark, e.g. one matched to the wrong statement line
+     * @param {string} reconciliationId
+     */
+    async unreconcileTransaction(reconciliationId) {
+        try {
+            await this.api.deleteReconciliation(reconciliationId);
+            this.showSuccess('Reconciliation removed');
+            this.closeModal();
+            window.dispatchEvent(new CustomEvent('quantum:reconciliations-changed'));
+        } catch (error) {
+            console.error('Failed to remove reconciliation:', error);
+            this.handleApiError(error, 'Failed to remove reconciliation');
+        }
+    }
+
+    /**
+     * Save the other party of a transaction as a contact
+     */
+    async saveContact(userId) {
+        try {
+            await this.directory.addContact({ user_id: userId });
+            this.showSuccess(`${this.directory.getDisplayName(userId)} added to your contacts`);
+            this.closeModal();
+            this.renderTransactions();
+            window.dispatchEvent(new CustomEvent('quantum:contacts-changed'));
+        } catch (error) {
+            console.error('Failed to save contact:', error);
+            this.handleApiError(error, 'Failed to save contact');
+        }
+    }
+
+    /**
+     * Whether the current user can enter an OTP for this transaction
+     */
+    canVerify(transaction) {
+        return transaction.sender_user_id === this.currentUser.id
+            && !transaction.otp_verified
+            && ['draft', 'pending_otp'].includes(TransactionStatus.normalize(transaction.status));
+    }
+
+    /**
+     * Buttons for the moves the state machine allows from the transaction's current status.
+     * The sender verifies and cancels, the receiver refunds; OTP verification is offered once.
+     * None while a cancellation made offline is waiting to be sent.
+     * @returns {Array<Object>} Entries of TRANSACTION_ACTIONS
+     */
+    getTransactionActions(transaction) {
+        if (this.offline && this.offline.isQueued('cancel_transaction', transaction.id)) return [];
+        const role = transaction.sender_user_id === this.currentUser.id ? 'sender' : 'receiver';
+
+        const actions = TransactionStatus.nextStatuses(transaction.status)
+            .filter(status => status !== 'processing' || this.canVerify(transaction))
+            .filter(status => status !== 'refunded' || this.canRefund(transaction))
+            .map(status => TRANSACTION_ACTIONS[status])
+            .filter(action => action && action.role === role);
+        return actions.filter((action, index) => actions.findIndex(a => a.method === action.method) === index);
+    }
+
+    /**
+     * Whether the current user received this payment and part of it is still theirs to give back
+     */
+    canRefund(transaction) {
+        return !transaction.type
+            && transaction.receiver_user_id === this.currentUser.id
+            && this.getRefundableAmount(transaction).isPositive();
+    }
+
+    /**
+     * @returns {Money} What is left of a payment after its refunds
+     */
+    getRefundableAmount(transaction) {
+        return Money.of(transaction.amount, transaction.currency)
+            .subtract(Money.of(transaction.refunded_amount || 0, transaction.currency));
+    }
+
+    /**
+     * Status label, telling partly refunded payments apart from untouched ones, and showing
+     * cancellations made offline before they are sent
+     */
+    getStatusLabel(transaction) {
+        if (this.offline && this.offline.isQueued('cancel_transaction', transaction.id)) {
+            return 'Cancelling';
+        }
+        if (transaction.status === 'completed' && transaction.refunded_amount > 0) {
+            return 'Partly refunded';
+        }
+        return TransactionStatus.label(transaction.status);
+    }
+
+    /**
+     * Refunds given back for a payment, oldest first, whichever pages they are on
+     */
+    async getRefunds(transaction) {
+        if (!(transaction.refunded_amount > 0)) return [];
+        return await this.findTransactions({ original_transaction_id: transaction.id, sort: 'transaction_date' });
+    }
+
+    // ==================== LIST FILTERS ====================
+
+    /**
+     * Take the filters from the address bar and show them in #transaction-filters
+     */
+    restoreFilters() {
+        const form = document.querySelector('#transaction-filters');
+        if (!form) return;
+
+        const params = new URLSearchParams(window.location.search);
+        this.filters = {};
+        TRANSACTION_LIST_FIELDS.forEach(name => {
+            const value = params.get(name);
+            if (value) this.filters[name] = value;
+            if (form.elements[name]) form.elements[name].value = value || '';
+        });
+        this.highlightTerms = TransactionQuery.highlightTerms(this.filters.q);
+        this.dispatchFiltersChanged();
+    }
+
+    /**
+     * Show other filters in #transaction-filters and reload the list, e.g. for a saved search
+     * @param {Object} filters - Values by TRANSACTION_LIST_FIELDS name; missing ones are cleared
+     */
+    setFilters(filters) {
+        const form = document.querySelector('#transaction-filters');
+        if (!form) return;
+
+        TRANSACTION_LIST_FIELDS.forEach(name => {
+            if (form.elements[name]) form.elements[name].value = filters[name] || '';
+        });
+        this.applyFilters();
+    }
+
+    /**
+     * Read #transaction-filters, put the filters in the address bar and reload the list
+     */
+    applyFilters() {
+        clearTimeout(this.filterTimer);
+        const form = document.querySelector('#transaction-filters');
+        if (!form) return;
+
+        const filters = {};
+        TRANSACTION_LIST_FIELDS.forEach(name => {
+            const value = form.elements[name] ? form.elements[name].value.trim() : '';
+            if (value) filters[name] = value;
+        });
+        if (JSON.stringify(filters) === JSON.stringify(this.filters)) return;
+        this.filters = filters;
+        this.highlightTerms = TransactionQuery.highlightTerms(filters.q);
+        this.dispatchFiltersChanged();
+
+        // Replaced rather than pushed, so typing doesn't fill the history
+        const url = new URL(window.location.href);
+        TRANSACTION_LIST_FIELDS.forEach(name => url.searchParams.delete(name));
+        Object.entries(filters).forEach(([name, value]) => url.searchParams.set(name, value));
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+        this.loadTransactions({ listOnly: true });
+    }
+
+    dispatchFiltersChanged() {
+        window.dispatchEvent(new CustomEvent('quantum:transaction-filters-changed', { detail: { ...this.filters } }));
+    }
+
+    /**
+     * The filters as API parameters: dates become the start and end of the chosen days
+     * @returns {Object}
+     */
+    getQueryParams() {
+        const { from, to, ...params } = this.filters;
+        if (from) params.from = new Date(`${from}T00:00`).getTime();
+        if (to) params.to = new Date(`${to}T23:59:59.999`).getTime();
+        return params;
+    }
+
+    hasFilters() {
+        return Object.keys(this.filters).some(name => name !== 'sort');
+    }
+
+    /**
+     * Offer the currencies the user has transactions in and their contacts as filter choices
+     */
+    renderFilterOptions() {
+        const form = document.querySelector('#transaction-filters');
+        if (!form) return;
 
-        let filtered = this.transactions;
+        const currencies = Object.keys(this.summary.currencies).sort();
+        this.fillFilterSelect(form.elements.currency, currencies.map(code => [code, code]), this.filters.currency);
 
-        if (searchTerm) {
-            filtered = filtered.filter(t => 
-                t.id.toLowerCase().includes(searchTerm) ||
-                t.status.toLowerCase().includes(searchTerm)
-            );
+        const contacts = this.directory ? this.directory.contacts : [];
+        const people = contacts.map(contact => [contact.user_id, this.directory.getDisplayName(contact.user_id)]);
+        const counterparty = this.filters.counterparty;
+        if (counterparty && !people.some(([id]) => id === counterparty)) {
+            people.push([counterparty, this.directory ? this.directory.getDisplayName(counterparty) : counterparty.slice(0, 8) + '...']);
         }
+        this.fillFilterSelect(form.elements.counterparty, people, counterparty);
+    }
 
-        if (statusFilter !== 'all') {
-            filtered = filtered.filter(t => t.status === statusFilter);
+    /**
+     * Replace the options of a filter select after its first ("All") option
+     * @param {HTMLSelectElement} select
+     * @param {Array<Array<string>>} options - [value, label] pairs
+     * @param {string} [selected] - Value to select; added when it isn't among the options
+     */
+    fillFilterSelect(select, options, selected) {
+        if (!select) return;
+
+        const choices = [...options];
+        if (selected && !choices.some(([value]) => value === selected)) {
+            choices.push([selected, selected]);
         }
+        select.length = 1;
+        choices.forEach(([value, label]) => select.add(new Option(label, value)));
+        select.value = selected || '';
+    }
 
-        // Temporarily store original transactions and render filtered
-        const originalTransactions = this.transactions;
-        this.transactions = filtered;
-        this.renderTransactions();
-        this.transactions = originalTransactions;
+    /**
+     * "Showing 25 of 130" under the list, with the button that loads the next page
+     */
+    renderPager() {
+        const pager = document.querySelector('#transaction-pager');
+        if (!pager) return;
+
+        pager.hidden = this.transactions.length === 0;
+        pager.querySelector('.transaction-pager__count').textContent =
+            `Showing ${this.transactions.length} of ${this.totalTransactions} transactions`;
+        pager.querySelector('[data-action="load-more-transactions"]').hidden = !this.nextCursor;
     }
 
     // ==================== MODAL METHODS ====================
 
-    showTransactionDetails(transactionId) {
-        const transaction = this.transactions.find(t => t.id === transactionId);
-        if (!transaction) return;
+    async showTransactionDetails(transactionId) {
+        let transaction;
+        let refunds;
+        try {
+            transaction = await this.findTransaction(transactionId);
+            if (transaction.type === 'transfer') {
+                await this.showTransferDetails(transaction);
+                return;
+            }
+            refunds = await this.getRefunds(transaction);
+        } catch (error) {
+            console.error('Failed to load transaction:', error);
+            this.handleApiError(error, 'Failed to load transaction');
+            return;
+        }
 
         const isOutgoing = transaction.sender_user_id === this.currentUser.id;
         const amount = this.api.formatCurrency(transaction.amount, transaction.currency);
         const date = new Date(transaction.transaction_date).toLocaleString();
+        const participantId = this.getParticipantId(transaction, isOutgoing);
+        const profile = this.directory && this.directory.get(participantId);
+        const canSaveContact = profile && this.directory.available && !this.directory.getContact(participantId);
+        const actions = this.getTransactionActions(transaction);
+        const isRefund = transaction.type === 'refund';
+        const schedule = transaction.schedule_id && window.scheduleHandler
+            ? window.scheduleHandler.findSchedule(transaction.schedule_id)
+            : null;
 
         const modalHTML = `
             <div class="modal-overlay" onclick="transactionHandler.closeModal()">
@@ -391,26 +1748,273 @@ class TransactionHandler {
                         </div>
                         <div class="transaction-detail-item">
                             <label>Type:</label>
-                            <span>${isOutgoing ? 'Outgoing' : 'Incoming'}</span>
+                            <span>${isRefund ? (isOutgoing ? 'Refund given' : 'Refund received') : (isOutgoing ? 'Outgoing' : 'Incoming')}</span>
+                        </div>
+                        ${isRefund ? `
+                            <div class="transaction-detail-item">
+                                <label>Refund of:</label>
+                                <span>
+                                    <button class="btn-small" onclick="transactionHandler.closeModal(); transactionHandler.showTransactionDetails('${transaction.original_transaction_id}')">${transaction.original_transaction_id.slice(0, 8)}...</button>
+                                </span>
+                            </div>
+                            <div class="transaction-detail-item">
+                                <label>Reason:</label>
+                                <span>${this.escapeHTML(transaction.reason || '')}</span>
+                            </div>
+                        ` : ''}
+                        <div class="transaction-detail-item">
+                            <label>${isOutgoing ? 'To:' : 'From:'}</label>
+                            <span>
+                                ${this.renderParticipant(transaction, isOutgoing)}
+                                ${profile ? `<small>${this.escapeHTML(profile.email)}</small>` : ''}
+                            </span>
                         </div>
                         <div class="transaction-detail-item">
                             <label>Amount:</label>
                             <span class="${isOutgoing ? 'negative' : 'positive'}">${amount}</span>
                         </div>
+                        ${transaction.memo ? `
+                            <div class="transaction-detail-item">
+                                <label>Note:</label>
+                                <span>${this.escapeHTML(transaction.memo)}</span>
+                            </div>
+                        ` : ''}
                         <div class="transaction-detail-item">
                             <label>Status:</label>
-                            <span class="status-badge status-${transaction.status}">${transaction.status}</span>
+                            <span class="status-badge status-${transaction.status}">${this.getStatusLabel(transaction)}</span>
                         </div>
+                        ${transaction.refunded_amount > 0 ? `
+                            <div class="transaction-detail-item">
+                                <label>Refunded:</label>
+                                <span>${this.api.formatCurrency(transaction.refunded_amount, transaction.currency)} of ${amount}</span>
+                            </div>
+                        ` : ''}
+                        ${refunds.length > 0 ? `
+                            <div class="transaction-detail-item">
+                                <label>Refund history:</label>
+                                <ul class="refund-history">
+                                    ${refunds.map(refund => `
+                                        <li>
+                                            <span>${new Date(refund.transaction_date).toLocaleString()}</span>
+                                            <strong>${this.api.formatCurrency(refund.amount, refund.currency)}</strong>
+                                            <small>${this.escapeHTML(refund.reason || '')}</small>
+                                        </li>
+                                    `).join('')}
+                                </ul>
+                            </div>
+                        ` : ''}
+                        ${transaction.status === 'failed' ? `
+                            <div class="transaction-detail-item">
+                                <label>Reason:</label>
+                                <span>${transaction.failure_reason === 'insufficient_funds' ? 'Not enough money in the wallet' : 'Unknown'}</span>
+                            </div>
+                        ` : ''}
+                        ${transaction.schedule_id ? `
+                            <div class="transaction-detail-item">
+                                <label>Scheduled:</label>
+                                <span>${schedule ? this.escapeHTML(Recurrence.describe(schedule.recurrence)) : 'Yes'}</span>
+                            </div>
+                        ` : ''}
                         <div class="transaction-detail-item">
                             <label>OTP Verified:</label>
                             <span>${transaction.otp_verified ? 'Yes' : 'No'}</span>
                         </div>
-                        ${transaction.status === 'pending' ? `
+                        ${this.renderReconciliationDetail(transaction)}
+                        ${canSaveContact ? `
                             <div class="modal-actions">
-                                <button class="btn btn-danger" onclick="transactionHandler.cancelTransaction('${transaction.id}')">Cancel Transaction</button>
-                                ${!transaction.otp_verified ? `<button class="btn btn-primary" onclick="transactionHandler.showOTPModal('${transaction.id}')">Verify OTP</button>` : ''}
+                                <button class="btn btn-secondary" onclick="transactionHandler.saveContact('${participantId}')">Save to Contacts</button>
                             </div>
                         ` : ''}
+                        ${actions.length > 0 ? `
+                            <div class="modal-actions">
+                                ${actions.map(action => `<button class="btn ${action.className}" onclick="transactionHandler.${action.method}('${transaction.id}')">${action.label}</button>`).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Ask how much of a payment to give back, and why. The amount starts at what is left.
+     * @param {string} transactionId - Payment UUID
+     */
+    async showRefundModal(transactionId) {
+        if (this.refuseOffline("Refunds can be sent once you're back online.")) return;
+
+        let transaction;
+        try {
+            transaction = await this.findTransaction(transactionId);
+        } catch (error) {
+            this.handleApiError(error, 'Failed to load transaction');
+            return;
+        }
+
+        // The refund modal replaces the details it was opened from
+        this.closeModal();
+
+        const remaining = this.getRefundableAmount(transaction);
+        const modalHTML = `
+            <div class="modal-overlay" onclick="transactionHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Refund Payment</h3>
+                        <button class="modal-close" onclick="transactionHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>Give back up to ${remaining.format()} to ${this.escapeHTML(this.getTransactionParticipant(transaction, false))}.</p>
+                        <form id="refund-form" novalidate>
+                            <div class="form-group">
+                                <label for="refund-amount">Amount (${transaction.currency})</label>
+                                <input type="text" id="refund-amount" name="amount" inputmode="decimal" required
+                                    value="${remaining.format(undefined, { style: 'decimal', useGrouping: false })}">
+                            </div>
+                            <div class="form-group">
+                                <label for="refund-reason">Reason</label>
+                                <input type="text" id="refund-reason" name="reason" maxlength="140" required
+                                    placeholder="e.g. Order cancelled">
+                            </div>
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" onclick="transactionHandler.closeModal()">Cancel</button>
+                                <button type="submit" class="btn btn-primary">Refund</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        // One key per modal, so submitting again after a dropped connection can't refund twice
+        const idempotencyKey = crypto.randomUUID();
+        const refundForm = document.querySelector('#refund-form');
+        refundForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitRefund(refundForm, transaction, idempotencyKey);
+        });
+        refundForm.elements.reason.focus();
+    }
+
+    /**
+     * @param {HTMLFormElement} form - Refund form
+     * @param {Object} transaction - Payment being refunded
+     * @param {string} idempotencyKey - Key for this refund, kept across retries
+     */
+    async submitRefund(form, transaction, idempotencyKey) {
+        const formData = new FormData(form);
+
+        let amount;
+        try {
+            amount = Money.parse(formData.get('amount'), transaction.currency);
+        } catch (error) {
+            this.highlightFieldErrors(form, { amount: error.message });
+            return;
+        }
+        if (!amount.isPositive()) {
+            this.highlightFieldErrors(form, { amount: 'Please enter a valid amount' });
+            return;
+        }
+        if (amount.greaterThan(this.getRefundableAmount(transaction))) {
+            this.highlightFieldErrors(form, { amount: `At most ${this.getRefundableAmount(transaction).format()} can still be refunded.` });
+            return;
+        }
+
+        const reason = formData.get('reason').trim();
+        if (!reason) {
+            this.highlightFieldErrors(form, { reason: 'Please say why you are refunding this payment' });
+            return;
+        }
+
+        try {
+            this.setFormLoading(form, true);
+
+            const { refund } = await this.api.refundTransaction(transaction.id, {
+                amount: amount.amount, // minor units of the currency
+                reason
+            }, { idempotencyKey });
+
+            this.showSuccess(`Refunded ${this.api.formatCurrency(refund.amount, refund.currency)}`);
+            this.closeModal();
+            await this.loadTransactions();
+
+        } catch (error) {
+            console.error('Refund failed:', error);
+            if (error.isTransient) {
+                this.showError("We couldn't confirm this refund. Try again: it won't be refunded twice.");
+                return;
+            }
+            if (error.code === 'ERROR_CODE_INSUFFICIENT_FUNDS') {
+                this.highlightFieldErrors(form, { amount: error.message });
+            } else if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors);
+            }
+            this.handleApiError(error, 'Refund failed');
+            if (error instanceof ConflictError) {
+                // Refunded in the meantime, e.g. from another tab
+                this.closeModal();
+                await this.loadTransactions();
+            }
+        } finally {
+            this.setFormLoading(form, false);
+        }
+    }
+
+    /**
+     * Both legs of a transfer; the other leg may be on a page that isn't loaded
+     */
+    async showTransferDetails(leg) {
+        const legs = await this.findTransactions({ transfer_id: leg.transfer_id });
+        const debit = legs.find(t => t.transfer_leg === 'debit') || leg;
+        const credit = legs.find(t => t.transfer_leg === 'credit') || leg;
+        const converted = debit.currency !== credit.currency;
+
+        const modalHTML = `
+            <div class="modal-overlay" onclick="transactionHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Transfer Details</h3>
+                        <button class="modal-close" onclick="transactionHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="transaction-detail-item">
+                            <label>Transfer ID:</label>
+                            <span>${debit.transfer_id}</span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>Date:</label>
+                            <span>${new Date(debit.transaction_date).toLocaleString()}</span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>From:</label>
+                            <span>${this.escapeHTML(this.getWalletName(debit.wallet_id))}</span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>To:</label>
+                            <span>${this.escapeHTML(this.getWalletName(debit.receiver_wallet_id))}</span>
+                        </div>
+                        <div class="transaction-detail-item">
+                            <label>Amount sent:</label>
+                            <span>${this.api.formatCurrency(debit.amount, debit.currency)}</span>
+                        </div>
+                        ${converted ? `
+                            <div class="transaction-detail-item">
+                                <label>Amount received:</label>
+                                <span>${this.api.formatCurrency(credit.amount, credit.currency)}</span>
+                            </div>
+                            <div class="transaction-detail-item">
+                                <label>Exchange rate:</label>
+                                <span>1 ${debit.currency} = ${debit.exchange_rate} ${credit.currency}</span>
+                            </div>
+                        ` : ''}
+                        <div class="transaction-detail-item">
+                            <label>Status:</label>
+                            <span class="status-badge status-${debit.status}">${debit.status}</span>
+                        </div>
+                        ${this.renderReconciliationDetail({ ...debit, credit })}
                     </div>
                 </div>
             </div>
@@ -419,7 +2023,12 @@ class TransactionHandler {
         document.body.insertAdjacentHTML('beforeend', modalHTML);
     }
 
-    showOTPModal(transactionId) {
+    async showOTPModal(transactionId) {
+        if (this.refuseOffline("Payments can be verified once you're back online.")) return;
+
+        // The OTP modal replaces whatever modal it was opened from
+        this.closeModal();
+
         const modalHTML = `
             <div class="modal-overlay" onclick="transactionHandler.closeModal()">
                 <div class="modal-content" onclick="event.stopPropagation()">
@@ -428,13 +2037,15 @@ class TransactionHandler {
                         <button class="modal-close" onclick="transactionHandler.closeModal()">&times;</button>
                     </div>
                     <div class="modal-body">
-                        <p>Please enter the OTP code to verify this transaction:</p>
+                        <p id="otp-delivery">Sending your verification code...</p>
                         <form id="otp-form">
                             <div class="form-group">
-                                <input type="text" id="otp-code" placeholder="Enter 6-digit OTP" maxlength="6" required>
+                                <input type="text" id="otp-code" placeholder="Enter 6-digit OTP" maxlength="6" inputmode="numeric" autocomplete="one-time-code" required>
                             </div>
+                            <p id="otp-expiry" class="otp-expiry"></p>
                             <div class="modal-actions">
                                 <button type="button" class="btn btn-secondary" onclick="transactionHandler.closeModal()">Cancel</button>
+                                <button type="button" class="btn btn-secondary" id="otp-resend" disabled>Resend code</button>
                                 <button type="submit" class="btn btn-primary">Verify OTP</button>
                             </div>
                         </form>
@@ -449,12 +2060,96 @@ class TransactionHandler {
         const otpForm = document.querySelector('#otp-form');
         otpForm.addEventListener('submit', async (e) => {
             e.preventDefault();
-            const otpCode = document.querySelector('#otp-code').value;
-            await this.verifyOTP(transactionId, otpCode);
+            const submitBtn = otpForm.querySelector('button[type="submit"]');
+            const otpInput = document.querySelector('#otp-code');
+
+            submitBtn.disabled = true;
+            try {
+                await this.verifyOTP(transactionId, otpInput.value.trim());
+            } catch (error) {
+                // verifyOTP has already told the user what went wrong
+                otpInput.select();
+            } finally {
+                submitBtn.disabled = false;
+            }
         });
+
+        document.querySelector('#otp-resend').addEventListener('click', () => {
+            this.requestOTP(transactionId, true);
+        });
+
+        await this.requestOTP(transactionId, false);
+    }
+
+    /**
+     * Ask the backend for a code (reusing the current one unless resending) and start the countdown
+     * @param {string} transactionId - Transaction UUID
+     * @param {boolean} resend - Send a new code even if the current one is still valid
+     */
+    async requestOTP(transactionId, resend) {
+        try {
+            const challenge = await this.api.requestTransactionOTP(transactionId, resend ? { resend: true } : {});
+            this.otpChallenge = challenge;
+
+            const deliveryEl = document.querySelector('#otp-delivery');
+            if (deliveryEl) {
+                deliveryEl.textContent = `We sent a 6-digit code to ${challenge.delivery.destination}. Enter it to confirm this payment.`;
+            }
+            if (resend) {
+                this.showSuccess('A new code is on its way.');
+            }
+
+            this.startOTPCountdown();
+        } catch (error) {
+            console.error('Failed to request OTP:', error);
+            if (error instanceof RateLimitError) {
+                this.showError('Please wait before requesting another code.');
+            } else if (error instanceof ConflictError) {
+                this.closeModal();
+                this.showError('This transaction is no longer waiting for verification.');
+                await this.loadTransactions();
+            } else {
+                this.handleApiError(error, 'Could not send a verification code. Please try again.');
+            }
+        }
+    }
+
+    startOTPCountdown() {
+        clearInterval(this.otpTimer);
+
+        const tick = () => {
+            const expiryEl = document.querySelector('#otp-expiry');
+            const resendBtn = document.querySelector('#otp-resend');
+            if (!expiryEl || !this.otpChallenge) {
+                clearInterval(this.otpTimer);
+                return;
+            }
+
+            const now = Date.now();
+            const expiresIn = this.otpChallenge.expires_at - now;
+            const resendIn = this.otpChallenge.resend_available_at - now;
+
+            expiryEl.textContent = expiresIn > 0
+                ? `Code expires in ${this.formatCountdown(expiresIn)}`
+                : 'This code has expired. Please request a new one.';
+
+            resendBtn.disabled = resendIn > 0;
+            resendBtn.textContent = resendIn > 0 ? `Resend in ${Math.ceil(resendIn / 1000)}s` : 'Resend code';
+        };
+
+        tick();
+        this.otpTimer = setInterval(tick, 1000);
+    }
+
+    formatCountdown(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
     }
 
     closeModal() {
+        clearInterval(this.otpTimer);
+        this.otpChallenge = null;
+
         const modal = document.querySelector('.modal-overlay');
         if (modal) {
             modal.remove();
@@ -463,11 +2158,46 @@ class TransactionHandler {
 
     // ==================== UI HELPER METHODS ====================
 
+    /**
+     * Show the right message for a failed API call, sending the user back to sign in on 401
+     * @param {Error} error - Error thrown by the API service
+     * @param {string} fallbackMessage - Message for errors that carry none
+     */
+    handleApiError(error, fallbackMessage) {
+        this.showError(getUserMessage(error, fallbackMessage));
+        if (this.offline) {
+            this.offline.noteError(error);
+        }
+
+        // The session manager has already tried to renew the session by the time a 401 gets here
+        if (error instanceof UnauthorizedError) {
+            setTimeout(() => {
+                if (window.sessionManager) {
+                    window.sessionManager.endSession('expired');
+                } else {
+                    this.api.clearAuthToken();
+                    window.location.href = '/main/sign-in page.html';
+                }
+            }, 1500);
+        }
+    }
+
+    highlightFieldErrors(form, fieldErrors, fieldMap) {
+        // Reuse the field error display from auth handler
+        if (window.authHandler && window.authHandler.highlightFieldErrors) {
+            window.authHandler.highlightFieldErrors(form, fieldErrors, fieldMap);
+        }
+    }
+
     setFormLoading(form, isLoading) {
         const submitBtn = form.querySelector('button[type="submit"]');
         if (submitBtn) {
+            // Put back whatever the button said, e.g. "Refund" or "Schedule Payment"
+            if (isLoading) {
+                submitBtn.dataset.label = submitBtn.textContent;
+            }
             submitBtn.disabled = isLoading;
-            submitBtn.textContent = isLoading ? 'Processing...' : 'Send Money';
+            submitBtn.textContent = isLoading ? 'Processing...' : submitBtn.dataset.label || submitBtn.textContent;
         }
     }
 
@@ -478,6 +2208,27 @@ class TransactionHandler {
         }
     }
 
+    /**
+     * Escape text for innerHTML, marking the words the current search looked for
+     * @param {string} text
+     * @returns {string} HTML
+     */
+    highlight(text) {
+        if (this.highlightTerms.length === 0) return this.escapeHTML(text);
+
+        const pattern = this.highlightTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        // Split with a capture group: every odd part is a match
+        return String(text).split(new RegExp(`(${pattern})`, 'gi'))
+            .map((part, i) => (i % 2 ? `<mark>${this.escapeHTML(part)}</mark>` : this.escapeHTML(part)))
+            .join('');
+    }
+
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     showSuccess(message) {
         this.showNotification(message, 'success');
     }
@@ -0,0 +1,360 @@
+/**
+ * Transaction Query
+ * Filters, sort orders and totals for transaction lists, shared by the local backend (which
+ * answers GET /transaction) and the dashboard (which applies them itself when a backend
+ * returns every transaction at once)
+ *
+ * Filters, as query parameters:
+ *   q                        a search, see below
+ *   status                   comma separated statuses; "pending" is every unfinished one
+ *   currency                 comma separated ISO 4217 codes
+ *   from, to                 transaction_date range (timestamps, inclusive)
+ *   min_amount, max_amount   amounts in major units ("100.50"), in each transaction's currency
+ *   counterparty             user ID of the other party
+ *   original_transaction_id  refunds of a payment
+ *   transfer_id              both legs of a transfer
+ *
+ * A search is words and "quoted phrases" to find in the ID, note, status or the other party's
+ * name, email or nickname, and any of these tokens:
+ *   amount:>100  amount:<=20  amount:50  amount:10..20   in each transaction's own currency
+ *   currency:EUR,GBP
+ *   date:2026-03-15  date:2026-01..2026-03  date:2026..   whole days, months or years
+ *   status:pending,failed
+ *   to:alice   from:bob@example.com                       the other party, by direction
+ */
+
+const TRANSACTION_SORTS = ['-transaction_date', 'transaction_date', '-amount', 'amount'];
+const DEFAULT_TRANSACTION_SORT = '-transaction_date';
+
+const SEARCH_TOKEN_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+const SEARCH_AMOUNT_PATTERN = /^(>=|<=|>|<)?(\d+(?:\.\d+)?)$/;
+const SEARCH_AMOUNT_RANGE_PATTERN = /^(\d+(?:\.\d+)?)?\.\.(\d+(?:\.\d+)?)?$/;
+const SEARCH_DATE_PATTERN = /^(\d{4})(?:-(0[1-9]|1[0-2])(?:-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+const SEARCH_AMOUNT_OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b
+};
+
+class TransactionQuery {
+    /**
+     * Check list parameters and turn them into filters
+     * @param {Object} params - Query parameters (strings or numbers)
+     * @returns {Object} Filters for matches(), with the sort order
+     * @throws {RangeError} When a parameter isn't valid; error.param names it
+     */
+    static parse(params = {}) {
+        const filters = { sort: params.sort || DEFAULT_TRANSACTION_SORT };
+        if (!TRANSACTION_SORTS.includes(filters.sort)) {
+            throw TransactionQuery.invalid('sort', `sort must be one of: ${TRANSACTION_SORTS.join(', ')}.`);
+        }
+
+        const text = key => (params[key] === undefined || params[key] === null ? '' : String(params[key]).trim());
+
+        if (text('q')) {
+            filters.search = TransactionQuery.parseSearch(text('q'));
+        }
+        if (text('status')) {
+            // "pending" here is every unfinished status, not the legacy name of pending_otp
+            filters.status = text('status').split(',').map(status => status.trim())
+                .map(status => (status === 'pending' ? status : TransactionStatus.normalize(status)));
+        }
+        if (text('currency')) {
+            filters.currency = text('currency').toUpperCase().split(',').map(code => code.trim());
+            if (!filters.currency.every(code => /^[A-Z]{3}$/.test(code))) {
+                throw TransactionQuery.invalid('currency', 'currency must be ISO 4217 codes, e.g. USD,EUR.');
+            }
+        }
+
+        ['from', 'to'].forEach(key => {
+            if (!text(key)) return;
+            filters[key] = Number(text(key));
+            if (!Number.isSafeInteger(filters[key])) {
+                throw TransactionQuery.invalid(key, `${key} must be a timestamp in milliseconds.`);
+            }
+        });
+        if (filters.from !== undefined && filters.to !== undefined && filters.from > filters.to) {
+            throw TransactionQuery.invalid('to', 'to must not be before from.');
+        }
+
+        ['min_amount', 'max_amount'].forEach(key => {
+            if (!text(key)) return;
+            if (!/^\d+(\.\d+)?$/.test(text(key))) {
+                throw TransactionQuery.invalid(key, `${key} must be an amount such as 100 or 25.50.`);
+            }
+            filters[key] = text(key);
+        });
+        if (filters.min_amount && filters.max_amount && Number(filters.min_amount) > Number(filters.max_amount)) {
+            throw TransactionQuery.invalid('max_amount', 'max_amount must not be less than min_amount.');
+        }
+
+        ['counterparty', 'original_transaction_id', 'transfer_id'].forEach(key => {
+            if (text(key)) filters[key] = text(key);
+        });
+
+        return filters;
+    }
+
+    /**
+     * @param {Object} transaction
+     * @param {Object} filters - From parse()
+     * @param {string} userId - Whose list it is, for the counterparty filter
+     * @param {Function} [describeUser] - User ID to the names a search can find them by
+     * @returns {boolean}
+     */
+    static matches(transaction, filters, userId, describeUser = () => []) {
+        const t = transaction;
+
+        if (filters.search && !TransactionQuery.matchesSearch(t, filters.search, userId, describeUser)) {
+            return false;
+        }
+        if (filters.status && !filters.status.some(status => (status === 'pending'
+            ? TransactionStatus.isPending(t.status)
+            : TransactionStatus.normalize(t.status) === status))) {
+            return false;
+        }
+        if (filters.currency && !filters.currency.includes(t.currency)) return false;
+        if (filters.from !== undefined && t.transaction_date < filters.from) return false;
+        if (filters.to !== undefined && t.transaction_date > filters.to) return false;
+
+        // Amounts are compared in the transaction's own currency: 0.5 JPY can't be paid, so it rounds up
+        if (filters.min_amount && t.amount < Money.fromMajor(filters.min_amount, t.currency, ROUNDING_MODES.CEILING).amount) {
+            return false;
+        }
+        if (filters.max_amount && t.amount > Money.fromMajor(filters.max_amount, t.currency, ROUNDING_MODES.FLOOR).amount) {
+            return false;
+        }
+
+        if (filters.counterparty) {
+            const counterparty = t.sender_user_id === userId ? t.receiver_user_id : t.sender_user_id;
+            if (counterparty !== filters.counterparty) return false;
+        }
+        if (filters.original_transaction_id && t.original_transaction_id !== filters.original_transaction_id) return false;
+        if (filters.transfer_id && t.transfer_id !== filters.transfer_id) return false;
+
+        return true;
+    }
+
+    /**
+     * Comparator for a sort order. Ties are broken by ID, so every transaction has one place
+     * in the list and a page can start right after any of them.
+     * @param {string} sort - One of TRANSACTION_SORTS
+     * @returns {Function}
+     */
+    static comparator(sort) {
+        const field = sort.replace(/^-/, '');
+        const direction = sort.startsWith('-') ? -1 : 1;
+        return (a, b) => direction * ((a[field] - b[field]) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    }
+
+    /**
+     * Filter and sort a list of transactions
+     * @param {Array} transactions - Transactions of one user
+     * @param {Object} params - Query parameters
+     * @param {string} userId - Whose list it is
+     * @param {Function} [describeUser] - User ID to the names a search can find them by
+     * @returns {Array}
+     * @throws {RangeError} When a parameter isn't valid
+     */
+    static apply(transactions, params, userId, describeUser) {
+        const filters = TransactionQuery.parse(params);
+        return transactions
+            .filter(t => TransactionQuery.matches(t, filters, userId, describeUser))
+            .sort(TransactionQuery.comparator(filters.sort));
+    }
+
+    // ==================== SEARCH ====================
+
+    /**
+     * Split a search into free text and tokens
+     * @param {string} text - e.g. 'rent to:alice amount:>100 date:2026-01..2026-03'
+     * @returns {Object} { terms, amount, currency, status, from, to, dateFrom, dateTo }, text in lower case
+     * @throws {RangeError} When a token's value can't be read; error.param is "q"
+     */
+    static parseSearch(text) {
+        const search = { terms: [], amount: [], currency: [], status: [], to: [], from: [] };
+
+        for (const [token, key, value, phrase, word] of String(text).matchAll(SEARCH_TOKEN_PATTERN)) {
+            if (phrase !== undefined || word !== undefined) {
+                const term = (phrase !== undefined ? phrase : word).trim().toLowerCase();
+                if (term) search.terms.push(term);
+                continue;
+            }
+
+            const field = key.toLowerCase();
+            const unquoted = value.replace(/^"(.*)"$/, '$1').trim();
+            switch (field) {
+                case 'amount':
+                    search.amount.push(...TransactionQuery.parseAmountToken(unquoted));
+                    break;
+                case 'currency': {
+                    const codes = unquoted.toUpperCase().split(',').filter(Boolean);
+                    if (codes.length === 0 || !codes.every(code => /^[A-Z]{3}$/.test(code))) {
+                        throw TransactionQuery.invalid('q', `"${token}": currency takes ISO 4217 codes, e.g. currency:EUR.`);
+                    }
+                    search.currency.push(...codes);
+                    break;
+                }
+                case 'date':
+                    TransactionQuery.parseDateToken(unquoted, search);
+                    break;
+                case 'status': {
+                    const statuses = unquoted.toLowerCase().split(',').filter(Boolean)
+                        .map(status => (status === 'pending' ? status : TransactionStatus.normalize(status)));
+                    const known = ['pending', ...Object.keys(TransactionStatus.TRANSITIONS)];
+                    const unknown = statuses.find(status => !known.includes(status));
+                    if (statuses.length === 0 || unknown) {
+                        throw TransactionQuery.invalid('q', `"${token}": status is one of ${known.join(', ')}.`);
+                    }
+                    search.status.push(...statuses);
+                    break;
+                }
+                case 'to':
+                case 'from':
+                    if (unquoted) search[field].push(unquoted.toLowerCase());
+                    break;
+                default:
+                    // Not a token, e.g. "re:invoice": look for it as it is
+                    search.terms.push(token.toLowerCase());
+            }
+        }
+
+        return search;
+    }
+
+    /**
+     * @returns {Array<Object>} Conditions { op, value } on the amount in major units
+     */
+    static parseAmountToken(value) {
+        const range = value.match(SEARCH_AMOUNT_RANGE_PATTERN);
+        if (range && (range[1] || range[2])) {
+            return [range[1] && { op: '>=', value: Number(range[1]) }, range[2] && { op: '<=', value: Number(range[2]) }]
+                .filter(Boolean);
+        }
+        const single = value.match(SEARCH_AMOUNT_PATTERN);
+        if (!single) {
+            throw TransactionQuery.invalid('q', `"amount:${value}": use e.g. amount:>100, amount:<=20 or amount:10..20.`);
+        }
+        return [{ op: single[1] || '=', value: Number(single[2]) }];
+    }
+
+    /**
+     * Read date:2026-01..2026-03 into search.dateFrom and search.dateTo, in local time.
+     * Each end covers its whole day, month or year.
+     */
+    static parseDateToken(value, search) {
+        const [first, last] = value.includes('..') ? value.split('..') : [value, value];
+        const period = (text, end) => {
+            const match = text.match(SEARCH_DATE_PATTERN);
+            const [, year, month, day] = (match || []).map(Number);
+            const start = new Date(year, month ? month - 1 : 0, day || 1);
+            // 2026-02-30 would roll over into March
+            if (!match || (day && start.getDate() !== day)) {
+                throw TransactionQuery.invalid('q', `"date:${value}": use e.g. date:2026-03-15, date:2026-01..2026-03 or date:2026..`);
+            }
+            if (!end) return start.getTime();
+            const next = new Date(start);
+            if (day) next.setDate(next.getDate() + 1);
+            else if (month) next.setMonth(next.getMonth() + 1);
+            else next.setFullYear(next.getFullYear() + 1);
+            return next.getTime() - 1;
+        };
+
+        if (first) search.dateFrom = Math.max(search.dateFrom || -Infinity, period(first, false));
+        if (last) search.dateTo = Math.min(search.dateTo === undefined ? Infinity : search.dateTo, period(last, true));
+        if (!first && !last) {
+            throw TransactionQuery.invalid('q', `"date:${value}": give at least one date.`);
+        }
+    }
+
+    static matchesSearch(t, search, userId, describeUser) {
+        const outgoing = t.sender_user_id === userId;
+        const counterparty = outgoing ? t.receiver_user_id : t.sender_user_id;
+        const names = (describeUser(counterparty) || []).filter(Boolean).map(name => String(name).toLowerCase());
+        const isCounterparty = text => names.some(name => name.includes(text));
+
+        if (search.to.length && !(outgoing && search.to.every(isCounterparty))) return false;
+        if (search.from.length && !(!outgoing && search.from.every(isCounterparty))) return false;
+
+        if (search.currency.length && !search.currency.includes(t.currency)) return false;
+        if (search.status.length && !search.status.some(status => (status === 'pending'
+            ? TransactionStatus.isPending(t.status)
+            : TransactionStatus.normalize(t.status) === status))) {
+            return false;
+        }
+        if (search.dateFrom !== undefined && t.transaction_date < search.dateFrom) return false;
+        if (search.dateTo !== undefined && t.transaction_date > search.dateTo) return false;
+
+        const amount = Money.of(t.amount, t.currency).toMajor();
+        if (!search.amount.every(({ op, value }) => SEARCH_AMOUNT_OPERATORS[op](amount, value))) return false;
+
+        const haystack = [t.id, t.memo, t.reason, t.status, TransactionStatus.label(t.status), ...names]
+            .filter(Boolean)
+            .map(value => String(value).toLowerCase());
+        return search.terms.every(term => haystack.some(value => value.includes(term)));
+    }
+
+    /**
+     * The words of a search to highlight in the results: free text and the to: and from: names
+     * @param {string} text - Search
+     * @returns {Array<string>} Empty when the search can't be read
+     */
+    static highlightTerms(text) {
+        if (!text) return [];
+        try {
+            const { terms, to, from } = TransactionQuery.parseSearch(text);
+            return [...terms, ...to, ...from];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Dashboard totals: what was received and spent per currency, in minor units, and how many
+     * transactions are unfinished. Transfers only move money between the user's own wallets and
+     * are left out; a refund received takes back part of what was spent, one given takes back income.
+     * @param {Array} transactions - Every transaction of the user
+     * @param {string} userId
+     * @returns {Object} { currencies: { USD: { income, expenses, count } }, pending_count }
+     */
+    static summarize(transactions, userId) {
+        const currencies = {};
+        let pendingCount = 0;
+
+        transactions.forEach(t => {
+            const totals = currencies[t.currency] || (currencies[t.currency] = { income: 0, expenses: 0, count: 0 });
+            totals.count += 1;
+
+            if (TransactionStatus.isPending(t.status)) {
+                pendingCount += 1;
+            }
+            // A refunded payment still happened; its refunds are counted against it
+            if (!['completed', 'refunded'].includes(t.status) || t.type === 'transfer') return;
+
+            const received = t.receiver_user_id === userId;
+            if (t.type === 'refund') {
+                totals[received ? 'expenses' : 'income'] -= t.amount;
+            } else {
+                totals[received ? 'income' : 'expenses'] += t.amount;
+            }
+        });
+
+        return { currencies, pending_count: pendingCount };
+    }
+
+    static invalid(param, message) {
+        const error = new RangeError(message);
+        error.param = param;
+        return error;
+    }
+}
+
+TransactionQuery.SORTS = TRANSACTION_SORTS;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionQuery;
+}
@@ -0,0 +1,81 @@
+/**
+ * Transaction Status
+ * The transaction state machine, shared by the local backend (which enforces it)
+ * and the dashboard (which only offers the moves it allows)
+ *
+ *   draft → pending_otp → processing → completed → refunded
+ *                                    ↘ failed
+ *   draft, pending_otp → cancelled
+ */
+
+const TRANSACTION_TRANSITIONS = {
+    draft: ['pending_otp', 'cancelled'],       // created, no code sent yet
+    pending_otp: ['processing', 'cancelled'],  // code sent to the sender
+    processing: ['completed', 'failed'],       // verified, funds being moved
+    completed: ['refunded'],
+    failed: [],
+    cancelled: [],
+    refunded: []
+};
+
+// Money has moved, or is moving: these transactions stay on record
+const BOOKED_TRANSACTION_STATUSES = ['processing', 'completed', 'refunded'];
+
+// Stored before the state machine existed
+const LEGACY_TRANSACTION_STATUSES = { pending: 'pending_otp' };
+
+const TRANSACTION_STATUS_LABELS = {
+    draft: 'Draft',
+    pending_otp: 'Awaiting OTP',
+    processing: 'Processing',
+    completed: 'Completed',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+    refunded: 'Refunded'
+};
+
+class TransactionStatus {
+    /**
+     * @param {string} status - Status as stored or returned by the API
+     * @returns {string} The same status in the current vocabulary
+     */
+    static normalize(status) {
+        return LEGACY_TRANSACTION_STATUSES[status] || status;
+    }
+
+    /**
+     * Statuses a transaction can move to next
+     * @param {string} status - Current status
+     * @returns {Array<string>}
+     */
+    static nextStatuses(status) {
+        return TRANSACTION_TRANSITIONS[TransactionStatus.normalize(status)] || [];
+    }
+
+    static canTransition(from, to) {
+        return TransactionStatus.nextStatuses(from).includes(to);
+    }
+
+    /**
+     * Not finished yet: still to be verified, or being processed
+     */
+    static isPending(status) {
+        return ['draft', 'pending_otp', 'processing'].includes(TransactionStatus.normalize(status));
+    }
+
+    static isBooked(status) {
+        return BOOKED_TRANSACTION_STATUSES.includes(TransactionStatus.normalize(status));
+    }
+
+    static label(status) {
+        const normalized = TransactionStatus.normalize(status);
+        return TRANSACTION_STATUS_LABELS[normalized] || normalized;
+    }
+}
+
+TransactionStatus.TRANSITIONS = TRANSACTION_TRANSITIONS;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionStatus;
+}
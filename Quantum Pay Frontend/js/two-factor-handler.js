@@ -0,0 +1,291 @@
+/**
+ * Two-Factor Handler
+ * Manages authenticator-app 2FA on the settings page: enrollment, backup codes and disabling
+ */
+
+class TwoFactorHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.toggle = document.querySelector('#2fa-toggle');
+        this.panel = document.querySelector('#two-factor-panel');
+        this.backupRow = document.querySelector('#two-factor-backup-row');
+        this.enabled = false;
+        this.init();
+    }
+
+    async init() {
+        if (!this.toggle || !this.panel || !this.api.isAuthenticated()) return;
+
+        this.toggle.addEventListener('change', () => {
+            // The switch only reflects the account state; each change goes through a confirmation step
+            this.toggle.checked = this.enabled;
+            if (this.enabled) {
+                this.showDisable();
+            } else {
+                this.startEnrollment();
+            }
+        });
+
+        const regenerateBtn = document.querySelector('#two-factor-regenerate');
+        if (regenerateBtn) {
+            regenerateBtn.addEventListener('click', () => this.showRegenerate());
+        }
+
+        await this.loadStatus();
+    }
+
+    async loadStatus() {
+        try {
+            const user = await this.api.getCurrentUser();
+            this.setEnabled(!!user.two_factor_enabled);
+        } catch (error) {
+            console.error('Failed to load 2FA status:', error);
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.toggle.checked = enabled;
+        if (this.backupRow) {
+            this.backupRow.style.display = enabled ? '' : 'none';
+        }
+    }
+
+    // ==================== ENROLLMENT ====================
+
+    async startEnrollment() {
+        this.toggle.disabled = true;
+        try {
+            const { secret, otpauth_uri } = await this.api.enrollTwoFactor();
+            this.showEnrollment(secret, otpauth_uri);
+        } catch (error) {
+            console.error('Failed to start 2FA enrollment:', error);
+            this.showError(getUserMessage(error, 'Could not start two-factor setup. Please try again.'));
+        } finally {
+            this.toggle.disabled = false;
+        }
+    }
+
+    showEnrollment(secret, uri) {
+        this.panel.innerHTML = `
+            <h3>Set up your authenticator app</h3>
+            <p>Scan this QR code with Google Authenticator, 1Password, Authy or a similar app.</p>
+            <div class="two-factor-qr"></div>
+            <p>Can't scan it? Enter this key instead:</p>
+            <code class="two-factor-secret"></code>
+            <form id="two-factor-confirm-form">
+                <div class="input-group">
+                    <label for="two-factor-code">Code from the app</label>
+                    <input type="text" id="two-factor-code" name="code" maxlength="6" inputmode="numeric" autocomplete="one-time-code" required>
+                </div>
+                <div class="two-factor-actions">
+                    <button type="button" class="two-factor-cancel">Cancel</button>
+                    <button type="submit" class="save-btn">Turn on 2FA</button>
+                </div>
+            </form>
+        `;
+        this.panel.querySelector('.two-factor-secret').textContent = TwoFactorHandler.formatSecret(secret);
+        this.renderQRCode(this.panel.querySelector('.two-factor-qr'), uri);
+        this.openPanel();
+
+        this.bindForm('#two-factor-confirm-form', async (form) => {
+            const { backup_codes } = await this.api.confirmTwoFactor(form.elements.code.value.trim());
+            this.setEnabled(true);
+            this.showBackupCodes(backup_codes, 'Two-factor authentication is on.');
+        });
+    }
+
+    /**
+     * Draw the otpauth:// URI as a QR code, falling back to a link when the QR library is unavailable
+     */
+    renderQRCode(container, uri) {
+        if (typeof QRCode !== 'undefined') {
+            new QRCode(container, { text: uri, width: 180, height: 180 });
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = uri;
+        link.textContent = 'Open in authenticator app';
+        container.appendChild(link);
+    }
+
+    /**
+     * Group a base32 secret in blocks of four so it is easier to type
+     */
+    static formatSecret(secret) {
+        return secret.match(/.{1,4}/g).join(' ');
+    }
+
+    // ==================== BACKUP CODES ====================
+
+    showBackupCodes(codes, heading) {
+        this.panel.innerHTML = `
+            <h3></h3>
+            <p>Save these backup codes somewhere safe. Each one can be used once to sign in if you lose your phone.
+               They won't be shown again.</p>
+            <ul class="two-factor-backup-codes"></ul>
+            <div class="two-factor-actions">
+                <button type="button" class="two-factor-copy">Copy codes</button>
+                <button type="button" class="save-btn two-factor-done">I've saved them</button>
+            </div>
+        `;
+        this.panel.querySelector('h3').textContent = heading;
+        const list = this.panel.querySelector('.two-factor-backup-codes');
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+        this.openPanel();
+
+        this.panel.querySelector('.two-factor-copy').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(codes.join('\n'));
+                this.showSuccess('Backup codes copied.');
+            } catch (error) {
+                this.showError('Could not copy the codes. Please write them down instead.');
+            }
+        });
+        this.panel.querySelector('.two-factor-done').addEventListener('click', () => this.closePanel());
+    }
+
+    showRegenerate() {
+        this.panel.innerHTML = `
+            <h3>New backup codes</h3>
+            <p>Your current backup codes will stop working. Enter a code from your authenticator app to continue.</p>
+            <form id="two-factor-regenerate-form">
+                <div class="input-group">
+                    <label for="two-factor-code">Code from the app</label>
+                    <input type="text" id="two-factor-code" name="code" maxlength="6" inputmode="numeric" autocomplete="one-time-code" required>
+                </div>
+                <div class="two-factor-actions">
+                    <button type="button" class="two-factor-cancel">Cancel</button>
+                    <button type="submit" class="save-btn">Generate new codes</button>
+                </div>
+            </form>
+        `;
+        this.openPanel();
+
+        this.bindForm('#two-factor-regenerate-form', async (form) => {
+            const { backup_codes } = await this.api.regenerateBackupCodes(form.elements.code.value.trim());
+            this.showBackupCodes(backup_codes, 'New backup codes');
+        });
+    }
+
+    // ==================== DISABLE ====================
+
+    showDisable() {
+        this.panel.innerHTML = `
+            <h3>Turn off two-factor authentication</h3>
+            <p>Enter a code from your authenticator app, or one of your backup codes.</p>
+            <form id="two-factor-disable-form">
+                <div class="input-group">
+                    <label for="two-factor-code">Code or backup code</label>
+                    <input type="text" id="two-factor-code" name="code" autocomplete="one-time-code" required>
+                </div>
+                <div class="two-factor-actions">
+                    <button type="button" class="two-factor-cancel">Cancel</button>
+                    <button type="submit" class="save-btn">Turn off 2FA</button>
+                </div>
+            </form>
+        `;
+        this.openPanel();
+
+        this.bindForm('#two-factor-disable-form', async (form) => {
+            await this.api.disableTwoFactor(TwoFactorHandler.parseSecondFactor(form.elements.code.value));
+            this.setEnabled(false);
+            this.closePanel();
+            this.showSuccess('Two-factor authentication is off.');
+        });
+    }
+
+    /**
+     * Six digits are an authenticator code, anything else is treated as a backup code
+     */
+    static parseSecondFactor(value) {
+        const trimmed = value.trim();
+        return /^\d{6}$/.test(trimmed) ? { code: trimmed } : { backup_code: trimmed };
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    /**
+     * Submit a panel form, showing API errors against the code field
+     * @param {string} selector - Form selector
+     * @param {Function} onSubmit - Receives the form; throw to keep the panel open
+     */
+    bindForm(selector, onSubmit) {
+        const form = this.panel.querySelector(selector);
+        form.elements.code.focus();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+
+            try {
+                await onSubmit(form);
+            } catch (error) {
+                console.error('2FA request failed:', error);
+                if (error instanceof ValidationError) {
+                    this.showError(error.message);
+                    form.elements.code.select();
+                } else if (error instanceof ConflictError) {
+                    // Changed from another tab; resync the switch with the account
+                    this.showError(error.message);
+                    this.closePanel();
+                    this.loadStatus();
+                } else {
+                    this.showError(getUserMessage(error));
+                }
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+    }
+
+    openPanel() {
+        this.panel.style.display = 'block';
+        const cancelBtn = this.panel.querySelector('.two-factor-cancel');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.closePanel());
+        }
+    }
+
+    closePanel() {
+        this.panel.style.display = 'none';
+        this.panel.innerHTML = '';
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#2fa-toggle')) {
+        window.twoFactorHandler = new TwoFactorHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TwoFactorHandler;
+}
@@ -0,0 +1,281 @@
+/**
+ * User Directory
+ * Resolves user ids to names and avatars for display, finds recipients by email or phone
+ * and keeps the current user's contacts
+ *
+ * Profiles are cached in localStorage for a day. Backends without the directory endpoints
+ * (404) are remembered as such, and ids are then shown shortened as before.
+ */
+
+const USER_DIRECTORY_CACHE_KEY = 'quantum_user_directory';
+const USER_DIRECTORY_TTL = 24 * 60 * 60 * 1000;
+
+const AVATAR_COLORS = ['#6c63ff', '#10b981', '#f59e0b', '#ef4444', '#3b82f6', '#ec4899', '#14b8a6', '#8b5cf6'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class UserDirectory {
+    /**
+     * @param {QuantumPayAPI} api - API service
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where profiles are cached (default: localStorage)
+     * @param {number} [options.ttl] - How long a cached profile is used, in milliseconds
+     */
+    constructor(api, { storage = localStorage, ttl = USER_DIRECTORY_TTL } = {}) {
+        this.api = api;
+        this.storage = storage;
+        this.ttl = ttl;
+        this.profiles = this.readCache();
+        this.contacts = [];
+        this.recent = [];
+        this.available = true;
+    }
+
+    // ==================== PROFILES ====================
+
+    /**
+     * Make sure the profiles for these ids are cached, fetching missing or stale ones in one request
+     * @param {Array<string>} userIds - User UUIDs
+     * @param {RequestOptions} [options] - Request options
+     */
+    async resolve(userIds, options = {}) {
+        if (!this.available) return;
+
+        const now = Date.now();
+        const missing = [...new Set(userIds)]
+            .filter(id => id && (!this.profiles[id] || now - this.profiles[id].fetchedAt > this.ttl));
+        if (missing.length === 0) return;
+
+        try {
+            const profiles = await this.api.getUsers(missing, options);
+            profiles.forEach(profile => this.remember(profile));
+            this.writeCache();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.available = false;
+            } else if (error.name !== 'AbortError') {
+                console.warn('Could not load user profiles:', error);
+            }
+        }
+    }
+
+    remember(profile) {
+        if (profile && profile.id) {
+            this.profiles[profile.id] = { ...profile, fetchedAt: Date.now() };
+        }
+    }
+
+    /**
+     * @param {string} userId - User UUID
+     * @returns {Object|null} Cached profile { id, name, email, avatar_url }
+     */
+    get(userId) {
+        return this.profiles[userId] || null;
+    }
+
+    /**
+     * Name to show for a user: the contact nickname, then their name or email, then the short id
+     * @param {string} userId - User UUID
+     * @returns {string}
+     */
+    getDisplayName(userId) {
+        const contact = this.getContact(userId);
+        if (contact && contact.nickname) return contact.nickname;
+
+        const profile = this.get(userId);
+        if (profile) return profile.name || profile.email;
+
+        return userId ? `${userId.slice(0, 8)}...` : 'Unknown';
+    }
+
+    /**
+     * Find the account with this email or phone number
+     * @param {string} query - Email address or phone number
+     * @returns {Promise<Object|null>} Profile, or null when nobody matches
+     * @throws {ValidationError} When the phone number isn't valid
+     */
+    async lookup(query) {
+        const text = query.trim();
+        try {
+            const profile = await this.api.lookupUser(text.includes('@') ? { email: text } : { phone: text });
+            this.remember(profile);
+            this.writeCache();
+            return profile;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    static isUserId(value) {
+        return UUID_PATTERN.test(String(value || '').trim());
+    }
+
+    // ==================== CONTACTS ====================
+
+    /**
+     * Load the saved contacts and the most recent recipients
+     * @param {RequestOptions} [options] - Request options
+     */
+    async loadContacts(options = {}) {
+        if (!this.available) return;
+
+        try {
+            const [contacts, recent] = await Promise.all([
+                this.api.getAllContacts(options),
+                this.api.getRecentRecipients(options)
+            ]);
+            this.contacts = contacts;
+            this.recent = recent;
+            contacts.forEach(contact => this.remember(contact.user));
+            recent.forEach(entry => this.remember(entry.user));
+            this.writeCache();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.available = false;
+            } else if (error.name !== 'AbortError') {
+                console.warn('Could not load contacts:', error);
+            }
+        }
+    }
+
+    getContact(userId) {
+        return this.contacts.find(c => c.contact_user_id === userId) || null;
+    }
+
+    async addContact(contactData) {
+        const contact = await this.api.createContact(contactData);
+        this.remember(contact.user);
+        this.contacts = [...this.contacts, contact];
+        return contact;
+    }
+
+    async updateContact(contactId, changes) {
+        const contact = await this.api.updateContact(contactId, changes);
+        this.contacts = this.contacts.map(c => (c.id === contactId ? contact : c));
+        return contact;
+    }
+
+    async removeContact(contactId) {
+        await this.api.deleteContact(contactId);
+        this.contacts = this.contacts.filter(c => c.id !== contactId);
+    }
+
+    /**
+     * Contacts and recent recipients matching what was typed: favorites first, then contacts,
+     * then people paid recently. Empty text lists favorites and recent recipients.
+     * @param {string} text - Name, nickname or email fragment
+     * @param {number} [limit] - Maximum number of suggestions
+     * @returns {Array<Object>} { userId, name, detail, favorite }
+     */
+    suggest(text, limit = 6) {
+        const term = text.trim().toLowerCase();
+        const seen = new Set();
+        const suggestions = [];
+
+        const add = (userId, favorite) => {
+            if (seen.has(userId)) return;
+            const profile = this.get(userId);
+            const contact = this.getContact(userId);
+            const haystack = [contact && contact.nickname, profile && profile.name, profile && profile.email]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            if (term && !haystack.includes(term)) return;
+
+            seen.add(userId);
+            suggestions.push({
+                userId,
+                name: this.getDisplayName(userId),
+                detail: profile ? profile.email : '',
+                favorite
+            });
+        };
+
+        const byName = (a, b) => this.getDisplayName(a.contact_user_id).localeCompare(this.getDisplayName(b.contact_user_id));
+        this.contacts.filter(c => c.favorite).sort(byName).forEach(c => add(c.contact_user_id, true));
+        if (term) {
+            this.contacts.filter(c => !c.favorite).sort(byName).forEach(c => add(c.contact_user_id, false));
+        }
+        this.recent.forEach(entry => add(entry.user.id, false));
+
+        return suggestions.slice(0, limit);
+    }
+
+    // ==================== AVATARS ====================
+
+    /**
+     * Avatar for a user: their picture when they have one, otherwise coloured initials
+     * @param {string} userId - User UUID
+     * @returns {string} HTML
+     */
+    renderAvatar(userId) {
+        const profile = this.get(userId);
+        if (profile && profile.avatar_url) {
+            const img = document.createElement('img');
+            img.className = 'user-avatar';
+            img.src = profile.avatar_url;
+            img.alt = '';
+            return img.outerHTML;
+        }
+
+        const name = this.getDisplayName(userId);
+        const initials = profile
+            ? name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('')
+            : '?';
+        const span = document.createElement('span');
+        span.className = 'user-avatar';
+        span.style.backgroundColor = AVATAR_COLORS[UserDirectory.hash(userId || '') % AVATAR_COLORS.length];
+        span.textContent = initials;
+        span.setAttribute('aria-hidden', 'true');
+        return span.outerHTML;
+    }
+
+    /**
+     * Stable small number for a string, so a user keeps the same avatar colour
+     */
+    static hash(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+        }
+        return hash;
+    }
+
+    // ==================== CACHE ====================
+
+    readCache() {
+        try {
+            return JSON.parse(this.storage.getItem(USER_DIRECTORY_CACHE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeCache() {
+        try {
+            this.storage.setItem(USER_DIRECTORY_CACHE_KEY, JSON.stringify(this.profiles));
+        } catch (error) {
+            console.warn('Could not cache user profiles:', error);
+        }
+    }
+
+    clearCache() {
+        this.profiles = {};
+        this.contacts = [];
+        this.recent = [];
+        this.storage.removeItem(USER_DIRECTORY_CACHE_KEY);
+    }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && window.quantumAPI) {
+    window.userDirectory = new UserDirectory(window.quantumAPI);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserDirectory;
+}
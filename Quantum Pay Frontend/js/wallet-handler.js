@@ -0,0 +1,485 @@
+/**
+ * Wallet Handler
+ * Renders the user's wallets; creates, renames, archives and restores them and moves money between them
+ */
+
+const WALLET_TYPE_LABELS = {
+    main: 'Main',
+    savings: 'Savings',
+    spending: 'Spending',
+    business: 'Business'
+};
+
+const WALLET_TYPE_ICONS = {
+    main: 'fa-wallet',
+    savings: 'fa-piggy-bank',
+    spending: 'fa-credit-card',
+    business: 'fa-briefcase'
+};
+
+const WALLET_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD'];
+
+class WalletHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.wallets = [];
+        this.showArchived = false;
+        this.quoteTimer = null;
+        this.quoteController = null;
+        this.init();
+    }
+
+    async init() {
+        // Check authentication
+        if (!this.api.isAuthenticated()) {
+            window.location.href = '/main/sign-in page.html';
+            return;
+        }
+
+        this.bindEvents();
+        await this.loadWallets();
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const card = button.closest('[data-wallet-id]');
+            const walletId = card ? card.getAttribute('data-wallet-id') : null;
+
+            switch (button.getAttribute('data-action')) {
+                case 'add-wallet':
+                    this.showWalletModal();
+                    break;
+                case 'rename-wallet':
+                    this.showWalletModal(walletId);
+                    break;
+                case 'archive-wallet':
+                    this.setArchived(walletId, true);
+                    break;
+                case 'restore-wallet':
+                    this.setArchived(walletId, false);
+                    break;
+                case 'transfer':
+                    this.showTransferModal(walletId);
+                    break;
+                case 'toggle-archived-wallets':
+                    this.showArchived = !this.showArchived;
+                    this.renderWallets();
+                    break;
+            }
+        });
+    }
+
+    // ==================== WALLET OPERATIONS ====================
+
+    async loadWallets() {
+        try {
+            this.showLoading(true);
+            this.wallets = await this.api.getAllWallets();
+            this.renderWallets();
+        } catch (error) {
+            console.error('Failed to load wallets:', error);
+            this.handleApiError(error, 'Failed to load wallets');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async saveWallet(form, walletId) {
+        const formData = new FormData(form);
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            if (walletId) {
+                await this.api.updateWallet(walletId, {
+                    name: formData.get('name').trim(),
+                    type: formData.get('type')
+                });
+                this.showSuccess('Wallet updated');
+            } else {
+                await this.api.createWallet({
+                    name: formData.get('name').trim(),
+                    currency: formData.get('currency'),
+                    type: formData.get('type')
+                });
+                this.showSuccess('Wallet created');
+            }
+
+            this.closeModal();
+            await this.loadWallets();
+        } catch (error) {
+            console.error('Failed to save wallet:', error);
+            if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors);
+            }
+            this.handleApiError(error, 'Failed to save wallet');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async setArchived(walletId, archived) {
+        const wallet = this.wallets.find(w => w.id === walletId);
+        if (!wallet) return;
+
+        if (archived && !confirm(`Archive "${wallet.name}"? You can restore it later.`)) {
+            return;
+        }
+
+        try {
+            await this.api.archiveWallet(walletId, archived);
+            this.showSuccess(archived ? 'Wallet archived' : 'Wallet restored');
+            await this.loadWallets();
+        } catch (error) {
+            console.error('Failed to update wallet:', error);
+            this.handleApiError(error, 'Failed to update wallet');
+        }
+    }
+
+    async submitTransfer(form) {
+        const formData = new FormData(form);
+        const from = this.wallets.find(w => w.id === formData.get('from_wallet_id'));
+        const submitBtn = form.querySelector('button[type="submit"]');
+
+        let amount;
+        try {
+            amount = Money.parse(formData.get('amount'), from.currency);
+        } catch (error) {
+            this.highlightFieldErrors(form, { amount: error.message });
+            return;
+        }
+
+        submitBtn.disabled = true;
+        try {
+            await this.api.transferBetweenWallets({
+                from_wallet_id: from.id,
+                to_wallet_id: formData.get('to_wallet_id'),
+                amount: amount.amount
+            });
+            this.showSuccess(`Moved ${amount.format()}`);
+            this.closeModal();
+            await this.loadWallets();
+        } catch (error) {
+            console.error('Failed to transfer:', error);
+            if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors);
+            }
+            this.handleApiError(error, 'Failed to move money');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show what the target wallet will receive when the two wallets use different currencies
+     */
+    async updateTransferQuote(form) {
+        const preview = form.querySelector('.transfer-quote');
+        const from = this.wallets.find(w => w.id === form.elements.from_wallet_id.value);
+        const to = this.wallets.find(w => w.id === form.elements.to_wallet_id.value);
+
+        if (this.quoteController) {
+            this.quoteController.abort();
+        }
+        preview.textContent = '';
+        if (!from || !to || from.id === to.id || from.currency === to.currency) return;
+
+        let amount;
+        try {
+            amount = Money.parse(form.elements.amount.value, from.currency);
+        } catch (error) {
+            return;
+        }
+        if (!amount.isPositive()) return;
+
+        this.quoteController = new AbortController();
+        try {
+            const quote = await this.api.quoteTransfer({
+                from_wallet_id: from.id,
+                to_wallet_id: to.id,
+                amount: amount.amount
+            }, { signal: this.quoteController.signal });
+            preview.textContent = `${to.name} receives ${Money.of(quote.to_amount, quote.to_currency).format()}`
+                + ` (1 ${quote.from_currency} = ${quote.rate} ${quote.to_currency})`;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                preview.textContent = getUserMessage(error, 'Could not get an exchange rate.');
+            }
+        }
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderWallets() {
+        const grid = document.querySelector('#wallets-grid');
+        if (!grid) return;
+
+        const archivedCount = this.wallets.filter(w => w.archived).length;
+        const visible = this.wallets.filter(w => this.showArchived || !w.archived);
+
+        grid.querySelectorAll('.wallet-card[data-wallet-id]').forEach(card => card.remove());
+        const addButton = grid.querySelector('[data-action="add-wallet"]');
+        visible.forEach(wallet => grid.insertBefore(this.createWalletCard(wallet), addButton));
+
+        const toggle = document.querySelector('[data-action="toggle-archived-wallets"]');
+        if (toggle) {
+            toggle.style.display = archivedCount > 0 ? '' : 'none';
+            toggle.textContent = this.showArchived
+                ? 'Hide archived wallets'
+                : `Show archived wallets (${archivedCount})`;
+        }
+    }
+
+    createWalletCard(wallet) {
+        const card = document.createElement('div');
+        card.className = `wallet-card${wallet.archived ? ' wallet-card--archived' : ''}`;
+        card.setAttribute('data-wallet-id', wallet.id);
+        card.innerHTML = `
+            <div>
+                <h3></h3>
+                <p class="balance">${Money.of(wallet.balance, wallet.currency).format()}</p>
+                <p class="currency">${wallet.currency} · ${WALLET_TYPE_LABELS[wallet.type] || wallet.type}${wallet.archived ? ' · Archived' : ''}</p>
+            </div>
+            <div class="wallet-card__footer">
+                <div class="wallet-card__actions">
+                    ${wallet.archived
+                        ? '<button type="button" data-action="restore-wallet">Restore</button>'
+                        : `<button type="button" data-action="transfer">Move</button>
+                           <button type="button" data-action="rename-wallet">Edit</button>
+                           <button type="button" data-action="archive-wallet">Archive</button>`
+                    }
+                </div>
+                <i class="fas ${WALLET_TYPE_ICONS[wallet.type] || WALLET_TYPE_ICONS.main} wallet-icon"></i>
+            </div>
+        `;
+        card.querySelector('h3').textContent = wallet.name;
+        return card;
+    }
+
+    // ==================== MODAL METHODS ====================
+
+    /**
+     * Form to create a wallet, or to edit one when walletId is given (the currency is fixed)
+     * @param {string} [walletId] - Wallet to edit
+     */
+    showWalletModal(walletId) {
+        this.closeModal();
+        const wallet = walletId ? this.wallets.find(w => w.id === walletId) : null;
+
+        const typeOptions = Object.entries(WALLET_TYPE_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        const currencyOptions = WALLET_CURRENCIES
+            .map(code => `<option value="${code}">${code}</option>`)
+            .join('');
+
+        const modalHTML = `
+            <div class="modal-overlay" onclick="walletHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>${wallet ? 'Edit Wallet' : 'New Wallet'}</h3>
+                        <button class="modal-close" onclick="walletHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="wallet-form">
+                            <div class="form-group">
+                                <label for="wallet-name">Name</label>
+                                <input type="text" id="wallet-name" name="name" maxlength="40" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="wallet-type">Type</label>
+                                <select id="wallet-type" name="type">${typeOptions}</select>
+                            </div>
+                            ${wallet ? '' : `
+                                <div class="form-group">
+                                    <label for="wallet-currency">Currency</label>
+                                    <select id="wallet-currency" name="currency">${currencyOptions}</select>
+                                </div>
+                            `}
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" onclick="walletHandler.closeModal()">Cancel</button>
+                                <button type="submit" class="btn btn-primary">${wallet ? 'Save' : 'Create Wallet'}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const form = document.querySelector('#wallet-form');
+        if (wallet) {
+            form.elements.name.value = wallet.name;
+            form.elements.type.value = wallet.type;
+        }
+        form.elements.name.focus();
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWallet(form, walletId);
+        });
+    }
+
+    /**
+     * Form to move money between two of the user's wallets
+     * @param {string} [fromWalletId] - Wallet to preselect as the source
+     */
+    showTransferModal(fromWalletId) {
+        this.closeModal();
+        const active = this.wallets.filter(w => !w.archived);
+        if (active.length < 2) {
+            this.showError('You need at least two wallets to move money between them.');
+            return;
+        }
+
+        const modalHTML = `
+            <div class="modal-overlay" onclick="walletHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Move Money</h3>
+                        <button class="modal-close" onclick="walletHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="transfer-form">
+                            <div class="form-group">
+                                <label for="transfer-from">From</label>
+                                <select id="transfer-from" name="from_wallet_id"></select>
+                            </div>
+                            <div class="form-group">
+                                <label for="transfer-to">To</label>
+                                <select id="transfer-to" name="to_wallet_id"></select>
+                            </div>
+                            <div class="form-group">
+                                <label for="transfer-amount">Amount</label>
+                                <input type="text" id="transfer-amount" name="amount" inputmode="decimal" autocomplete="off" required>
+                            </div>
+                            <p class="transfer-quote" aria-live="polite"></p>
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" onclick="walletHandler.closeModal()">Cancel</button>
+                                <button type="submit" class="btn btn-primary">Move Money</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const form = document.querySelector('#transfer-form');
+        [form.elements.from_wallet_id, form.elements.to_wallet_id].forEach(select => {
+            active.forEach(wallet => {
+                const option = document.createElement('option');
+                option.value = wallet.id;
+                option.textContent = `${wallet.name} (${Money.of(wallet.balance, wallet.currency).format()})`;
+                select.appendChild(option);
+            });
+        });
+
+        const from = active.find(w => w.id === fromWalletId) || active[0];
+        form.elements.from_wallet_id.value = from.id;
+        form.elements.to_wallet_id.value = active.find(w => w.id !== from.id).id;
+        form.elements.amount.focus();
+
+        const syncAmount = () => {
+            const wallet = this.wallets.find(w => w.id === form.elements.from_wallet_id.value);
+            form.elements.amount.placeholder = Money.zero(wallet.currency).toDecimalString();
+        };
+        const scheduleQuote = () => {
+            clearTimeout(this.quoteTimer);
+            this.quoteTimer = setTimeout(() => this.updateTransferQuote(form), 300);
+        };
+        syncAmount();
+
+        form.elements.from_wallet_id.addEventListener('change', () => {
+            syncAmount();
+            scheduleQuote();
+        });
+        form.elements.to_wallet_id.addEventListener('change', scheduleQuote);
+        form.elements.amount.addEventListener('input', scheduleQuote);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitTransfer(form);
+        });
+    }
+
+    closeModal() {
+        clearTimeout(this.quoteTimer);
+        const modal = document.querySelector('.modal-overlay');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    /**
+     * Show the right message for a failed API call, sending the user back to sign in on 401
+     * @param {Error} error - Error thrown by the API service
+     * @param {string} fallbackMessage - Message for errors that carry none
+     */
+    handleApiError(error, fallbackMessage) {
+        this.showError(getUserMessage(error, fallbackMessage));
+
+        if (error instanceof UnauthorizedError) {
+            setTimeout(() => {
+                if (window.sessionManager) {
+                    window.sessionManager.endSession('expired');
+                } else {
+                    this.api.clearAuthToken();
+                    window.location.href = '/main/sign-in page.html';
+                }
+            }, 1500);
+        }
+    }
+
+    highlightFieldErrors(form, fieldErrors, fieldMap) {
+        // Reuse the field error display from auth handler
+        if (window.authHandler && window.authHandler.highlightFieldErrors) {
+            window.authHandler.highlightFieldErrors(form, fieldErrors, fieldMap);
+        }
+    }
+
+    showLoading(show) {
+        const loader = document.querySelector('#wallets-loader');
+        if (loader) {
+            loader.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#wallets-grid')) {
+        window.walletHandler = new WalletHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WalletHandler;
+}
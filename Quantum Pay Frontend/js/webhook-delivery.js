@@ -0,0 +1,400 @@
+/**
+ * Webhook Delivery
+ * The local backend's stand-in for the server job that sends webhooks: transaction events are
+ * queued for every endpoint subscribed to them, POSTed as JSON, retried with exponential
+ * backoff, and each attempt is written to webhook_log. Each attempt is signed again with the
+ * endpoint's secrets (js/webhook-signature.js), so retries carry a fresh timestamp. Redeliveries
+ * and test events are sent once, right away.
+ *
+ * LocalWebhookReceiver answers local://webhooks/... URLs in the page, so deliveries, failures
+ * and retries can be tried without a server.
+ */
+
+const WEBHOOK_EVENTS = [
+    'transaction.created',
+    'transaction.otp_verified',
+    'transaction.completed',
+    'transaction.cancelled',
+    'transaction.refunded'
+];
+
+const WEBHOOK_DELIVERY_SETTINGS = {
+    maxAttempts: 8,                 // the first try and 7 retries, about 20 minutes in all
+    firstRetryDelay: 10 * 1000,     // doubled after each failed attempt
+    maxRetryDelay: 60 * 60 * 1000,
+    jitter: 0.1,                    // delays vary by up to 10% so retries don't arrive together
+    timeout: 10 * 1000,             // a receiver must answer within 10 seconds
+    maxResponseLength: 2000,        // characters of the response body kept in the log
+    userAgent: 'QuantumPay-Webhooks/1.0'
+};
+
+// Status of the made-up transaction in a test event of each type
+const WEBHOOK_TEST_STATUSES = {
+    'transaction.created': 'draft',
+    'transaction.otp_verified': 'processing',
+    'transaction.completed': 'completed',
+    'transaction.cancelled': 'cancelled',
+    'transaction.refunded': 'refunded'
+};
+
+// Receivers the local stand-in remembers, newest first
+const LOCAL_WEBHOOK_RECEIVER_LIMIT = 50;
+
+/**
+ * Stand-in for a merchant's HTTP endpoint. The path says how it answers:
+ *   local://webhooks/anything       200 { "received": true }
+ *   local://webhooks/status/503     that status
+ *   local://webhooks/flaky          503 for the first two attempts of each delivery, then 200
+ *   local://webhooks/timeout        never answers, so the delivery times out
+ * What it receives is kept, logged to the console and announced with a quantum:dev-webhook event.
+ */
+class LocalWebhookReceiver {
+    constructor() {
+        this.received = [];
+    }
+
+    handles(url) {
+        return /^local:\/\/webhooks(\/|$)/.test(url);
+    }
+
+    /**
+     * @param {string} url
+     * @param {Object} request - { headers, body }
+     * @param {AbortSignal} signal - Aborted when the sender gives up waiting
+     * @returns {Promise<Object>} { status, body }
+     */
+    receive(url, { headers, body }, signal) {
+        const path = new URL(url).pathname;
+        const entry = { id: crypto.randomUUID(), received_at: Date.now(), url, headers, body };
+        this.received = [entry, ...this.received].slice(0, LOCAL_WEBHOOK_RECEIVER_LIMIT);
+
+        console.info(`[Local webhook receiver] ${headers['X-Quantum-Event']} to ${url}`);
+        if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent('quantum:dev-webhook', { detail: entry }));
+        }
+
+        if (path === '/timeout') {
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')), { once: true });
+            });
+        }
+
+        const status = path.startsWith('/status/') ? Number(path.slice('/status/'.length)) || 500
+            : path === '/flaky' && Number(headers['X-Quantum-Attempt']) < 3 ? 503
+                : 200;
+        const ok = status >= 200 && status < 300;
+        return Promise.resolve({
+            status,
+            body: JSON.stringify(ok ? { received: true } : { error: `Local receiver answered ${status}` })
+        });
+    }
+
+    clear() {
+        this.received = [];
+    }
+}
+
+class WebhookDelivery {
+    /**
+     * @param {LocalBackend} backend - Holds the endpoints, the queue and the logs in its state
+     * @param {Object} [options]
+     * @param {LocalWebhookReceiver} [options.receiver] - Answers local://webhooks/... URLs
+     * @param {Function} [options.fetch] - For other URLs (default: the browser's fetch)
+     */
+    constructor(backend, options = {}) {
+        this.backend = backend;
+        this.receiver = options.receiver || new LocalWebhookReceiver();
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+        this.timer = null;
+        this.sending = new Set(); // deliveries with an attempt in flight
+        this.running = null;
+    }
+
+    // ==================== QUEUE ====================
+
+    /**
+     * Queue an event for every active endpoint of the transaction's sender and receiver that is
+     * subscribed to it. Transfers between a user's own wallets send no webhooks.
+     * @param {string} type - One of WEBHOOK_EVENTS
+     * @param {Object} transaction - Stored transaction, copied as it is now
+     * @param {Object} [extra] - More data for the event, e.g. { refund }
+     * @returns {Array<Object>} The queued deliveries
+     */
+    enqueue(type, transaction, extra = {}) {
+        const { state } = this.backend;
+        if (transaction.type === 'transfer') return [];
+
+        const parties = [transaction.sender_user_id, transaction.receiver_user_id];
+        const endpoints = state.webhooks.filter(w => w.active && w.events.includes(type) && parties.includes(w.owner_user_id));
+        if (endpoints.length === 0) return [];
+
+        const event = {
+            id: crypto.randomUUID(),
+            type,
+            created_at: Date.now(),
+            data: { transaction: this.describeTransaction(transaction), ...extra }
+        };
+        if (event.data.refund) {
+            event.data.refund = this.describeTransaction(event.data.refund);
+        }
+
+        const message = { event_id: event.id, event_type: type, transaction_id: transaction.id, payload: JSON.stringify(event) };
+        const deliveries = endpoints.map(endpoint => this.createDelivery(endpoint, message));
+
+        // After the response to the request that caused the event, like a job queue would
+        this.schedule(0);
+        return deliveries;
+    }
+
+    /**
+     * Send a message to one endpoint right away, once: a failed redelivery or test isn't retried
+     * @param {Object} endpoint - Stored webhook endpoint
+     * @param {Object} message - { event_id, event_type, transaction_id, payload }
+     * @param {string} trigger - 'redelivery' or 'test'
+     * @returns {Promise<Object>} The webhook_log entry
+     */
+    async deliverNow(endpoint, message, trigger) {
+        return this.attempt(this.createDelivery(endpoint, message, trigger));
+    }
+
+    /**
+     * @param {Object} endpoint - Stored webhook endpoint
+     * @param {Object} message - { event_id, event_type, transaction_id, payload }
+     * @param {string} [trigger] - 'event' for deliveries that are retried, 'redelivery' or 'test'
+     * @returns {Object} The queued delivery
+     */
+    createDelivery(endpoint, message, trigger = 'event') {
+        const now = Date.now();
+        const delivery = {
+            id: crypto.randomUUID(),
+            webhook_id: endpoint.id,
+            owner_user_id: endpoint.owner_user_id,
+            ...message,
+            trigger,
+            status: 'pending',
+            attempt_count: 0,
+            next_attempt_at: now,
+            created_at: now
+        };
+        this.backend.state.webhook_deliveries.push(delivery);
+        return delivery;
+    }
+
+    /**
+     * A made-up event of this type for an endpoint's owner, marked test: true and tied to no
+     * real transaction
+     * @param {string} type - One of WEBHOOK_EVENTS
+     * @param {Object} endpoint - Stored webhook endpoint
+     * @returns {Object} { event_id, event_type, transaction_id, payload }
+     */
+    testMessage(type, endpoint) {
+        const now = Date.now();
+        const transaction = {
+            id: crypto.randomUUID(),
+            created_at: now,
+            transaction_date: now,
+            amount: 1000,
+            currency: 'USD',
+            sender_user_id: endpoint.owner_user_id,
+            receiver_user_id: crypto.randomUUID(),
+            status: WEBHOOK_TEST_STATUSES[type],
+            memo: 'Test event'
+        };
+        const event = { id: crypto.randomUUID(), type, created_at: now, test: true, data: { transaction } };
+        if (type === 'transaction.refunded') {
+            transaction.refunded_amount = transaction.amount;
+            event.data.refund = {
+                ...transaction,
+                id: crypto.randomUUID(),
+                type: 'refund',
+                status: 'completed',
+                sender_user_id: transaction.receiver_user_id,
+                receiver_user_id: transaction.sender_user_id,
+                original_transaction_id: transaction.id,
+                reason: 'Test event'
+            };
+        }
+        return { event_id: event.id, event_type: type, transaction_id: null, payload: JSON.stringify(event) };
+    }
+
+    /**
+     * The transaction as receivers see it: a copy without the OTP fields
+     */
+    describeTransaction(transaction) {
+        const { otp_code, ...rest } = transaction;
+        return JSON.parse(JSON.stringify(rest));
+    }
+
+    /**
+     * Run the queue when the next delivery is due
+     * @param {number} [delay] - Run after this many milliseconds instead
+     */
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const pending = this.backend.state.webhook_deliveries.filter(d => d.status === 'pending' && !this.sending.has(d.id));
+        if (pending.length === 0) return;
+
+        const next = Math.min(...pending.map(d => d.next_attempt_at));
+        const wait = delay === undefined ? Math.max(0, next - Date.now()) : delay;
+        // Timers can't wait longer than about 24.8 days
+        this.timer = setTimeout(() => this.runDue(), Math.min(wait, 0x7fffffff));
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Attempt every delivery that is due. Attempts run side by side; a second call while they
+     * are running waits for them.
+     * @param {number} [now] - Current time
+     * @returns {Promise<void>}
+     */
+    async runDue(now = Date.now()) {
+        if (this.running) return this.running;
+
+        const due = this.backend.state.webhook_deliveries
+            .filter(d => d.status === 'pending' && d.next_attempt_at <= now && !this.sending.has(d.id));
+        this.running = Promise.all(due.map(delivery => this.attempt(delivery)));
+        try {
+            await this.running;
+        } finally {
+            this.running = null;
+            this.backend.saveState();
+            this.schedule();
+        }
+    }
+
+    // ==================== DELIVERY ====================
+
+    /**
+     * POST a delivery's event to its endpoint once and log the outcome. A 2xx answer delivers it;
+     * anything else is retried later, until maxAttempts.
+     * @param {Object} delivery - Queued delivery
+     * @returns {Promise<Object>} The webhook_log entry
+     */
+    async attempt(delivery) {
+        const { state } = this.backend;
+        const endpoint = state.webhooks.find(w => w.id === delivery.webhook_id);
+        if (!endpoint) {
+            delivery.status = 'failed';
+            return null;
+        }
+
+        this.sending.add(delivery.id);
+        delivery.attempt_count += 1;
+        const started = Date.now();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': WEBHOOK_DELIVERY_SETTINGS.userAgent,
+            'X-Quantum-Event': delivery.event_type,
+            'X-Quantum-Delivery': delivery.event_id,
+            'X-Quantum-Attempt': String(delivery.attempt_count)
+        };
+
+        let response;
+        try {
+            headers[WEBHOOK_SIGNATURE_HEADER] = await WebhookSignature.sign(delivery.payload, this.signingSecrets(endpoint, started));
+            response = await this.send(endpoint.url, { headers, body: delivery.payload });
+        } catch (error) {
+            response = {
+                status: null,
+                body: error.name === 'AbortError'
+                    ? `No answer within ${WEBHOOK_DELIVERY_SETTINGS.timeout / 1000} seconds`
+                    : `Could not connect: ${error.message}`
+            };
+        } finally {
+            this.sending.delete(delivery.id);
+        }
+
+        const success = response.status >= 200 && response.status < 300;
+        // Deliveries queued before there were triggers are events too
+        const finalAttempt = (delivery.trigger || 'event') !== 'event'
+            || delivery.attempt_count >= WEBHOOK_DELIVERY_SETTINGS.maxAttempts;
+        delivery.status = success ? 'delivered' : finalAttempt ? 'failed' : 'pending';
+        delivery.next_attempt_at = delivery.status === 'pending'
+            ? Date.now() + this.retryDelay(delivery.attempt_count)
+            : null;
+
+        const log = {
+            id: crypto.randomUUID(),
+            created_at: Date.now(),
+            webhook_url: endpoint.url,
+            payload: delivery.payload,
+            status: success ? 'success' : 'failed',
+            response: String(response.body || '').slice(0, WEBHOOK_DELIVERY_SETTINGS.maxResponseLength),
+            transaction_id: delivery.transaction_id,
+            owner_user_id: delivery.owner_user_id,
+            webhook_id: endpoint.id,
+            delivery_id: delivery.id,
+            event_id: delivery.event_id,
+            event_type: delivery.event_type,
+            trigger: delivery.trigger || 'event',
+            attempt: delivery.attempt_count,
+            response_status: response.status,
+            duration_ms: Date.now() - started,
+            next_attempt_at: delivery.next_attempt_at
+        };
+        state.webhook_logs.push(log);
+        return log;
+    }
+
+    /**
+     * The endpoint's secret, and the one it replaced until its overlap ends
+     * @param {Object} endpoint - Stored webhook endpoint
+     * @param {number} [now] - Current time
+     * @returns {Array<string>}
+     */
+    signingSecrets(endpoint, now = Date.now()) {
+        const secrets = [endpoint.secret];
+        if (endpoint.previous_secret && endpoint.previous_secret_expires_at > now) {
+            secrets.push(endpoint.previous_secret);
+        }
+        return secrets;
+    }
+
+    /**
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Milliseconds to wait before the next one
+     */
+    retryDelay(attempts) {
+        const { firstRetryDelay, maxRetryDelay, jitter } = WEBHOOK_DELIVERY_SETTINGS;
+        const delay = Math.min(firstRetryDelay * 2 ** (attempts - 1), maxRetryDelay);
+        return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)));
+    }
+
+    /**
+     * POST to the local receiver or over the network, giving up after the timeout
+     * @returns {Promise<Object>} { status, body }
+     */
+    async send(url, request) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), WEBHOOK_DELIVERY_SETTINGS.timeout);
+        try {
+            if (this.receiver.handles(url)) {
+                return await this.receiver.receive(url, request, controller.signal);
+            }
+            if (!this.fetch) {
+                throw new Error('fetch is not available');
+            }
+
+            const response = await this.fetch(url, {
+                method: 'POST',
+                headers: request.headers,
+                body: request.body,
+                signal: controller.signal
+            });
+            return { status: response.status, body: await response.text() };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebhookDelivery, LocalWebhookReceiver, WEBHOOK_EVENTS };
+}
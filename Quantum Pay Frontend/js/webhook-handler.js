@@ -0,0 +1,301 @@
+/**
+ * Webhook Handler
+ * The webhook endpoints on the settings page: the URLs Quantum Pay sends the user's
+ * transaction events to, which events each one gets, and the secrets their payloads are signed with
+ */
+
+const WEBHOOK_EVENT_LABELS = {
+    'transaction.created': 'Created',
+    'transaction.otp_verified': 'OTP verified',
+    'transaction.completed': 'Completed',
+    'transaction.cancelled': 'Cancelled',
+    'transaction.refunded': 'Refunded'
+};
+
+class WebhookHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.webhooks = [];
+        this.revealedSecrets = new Set(); // endpoints whose secret is shown in full
+        this.available = true;
+        this.init();
+    }
+
+    async init() {
+        if (!this.api.isAuthenticated()) return;
+
+        this.bindEvents();
+        await this.loadWebhooks();
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const webhookId = button.getAttribute('data-webhook-id');
+
+            switch (button.getAttribute('data-action')) {
+                case 'toggle-webhook':
+                    this.toggleWebhook(webhookId);
+                    break;
+                case 'remove-webhook':
+                    this.removeWebhook(webhookId);
+                    break;
+                case 'show-webhook-secret':
+                    this.toggleSecret(webhookId);
+                    break;
+                case 'copy-webhook-secret':
+                    this.copySecret(webhookId);
+                    break;
+                case 'rotate-webhook-secret':
+                    this.rotateSecret(webhookId);
+                    break;
+            }
+        });
+
+        const addForm = document.querySelector('#add-webhook-form');
+        if (addForm) {
+            addForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleAddWebhook(addForm);
+            });
+        }
+    }
+
+    // ==================== WEBHOOK OPERATIONS ====================
+
+    /**
+     * Backends without webhook endpoints hide the section's form
+     */
+    async loadWebhooks() {
+        try {
+            this.webhooks = await this.api.getWebhooks();
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.available = false;
+            } else {
+                console.error('Failed to load webhooks:', error);
+                this.handleApiError(error, 'Failed to load webhooks');
+            }
+        }
+        this.renderWebhooks();
+    }
+
+    async handleAddWebhook(form) {
+        const events = [...form.querySelectorAll('[name="events"]:checked')].map(input => input.value);
+        if (events.length === 0) {
+            this.showError('Choose at least one event to send');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        try {
+            const webhook = await this.api.createWebhook({
+                url: form.elements.url.value.trim(),
+                description: form.elements.description.value.trim(),
+                events
+            });
+            this.webhooks.push(webhook);
+            this.showSuccess('Webhook endpoint added');
+            this.renderWebhooks();
+            form.reset();
+        } catch (error) {
+            console.error('Failed to add webhook:', error);
+            if (error instanceof ValidationError) {
+                this.highlightFieldErrors(form, error.fieldErrors, { url: 'url', description: 'description' });
+            }
+            this.handleApiError(error, 'Failed to add webhook');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Pause an endpoint without losing its settings, or resume it. Events that happen while it
+     * is paused are not sent later.
+     */
+    async toggleWebhook(webhookId) {
+        const webhook = this.findWebhook(webhookId);
+        if (!webhook) return;
+
+        try {
+            Object.assign(webhook, await this.api.updateWebhook(webhookId, { active: !webhook.active }));
+            this.renderWebhooks();
+        } catch (error) {
+            console.error('Failed to update webhook:', error);
+            this.handleApiError(error, 'Failed to update webhook');
+        }
+    }
+
+    async removeWebhook(webhookId) {
+        const webhook = this.findWebhook(webhookId);
+        if (!webhook || !confirm(`Stop sending events to ${webhook.url}? Deliveries still waiting are dropped.`)) return;
+
+        try {
+            await this.api.deleteWebhook(webhookId);
+            this.webhooks = this.webhooks.filter(w => w.id !== webhookId);
+            this.showSuccess('Webhook endpoint removed');
+            this.renderWebhooks();
+        } catch (error) {
+            console.error('Failed to remove webhook:', error);
+            this.handleApiError(error, 'Failed to remove webhook');
+        }
+    }
+
+    /**
+     * Replace an endpoint's signing secret. The old one keeps signing for a day, long enough to
+     * put the new one on the receiving server.
+     */
+    async rotateSecret(webhookId) {
+        const webhook = this.findWebhook(webhookId);
+        if (!webhook || !confirm(`Create a new signing secret for ${webhook.url}? The current one keeps working for 24 hours.`)) return;
+
+        try {
+            Object.assign(webhook, await this.api.rotateWebhookSecret(webhookId));
+            this.revealedSecrets.add(webhookId);
+            this.showSuccess('New signing secret created. Update your server before the old one expires.');
+            this.renderWebhooks();
+        } catch (error) {
+            console.error('Failed to rotate webhook secret:', error);
+            this.handleApiError(error, 'Failed to create a new signing secret');
+        }
+    }
+
+    toggleSecret(webhookId) {
+        if (!this.revealedSecrets.delete(webhookId)) {
+            this.revealedSecrets.add(webhookId);
+        }
+        this.renderWebhooks();
+    }
+
+    async copySecret(webhookId) {
+        const webhook = this.findWebhook(webhookId);
+        if (!webhook) return;
+
+        try {
+            await navigator.clipboard.writeText(webhook.secret);
+            this.showSuccess('Signing secret copied');
+        } catch (error) {
+            this.revealedSecrets.add(webhookId);
+            this.renderWebhooks();
+            this.showError('Could not copy the secret. Please copy it from the page instead.');
+        }
+    }
+
+    findWebhook(webhookId) {
+        return this.webhooks.find(w => w.id === webhookId) || null;
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderWebhooks() {
+        const list = document.querySelector('#webhook-list');
+        const form = document.querySelector('#add-webhook-form');
+        if (!list) return;
+
+        if (form) {
+            form.hidden = !this.available;
+        }
+        if (!this.available) {
+            list.innerHTML = '<li class="webhook-empty">Webhooks are not available on this server</li>';
+            return;
+        }
+
+        list.innerHTML = this.webhooks.length === 0
+            ? '<li class="webhook-empty">No endpoints yet. Add one to get your transaction events.</li>'
+            : '';
+        this.webhooks.forEach(webhook => list.appendChild(this.createWebhookItem(webhook)));
+    }
+
+    createWebhookItem(webhook) {
+        const item = document.createElement('li');
+        const revealed = this.revealedSecrets.has(webhook.id);
+        item.className = `webhook-item${webhook.active ? '' : ' webhook-item--paused'}`;
+        item.innerHTML = `
+            <div class="webhook-info">
+                <code class="webhook-url"></code>
+                <span class="webhook-description"></span>
+                <span class="webhook-secret">
+                    Signing secret <code class="webhook-secret-value"></code>
+                    <button type="button" class="webhook-link" data-action="show-webhook-secret" data-webhook-id="${webhook.id}">${revealed ? 'Hide' : 'Show'}</button>
+                    <button type="button" class="webhook-link" data-action="copy-webhook-secret" data-webhook-id="${webhook.id}">Copy</button>
+                </span>
+                ${webhook.previous_secret_expires_at
+                    ? `<span class="webhook-secret-note">The previous secret works until ${new Date(webhook.previous_secret_expires_at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}</span>`
+                    : ''}
+                <span class="webhook-events">
+                    ${webhook.events.map(event => `<span class="webhook-event">${WEBHOOK_EVENT_LABELS[event] || event}</span>`).join('')}
+                    ${webhook.active ? '' : '<span class="webhook-event webhook-event--paused">Paused</span>'}
+                </span>
+            </div>
+            <div class="webhook-actions">
+                <button type="button" class="webhook-link" data-action="toggle-webhook" data-webhook-id="${webhook.id}">${webhook.active ? 'Pause' : 'Resume'}</button>
+                <button type="button" class="webhook-link" data-action="rotate-webhook-secret" data-webhook-id="${webhook.id}">Rotate secret</button>
+                <button type="button" class="webhook-link" data-action="remove-webhook" data-webhook-id="${webhook.id}">Remove</button>
+            </div>
+        `;
+        item.querySelector('.webhook-url').textContent = webhook.url;
+        item.querySelector('.webhook-description').textContent = webhook.description || '';
+        item.querySelector('.webhook-secret-value').textContent = revealed
+            ? webhook.secret
+            : `${String(webhook.secret || '').slice(0, 10)}${'•'.repeat(12)}`;
+        return item;
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    handleApiError(error, fallbackMessage) {
+        this.showError(getUserMessage(error, fallbackMessage));
+
+        if (error instanceof UnauthorizedError) {
+            setTimeout(() => {
+                if (window.sessionManager) {
+                    window.sessionManager.endSession('expired');
+                } else {
+                    this.api.clearAuthToken();
+                    window.location.href = '/main/sign-in page.html';
+                }
+            }, 1500);
+        }
+    }
+
+    highlightFieldErrors(form, fieldErrors, fieldMap) {
+        // Reuse the field error display from auth handler
+        if (window.authHandler && window.authHandler.highlightFieldErrors) {
+            window.authHandler.highlightFieldErrors(form, fieldErrors, fieldMap);
+        }
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#webhook-list')) {
+        window.webhookHandler = new WebhookHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebhookHandler;
+}
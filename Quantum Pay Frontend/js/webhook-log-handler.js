@@ -0,0 +1,572 @@
+/**
+ * Webhook Log Handler
+ * The webhook deliveries page: every attempt to send an event to one of the user's endpoints,
+ * filtered by status, endpoint, transaction and date, with the payload and response side by side.
+ * Deliveries can be sent again, and endpoints can be sent a test event.
+ */
+
+// Filters kept in the address bar, so a filtered list can be bookmarked or linked to
+const WEBHOOK_LOG_FILTER_FIELDS = ['status', 'webhook_id', 'transaction_id', 'from', 'to'];
+
+const WEBHOOK_LOG_PAGE_SIZE = 50;
+
+const WEBHOOK_LOG_TRIGGER_LABELS = {
+    redelivery: 'Redelivery',
+    test: 'Test'
+};
+
+class WebhookLogHandler {
+    constructor() {
+        this.api = window.quantumAPI;
+        this.logs = [];
+        this.webhooks = [];
+        this.filters = {};
+        this.limit = WEBHOOK_LOG_PAGE_SIZE;
+        this.selectedLogId = null;
+        this.available = true;
+        this.init();
+    }
+
+    async init() {
+        // Check authentication
+        if (!this.api.isAuthenticated()) {
+            window.location.href = '/main/sign-in page.html';
+            return;
+        }
+
+        this.bindEvents();
+        this.restoreFilters();
+        await this.loadWebhooks();
+        await this.loadLogs();
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const logId = button.getAttribute('data-log-id');
+
+            switch (button.getAttribute('data-action')) {
+                case 'view-webhook-log':
+                    this.selectLog(logId);
+                    break;
+                case 'redeliver-webhook-log':
+                    this.redeliver(logId, button);
+                    break;
+                case 'send-test-webhook':
+                    this.showTestModal();
+                    break;
+                case 'refresh-webhook-logs':
+                    this.loadLogs();
+                    break;
+                case 'show-more-webhook-logs':
+                    this.limit += WEBHOOK_LOG_PAGE_SIZE;
+                    this.renderLogs();
+                    break;
+                case 'clear-webhook-log-filters':
+                    this.setFilters({});
+                    break;
+            }
+        });
+
+        const form = document.querySelector('#webhook-log-filters');
+        if (form) {
+            form.addEventListener('input', () => this.applyFilters());
+            form.addEventListener('change', () => this.applyFilters());
+            form.addEventListener('submit', (e) => e.preventDefault());
+        }
+    }
+
+    // ==================== DATA LOADING ====================
+
+    /**
+     * The endpoints name the rows and fill the endpoint filter; without them only URLs are shown
+     */
+    async loadWebhooks() {
+        try {
+            this.webhooks = await this.api.getWebhooks();
+        } catch (error) {
+            this.webhooks = [];
+            if (!(error instanceof NotFoundError)) {
+                console.error('Failed to load webhooks:', error);
+                this.handleApiError(error, 'Failed to load webhook endpoints');
+            }
+        }
+        this.renderEndpointOptions();
+    }
+
+    async loadLogs() {
+        try {
+            this.showLoading(true);
+            const logs = await this.api.getAllWebhookLogs();
+            this.logs = logs.sort((a, b) => b.created_at - a.created_at);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.available = false;
+            } else {
+                console.error('Failed to load webhook logs:', error);
+                this.handleApiError(error, 'Failed to load webhook deliveries');
+            }
+        } finally {
+            this.showLoading(false);
+        }
+        this.renderLogs();
+    }
+
+    findLog(logId) {
+        return this.logs.find(log => log.id === logId) || null;
+    }
+
+    findWebhook(webhookId) {
+        return this.webhooks.find(w => w.id === webhookId) || null;
+    }
+
+    // ==================== FILTERS ====================
+
+    /**
+     * Take the filters from the address bar and show them in #webhook-log-filters
+     */
+    restoreFilters() {
+        const form = document.querySelector('#webhook-log-filters');
+        const params = new URLSearchParams(window.location.search);
+        this.filters = {};
+        WEBHOOK_LOG_FILTER_FIELDS.forEach(name => {
+            const value = params.get(name);
+            if (value) this.filters[name] = value;
+            if (form && form.elements[name]) form.elements[name].value = value || '';
+        });
+    }
+
+    /**
+     * @param {Object} filters - Values by WEBHOOK_LOG_FILTER_FIELDS name; missing ones are cleared
+     */
+    setFilters(filters) {
+        const form = document.querySelector('#webhook-log-filters');
+        if (!form) return;
+
+        WEBHOOK_LOG_FILTER_FIELDS.forEach(name => {
+            if (form.elements[name]) form.elements[name].value = filters[name] || '';
+        });
+        this.applyFilters();
+    }
+
+    /**
+     * Read #webhook-log-filters, put the filters in the address bar and show the matching logs
+     */
+    applyFilters() {
+        const form = document.querySelector('#webhook-log-filters');
+        if (!form) return;
+
+        const filters = {};
+        WEBHOOK_LOG_FILTER_FIELDS.forEach(name => {
+            const value = form.elements[name] ? form.elements[name].value.trim() : '';
+            if (value) filters[name] = value;
+        });
+        if (JSON.stringify(filters) === JSON.stringify(this.filters)) return;
+        this.filters = filters;
+        this.limit = WEBHOOK_LOG_PAGE_SIZE;
+
+        // Replaced rather than pushed, so typing doesn't fill the history
+        const url = new URL(window.location.href);
+        WEBHOOK_LOG_FILTER_FIELDS.forEach(name => url.searchParams.delete(name));
+        Object.entries(filters).forEach(([name, value]) => url.searchParams.set(name, value));
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+        this.renderLogs();
+    }
+
+    /**
+     * Logs matching the filters. Dates are whole days in the user's time zone; a transaction
+     * matches on the start of its id, as the list shows it shortened.
+     * @returns {Array<Object>}
+     */
+    getFilteredLogs() {
+        const { status, webhook_id: webhookId, transaction_id: transactionId, from, to } = this.filters;
+        const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        let end = Infinity;
+        if (to) {
+            const dayAfter = new Date(`${to}T00:00:00`);
+            dayAfter.setDate(dayAfter.getDate() + 1);
+            end = dayAfter.getTime();
+        }
+        const transactionPrefix = transactionId ? transactionId.toLowerCase() : '';
+
+        return this.logs.filter(log =>
+            (!status || log.status === status)
+            && (!webhookId || log.webhook_id === webhookId)
+            && (!transactionPrefix || String(log.transaction_id || '').toLowerCase().startsWith(transactionPrefix))
+            && log.created_at >= start && log.created_at < end);
+    }
+
+    // ==================== ACTIONS ====================
+
+    /**
+     * Send a logged delivery again. The attempt gets its own log entry, which is then shown.
+     */
+    async redeliver(logId, button) {
+        const log = this.findLog(logId);
+        if (!log) return;
+
+        button.disabled = true;
+        try {
+            const attempt = await this.api.redeliverWebhookLog(logId);
+            this.addLog(attempt);
+            this.reportAttempt(attempt, 'Delivered again');
+        } catch (error) {
+            console.error('Failed to redeliver webhook:', error);
+            this.handleApiError(error, 'Failed to send the delivery again');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async sendTestEvent(form) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const attempt = await this.api.sendTestWebhook(form.elements.webhook_id.value, form.elements.event_type.value);
+            this.closeModal();
+            this.addLog(attempt);
+            this.reportAttempt(attempt, 'Test event delivered');
+        } catch (error) {
+            console.error('Failed to send test webhook:', error);
+            this.handleApiError(error, 'Failed to send the test event');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show a new attempt at the top and open it, clearing filters that would hide it
+     */
+    addLog(log) {
+        this.logs.unshift(log);
+        this.selectedLogId = log.id;
+        if (this.getFilteredLogs()[0] !== log) {
+            this.setFilters({});
+        }
+        this.renderLogs();
+    }
+
+    reportAttempt(log, successMessage) {
+        if (log.status === 'success') {
+            this.showSuccess(successMessage);
+        } else {
+            this.showError(`The endpoint didn't accept it: ${this.describeResponse(log)}`);
+        }
+    }
+
+    selectLog(logId) {
+        this.selectedLogId = this.selectedLogId === logId ? null : logId;
+        this.renderLogs();
+    }
+
+    // ==================== UI RENDERING ====================
+
+    renderEndpointOptions() {
+        const select = document.querySelector('#webhook-log-filters [name="webhook_id"]');
+        const testButton = document.querySelector('[data-action="send-test-webhook"]');
+        if (testButton) {
+            testButton.disabled = this.webhooks.length === 0;
+            testButton.title = this.webhooks.length === 0 ? 'Add a webhook endpoint in Settings first' : '';
+        }
+        if (!select) return;
+
+        select.innerHTML = '<option value="">All endpoints</option>'
+            + this.webhooks.map(w => `<option value="${w.id}">${this.escapeHTML(this.describeEndpoint(w))}</option>`).join('');
+        select.value = this.filters.webhook_id || '';
+    }
+
+    renderLogs() {
+        const list = document.querySelector('#webhook-log-list');
+        const summary = document.querySelector('#webhook-log-summary');
+        if (!list) return;
+
+        if (!this.available) {
+            list.innerHTML = '<tr><td colspan="7" class="webhook-log-empty">Webhook logs are not available on this server</td></tr>';
+            this.renderDetail(null);
+            return;
+        }
+
+        const logs = this.getFilteredLogs();
+        const shown = logs.slice(0, this.limit);
+
+        if (summary) {
+            summary.textContent = logs.length === this.logs.length
+                ? `${logs.length} ${logs.length === 1 ? 'delivery' : 'deliveries'}`
+                : `${logs.length} of ${this.logs.length} deliveries match the filters`;
+        }
+
+        list.innerHTML = shown.length === 0
+            ? `<tr><td colspan="7" class="webhook-log-empty">${this.logs.length === 0
+                ? 'No deliveries yet. They appear here when your endpoints are sent events.'
+                : 'No deliveries match the filters.'}</td></tr>`
+            : shown.map(log => this.createLogRow(log)).join('');
+
+        const more = document.querySelector('[data-action="show-more-webhook-logs"]');
+        if (more) {
+            more.style.display = logs.length > shown.length ? 'inline-block' : 'none';
+        }
+
+        this.renderDetail(this.findLog(this.selectedLogId));
+    }
+
+    createLogRow(log) {
+        const selected = log.id === this.selectedLogId;
+        const trigger = WEBHOOK_LOG_TRIGGER_LABELS[log.trigger];
+
+        return `
+            <tr class="webhook-log-row${selected ? ' webhook-log-row--selected' : ''}">
+                <td>${this.formatTime(log.created_at)}</td>
+                <td>
+                    <code>${this.escapeHTML(log.event_type || '—')}</code>
+                    ${trigger ? `<span class="webhook-log-tag">${trigger}</span>` : ''}
+                </td>
+                <td class="webhook-log-endpoint">${this.escapeHTML(this.describeEndpoint(this.findWebhook(log.webhook_id), log.webhook_url))}</td>
+                <td><span class="webhook-log-status webhook-log-status--${['success', 'failed'].includes(log.status) ? log.status : 'other'}">${this.escapeHTML(this.describeStatus(log))}</span></td>
+                <td>${log.attempt || '—'}</td>
+                <td>${this.createTransactionLink(log.transaction_id)}</td>
+                <td><button type="button" class="btn-small" data-action="view-webhook-log" data-log-id="${log.id}">${selected ? 'Hide' : 'View'}</button></td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Payload and response of the selected delivery, side by side
+     * @param {Object|null} log
+     */
+    renderDetail(log) {
+        const panel = document.querySelector('#webhook-log-detail');
+        if (!panel) return;
+
+        if (!log) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+
+        const canRedeliver = log.owner_user_id && this.findWebhook(log.webhook_id);
+        const facts = [
+            ['Sent', new Date(log.created_at).toLocaleString()],
+            ['Endpoint', log.webhook_url],
+            ['Event id', log.event_id],
+            ['Attempt', log.attempt],
+            ['Took', log.duration_ms !== undefined ? `${log.duration_ms} ms` : null],
+            ['Next retry', log.next_attempt_at ? this.formatTime(log.next_attempt_at) : null]
+        ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+        panel.hidden = false;
+        panel.innerHTML = `
+            <div class="webhook-log-detail__header">
+                <h3><code>${this.escapeHTML(log.event_type || 'Webhook')}</code> ${this.escapeHTML(this.describeStatus(log))}</h3>
+                <div class="webhook-log-detail__actions">
+                    ${log.transaction_id ? this.createTransactionLink(log.transaction_id, 'Open transaction') : ''}
+                    ${canRedeliver ? `<button type="button" class="btn btn-primary" data-action="redeliver-webhook-log" data-log-id="${log.id}">Redeliver</button>` : ''}
+                </div>
+            </div>
+            <dl class="webhook-log-facts">
+                ${facts.map(([label, value]) => `<div><dt>${label}</dt><dd>${this.escapeHTML(String(value))}</dd></div>`).join('')}
+            </dl>
+            <div class="webhook-log-bodies">
+                <section>
+                    <h4>Request</h4>
+                    <pre class="webhook-log-body">${this.escapeHTML(this.formatBody(log.payload))}</pre>
+                </section>
+                <section>
+                    <h4>Response${log.response_status ? ` (${log.response_status})` : ''}</h4>
+                    <pre class="webhook-log-body">${this.escapeHTML(this.formatBody(log.response) || 'No response body')}</pre>
+                </section>
+            </div>
+        `;
+    }
+
+    /**
+     * Form to send a made-up event to one of the user's endpoints. The event types offered are
+     * the ones the chosen endpoint subscribes to.
+     */
+    showTestModal() {
+        this.closeModal();
+        if (this.webhooks.length === 0) {
+            this.showError('Add a webhook endpoint in Settings first');
+            return;
+        }
+
+        const endpointOptions = this.webhooks
+            .map(w => `<option value="${w.id}">${this.escapeHTML(this.describeEndpoint(w))}</option>`)
+            .join('');
+
+        const modalHTML = `
+            <div class="modal-overlay" onclick="webhookLogHandler.closeModal()">
+                <div class="modal-content" onclick="event.stopPropagation()">
+                    <div class="modal-header">
+                        <h3>Send Test Event</h3>
+                        <button class="modal-close" onclick="webhookLogHandler.closeModal()">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="webhook-test-form">
+                            <p class="webhook-log-hint">The event is marked <code>"test": true</code> and describes a made-up transaction. It is sent once, even to a paused endpoint.</p>
+                            <div class="form-group">
+                                <label for="webhook-test-endpoint">Endpoint</label>
+                                <select id="webhook-test-endpoint" name="webhook_id">${endpointOptions}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="webhook-test-event">Event</label>
+                                <select id="webhook-test-event" name="event_type"></select>
+                            </div>
+                            <div class="modal-actions">
+                                <button type="button" class="btn btn-secondary" onclick="webhookLogHandler.closeModal()">Cancel</button>
+                                <button type="submit" class="btn btn-primary">Send</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const form = document.querySelector('#webhook-test-form');
+        const updateEvents = () => {
+            const webhook = this.findWebhook(form.elements.webhook_id.value);
+            form.elements.event_type.innerHTML = webhook.events
+                .map(event => `<option value="${event}">${event}</option>`)
+                .join('');
+        };
+        if (this.filters.webhook_id && this.findWebhook(this.filters.webhook_id)) {
+            form.elements.webhook_id.value = this.filters.webhook_id;
+        }
+        updateEvents();
+
+        form.elements.webhook_id.addEventListener('change', updateEvents);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendTestEvent(form);
+        });
+    }
+
+    closeModal() {
+        const modal = document.querySelector('.modal-overlay');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ==================== FORMATTING ====================
+
+    /**
+     * @param {Object|null} webhook - Endpoint, if it still exists
+     * @param {string} [url] - URL logged with the delivery
+     * @returns {string} The description, or else the URL
+     */
+    describeEndpoint(webhook, url) {
+        if (!webhook) return url || 'Removed endpoint';
+        return webhook.description ? `${webhook.description} (${webhook.url})` : webhook.url;
+    }
+
+    /**
+     * Logs written with POST /webhook_log can have any status; theirs is shown as it is
+     */
+    describeStatus(log) {
+        if (log.status === 'success') {
+            return log.response_status ? `Delivered · ${log.response_status}` : 'Delivered';
+        }
+        if (log.status === 'failed') {
+            return `Failed · ${this.describeResponse(log)}`;
+        }
+        return log.status || 'No status';
+    }
+
+    describeResponse(log) {
+        return log.response_status ? `HTTP ${log.response_status}` : 'no response';
+    }
+
+    createTransactionLink(transactionId, label) {
+        if (!transactionId) return '—';
+        const href = `transactions.html?transaction=${encodeURIComponent(transactionId)}`;
+        return `<a href="${href}" class="webhook-log-transaction">${label || `${this.escapeHTML(transactionId.slice(0, 8))}...`}</a>`;
+    }
+
+    /**
+     * Bodies are shown indented when they are JSON, and as sent otherwise
+     */
+    formatBody(body) {
+        if (!body) return '';
+        try {
+            return JSON.stringify(JSON.parse(body), null, 2);
+        } catch (error) {
+            return String(body);
+        }
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'medium' });
+    }
+
+    // ==================== UI HELPER METHODS ====================
+
+    /**
+     * Show the right message for a failed API call, sending the user back to sign in on 401
+     * @param {Error} error - Error thrown by the API service
+     * @param {string} fallbackMessage - Message for errors that carry none
+     */
+    handleApiError(error, fallbackMessage) {
+        this.showError(getUserMessage(error, fallbackMessage));
+
+        if (error instanceof UnauthorizedError) {
+            setTimeout(() => {
+                if (window.sessionManager) {
+                    window.sessionManager.endSession('expired');
+                } else {
+                    this.api.clearAuthToken();
+                    window.location.href = '/main/sign-in page.html';
+                }
+            }, 1500);
+        }
+    }
+
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showLoading(show) {
+        const loader = document.querySelector('#webhook-logs-loader');
+        if (loader) {
+            loader.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from auth handler
+        if (window.authHandler && window.authHandler.showMessage) {
+            window.authHandler.showMessage(message, type);
+            return;
+        }
+
+        // Fallback notification
+        alert(message);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('#webhook-log-list')) {
+        window.webhookLogHandler = new WebhookLogHandler();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebhookLogHandler;
+}
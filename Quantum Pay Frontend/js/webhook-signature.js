@@ -0,0 +1,157 @@
+/**
+ * Webhook Signature
+ * Signs webhook payloads and checks the signatures, built on Web Crypto
+ *
+ * Every webhook carries an X-Quantum-Signature header:
+ *   X-Quantum-Signature: t=1767225600,v1=5257a869...
+ * t is when it was sent (seconds since epoch) and v1 is the hex HMAC-SHA256 of `${t}.${body}`
+ * keyed with the endpoint's signing secret. While a rotated secret is still valid, the header has
+ * one v1 for each secret. Receivers can use this file as it is, in the browser or in Node 19+.
+ */
+
+const WEBHOOK_SIGNATURE_HEADER = 'X-Quantum-Signature';
+
+const WEBHOOK_SIGNATURE_SETTINGS = {
+    scheme: 'v1',
+    secretPrefix: 'whsec_',
+    secretBytes: 32,
+    tolerance: 5 * 60       // seconds a signed request stays acceptable, so captured ones can't be replayed later
+};
+
+class WebhookSignatureError extends Error {
+    /**
+     * @param {string} code - missing_signature, malformed_signature, timestamp_outside_tolerance or signature_mismatch
+     * @param {string} message - Human readable message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'WebhookSignatureError';
+        this.code = code;
+    }
+}
+
+class WebhookSignature {
+    /**
+     * Generate a random signing secret
+     * @returns {string} whsec_ followed by 64 hex characters
+     */
+    static generateSecret() {
+        const bytes = crypto.getRandomValues(new Uint8Array(WEBHOOK_SIGNATURE_SETTINGS.secretBytes));
+        return WEBHOOK_SIGNATURE_SETTINGS.secretPrefix + WebhookSignature.toHex(bytes);
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string} Lowercase hex
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * HMAC-SHA256 of `${timestamp}.${body}`. The key is the whole secret string, prefix included.
+     * @param {string} secret - Signing secret
+     * @param {number} timestamp - Seconds since epoch
+     * @param {string|Uint8Array} body - Raw request body
+     * @returns {Promise<string>} Hex signature
+     */
+    static async compute(secret, timestamp, body) {
+        const encoder = new TextEncoder();
+        const text = typeof body === 'string' ? body : new TextDecoder().decode(body);
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${text}`));
+        return WebhookSignature.toHex(new Uint8Array(signature));
+    }
+
+    /**
+     * Build the signature header for a body
+     * @param {string} body - Raw request body
+     * @param {string|Array<string>} secrets - The current secret, and during a rotation the previous one
+     * @param {number} [timestamp] - Seconds since epoch (default: now)
+     * @returns {Promise<string>} Header value
+     */
+    static async sign(body, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+        const list = Array.isArray(secrets) ? secrets : [secrets];
+        const signatures = await Promise.all(list.map(secret => WebhookSignature.compute(secret, timestamp, body)));
+        return [`t=${timestamp}`, ...signatures.map(signature => `${WEBHOOK_SIGNATURE_SETTINGS.scheme}=${signature}`)].join(',');
+    }
+
+    /**
+     * @param {string} header - Signature header value
+     * @returns {Object|null} { timestamp, signatures }, or null when it has no timestamp or v1 signature
+     */
+    static parseHeader(header) {
+        let timestamp = null;
+        const signatures = [];
+
+        String(header || '').split(',').forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator === -1) return;
+
+            const key = part.slice(0, separator).trim();
+            const value = part.slice(separator + 1).trim();
+            if (key === 't' && /^\d+$/.test(value)) {
+                timestamp = Number(value);
+            } else if (key === WEBHOOK_SIGNATURE_SETTINGS.scheme && /^[0-9a-f]{64}$/i.test(value)) {
+                signatures.push(value.toLowerCase());
+            }
+        });
+
+        return timestamp === null || signatures.length === 0 ? null : { timestamp, signatures };
+    }
+
+    /**
+     * Compare without returning early, so timing doesn't reveal how much of a signature was right
+     * @returns {boolean}
+     */
+    static safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Check that a webhook came from Quantum Pay and is recent. Pass the body exactly as received:
+     * parsing and serializing the JSON again changes it and the signature won't match.
+     * @param {string|Uint8Array} body - Raw request body
+     * @param {string} header - X-Quantum-Signature header value
+     * @param {string|Array<string>} secrets - The endpoint's signing secret, or several while changing it
+     * @param {Object} [options] - { tolerance (seconds, default 300), now (milliseconds, default Date.now()) }
+     * @returns {Promise<Object>} The parsed event
+     * @throws {WebhookSignatureError}
+     */
+    static async verify(body, header, secrets, { tolerance = WEBHOOK_SIGNATURE_SETTINGS.tolerance, now = Date.now() } = {}) {
+        if (!header) {
+            throw new WebhookSignatureError('missing_signature', `The ${WEBHOOK_SIGNATURE_HEADER} header is missing.`);
+        }
+
+        const parsed = WebhookSignature.parseHeader(header);
+        if (!parsed) {
+            throw new WebhookSignatureError('malformed_signature', `The ${WEBHOOK_SIGNATURE_HEADER} header has no timestamp or ${WEBHOOK_SIGNATURE_SETTINGS.scheme} signature.`);
+        }
+
+        if (Math.abs(now / 1000 - parsed.timestamp) > tolerance) {
+            throw new WebhookSignatureError('timestamp_outside_tolerance', `The webhook was signed more than ${tolerance} seconds from now.`);
+        }
+
+        const list = Array.isArray(secrets) ? secrets : [secrets];
+        for (const secret of list.filter(Boolean)) {
+            const expected = await WebhookSignature.compute(secret, parsed.timestamp, body);
+            if (parsed.signatures.some(signature => WebhookSignature.safeEqual(signature, expected))) {
+                const text = typeof body === 'string' ? body : new TextDecoder().decode(body);
+                return JSON.parse(text);
+            }
+        }
+
+        throw new WebhookSignatureError('signature_mismatch', 'No signature matches the signing secret.');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebhookSignature, WebhookSignatureError, WEBHOOK_SIGNATURE_HEADER };
+}
@@ -0,0 +1,75 @@
+/**
+ * Shell Version
+ * Stamps service-worker.js with a hash of the files it precaches, so every deploy that changes
+ * one of them installs a new cache
+ *
+ * Usage, from any directory:
+ *   node "Quantum Pay Frontend/scripts/shell-version.js"          write the hash
+ *   node "Quantum Pay Frontend/scripts/shell-version.js" --check  exit 1 when it is out of date
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SERVICE_WORKER = path.join(__dirname, '..', 'service-worker.js');
+
+const VERSION_PATTERN = /^const SHELL_VERSION = '([^']*)';$/m;
+
+/**
+ * @param {string} source - Contents of service-worker.js
+ * @returns {Array<string>} SHELL_FILES, relative to the service worker
+ */
+function readShellFiles(source) {
+    const list = /^const SHELL_FILES = \[([\s\S]*?)\];$/m.exec(source);
+    if (!list) {
+        throw new Error('SHELL_FILES not found in service-worker.js');
+    }
+    return [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+}
+
+/**
+ * Hash of the file list and each file's contents, in order
+ * @param {string} source - Contents of service-worker.js
+ * @returns {string} 12 hex digits
+ */
+function computeShellVersion(source) {
+    const hash = crypto.createHash('sha256');
+    readShellFiles(source).forEach(file => {
+        hash.update(`${file}\0`);
+        hash.update(fs.readFileSync(path.join(path.dirname(SERVICE_WORKER), file)));
+        hash.update('\0');
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * @param {string} source - Contents of service-worker.js
+ * @returns {string|null} The SHELL_VERSION written in it
+ */
+function readShellVersion(source) {
+    const match = VERSION_PATTERN.exec(source);
+    return match ? match[1] : null;
+}
+
+function main(args) {
+    const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+    const version = computeShellVersion(source);
+
+    if (args.includes('--check')) {
+        if (readShellVersion(source) !== version) {
+            console.error(`SHELL_VERSION is out of date, run: node "${path.relative(process.cwd(), __filename)}"`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    fs.writeFileSync(SERVICE_WORKER, source.replace(VERSION_PATTERN, `const SHELL_VERSION = '${version}';`));
+    console.log(`SHELL_VERSION = '${version}'`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { SERVICE_WORKER, computeShellVersion, readShellFiles, readShellVersion };
@@ -0,0 +1,124 @@
+/**
+ * Service Worker
+ * Keeps the dashboard pages, their scripts and images in a versioned cache, so they open even
+ * when the network is down (see js/offline-manager.js for the data shown then). Pages and
+ * scripts still come from the network whenever it answers, so a deploy shows up on the next load.
+ *
+ * Registered by js/install-handler.js with the dashboard/ folder as its scope. API requests go
+ * to another origin and are never cached here.
+ */
+
+// Hash of SHELL_FILES and their contents, written by scripts/shell-version.js before each
+// deploy. A new hash makes installed apps download them all again, and the previous cache is
+// deleted once the new version takes over.
+const SHELL_VERSION = 'a0524b0d88a9';
+const SHELL_CACHE_PREFIX = 'quantum-pay-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${SHELL_VERSION}`;
+
+// Relative to this file. Large images, e.g. the profile picture, are cached the first time a
+// page shows them instead, and so is the local mock backend where it is configured.
+const SHELL_FILES = [
+    'manifest.webmanifest',
+    'dashboard/dashboard-main.html',
+    'dashboard/transactions.html',
+    'dashboard/wallets.html',
+    'dashboard/webhook-logs.html',
+    'dashboard/settings-dash.html',
+    'dashboard/images/icon.png',
+    'js/api-errors.js',
+    'js/money.js',
+    'js/transaction-status.js',
+    'js/recurrence.js',
+    'js/transaction-query.js',
+    'js/backend-adapters.js',
+    'js/exchange-rates.js',
+    'js/api-service.js',
+    'js/user-directory.js',
+    'js/offline-store.js',
+    'js/offline-manager.js',
+    'js/session-manager.js',
+    'js/auth-handler.js',
+    'js/install-handler.js',
+    'js/transaction-handler.js',
+    'js/payment-request-handler.js',
+    'js/contacts-handler.js',
+    'js/schedule-handler.js',
+    'js/saved-search-handler.js',
+    'js/transaction-export.js',
+    'js/export-handler.js',
+    'js/statement-import.js',
+    'js/reconciliation-handler.js',
+    'js/wallet-handler.js',
+    'js/webhook-log-handler.js',
+    'js/vendor/qrcode.min.js',
+    'js/two-factor-handler.js',
+    'js/webhook-handler.js'
+];
+
+// The files are fetched past the HTTP cache, so a new version never stores old copies.
+// One that fails to download fails the install, and the current version stays.
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache =>
+            cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        // Pages opened before the first install are served from the cache too
+        await self.clients.claim();
+    })());
+});
+
+// A new version waits for the pages of the previous one to close, unless one asks for it,
+// see InstallHandler.applyUpdate
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(respond(event));
+});
+
+/**
+ * Pages and scripts: the network's copy, kept for later, or the cached one when the network is
+ * down. Anything else, e.g. images: the cached copy, or the network's, kept for next time.
+ * Pages are matched without their query string, e.g. transactions.html?status=completed.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function respond(event) {
+    const request = event.request;
+    const cache = await caches.open(SHELL_CACHE);
+    const isPage = request.mode === 'navigate';
+    // Stored without the query string, so each page has one copy
+    const key = isPage ? new Request(new URL(request.url).pathname) : request;
+    const keep = response => {
+        if (response.ok) {
+            event.waitUntil(cache.put(key, response.clone()));
+        }
+        return response;
+    };
+
+    if (isPage || request.destination === 'script') {
+        try {
+            return keep(await fetch(request));
+        } catch (error) {
+            const cached = await cache.match(request, { ignoreSearch: isPage });
+            if (cached) return cached;
+            throw error;
+        }
+    }
+
+    return (await cache.match(request)) || keep(await fetch(request));
+}
@@ -0,0 +1,67 @@
+/**
+ * Money: parsing user input, formatting and allocation
+ * Run with: node --test "Quantum Pay Frontend/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Money = require('../js/money.js');
+
+const parsed = (input, currency, locale) => Money.parse(input, currency, locale).amount;
+
+test('parse reads amounts the way each locale writes them', () => {
+    assert.equal(parsed('1,234.56', 'USD', 'en-US'), 123456);
+    assert.equal(parsed('1.234,56', 'EUR', 'de-DE'), 123456);
+    assert.equal(parsed("1'234.56", 'CHF', 'de-CH'), 123456);
+    assert.equal(parsed('1 234,56', 'EUR', 'fr-FR'), 123456);
+    assert.equal(parsed('1,00,000', 'INR', 'en-IN'), 10000000);
+    assert.equal(parsed('12,34,567.50', 'INR', 'en-IN'), 123456750);
+    assert.equal(parsed('100,000', 'INR', 'en-IN'), 10000000);
+    assert.equal(parsed('1,500', 'JPY', 'ja-JP'), 1500);
+});
+
+test('parse takes the other separator as the decimal point when it cannot be grouping', () => {
+    assert.equal(parsed('1,23', 'USD', 'en-US'), 123);
+    assert.equal(parsed('12.5', 'EUR', 'de-DE'), 1250);
+    assert.equal(parsed('1,234', 'USD', 'en-US'), 123400);
+});
+
+test('parse ignores currency symbols and codes, wherever the sign is', () => {
+    assert.equal(parsed('$12.50', 'USD', 'en-US'), 1250);
+    assert.equal(parsed('USD 12', 'USD', 'en-US'), 1200);
+    assert.equal(parsed('1.234,56 €', 'EUR', 'de-DE'), 123456);
+    assert.equal(parsed('R$ 10,00', 'BRL', 'pt-BR'), 1000);
+    assert.equal(parsed('$-5.00', 'USD', 'en-US'), -500);
+    assert.equal(parsed('-$5.00', 'USD', 'en-US'), -500);
+    assert.equal(parsed('(5.00)', 'USD', 'en-US'), -500);
+    assert.equal(parsed('5.00-', 'USD', 'en-US'), -500);
+    assert.equal(parsed('+5', 'USD', 'en-US'), 500);
+});
+
+test('parse rejects anything that is not an amount', () => {
+    ['', '1e5', '12abc34', '--5', '-5-', '(5.00', '1,00,000', '1234,567', '1.2.3'].forEach(input => {
+        assert.throws(() => Money.parse(input, 'USD', 'en-US'), RangeError, input);
+    });
+    assert.throws(() => Money.parse('1.5', 'JPY', 'ja-JP'), /can't have decimals/);
+    assert.throws(() => Money.parse('1.005', 'USD', 'en-US'), /at most 2 decimal places/);
+});
+
+test('format uses the exponent of the currency', () => {
+    assert.equal(Money.of(123450, 'USD').format('en-US'), '$1,234.50');
+    assert.equal(Money.of(1500, 'JPY').format('en-US'), '¥1,500');
+    assert.equal(Money.of(1250, 'KWD').toDecimalString(), '1.250');
+    assert.equal(Money.of(-1999, 'USD').toDecimalString(), '-19.99');
+});
+
+test('allocate neither loses nor creates minor units', () => {
+    assert.deepEqual(Money.of(100, 'USD').allocate([1, 1, 1]).map(m => m.amount), [34, 33, 33]);
+    assert.deepEqual(Money.of(-100, 'USD').allocate([1, 1, 1]).map(m => m.amount), [-34, -33, -33]);
+    assert.deepEqual(Money.of(5, 'USD').allocate([0, 1, 1]).map(m => m.amount), [0, 3, 2]);
+    assert.throws(() => Money.of(100, 'USD').allocate([0, 0]), RangeError);
+});
+
+test('arithmetic stays in one currency and rounds half to even', () => {
+    assert.equal(Money.of(1005, 'USD').multiply('0.5').amount, 502);
+    assert.equal(Money.of(1005, 'USD').multiply('0.5', Money.ROUNDING.HALF_UP).amount, 503);
+    assert.throws(() => Money.of(1, 'USD').add(Money.of(1, 'EUR')), TypeError);
+});
@@ -0,0 +1,22 @@
+/**
+ * Service worker: the precached files exist and SHELL_VERSION matches them
+ * Run with: node --test "Quantum Pay Frontend/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SERVICE_WORKER, computeShellVersion, readShellFiles, readShellVersion } = require('../scripts/shell-version.js');
+
+const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+
+test('every precached file exists', () => {
+    const missing = readShellFiles(source).filter(file => !fs.existsSync(path.join(path.dirname(SERVICE_WORKER), file)));
+    assert.deepEqual(missing, []);
+});
+
+test('SHELL_VERSION is the hash of the precached files', () => {
+    assert.equal(readShellVersion(source), computeShellVersion(source),
+        'Run node "Quantum Pay Frontend/scripts/shell-version.js" to update it');
+});
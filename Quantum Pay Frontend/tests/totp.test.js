@@ -0,0 +1,50 @@
+/**
+ * TOTP: the test vectors of RFC 4226 (HOTP) and RFC 6238 (TOTP, SHA-1)
+ * Run with: node --test "Quantum Pay Frontend/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TOTP = require('../js/totp.js');
+
+const KEY = new TextEncoder().encode('12345678901234567890');
+
+test('hotp matches RFC 4226 appendix D', async () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    for (const [counter, code] of expected.entries()) {
+        assert.equal(await TOTP.hotp(KEY, counter), code, `counter ${counter}`);
+    }
+});
+
+test('generate matches RFC 6238 appendix B', async () => {
+    const expected = {
+        59: '94287082',
+        1111111109: '07081804',
+        1111111111: '14050471',
+        1234567890: '89005924',
+        2000000000: '69279037',
+        20000000000: '65353130'
+    };
+    for (const [seconds, code] of Object.entries(expected)) {
+        assert.equal(await TOTP.generate(KEY, { time: seconds * 1000, digits: 8 }), code, `T = ${seconds}`);
+    }
+});
+
+test('base32 secrets decode to the same key', async () => {
+    const secret = TOTP.base32Encode(KEY);
+    assert.equal(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.deepEqual(TOTP.base32Decode(secret.toLowerCase().replace(/(.{4})/g, '$1 ')), KEY);
+    assert.equal(await TOTP.generate(secret, { time: 59000, digits: 8 }), '94287082');
+    assert.throws(() => TOTP.base32Decode('GEZ1'), /Invalid base32 character/);
+});
+
+test('verify accepts one step of drift and returns the matching step', async () => {
+    const time = 1111111111 * 1000;
+    const step = TOTP.timeStep(time);
+    const previous = await TOTP.generate(KEY, { time: time - 30000 });
+
+    assert.equal(await TOTP.verify(KEY, previous, { time }), step - 1);
+    assert.equal(await TOTP.verify(KEY, previous, { time, window: 0 }), null);
+    assert.equal(await TOTP.verify(KEY, previous, { time: time + 60000 }), null);
+    assert.equal(await TOTP.verify(KEY, '12345', { time }), null);
+});
@@ -0,0 +1,44 @@
+/**
+ * Webhook signatures: signing and verifying round-trips, secret rotation and rejections
+ * Run with: node --test "Quantum Pay Frontend/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebhookSignature, WebhookSignatureError } = require('../js/webhook-signature.js');
+
+const BODY = JSON.stringify({ id: 'evt_1', type: 'transaction.completed', data: { amount: 1250, currency: 'USD' } });
+const NOW = 1767225600;
+
+const rejects = (promise, code) => assert.rejects(promise, error => error instanceof WebhookSignatureError && error.code === code);
+
+test('a signed body verifies and comes back parsed', async () => {
+    const secret = WebhookSignature.generateSecret();
+    assert.match(secret, /^whsec_[0-9a-f]{64}$/);
+
+    const header = await WebhookSignature.sign(BODY, secret, NOW);
+    assert.match(header, /^t=1767225600,v1=[0-9a-f]{64}$/);
+    assert.deepEqual(await WebhookSignature.verify(BODY, header, secret, { now: NOW * 1000 }), JSON.parse(BODY));
+    assert.deepEqual(await WebhookSignature.verify(new TextEncoder().encode(BODY), header, secret, { now: NOW * 1000 }), JSON.parse(BODY));
+});
+
+test('while a secret is rotated, either one verifies', async () => {
+    const [current, previous] = [WebhookSignature.generateSecret(), WebhookSignature.generateSecret()];
+    const header = await WebhookSignature.sign(BODY, [current, previous], NOW);
+
+    assert.equal(WebhookSignature.parseHeader(header).signatures.length, 2);
+    await WebhookSignature.verify(BODY, header, previous, { now: NOW * 1000 });
+    await WebhookSignature.verify(BODY, header, [WebhookSignature.generateSecret(), current], { now: NOW * 1000 });
+});
+
+test('tampered, stale or unsigned requests are rejected', async () => {
+    const secret = WebhookSignature.generateSecret();
+    const header = await WebhookSignature.sign(BODY, secret, NOW);
+    const options = { now: NOW * 1000 };
+
+    await rejects(WebhookSignature.verify(BODY.replace('1250', '9999'), header, secret, options), 'signature_mismatch');
+    await rejects(WebhookSignature.verify(BODY, header, WebhookSignature.generateSecret(), options), 'signature_mismatch');
+    await rejects(WebhookSignature.verify(BODY, header, secret, { now: (NOW + 301) * 1000 }), 'timestamp_outside_tolerance');
+    await rejects(WebhookSignature.verify(BODY, '', secret, options), 'missing_signature');
+    await rejects(WebhookSignature.verify(BODY, 't=1767225600', secret, options), 'malformed_signature');
+});